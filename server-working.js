@@ -1,9 +1,41 @@
 import express from 'express';
-import { join } from 'path';
-import { fileURLToPath } from 'url';
+import { join, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { dirname } from 'path';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import { readFile } from 'fs/promises';
+import { TradebookImporter } from './src/importers/TradebookImporter.js';
+import { DEFAULT_BROKER_PARSERS } from './src/importers/brokers/index.js';
+import { TradebookExporter, EXPORT_FORMATS } from './src/exporters/TradebookExporter.js';
+import { toISODateString, parseISODate, parseFinancialYear, currentFinancialYear } from './src/utils/date.js';
+import { computeHoldings } from './src/utils/holdings.js';
+import { COST_BASIS_METHODS } from './src/utils/LotEngine.js';
+import { computePositions, summarizePositions, contractKey } from './src/utils/positions.js';
+import { DEFAULT_RISK_FREE_RATE, yearsToExpiry, positionGreeks, aggregateGreeks } from './src/utils/optionPricing.js';
+import { DEFAULT_PAYOFF_STEPS, MAX_PAYOFF_STEPS, buildPayoffDiagram } from './src/utils/payoff.js';
+import { isDerivativeTrade } from './src/utils/instruments.js';
+import { ContractMaster } from './src/utils/ContractMaster.js';
+import { MarketCalendar } from './src/utils/MarketCalendar.js';
+import { istTime } from './src/utils/marketHours.js';
+import { ChargesCalculator, DEFAULT_BROKERAGE_PLAN } from './src/utils/ChargesCalculator.js';
+import { TRADE_PRODUCTS, CORPORATE_ACTION_TYPES, JOURNAL_TAG_KINDS, STRATEGY_STATUS, ALERT_TYPES, ALERT_STATUS, MARKET_INDICES } from './src/types/trade.js';
+import { parseCorporateAction } from './src/utils/corporateActions.js';
+import { parseLedgerEntry, buildCashLedger, accountValue } from './src/utils/cashLedger.js';
+import { parseJournalTag, parseJournalEntry, validateTradePlan, buildJournalView, normalizeTagName } from './src/utils/journal.js';
+import { parseStrategyInput, openingLegs, classifyStrategy, defaultStrategyName, buildStrategyView, detectStrategies } from './src/utils/strategies.js';
+import { parseWatchlistInput, parseWatchlistItem, buildWatchlistView, MAX_WATCHLIST_SYMBOLS } from './src/utils/watchlists.js';
+import { parseAlertInput, HOLDING_ALERT_TYPES, ALERT_LABELS, postWebhook } from './src/utils/alerts.js';
+import { AlertMonitor } from './src/utils/AlertMonitor.js';
+import { PriceRefresher } from './src/utils/PriceRefresher.js';
+import { PriceStream } from './src/utils/PriceStream.js';
+import { QuoteService, DEFAULT_QUOTE_TTL_MS } from './src/utils/QuoteService.js';
+import { EquityScraper } from './src/scrapers/EquityScraper.js';
+import { parseProviderList, PROVIDER_HEALTH } from './src/scrapers/ProviderRegistry.js';
+import { FixtureProvider } from './src/scrapers/providers/FixtureProvider.js';
+import { buildCapitalGainsReport, capitalGainsToCSV, capitalGainsToHTML, loadFairMarketValues } from './src/reports/capitalGains.js';
+import { buildBusinessIncomeReport, businessIncomeToCSV } from './src/reports/businessIncome.js';
+import { buildPerformanceReport } from './src/reports/performance.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -12,6 +44,8 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || process.env.SESSION_SECRET || 'trade-book-jwt-secret-change-in-production';
 const JWT_EXPIRES_IN = '7d';
+// Usernames allowed to record corporate actions for all users (comma-separated)
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || '').split(',').map(u => u.trim()).filter(Boolean);
 
 // CORS: always reflect the request origin when present so any frontend (e.g. trade-logs.netlify.app) is allowed.
 // Do not send Access-Control-Allow-Credentials so preflight is never rejected.
@@ -20,6 +54,7 @@ function corsMiddleware(req, res, next) {
     res.setHeader('Access-Control-Allow-Origin', requestOrigin || '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
     res.setHeader('Access-Control-Max-Age', '86400');
 
     if (req.method === 'OPTIONS') {
@@ -31,14 +66,112 @@ function corsMiddleware(req, res, next) {
 app.use(corsMiddleware);
 
 // Middleware: parse JSON and text/plain (text/plain avoids CORS preflight from frontend)
-app.use(express.json());
-app.use(express.text({ type: 'text/plain' }));
+// Limits are raised so broker tradebook CSVs can be posted for import.
+app.use(express.json({ limit: '5mb' }));
+app.use(express.text({ type: ['text/plain', 'text/csv'], limit: '5mb' }));
 app.use(express.static(__dirname));
 
 // Simple user storage (fallback to memory if DB fails)
 let users = new Map();
 let userTrades = new Map();
+let userPositionMarks = new Map();
+let userPortfolios = new Map();
+let lastMemoryPortfolioId = 0;
+// Corporate actions in memory: user_id null = applies to every user (recorded by an admin)
+let corporateActions = [];
+let lastCorporateActionId = 0;
+let userCashEntries = new Map();
+let lastCashEntryId = 0;
+let userJournalTags = new Map();
+let lastJournalTagId = 0;
+let userJournalEntries = new Map();
+let lastJournalEntryId = 0;
+let userStrategies = new Map();
+let lastStrategyId = 0;
+let userAlerts = new Map();
+let lastAlertId = 0;
+let userNotifications = new Map();
+let lastNotificationId = 0;
+let userWatchlists = new Map();
+let lastWatchlistId = 0;
+// Latest quote per symbol when the database (stock_data) is offline
+let quoteCache = new Map();
+// Holding prices from the price refresher and closing prices by `${date}|${symbol}` when the database is offline
+let memoryHoldingPrices = new Map();
+let closingPrices = new Map();
 let currentUserId = 1;
+let lastMemoryTradeId = 0;
+
+// Monotonic ids for memory trades (Date.now() alone collides on bulk inserts)
+function nextMemoryTradeId() {
+    lastMemoryTradeId = Math.max(Date.now(), lastMemoryTradeId + 1);
+    return lastMemoryTradeId;
+}
+
+const tradebookExporter = new TradebookExporter();
+const contractMaster = new ContractMaster();
+
+// F&O lot sizes: bundled defaults, then any NSE/MCX instrument CSVs listed in CONTRACT_MASTER_FILES (comma-separated)
+async function loadContractMaster() {
+    const files = [join(__dirname, 'data', 'contracts', 'fo_contracts.csv')]
+        .concat((process.env.CONTRACT_MASTER_FILES || '').split(',').map(f => f.trim()).filter(Boolean));
+    for (const file of files) {
+        try {
+            const count = await contractMaster.loadFile(file);
+            console.log(`📄 Loaded ${count} F&O contract entries from ${file}`);
+        } catch (error) {
+            console.log(`⚠️ Could not load contract master ${file}:`, error.message);
+        }
+    }
+}
+loadContractMaster();
+
+const marketCalendar = new MarketCalendar({ contractMaster });
+// Monthly F&O symbols in tradebooks (NIFTY24DECFUT) take their expiry from the calendar
+const tradebookImporter = new TradebookImporter(DEFAULT_BROKER_PARSERS, { calendar: marketCalendar });
+
+// Exchange holidays and special sessions: bundled list, then any CSVs listed in MARKET_HOLIDAY_FILES (comma-separated)
+async function loadMarketCalendar() {
+    const files = [join(__dirname, 'data', 'market', 'holidays.csv')]
+        .concat((process.env.MARKET_HOLIDAY_FILES || '').split(',').map(f => f.trim()).filter(Boolean));
+    for (const file of files) {
+        try {
+            const count = await marketCalendar.loadFile(file);
+            console.log(`📅 Loaded ${count} market holidays and special sessions from ${file}`);
+        } catch (error) {
+            console.log(`⚠️ Could not load market calendar ${file}:`, error.message);
+        }
+    }
+}
+loadMarketCalendar();
+
+const chargesCalculator = new ChargesCalculator({ contractMaster });
+
+// Extra brokerage plans from a local JSON file (array of { id, name, rules }) named by BROKERAGE_PLANS_FILE
+async function loadBrokeragePlans() {
+    if (!process.env.BROKERAGE_PLANS_FILE) return;
+    try {
+        const plans = JSON.parse(await readFile(process.env.BROKERAGE_PLANS_FILE, 'utf8'));
+        (Array.isArray(plans) ? plans : [plans]).forEach(plan => chargesCalculator.registerPlan(plan));
+        console.log(`📄 Loaded brokerage plans from ${process.env.BROKERAGE_PLANS_FILE}`);
+    } catch (error) {
+        console.log('⚠️ Could not load brokerage plans:', error.message);
+    }
+}
+const brokeragePlansLoaded = loadBrokeragePlans();
+
+// 31-Jan-2018 FMV per scrip for LTCG grandfathering: bundled file, or FMV_31JAN2018_FILE (symbol,isin,fmv)
+let fairMarketValues2018 = new Map();
+async function loadFairMarketValues2018() {
+    const file = process.env.FMV_31JAN2018_FILE || join(__dirname, 'data', 'tax', 'fmv_31jan2018.csv');
+    try {
+        fairMarketValues2018 = await loadFairMarketValues(file);
+        console.log(`📄 Loaded ${fairMarketValues2018.size} 31-Jan-2018 FMV entries from ${file}`);
+    } catch (error) {
+        console.log(`⚠️ Could not load 31-Jan-2018 FMV file ${file}:`, error.message);
+    }
+}
+loadFairMarketValues2018();
 
 console.log('🚀 Starting Working Trade Book Server...');
 
@@ -121,6 +254,17 @@ async function initDatabase() {
         await client.query(`
             UPDATE cursor_trade_book.trades SET trade_month = TO_CHAR(date, 'YYYY-MM') WHERE trade_month IS NULL OR trade_month = '';
         `);
+        await client.query(`
+            ALTER TABLE cursor_trade_book.trades ADD COLUMN IF NOT EXISTS broker VARCHAR(30);
+        `);
+        await client.query(`
+            ALTER TABLE cursor_trade_book.trades ADD COLUMN IF NOT EXISTS broker_trade_id VARCHAR(100);
+        `);
+        await client.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_trades_broker_trade_id
+            ON cursor_trade_book.trades (user_id, broker, broker_trade_id)
+            WHERE broker_trade_id IS NOT NULL;
+        `);
 
         await client.query(`
             CREATE TABLE IF NOT EXISTS cursor_trade_book.holdings (
@@ -139,6 +283,262 @@ async function initDatabase() {
                 UNIQUE(user_id, symbol)
             );
         `);
+        await client.query(`
+            ALTER TABLE cursor_trade_book.holdings
+                ADD COLUMN IF NOT EXISTS quantity DECIMAL(14,2) DEFAULT 0,
+                ADD COLUMN IF NOT EXISTS avg_cost DECIMAL(12,2),
+                ADD COLUMN IF NOT EXISTS realized_pnl DECIMAL(14,2) DEFAULT 0,
+                ADD COLUMN IF NOT EXISTS unrealized_pnl DECIMAL(14,2),
+                ADD COLUMN IF NOT EXISTS open_lots JSONB DEFAULT '[]',
+                ADD COLUMN IF NOT EXISTS cost_basis_method VARCHAR(20);
+        `);
+        await client.query(`
+            ALTER TABLE cursor_trade_book.users ADD COLUMN IF NOT EXISTS cost_basis_method VARCHAR(20) DEFAULT 'fifo';
+        `);
+        await client.query(`
+            ALTER TABLE cursor_trade_book.users ADD COLUMN IF NOT EXISTS brokerage_plan VARCHAR(30) DEFAULT 'discount';
+        `);
+        await client.query(`
+            ALTER TABLE cursor_trade_book.trades ADD COLUMN IF NOT EXISTS product VARCHAR(10);
+        `);
+        await client.query(`
+            ALTER TABLE cursor_trade_book.trades ADD COLUMN IF NOT EXISTS charges JSONB;
+        `);
+        await client.query(`
+            ALTER TABLE cursor_trade_book.holdings
+                ADD COLUMN IF NOT EXISTS charges DECIMAL(14,2) DEFAULT 0,
+                ADD COLUMN IF NOT EXISTS net_pnl DECIMAL(14,2);
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS cursor_trade_book.position_marks (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES cursor_trade_book.users(id) ON DELETE CASCADE,
+                contract_key VARCHAR(100) NOT NULL,
+                last_price DECIMAL(12,2),
+                settlement_price DECIMAL(12,2),
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(user_id, contract_key)
+            );
+        `);
+        
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS cursor_trade_book.portfolios (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES cursor_trade_book.users(id) ON DELETE CASCADE,
+                name VARCHAR(100) DEFAULT 'My Portfolio',
+                description TEXT,
+                is_default BOOLEAN DEFAULT false,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.query(`
+            ALTER TABLE cursor_trade_book.trades
+                ADD COLUMN IF NOT EXISTS portfolio_id INTEGER REFERENCES cursor_trade_book.portfolios(id) ON DELETE SET NULL;
+        `);
+        await client.query(`
+            ALTER TABLE cursor_trade_book.holdings ADD COLUMN IF NOT EXISTS portfolio_id INTEGER REFERENCES cursor_trade_book.portfolios(id) ON DELETE CASCADE;
+        `);
+        // Existing books: every user gets a default portfolio holding their unassigned trades.
+        // Holdings are recomputed per portfolio, so rows from before portfolios existed are dropped.
+        await client.query(`
+            INSERT INTO cursor_trade_book.portfolios (user_id, name, description, is_default)
+            SELECT u.id, 'My Portfolio', 'Default portfolio', true FROM cursor_trade_book.users u
+            WHERE NOT EXISTS (SELECT 1 FROM cursor_trade_book.portfolios p WHERE p.user_id = u.id AND p.is_default);
+        `);
+        await client.query(`
+            UPDATE cursor_trade_book.trades t SET portfolio_id = p.id
+            FROM cursor_trade_book.portfolios p
+            WHERE t.portfolio_id IS NULL AND p.user_id = t.user_id AND p.is_default;
+        `);
+        await client.query(`
+            ALTER TABLE cursor_trade_book.holdings DROP CONSTRAINT IF EXISTS holdings_user_id_symbol_key;
+        `);
+        await client.query(`
+            DELETE FROM cursor_trade_book.holdings WHERE portfolio_id IS NULL;
+        `);
+        await client.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_holdings_user_portfolio_symbol
+            ON cursor_trade_book.holdings (user_id, portfolio_id, symbol);
+        `);
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_trades_portfolio ON cursor_trade_book.trades (portfolio_id);
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS cursor_trade_book.corporate_actions (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES cursor_trade_book.users(id) ON DELETE CASCADE,
+                symbol VARCHAR(50) NOT NULL,
+                action_type VARCHAR(20) NOT NULL,
+                ex_date DATE NOT NULL,
+                ratio_new DECIMAL(12,4),
+                ratio_old DECIMAL(12,4),
+                price DECIMAL(12,2),
+                amount DECIMAL(12,4),
+                notes TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS cursor_trade_book.cash_ledger (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES cursor_trade_book.users(id) ON DELETE CASCADE,
+                portfolio_id INTEGER REFERENCES cursor_trade_book.portfolios(id) ON DELETE SET NULL,
+                entry_type VARCHAR(20) NOT NULL,
+                amount DECIMAL(14,2) NOT NULL,
+                date DATE NOT NULL,
+                symbol VARCHAR(50),
+                notes TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_cash_ledger_user ON cursor_trade_book.cash_ledger (user_id, date);
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS cursor_trade_book.journal_tags (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES cursor_trade_book.users(id) ON DELETE CASCADE,
+                name VARCHAR(50) NOT NULL,
+                kind VARCHAR(10) NOT NULL DEFAULT 'tag',
+                description TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_journal_tags_user_kind_name
+            ON cursor_trade_book.journal_tags (user_id, kind, LOWER(name));
+        `);
+        // One journal entry per trade or per position (F&O contract key or Cash symbol)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS cursor_trade_book.journal_entries (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES cursor_trade_book.users(id) ON DELETE CASCADE,
+                trade_id INTEGER REFERENCES cursor_trade_book.trades(id) ON DELETE CASCADE,
+                position_key VARCHAR(100),
+                setup VARCHAR(50),
+                tags JSONB DEFAULT '[]',
+                confidence SMALLINT,
+                emotion VARCHAR(20),
+                planned_entry DECIMAL(12,2),
+                planned_stop DECIMAL(12,2),
+                planned_target DECIMAL(12,2),
+                review TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_journal_entries_trade
+            ON cursor_trade_book.journal_entries (user_id, trade_id) WHERE trade_id IS NOT NULL;
+        `);
+        await client.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_journal_entries_position
+            ON cursor_trade_book.journal_entries (user_id, position_key) WHERE position_key IS NOT NULL;
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS cursor_trade_book.strategies (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES cursor_trade_book.users(id) ON DELETE CASCADE,
+                name VARCHAR(100) NOT NULL,
+                strategy_type VARCHAR(30) NOT NULL,
+                notes TEXT,
+                status VARCHAR(10) DEFAULT 'open',
+                closed_on DATE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS cursor_trade_book.strategy_legs (
+                strategy_id INTEGER REFERENCES cursor_trade_book.strategies(id) ON DELETE CASCADE,
+                trade_id INTEGER PRIMARY KEY REFERENCES cursor_trade_book.trades(id) ON DELETE CASCADE
+            );
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS cursor_trade_book.stock_data (
+                id SERIAL PRIMARY KEY,
+                symbol VARCHAR(20) UNIQUE NOT NULL,
+                current_price DECIMAL(10, 2),
+                change_amount DECIMAL(10, 2),
+                change_percent DECIMAL(7, 2),
+                volume BIGINT,
+                day_high DECIMAL(10, 2),
+                day_low DECIMAL(10, 2),
+                open_price DECIMAL(10, 2),
+                prev_close DECIMAL(10, 2),
+                market_cap BIGINT,
+                source VARCHAR(50),
+                is_real_data BOOLEAN DEFAULT false,
+                last_updated TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS cursor_trade_book.closing_prices (
+                id SERIAL PRIMARY KEY,
+                symbol VARCHAR(20) NOT NULL,
+                exchange VARCHAR(10),
+                trade_date DATE NOT NULL,
+                close_price DECIMAL(14,2) NOT NULL,
+                change_percent DECIMAL(7,2),
+                source VARCHAR(50),
+                is_real_data BOOLEAN DEFAULT false,
+                recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (symbol, trade_date)
+            );
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS cursor_trade_book.watchlists (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES cursor_trade_book.users(id) ON DELETE CASCADE,
+                name VARCHAR(50) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_id, name)
+            );
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS cursor_trade_book.watchlist_items (
+                id SERIAL PRIMARY KEY,
+                watchlist_id INTEGER REFERENCES cursor_trade_book.watchlists(id) ON DELETE CASCADE,
+                symbol VARCHAR(20) NOT NULL,
+                notes TEXT,
+                target_price DECIMAL(14,2),
+                added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (watchlist_id, symbol)
+            );
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS cursor_trade_book.alerts (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES cursor_trade_book.users(id) ON DELETE CASCADE,
+                symbol VARCHAR(50) NOT NULL,
+                alert_type VARCHAR(20) NOT NULL,
+                threshold DECIMAL(14,2) NOT NULL,
+                notes TEXT,
+                webhook_url TEXT,
+                status VARCHAR(10) DEFAULT 'active',
+                triggered_at TIMESTAMP,
+                triggered_price DECIMAL(14,2),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS cursor_trade_book.notifications (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES cursor_trade_book.users(id) ON DELETE CASCADE,
+                alert_id INTEGER REFERENCES cursor_trade_book.alerts(id) ON DELETE SET NULL,
+                title VARCHAR(200) NOT NULL,
+                message TEXT,
+                webhook_status VARCHAR(100),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                read_at TIMESTAMP
+            );
+        `);
+        await client.query(`
+            ALTER TABLE cursor_trade_book.holdings
+                ADD COLUMN IF NOT EXISTS dividend_income DECIMAL(14,2) DEFAULT 0,
+                ADD COLUMN IF NOT EXISTS dividends JSONB DEFAULT '[]',
+                ADD COLUMN IF NOT EXISTS corporate_actions JSONB DEFAULT '[]';
+        `);
         
         client.release();
         dbAvailable = true;
@@ -149,70 +549,152 @@ async function initDatabase() {
     }
 }
 
-// Initialize database connection
-initDatabase();
+// Initialize database connection, then bring stored charges up to date (custom plans must be loaded first)
+initDatabase().then(() => brokeragePlansLoaded).then(refreshAllTradeCharges);
+
+// Cost basis method for a user's holdings ('fifo' unless they chose 'weighted_average')
+async function getUserCostBasisMethod(userId) {
+    if (dbAvailable && pool) {
+        const result = await pool.query('SELECT cost_basis_method FROM cursor_trade_book.users WHERE id = $1', [userId]);
+        return result.rows[0]?.cost_basis_method || COST_BASIS_METHODS.FIFO;
+    }
+    return users.get(Number(userId))?.cost_basis_method || COST_BASIS_METHODS.FIFO;
+}
+
+// Brokerage plan used for a user's trade charges
+async function getUserBrokeragePlan(userId) {
+    if (dbAvailable && pool) {
+        const result = await pool.query('SELECT brokerage_plan FROM cursor_trade_book.users WHERE id = $1', [userId]);
+        return result.rows[0]?.brokerage_plan || DEFAULT_BROKERAGE_PLAN;
+    }
+    return users.get(Number(userId))?.brokerage_plan || DEFAULT_BROKERAGE_PLAN;
+}
+
+function toPortfolioResponse(p) {
+    return {
+        id: p.id,
+        user_id: p.user_id,
+        name: p.name,
+        description: p.description || null,
+        is_default: Boolean(p.is_default),
+        created_at: p.created_at,
+        updated_at: p.updated_at
+    };
+}
+
+// A user's portfolios, default first. Creates the default portfolio if the user has none yet.
+async function loadUserPortfolios(userId) {
+    if (dbAvailable && pool) {
+        try {
+            let result = await pool.query(
+                'SELECT * FROM cursor_trade_book.portfolios WHERE user_id = $1 ORDER BY is_default DESC, created_at ASC, id ASC',
+                [userId]
+            );
+            if (!result.rows.some(p => p.is_default)) {
+                await pool.query(
+                    `INSERT INTO cursor_trade_book.portfolios (user_id, name, description, is_default)
+                     VALUES ($1, 'My Portfolio', 'Default portfolio', true)`,
+                    [userId]
+                );
+                result = await pool.query(
+                    'SELECT * FROM cursor_trade_book.portfolios WHERE user_id = $1 ORDER BY is_default DESC, created_at ASC, id ASC',
+                    [userId]
+                );
+            }
+            return result.rows.map(toPortfolioResponse);
+        } catch (dbError) {
+            console.log('Database error getting portfolios, using memory:', dbError.message);
+            dbAvailable = false;
+        }
+    }
+    const list = userPortfolios.get(userId) || [];
+    if (!list.some(p => p.is_default)) {
+        const now = new Date().toISOString();
+        list.unshift({ id: ++lastMemoryPortfolioId, user_id: userId, name: 'My Portfolio', description: 'Default portfolio', is_default: true, created_at: now, updated_at: now });
+        userPortfolios.set(userId, list);
+    }
+    return [...list].sort((a, b) => Number(b.is_default) - Number(a.is_default)).map(toPortfolioResponse);
+}
+
+// Resolve a portfolio_id parameter for a user.
+// Blank or 'all' gives null (every portfolio) unless useDefault is set, in which case it gives the default portfolio.
+async function resolvePortfolioId(userId, value, { useDefault = false } = {}) {
+    const text = value == null ? '' : String(value).trim().toLowerCase();
+    const portfolios = await loadUserPortfolios(userId);
+    if (text === '' || text === 'all') {
+        return { portfolioId: useDefault ? portfolios.find(p => p.is_default).id : null, error: null };
+    }
+    const portfolio = portfolios.find(p => String(p.id) === text);
+    return portfolio ? { portfolioId: portfolio.id, error: null } : { portfolioId: null, error: 'Portfolio not found' };
+}
+
+// Recompute the charges breakdown stored on each of a user's trades.
+// All trades are recomputed because a new same-day sell can turn earlier delivery buys into intraday.
+async function refreshTradeChargesForUser(userId) {
+    const plan = await getUserBrokeragePlan(userId);
+    if (dbAvailable && pool) {
+        const result = await pool.query(
+            `SELECT id, symbol, type, quantity, price, date, market_index, trade_type, expiry, product, charges
+             FROM cursor_trade_book.trades WHERE user_id = $1`,
+            [userId]
+        );
+        const charges = chargesCalculator.calculateAll(result.rows, { plan });
+        for (const trade of result.rows) {
+            const next = charges.get(trade.id) || null;
+            if (JSON.stringify(next) !== JSON.stringify(trade.charges || null)) {
+                await pool.query('UPDATE cursor_trade_book.trades SET charges = $1 WHERE id = $2', [next ? JSON.stringify(next) : null, trade.id]);
+            }
+        }
+        return charges;
+    }
+    const userTradeList = userTrades.get(userId) || [];
+    const charges = chargesCalculator.calculateAll(userTradeList, { plan });
+    userTradeList.forEach(trade => { trade.charges = charges.get(trade.id) || null; });
+    return charges;
+}
+
+// Charges are stored when trades are written; at startup, fill in trades saved before the charges
+// engine existed and pick up rate or classification changes since the last run (DB only)
+async function refreshAllTradeCharges() {
+    if (!dbAvailable || !pool) return;
+    try {
+        const result = await pool.query('SELECT DISTINCT user_id FROM cursor_trade_book.trades');
+        for (const row of result.rows) {
+            await refreshTradeChargesForUser(row.user_id);
+        }
+    } catch (error) {
+        console.error('Refresh trade charges error:', error);
+    }
+}
 
-// Refresh holdings from cash trades for a user (DB only)
+// Refresh holdings from cash trades for a user, one set of rows per portfolio (DB only)
 async function refreshHoldingsForUser(userId) {
     if (!dbAvailable || !pool) return;
     try {
         const cashTrades = await pool.query(
-            `SELECT id, symbol, type, quantity, price, date
+            `SELECT id, symbol, type, quantity, price, date, charges, portfolio_id
              FROM cursor_trade_book.trades
              WHERE user_id = $1 AND LOWER(COALESCE(trade_type, '')) = 'cash'
              ORDER BY date ASC, id ASC`,
             [userId]
         );
-        const bySymbol = new Map();
-        for (const row of cashTrades.rows) {
-            const sym = (row.symbol || '').trim() || '?';
-            if (!bySymbol.has(sym)) {
-                bySymbol.set(sym, {
-                    buyQty: 0,
-                    buyValue: 0,
-                    sellQty: 0,
-                    sellValue: 0,
-                    details: []
-                });
-            }
-            const rec = bySymbol.get(sym);
-            const qty = Number(row.quantity) || 0;
-            const price = Number(row.price) || 0;
-            const dateStr = row.date ? String(row.date).slice(0, 10) : '';
-            rec.details.push({
-                transactiontype: (row.type || '').toLowerCase() === 'sell' ? 'sell' : 'buy',
-                date: dateStr,
-                qty,
-                price
-            });
-            if ((row.type || '').toLowerCase() === 'sell') {
-                rec.sellQty += qty;
-                rec.sellValue += qty * price;
-            } else {
-                rec.buyQty += qty;
-                rec.buyValue += qty * price;
-            }
-        }
-        for (const [symbol, rec] of bySymbol.entries()) {
-            const avgBuyPrice = rec.buyQty > 0 ? rec.buyValue / rec.buyQty : null;
-            const avgSellPrice = rec.sellQty > 0 ? rec.sellValue / rec.sellQty : null;
-            const currentQty = rec.buyQty - rec.sellQty;
-            const investedValue = currentQty > 0 && avgBuyPrice != null ? currentQty * avgBuyPrice : null;
-            const existing = await pool.query(
-                'SELECT current_price FROM cursor_trade_book.holdings WHERE user_id = $1 AND symbol = $2',
-                [userId, symbol]
-            );
-            const currentPrice = existing.rows[0]?.current_price ?? null;
-            const effectivePrice = currentPrice != null ? currentPrice : avgBuyPrice;
-            const currentValue = currentQty > 0 && effectivePrice != null ? currentQty * effectivePrice : null;
-            const netChangePct = investedValue != null && investedValue > 0 && currentValue != null && currentPrice != null
-                ? ((currentValue - investedValue) / investedValue) * 100
-                : null;
+        const currentPrices = await loadHoldingPrices(userId);
+        const method = await getUserCostBasisMethod(userId);
+        const actions = await loadCorporateActions(userId);
+        const portfolios = await loadUserPortfolios(userId);
+        const holdings = portfolios.flatMap(portfolio => computeHoldings(
+            cashTrades.rows.filter(t => t.portfolio_id === portfolio.id),
+            { method, currentPrices, corporateActions: actions }
+        ).map(h => ({ ...h, portfolio_id: portfolio.id })));
+
+        for (const h of holdings) {
             await pool.query(
                 `INSERT INTO cursor_trade_book.holdings
-                 (user_id, symbol, avg_buy_price, avg_buy_qty, avg_sell_price, avg_sell_qty, additional_detail, current_price, invested_value, current_value, net_change_pct)
-                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-                 ON CONFLICT (user_id, symbol) DO UPDATE SET
+                 (user_id, portfolio_id, symbol, avg_buy_price, avg_buy_qty, avg_sell_price, avg_sell_qty, additional_detail, current_price, invested_value, current_value, net_change_pct,
+                  quantity, avg_cost, realized_pnl, unrealized_pnl, open_lots, cost_basis_method, charges, net_pnl,
+                  dividend_income, dividends, corporate_actions)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23)
+                 ON CONFLICT (user_id, portfolio_id, symbol) DO UPDATE SET
                    avg_buy_price = EXCLUDED.avg_buy_price,
                    avg_buy_qty = EXCLUDED.avg_buy_qty,
                    avg_sell_price = EXCLUDED.avg_sell_price,
@@ -221,20 +703,30 @@ async function refreshHoldingsForUser(userId) {
                    current_price = COALESCE(EXCLUDED.current_price, cursor_trade_book.holdings.current_price),
                    invested_value = EXCLUDED.invested_value,
                    current_value = EXCLUDED.current_value,
-                   net_change_pct = EXCLUDED.net_change_pct`,
-                [userId, symbol, avgBuyPrice, rec.buyQty, avgSellPrice, rec.sellQty, JSON.stringify(rec.details), currentPrice, investedValue, currentValue, netChangePct]
-            );
-        }
-        // Remove holdings for symbols that have no cash trades left (all sold)
-        const symbols = [...bySymbol.keys()];
-        if (symbols.length > 0) {
-            await pool.query(
-                'DELETE FROM cursor_trade_book.holdings WHERE user_id = $1 AND symbol != ALL($2)',
-                [userId, symbols]
+                   net_change_pct = EXCLUDED.net_change_pct,
+                   quantity = EXCLUDED.quantity,
+                   avg_cost = EXCLUDED.avg_cost,
+                   realized_pnl = EXCLUDED.realized_pnl,
+                   unrealized_pnl = EXCLUDED.unrealized_pnl,
+                   open_lots = EXCLUDED.open_lots,
+                   cost_basis_method = EXCLUDED.cost_basis_method,
+                   charges = EXCLUDED.charges,
+                   net_pnl = EXCLUDED.net_pnl,
+                   dividend_income = EXCLUDED.dividend_income,
+                   dividends = EXCLUDED.dividends,
+                   corporate_actions = EXCLUDED.corporate_actions`,
+                [userId, h.portfolio_id, h.symbol, h.avg_buy_price, h.avg_buy_qty, h.avg_sell_price, h.avg_sell_qty, JSON.stringify(h.additional_detail), h.current_price, h.invested_value, h.current_value, h.net_change_pct,
+                 h.quantity, h.avg_cost, h.realized_pnl, h.unrealized_pnl, JSON.stringify(h.open_lots), h.cost_basis_method, h.charges, h.net_pnl,
+                 h.dividend_income, JSON.stringify(h.dividends), JSON.stringify(h.corporate_actions)]
             );
-        } else {
-            await pool.query('DELETE FROM cursor_trade_book.holdings WHERE user_id = $1', [userId]);
         }
+        // Remove holdings for portfolio/symbol pairs that have no cash trades left
+        const keys = holdings.map(h => `${h.portfolio_id}|${h.symbol}`);
+        await pool.query(
+            `DELETE FROM cursor_trade_book.holdings
+             WHERE user_id = $1 AND NOT (COALESCE(portfolio_id::text, '') || '|' || symbol = ANY($2))`,
+            [userId, keys]
+        );
     } catch (err) {
         console.error('refreshHoldingsForUser error:', err);
     }
@@ -245,12 +737,12 @@ async function resolveUserById(userId) {
     if (dbAvailable && pool) {
         try {
             const result = await pool.query(
-                'SELECT id, username, email, full_name, is_public, phone_number FROM cursor_trade_book.users WHERE id = $1',
+                'SELECT id, username, email, full_name, is_public, phone_number, cost_basis_method, brokerage_plan FROM cursor_trade_book.users WHERE id = $1',
                 [userId]
             );
             if (result.rows.length > 0) {
                 const row = result.rows[0];
-                return { id: row.id, username: row.username, email: row.email, full_name: row.full_name, is_public: row.is_public, phone_number: row.phone_number || null };
+                return { id: row.id, username: row.username, email: row.email, full_name: row.full_name, is_public: row.is_public, phone_number: row.phone_number || null, cost_basis_method: row.cost_basis_method || COST_BASIS_METHODS.FIFO, brokerage_plan: row.brokerage_plan || DEFAULT_BROKERAGE_PLAN };
             }
         } catch (e) {
             // fall through to memory
@@ -264,7 +756,9 @@ async function resolveUserById(userId) {
             email: mem.email,
             full_name: mem.full_name,
             is_public: mem.is_public || false,
-            phone_number: mem.phone_number || null
+            phone_number: mem.phone_number || null,
+            cost_basis_method: mem.cost_basis_method || COST_BASIS_METHODS.FIFO,
+            brokerage_plan: mem.brokerage_plan || DEFAULT_BROKERAGE_PLAN
         };
     }
     return null;
@@ -493,7 +987,13 @@ app.get('/api/auth/profile', requireAuth, async (req, res) => {
 app.patch('/api/auth/profile', requireAuth, async (req, res) => {
     try {
         const body = typeof req.body === 'string' ? JSON.parse(req.body) : (req.body || {});
-        const { email, full_name, phone_number } = body;
+        const { email, full_name, phone_number, cost_basis_method, brokerage_plan } = body;
+        if (cost_basis_method !== undefined && !Object.values(COST_BASIS_METHODS).includes(cost_basis_method)) {
+            return res.status(400).json({ error: 'cost_basis_method must be fifo or weighted_average' });
+        }
+        if (brokerage_plan !== undefined && !chargesCalculator.hasPlan(brokerage_plan)) {
+            return res.status(400).json({ error: `Unknown brokerage plan: ${brokerage_plan}` });
+        }
         const updates = [];
         const values = [];
         let idx = 1;
@@ -509,6 +1009,14 @@ app.patch('/api/auth/profile', requireAuth, async (req, res) => {
             updates.push(`phone_number = $${idx++}`);
             values.push(phone_number.trim() || null);
         }
+        if (cost_basis_method !== undefined) {
+            updates.push(`cost_basis_method = $${idx++}`);
+            values.push(cost_basis_method);
+        }
+        if (brokerage_plan !== undefined) {
+            updates.push(`brokerage_plan = $${idx++}`);
+            values.push(brokerage_plan);
+        }
         if (updates.length === 0) {
             return res.json({ success: true, user: req.user });
         }
@@ -524,6 +1032,15 @@ app.patch('/api/auth/profile', requireAuth, async (req, res) => {
             if (email !== undefined && email) mem.email = email.trim();
             if (full_name !== undefined) mem.full_name = full_name ? full_name.trim() : null;
             if (phone_number !== undefined) mem.phone_number = phone_number ? phone_number.trim() : null;
+            if (cost_basis_method !== undefined) mem.cost_basis_method = cost_basis_method;
+            if (brokerage_plan !== undefined) mem.brokerage_plan = brokerage_plan;
+        }
+        if (brokerage_plan !== undefined && brokerage_plan !== req.user.brokerage_plan) {
+            await refreshTradeChargesForUser(req.user.id);
+        }
+        if ((cost_basis_method !== undefined && cost_basis_method !== req.user.cost_basis_method) ||
+            (brokerage_plan !== undefined && brokerage_plan !== req.user.brokerage_plan)) {
+            await refreshHoldingsForUser(req.user.id);
         }
         const updated = await resolveUserById(req.user.id);
         res.json({ success: true, user: updated });
@@ -541,107 +1058,544 @@ app.post('/api/auth/logout', (req, res) => {
     });
 });
 
-// Get trades
-app.get('/api/trades', requireAuth, async (req, res) => {
+// List portfolios with trade counts
+app.get('/api/portfolios', requireAuth, async (req, res) => {
+    try {
+        const portfolios = await loadUserPortfolios(req.user.id);
+        const trades = await loadUserTrades(req.user.id);
+        const counts = new Map();
+        trades.forEach(t => counts.set(t.portfolio_id, (counts.get(t.portfolio_id) || 0) + 1));
+        res.json({ success: true, portfolios: portfolios.map(p => ({ ...p, trade_count: counts.get(p.id) || 0 })) });
+    } catch (error) {
+        console.error('Get portfolios error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get portfolios', portfolios: [] });
+    }
+});
+
+// Validate { name, description, is_default } for create (all) or update (only keys present)
+function parsePortfolioInput(body, existing, { partial = false } = {}) {
+    const value = {};
+    if (!partial || body.name !== undefined) {
+        const name = String(body.name || '').trim();
+        if (!name) return { value: null, error: 'Portfolio name is required' };
+        if (name.length > 100) return { value: null, error: 'Portfolio name must be at most 100 characters' };
+        if (existing.some(p => p.name.toLowerCase() === name.toLowerCase())) {
+            return { value: null, error: 'A portfolio with this name already exists' };
+        }
+        value.name = name;
+    }
+    if (!partial || body.description !== undefined) {
+        value.description = body.description != null ? String(body.description).trim() || null : null;
+    }
+    if (body.is_default !== undefined) {
+        value.is_default = body.is_default === true || body.is_default === 'true';
+    }
+    return { value, error: null };
+}
+
+// Create a portfolio: { name, description, is_default }
+app.post('/api/portfolios', requireAuth, async (req, res) => {
     try {
-        let trades = [];
+        const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+        const existing = await loadUserPortfolios(req.user.id);
+        const { value, error } = parsePortfolioInput(body, existing);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        const isDefault = Boolean(value.is_default);
 
         if (dbAvailable && pool) {
             try {
+                if (isDefault) {
+                    await pool.query('UPDATE cursor_trade_book.portfolios SET is_default = false, updated_at = NOW() WHERE user_id = $1', [req.user.id]);
+                }
                 const result = await pool.query(
-                    'SELECT id, symbol, type, quantity, price, date, created_at, market_index, trade_type, reason, expiry, strike_price, trade_month FROM cursor_trade_book.trades WHERE user_id = $1 ORDER BY date DESC, created_at DESC',
-                    [req.user.id]
+                    `INSERT INTO cursor_trade_book.portfolios (user_id, name, description, is_default)
+                     VALUES ($1, $2, $3, $4) RETURNING *`,
+                    [req.user.id, value.name, value.description, isDefault]
                 );
-                trades = result.rows.map(r => ({
-                    ...r,
-                    trade_action: r.type,
-                    market_index: r.market_index || null,
-                    trade_type: r.trade_type || null,
-                    reason: r.reason || null,
-                    expiry: r.expiry || null,
-                    strike_price: r.strike_price != null ? r.strike_price : null,
-                    trade_month: r.trade_month || (r.date ? String(r.date).slice(0, 7) : null)
-                }));
+                return res.status(201).json({ success: true, portfolio: toPortfolioResponse(result.rows[0]) });
             } catch (dbError) {
-                console.log('Database error getting trades, using memory:', dbError.message);
+                console.log('Database error creating portfolio, using memory:', dbError.message);
                 dbAvailable = false;
             }
         }
-
-        if (!dbAvailable) {
-            const raw = userTrades.get(req.user.id) || [];
-            trades = raw.map(t => ({
-                ...t,
-                trade_action: t.type,
-                market_index: t.market_index || null,
-                trade_type: t.trade_type || null,
-                reason: t.reason || null,
-                expiry: t.expiry || null,
-                strike_price: t.strike_price != null ? t.strike_price : null,
-                trade_month: t.trade_month || (t.date ? String(t.date).slice(0, 7) : null)
-            }));
-        }
-
-        res.json({
-            success: true,
-            trades: trades
-        });
+        const list = userPortfolios.get(req.user.id) || [];
+        if (isDefault) list.forEach(p => { p.is_default = false; });
+        const now = new Date().toISOString();
+        const portfolio = { id: ++lastMemoryPortfolioId, user_id: req.user.id, name: value.name, description: value.description, is_default: isDefault, created_at: now, updated_at: now };
+        list.push(portfolio);
+        userPortfolios.set(req.user.id, list);
+        res.status(201).json({ success: true, portfolio: toPortfolioResponse(portfolio) });
     } catch (error) {
-        console.error('Get trades error:', error);
-        res.status(500).json({ 
-            success: false,
-            error: 'Failed to get trades',
-            trades: []
-        });
+        console.error('Create portfolio error:', error);
+        res.status(500).json({ success: false, error: 'Failed to create portfolio' });
     }
 });
 
-// Get holdings (cash summary); refresh from cash trades then return
-app.get('/api/holdings', requireAuth, async (req, res) => {
+// Rename a portfolio or make it the default: { name, description, is_default: true }
+app.patch('/api/portfolios/:id', requireAuth, async (req, res) => {
     try {
-        let holdings = [];
+        const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+        const id = Number(req.params.id);
+        const portfolios = await loadUserPortfolios(req.user.id);
+        const current = portfolios.find(p => p.id === id);
+        if (!current) {
+            return res.status(404).json({ success: false, error: 'Portfolio not found' });
+        }
+        const { value, error } = parsePortfolioInput(body, portfolios.filter(p => p.id !== id), { partial: true });
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        if (value.is_default === false && current.is_default) {
+            return res.status(400).json({ success: false, error: 'Make another portfolio the default instead' });
+        }
+        if (value.is_default === false) delete value.is_default;
+        if (Object.keys(value).length === 0) {
+            return res.status(400).json({ success: false, error: 'Nothing to update' });
+        }
+
         if (dbAvailable && pool) {
-            await refreshHoldingsForUser(req.user.id);
-            const result = await pool.query(
-                `SELECT id, user_id, symbol, avg_buy_price, avg_buy_qty, avg_sell_price, avg_sell_qty,
-                        additional_detail, current_price, invested_value, current_value, net_change_pct
-                 FROM cursor_trade_book.holdings WHERE user_id = $1 ORDER BY symbol`,
-                [req.user.id]
-            );
-            holdings = result.rows.map(r => ({
-                id: r.id,
-                user_id: r.user_id,
-                symbol: r.symbol,
-                avg_buy_price: r.avg_buy_price != null ? Number(r.avg_buy_price) : null,
-                avg_buy_qty: r.avg_buy_qty != null ? Number(r.avg_buy_qty) : null,
-                avg_sell_price: r.avg_sell_price != null ? Number(r.avg_sell_price) : null,
-                avg_sell_qty: r.avg_sell_qty != null ? Number(r.avg_sell_qty) : null,
-                additional_detail: r.additional_detail || [],
-                current_price: r.current_price != null ? Number(r.current_price) : null,
-                invested_value: r.invested_value != null ? Number(r.invested_value) : null,
-                current_value: r.current_value != null ? Number(r.current_value) : null,
-                net_change_pct: r.net_change_pct != null ? Number(r.net_change_pct) : null
-            }));
+            try {
+                if (value.is_default) {
+                    await pool.query('UPDATE cursor_trade_book.portfolios SET is_default = false, updated_at = NOW() WHERE user_id = $1 AND id <> $2', [req.user.id, id]);
+                }
+                const keys = Object.keys(value);
+                const result = await pool.query(
+                    `UPDATE cursor_trade_book.portfolios SET ${keys.map((k, i) => `${k} = $${i + 3}`).join(', ')}, updated_at = NOW()
+                     WHERE id = $1 AND user_id = $2 RETURNING *`,
+                    [id, req.user.id, ...keys.map(k => value[k])]
+                );
+                return res.json({ success: true, portfolio: toPortfolioResponse(result.rows[0]) });
+            } catch (dbError) {
+                console.log('Database error updating portfolio, using memory:', dbError.message);
+                dbAvailable = false;
+            }
         }
-        res.json({ success: true, holdings });
+        const list = userPortfolios.get(req.user.id) || [];
+        const portfolio = list.find(p => p.id === id);
+        if (value.is_default) list.forEach(p => { p.is_default = false; });
+        Object.assign(portfolio, value, { updated_at: new Date().toISOString() });
+        res.json({ success: true, portfolio: toPortfolioResponse(portfolio) });
     } catch (error) {
-        console.error('Get holdings error:', error);
-        res.status(500).json({ success: false, error: 'Failed to get holdings', holdings: [] });
+        console.error('Update portfolio error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update portfolio' });
     }
 });
 
-// Add trade
-app.post('/api/trades', requireAuth, async (req, res) => {
+// Delete a portfolio; its trades and cash ledger entries move to the default portfolio
+app.delete('/api/portfolios/:id', requireAuth, async (req, res) => {
     try {
-        const tradeAction = (req.body.trade_action || req.body.type || '').toLowerCase();
-        const expiryVal = (req.body.expiry || '').trim() || null;
-        const strikePriceVal = req.body.strike_price != null && req.body.strike_price !== '' ? parseFloat(req.body.strike_price) : null;
-        const dateVal = req.body.date || new Date().toISOString().split('T')[0];
-        const trade_monthVal = dateVal.length >= 7 ? dateVal.slice(0, 7) : null;
-        const trade = {
-            id: Date.now(),
-            userId: req.user.id,
-            symbol: (req.body.symbol || '').trim(),
+        const id = Number(req.params.id);
+        const portfolios = await loadUserPortfolios(req.user.id);
+        const portfolio = portfolios.find(p => p.id === id);
+        if (!portfolio) {
+            return res.status(404).json({ success: false, error: 'Portfolio not found' });
+        }
+        if (portfolio.is_default) {
+            return res.status(400).json({ success: false, error: 'The default portfolio cannot be deleted' });
+        }
+        const defaultId = portfolios.find(p => p.is_default).id;
+
+        if (dbAvailable && pool) {
+            try {
+                const moved = await pool.query(
+                    'UPDATE cursor_trade_book.trades SET portfolio_id = $1 WHERE user_id = $2 AND portfolio_id = $3',
+                    [defaultId, req.user.id, id]
+                );
+                await pool.query(
+                    'UPDATE cursor_trade_book.cash_ledger SET portfolio_id = $1 WHERE user_id = $2 AND portfolio_id = $3',
+                    [defaultId, req.user.id, id]
+                );
+                await pool.query('DELETE FROM cursor_trade_book.portfolios WHERE id = $1 AND user_id = $2', [id, req.user.id]);
+                await refreshHoldingsForUser(req.user.id);
+                return res.json({ success: true, deleted: id, moved_trades: moved.rowCount, moved_to: defaultId });
+            } catch (dbError) {
+                console.log('Database error deleting portfolio, using memory:', dbError.message);
+                dbAvailable = false;
+            }
+        }
+        let movedTrades = 0;
+        (userTrades.get(req.user.id) || []).forEach(t => {
+            if (t.portfolio_id === id) {
+                t.portfolio_id = defaultId;
+                movedTrades++;
+            }
+        });
+        (userCashEntries.get(req.user.id) || []).forEach(e => {
+            if (e.portfolio_id === id) e.portfolio_id = defaultId;
+        });
+        userPortfolios.set(req.user.id, (userPortfolios.get(req.user.id) || []).filter(p => p.id !== id));
+        res.json({ success: true, deleted: id, moved_trades: movedTrades, moved_to: defaultId });
+    } catch (error) {
+        console.error('Delete portfolio error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete portfolio' });
+    }
+});
+
+// Shape a trade row (DB or memory) for API responses
+function toTradeResponse(t) {
+    return {
+        ...t,
+        trade_action: t.type,
+        market_index: t.market_index || null,
+        trade_type: t.trade_type || null,
+        reason: t.reason || null,
+        expiry: t.expiry || null,
+        strike_price: t.strike_price != null ? t.strike_price : null,
+        trade_month: t.trade_month || (t.date ? String(t.date).slice(0, 7) : null),
+        product: t.product || null,
+        charges: t.charges || null,
+        portfolio_id: t.portfolio_id ?? null
+    };
+}
+
+// Load a user's trades from DB, falling back to memory (newest first); portfolioId null = all portfolios
+async function loadUserTrades(userId, portfolioId = null) {
+    if (dbAvailable && pool) {
+        try {
+            const result = await pool.query(
+                `SELECT id, symbol, type, quantity, price, date, created_at, market_index, trade_type, reason, expiry, strike_price, trade_month, broker, broker_trade_id, product, charges, portfolio_id
+                 FROM cursor_trade_book.trades WHERE user_id = $1 AND ($2::int IS NULL OR portfolio_id = $2) ORDER BY date DESC, created_at DESC`,
+                [userId, portfolioId]
+            );
+            return result.rows.map(toTradeResponse);
+        } catch (dbError) {
+            console.log('Database error getting trades, using memory:', dbError.message);
+            dbAvailable = false;
+        }
+    }
+    const raw = (userTrades.get(userId) || []).filter(t => portfolioId == null || t.portfolio_id === portfolioId);
+    return raw.map(toTradeResponse);
+}
+
+// Sort fields for GET /api/trades: SQL expression and the matching value on a trade row.
+// Nullable columns are coalesced so keyset cursors compare cleanly.
+const TRADE_SORT_FIELDS = {
+    date: { sql: 'date', cast: 'date', value: t => toISODateString(t.date) },
+    symbol: { sql: 'symbol', cast: 'text', value: t => String(t.symbol || '') },
+    quantity: { sql: 'quantity', cast: 'numeric', value: t => Number(t.quantity) || 0 },
+    price: { sql: 'price', cast: 'numeric', value: t => Number(t.price) || 0 },
+    value: { sql: '(quantity * price)', cast: 'numeric', value: t => Math.round((Number(t.quantity) || 0) * (Number(t.price) || 0) * 100) / 100 },
+    expiry: { sql: "COALESCE(expiry, DATE '9999-12-31')", cast: 'date', value: t => toISODateString(t.expiry) || '9999-12-31' }
+};
+const TRADES_PAGE_DEFAULT = 100;
+const TRADES_PAGE_MAX = 500;
+
+function encodeTradeCursor(trade, sort) {
+    return Buffer.from(JSON.stringify({ v: TRADE_SORT_FIELDS[sort.field].value(trade), id: trade.id })).toString('base64url');
+}
+
+function decodeTradeCursor(value) {
+    try {
+        const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+        return cursor && cursor.v !== undefined && cursor.id != null ? cursor : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Parse GET /api/trades filters. Names follow TradeManager.getAllTrades (symbol, type, startDate, endDate)
+// in snake_case, plus trade_action, trade_type, market_index, months, expiry range, reason search, sort and paging.
+// Returns { value, error }.
+function parseTradeListQuery(query) {
+    const dateParam = (name, ...aliases) => {
+        const raw = [name, ...aliases].map(k => query[k]).find(v => v != null && v !== '');
+        if (raw == null) return { date: null, error: null };
+        const date = toISODateString(raw);
+        return date ? { date, error: null } : { date: null, error: `${name} must be a date (YYYY-MM-DD)` };
+    };
+    const from = dateParam('from', 'start_date');
+    const to = dateParam('to', 'end_date');
+    const expiryFrom = dateParam('expiry_from');
+    const expiryTo = dateParam('expiry_to');
+    const dateError = [from, to, expiryFrom, expiryTo].find(d => d.error);
+    if (dateError) return { value: null, error: dateError.error };
+
+    const action = String(query.trade_action || query.type || '').trim().toLowerCase() || null;
+    if (action && action !== 'buy' && action !== 'sell') {
+        return { value: null, error: 'trade_action must be buy or sell' };
+    }
+    const months = parseListParam(query.months);
+    if (months.some(m => !/^\d{4}-\d{2}$/.test(m))) {
+        return { value: null, error: 'months must be YYYY-MM values' };
+    }
+
+    const field = String(query.sort || 'date').trim().toLowerCase();
+    if (!TRADE_SORT_FIELDS[field]) {
+        return { value: null, error: `sort must be one of: ${Object.keys(TRADE_SORT_FIELDS).join(', ')}` };
+    }
+    const order = String(query.order || (field === 'date' ? 'desc' : 'asc')).trim().toLowerCase();
+    if (order !== 'asc' && order !== 'desc') {
+        return { value: null, error: 'order must be asc or desc' };
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeTradeCursor(query.cursor);
+        if (!cursor) return { value: null, error: 'Invalid cursor' };
+    }
+    let limit = null;
+    if (query.limit != null && query.limit !== '') {
+        limit = parseInt(query.limit, 10);
+        if (!(limit >= 1 && limit <= TRADES_PAGE_MAX)) {
+            return { value: null, error: `limit must be between 1 and ${TRADES_PAGE_MAX}` };
+        }
+    } else if (cursor) {
+        limit = TRADES_PAGE_DEFAULT;
+    }
+
+    return {
+        value: {
+            filters: {
+                symbol: String(query.symbol || '').trim().toUpperCase() || null,
+                action,
+                trade_types: parseListParam(query.trade_type ?? query.trade_types).map(t => t.toLowerCase()),
+                market_indices: parseListParam(query.market_index).map(m => m.toUpperCase()),
+                from: from.date,
+                to: to.date,
+                months,
+                expiry_from: expiryFrom.date,
+                expiry_to: expiryTo.date,
+                q: String(query.q || '').trim().toLowerCase() || null
+            },
+            sort: { field, order },
+            cursor,
+            limit
+        },
+        error: null
+    };
+}
+
+// In-memory equivalent of the SQL WHERE clause built by tradeListSQL
+function tradeMatchesQuery(trade, filters) {
+    const date = toISODateString(trade.date);
+    const expiry = toISODateString(trade.expiry);
+    if (filters.symbol && !String(trade.symbol || '').toUpperCase().includes(filters.symbol)) return false;
+    if (filters.action && String(trade.type || '').toLowerCase() !== filters.action) return false;
+    if (filters.trade_types.length > 0 && !filters.trade_types.includes(String(trade.trade_type || '').toLowerCase())) return false;
+    if (filters.market_indices.length > 0 && !filters.market_indices.includes(String(trade.market_index || '').toUpperCase())) return false;
+    if (filters.from && !(date >= filters.from)) return false;
+    if (filters.to && !(date <= filters.to)) return false;
+    if (filters.months.length > 0 && !filters.months.includes(date?.slice(0, 7))) return false;
+    if (filters.expiry_from && !(expiry && expiry >= filters.expiry_from)) return false;
+    if (filters.expiry_to && !(expiry && expiry <= filters.expiry_to)) return false;
+    if (filters.q && !String(trade.reason || '').toLowerCase().includes(filters.q)) return false;
+    return true;
+}
+
+function compareTradesBy(sort) {
+    const { value } = TRADE_SORT_FIELDS[sort.field];
+    const direction = sort.order === 'desc' ? -1 : 1;
+    return (a, b) => {
+        const va = value(a);
+        const vb = value(b);
+        const cmp = va < vb ? -1 : va > vb ? 1 : Number(a.id) - Number(b.id);
+        return cmp * direction;
+    };
+}
+
+// WHERE clause and parameters for a user's trades matching the filters; params start at $2 ($1 is user_id)
+function tradeListSQL(portfolioId, filters) {
+    const params = [portfolioId];
+    const where = ['user_id = $1', '($2::int IS NULL OR portfolio_id = $2)'];
+    const add = (clause, value) => {
+        params.push(value);
+        where.push(clause.replace('?', `$${params.length + 1}`));
+    };
+    if (filters.symbol) add('POSITION(? IN UPPER(symbol)) > 0', filters.symbol);
+    if (filters.action) add('LOWER(type) = ?', filters.action);
+    if (filters.trade_types.length > 0) add("LOWER(COALESCE(trade_type, '')) = ANY(?)", filters.trade_types);
+    if (filters.market_indices.length > 0) add("UPPER(COALESCE(market_index, '')) = ANY(?)", filters.market_indices);
+    if (filters.from) add('date >= ?::date', filters.from);
+    if (filters.to) add('date <= ?::date', filters.to);
+    if (filters.months.length > 0) add("to_char(date, 'YYYY-MM') = ANY(?)", filters.months);
+    if (filters.expiry_from) add('expiry >= ?::date', filters.expiry_from);
+    if (filters.expiry_to) add('expiry <= ?::date', filters.expiry_to);
+    if (filters.q) add("POSITION(? IN LOWER(COALESCE(reason, ''))) > 0", filters.q);
+    return { where, params };
+}
+
+// One page of a user's trades: { trades, total, next_cursor }. Without a limit every matching trade is returned.
+async function queryUserTrades(userId, portfolioId, { filters, sort, cursor, limit }) {
+    const field = TRADE_SORT_FIELDS[sort.field];
+    if (dbAvailable && pool) {
+        try {
+            const { where, params } = tradeListSQL(portfolioId, filters);
+            const countResult = await pool.query(
+                `SELECT COUNT(*)::int AS total FROM cursor_trade_book.trades WHERE ${where.join(' AND ')}`,
+                [userId, ...params]
+            );
+            const pageWhere = [...where];
+            const pageParams = [...params];
+            if (cursor) {
+                pageParams.push(cursor.v, cursor.id);
+                const n = pageParams.length + 1;
+                pageWhere.push(`(${field.sql}, id) ${sort.order === 'desc' ? '<' : '>'} ($${n - 1}::${field.cast}, $${n}::int)`);
+            }
+            const direction = sort.order === 'desc' ? 'DESC' : 'ASC';
+            if (limit) pageParams.push(limit + 1);
+            const result = await pool.query(
+                `SELECT id, symbol, type, quantity, price, date, created_at, market_index, trade_type, reason, expiry, strike_price, trade_month, broker, broker_trade_id, product, charges, portfolio_id
+                 FROM cursor_trade_book.trades WHERE ${pageWhere.join(' AND ')}
+                 ORDER BY ${field.sql} ${direction}, id ${direction}${limit ? ` LIMIT $${pageParams.length + 1}` : ''}`,
+                [userId, ...pageParams]
+            );
+            const rows = result.rows.map(toTradeResponse);
+            const page = limit ? rows.slice(0, limit) : rows;
+            const hasMore = Boolean(limit) && rows.length > limit;
+            return { trades: page, total: countResult.rows[0].total, next_cursor: hasMore ? encodeTradeCursor(page[page.length - 1], sort) : null };
+        } catch (dbError) {
+            console.log('Database error querying trades, using memory:', dbError.message);
+            dbAvailable = false;
+        }
+    }
+    const matching = (await loadUserTrades(userId, portfolioId)).filter(t => tradeMatchesQuery(t, filters)).sort(compareTradesBy(sort));
+    const isAfterCursor = t => {
+        const v = field.value(t);
+        const cmp = v < cursor.v ? -1 : v > cursor.v ? 1 : Number(t.id) - Number(cursor.id);
+        return sort.order === 'desc' ? cmp < 0 : cmp > 0;
+    };
+    const after = cursor ? matching.filter(isAfterCursor) : matching;
+    const page = limit ? after.slice(0, limit) : after;
+    const hasMore = Boolean(limit) && after.length > limit;
+    return { trades: page, total: matching.length, next_cursor: hasMore ? encodeTradeCursor(page[page.length - 1], sort) : null };
+}
+
+// Get trades: ?portfolio_id=<id>|all&symbol=&trade_action=buy|sell&trade_type=Cash,CE&market_index=NSE
+// &from=&to=&months=YYYY-MM,...&expiry_from=&expiry_to=&q=<reason text>&sort=date|symbol|quantity|price|value|expiry
+// &order=asc|desc&limit=<1-500>&cursor=<next_cursor>. Without limit or cursor every matching trade is returned.
+app.get('/api/trades', requireAuth, async (req, res) => {
+    try {
+        const { portfolioId, error } = await resolvePortfolioId(req.user.id, req.query.portfolio_id);
+        if (error) {
+            return res.status(404).json({ success: false, error, trades: [] });
+        }
+        const { value: query, error: queryError } = parseTradeListQuery(req.query);
+        if (queryError) {
+            return res.status(400).json({ success: false, error: queryError, trades: [] });
+        }
+        const page = await queryUserTrades(req.user.id, portfolioId, query);
+        res.json({
+            success: true,
+            trades: page.trades,
+            total: page.total,
+            next_cursor: page.next_cursor
+        });
+    } catch (error) {
+        console.error('Get trades error:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to get trades',
+            trades: []
+        });
+    }
+});
+
+// Last known price per symbol from the holdings table (prices from the refresher in memory mode)
+async function loadHoldingPrices(userId) {
+    if (!dbAvailable || !pool) return new Map(memoryHoldingPrices);
+    const result = await pool.query(
+        'SELECT symbol, current_price FROM cursor_trade_book.holdings WHERE user_id = $1 AND current_price IS NOT NULL',
+        [userId]
+    );
+    return new Map(result.rows.map(r => [r.symbol, Number(r.current_price)]));
+}
+
+// Refresh and load a user's holdings for one portfolio (DB table) or across all of them.
+// Across all portfolios (and in memory mode) holdings are computed from the combined trades,
+// so lots from different portfolios are matched together.
+async function loadUserHoldings(userId, portfolioId = null) {
+    if (!dbAvailable || !pool || portfolioId == null) {
+        if (dbAvailable && pool) {
+            await refreshHoldingsForUser(userId);
+        }
+        const cashTrades = (await loadUserTrades(userId, portfolioId)).filter(isCashTrade);
+        const method = await getUserCostBasisMethod(userId);
+        const actions = await loadCorporateActions(userId);
+        const currentPrices = await loadHoldingPrices(userId);
+        return computeHoldings(cashTrades, { method, currentPrices, corporateActions: actions })
+            .map(h => ({ user_id: userId, portfolio_id: portfolioId, ...h }))
+            .sort((a, b) => a.symbol.localeCompare(b.symbol));
+    }
+    await refreshHoldingsForUser(userId);
+    const result = await pool.query(
+        `SELECT id, user_id, portfolio_id, symbol, avg_buy_price, avg_buy_qty, avg_sell_price, avg_sell_qty,
+                additional_detail, current_price, invested_value, current_value, net_change_pct,
+                quantity, avg_cost, realized_pnl, unrealized_pnl, open_lots, cost_basis_method, charges, net_pnl,
+                dividend_income, dividends, corporate_actions
+         FROM cursor_trade_book.holdings WHERE user_id = $1 AND portfolio_id = $2 ORDER BY symbol`,
+        [userId, portfolioId]
+    );
+    return result.rows.map(r => ({
+        id: r.id,
+        user_id: r.user_id,
+        portfolio_id: r.portfolio_id,
+        symbol: r.symbol,
+        avg_buy_price: r.avg_buy_price != null ? Number(r.avg_buy_price) : null,
+        avg_buy_qty: r.avg_buy_qty != null ? Number(r.avg_buy_qty) : null,
+        avg_sell_price: r.avg_sell_price != null ? Number(r.avg_sell_price) : null,
+        avg_sell_qty: r.avg_sell_qty != null ? Number(r.avg_sell_qty) : null,
+        additional_detail: r.additional_detail || [],
+        current_price: r.current_price != null ? Number(r.current_price) : null,
+        invested_value: r.invested_value != null ? Number(r.invested_value) : null,
+        current_value: r.current_value != null ? Number(r.current_value) : null,
+        net_change_pct: r.net_change_pct != null ? Number(r.net_change_pct) : null,
+        quantity: r.quantity != null ? Number(r.quantity) : null,
+        avg_cost: r.avg_cost != null ? Number(r.avg_cost) : null,
+        realized_pnl: r.realized_pnl != null ? Number(r.realized_pnl) : 0,
+        unrealized_pnl: r.unrealized_pnl != null ? Number(r.unrealized_pnl) : null,
+        open_lots: r.open_lots || [],
+        cost_basis_method: r.cost_basis_method || COST_BASIS_METHODS.FIFO,
+        charges: r.charges != null ? Number(r.charges) : 0,
+        net_pnl: r.net_pnl != null ? Number(r.net_pnl) : null,
+        dividend_income: r.dividend_income != null ? Number(r.dividend_income) : 0,
+        dividends: r.dividends || [],
+        corporate_actions: r.corporate_actions || []
+    }));
+}
+
+// Get holdings (cash summary); refresh from cash trades then return.
+// ?portfolio_id=<id>|all&include_cash=true adds the cash balance and whole-account value
+app.get('/api/holdings', requireAuth, async (req, res) => {
+    try {
+        const { portfolioId, error } = await resolvePortfolioId(req.user.id, req.query.portfolio_id);
+        if (error) {
+            return res.status(404).json({ success: false, error, holdings: [] });
+        }
+        const holdings = await loadUserHoldings(req.user.id, portfolioId);
+        if (req.query.include_cash === 'true' || req.query.include_cash === '1') {
+            const ledger = await buildUserCashLedger(req.user.id, portfolioId);
+            return res.json({ success: true, holdings, cash: ledger.summary, account: accountValue(holdings, ledger) });
+        }
+        res.json({ success: true, holdings });
+    } catch (error) {
+        console.error('Get holdings error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get holdings', holdings: [] });
+    }
+});
+
+// Add trade
+app.post('/api/trades', requireAuth, async (req, res) => {
+    try {
+        const tradeAction = (req.body.trade_action || req.body.type || '').toLowerCase();
+        if (req.body.symbol != null && typeof req.body.symbol !== 'string') {
+            return res.status(400).json({ success: false, error: 'Symbol must be a string' });
+        }
+        const expiryVal = req.body.expiry ? parseISODate(req.body.expiry) : null;
+        if (req.body.expiry && !expiryVal) {
+            return res.status(400).json({ success: false, error: 'Expiry must be a valid date (YYYY-MM-DD)' });
+        }
+        const strikePriceVal = req.body.strike_price != null && req.body.strike_price !== '' ? parseFloat(req.body.strike_price) : null;
+        const dateVal = req.body.date ? parseISODate(req.body.date) : new Date().toISOString().split('T')[0];
+        if (!dateVal) {
+            return res.status(400).json({ success: false, error: 'Date must be a valid date (YYYY-MM-DD)' });
+        }
+        const trade_monthVal = dateVal.slice(0, 7);
+        const trade = {
+            id: nextMemoryTradeId(),
+            userId: req.user.id,
+            symbol: (req.body.symbol || '').trim(),
             type: (tradeAction === 'sell' ? 'sell' : 'buy'),
             quantity: parseInt(req.body.quantity, 10),
             price: parseFloat(req.body.price),
@@ -652,14 +1606,34 @@ app.post('/api/trades', requireAuth, async (req, res) => {
             expiry: expiryVal,
             strike_price: strikePriceVal,
             trade_month: trade_monthVal,
+            product: null,
+            portfolio_id: null,
             created_at: new Date().toISOString()
         };
 
+        const portfolioCheck = await resolvePortfolioId(req.user.id, req.body.portfolio_id, { useDefault: true });
+        if (portfolioCheck.error) {
+            return res.status(400).json({ success: false, error: portfolioCheck.error });
+        }
+        trade.portfolio_id = portfolioCheck.portfolioId;
+
+        const productCheck = parseTradeProduct(req.body.product, trade);
+        if (productCheck.error) {
+            return res.status(400).json({ success: false, error: productCheck.error });
+        }
+        trade.product = productCheck.product;
+
+        const lotCheck = resolveDerivativeQuantity(trade, req.body.lots);
+        if (lotCheck.error) {
+            return res.status(400).json({ success: false, error: lotCheck.error });
+        }
+        trade.quantity = lotCheck.quantity;
+
         if (dbAvailable && pool) {
             try {
                 const result = await pool.query(
-                    'INSERT INTO cursor_trade_book.trades (user_id, symbol, type, quantity, price, date, market_index, trade_type, reason, expiry, strike_price, trade_month) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id, symbol, type, quantity, price, date, created_at, market_index, trade_type, reason, expiry, strike_price, trade_month',
-                    [req.user.id, trade.symbol, trade.type, trade.quantity, trade.price, trade.date, trade.market_index, trade.trade_type, trade.reason, trade.expiry, trade.strike_price, trade.trade_month]
+                    'INSERT INTO cursor_trade_book.trades (user_id, symbol, type, quantity, price, date, market_index, trade_type, reason, expiry, strike_price, trade_month, product, portfolio_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING id, symbol, type, quantity, price, date, created_at, market_index, trade_type, reason, expiry, strike_price, trade_month, product, portfolio_id',
+                    [req.user.id, trade.symbol, trade.type, trade.quantity, trade.price, trade.date, trade.market_index, trade.trade_type, trade.reason, trade.expiry, trade.strike_price, trade.trade_month, trade.product, trade.portfolio_id]
                 );
                 const dbTrade = result.rows[0];
                 trade.id = dbTrade.id;
@@ -670,9 +1644,6 @@ app.post('/api/trades', requireAuth, async (req, res) => {
                 trade.expiry = dbTrade.expiry;
                 trade.strike_price = dbTrade.strike_price;
                 trade.trade_month = dbTrade.trade_month;
-                if ((trade.trade_type || '').toLowerCase() === 'cash') {
-                    refreshHoldingsForUser(req.user.id).catch(e => console.error('Refresh holdings after trade:', e));
-                }
             } catch (dbError) {
                 console.log('Database error saving trade, using memory:', dbError.message);
                 dbAvailable = false;
@@ -685,11 +1656,22 @@ app.post('/api/trades', requireAuth, async (req, res) => {
             userTrades.set(req.user.id, userTradeList);
         }
 
-        const out = { ...trade, trade_action: trade.type };
+        // The trade is saved; charges can be recomputed on the next write or at startup
+        const charges = await refreshTradeChargesForUser(req.user.id).catch(e => {
+            console.error('Refresh charges after trade:', e);
+            return new Map();
+        });
+        trade.charges = charges.get(trade.id) || null;
+        if (isCashTrade(trade)) {
+            refreshHoldingsForUser(req.user.id).catch(e => console.error('Refresh holdings after trade:', e));
+        }
+
+        const out = { ...trade, trade_action: trade.type, lots: lotCheck.lots ?? null };
         res.json({
             success: true,
             message: 'Trade saved successfully',
-            trade: out
+            trade: out,
+            warning: lotCheck.warning
         });
     } catch (error) {
         console.error('Add trade error:', error);
@@ -700,128 +1682,2906 @@ app.post('/api/trades', requireAuth, async (req, res) => {
     }
 });
 
-// Get all users (for friend selection dropdown)
-app.get('/api/users', requireAuth, async (req, res) => {
+function toLedgerEntryResponse(e) {
+    return {
+        id: e.id,
+        portfolio_id: e.portfolio_id ?? null,
+        entry_type: e.entry_type,
+        amount: Number(e.amount),
+        date: toISODateString(e.date),
+        symbol: e.symbol || null,
+        notes: e.notes || null,
+        created_at: e.created_at
+    };
+}
+
+// Deposits, withdrawals and other entries a user has recorded; portfolioId null = all portfolios
+async function loadCashEntries(userId, portfolioId = null) {
+    if (dbAvailable && pool) {
+        try {
+            const result = await pool.query(
+                `SELECT id, portfolio_id, entry_type, amount, date, symbol, notes, created_at
+                 FROM cursor_trade_book.cash_ledger WHERE user_id = $1 AND ($2::int IS NULL OR portfolio_id = $2) ORDER BY date, id`,
+                [userId, portfolioId]
+            );
+            return result.rows.map(toLedgerEntryResponse);
+        } catch (dbError) {
+            console.log('Database error getting cash ledger, using memory:', dbError.message);
+            dbAvailable = false;
+        }
+    }
+    return (userCashEntries.get(userId) || [])
+        .filter(e => portfolioId == null || e.portfolio_id === portfolioId)
+        .map(toLedgerEntryResponse);
+}
+
+// Recorded entries plus the cash effect of trades, dividends and rights, with a running balance
+async function buildUserCashLedger(userId, portfolioId = null, { from = null, to = null } = {}) {
+    const holdings = await loadUserHoldings(userId, portfolioId);
+    const trades = await loadUserTrades(userId, portfolioId);
+    const entries = await loadCashEntries(userId, portfolioId);
+    return buildCashLedger({ entries, trades, holdings, contractMaster, from, to });
+}
+
+// Cash ledger with running balance: ?portfolio_id=<id>|all&from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get('/api/ledger', requireAuth, async (req, res) => {
     try {
-        let userList = [];
+        const { portfolioId, error } = await resolvePortfolioId(req.user.id, req.query.portfolio_id);
+        if (error) {
+            return res.status(404).json({ success: false, error, entries: [] });
+        }
+        const from = req.query.from ? toISODateString(req.query.from) : null;
+        const to = req.query.to ? toISODateString(req.query.to) : null;
+        if ((req.query.from && !from) || (req.query.to && !to)) {
+            return res.status(400).json({ success: false, error: 'from and to must be dates (YYYY-MM-DD)', entries: [] });
+        }
+        const ledger = await buildUserCashLedger(req.user.id, portfolioId, { from, to });
+        res.json({ success: true, ...ledger });
+    } catch (error) {
+        console.error('Get cash ledger error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get cash ledger', entries: [] });
+    }
+});
+
+// Record a deposit, withdrawal, dividend or other charge: { entry_type, amount, date, symbol, notes, portfolio_id }
+app.post('/api/ledger', requireAuth, async (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+        const { entry, error } = parseLedgerEntry(body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        const { portfolioId, error: portfolioError } = await resolvePortfolioId(req.user.id, body.portfolio_id, { useDefault: true });
+        if (portfolioError) {
+            return res.status(400).json({ success: false, error: portfolioError });
+        }
 
         if (dbAvailable && pool) {
             try {
                 const result = await pool.query(
-                    'SELECT id, username, full_name, email FROM cursor_trade_book.users WHERE id != $1 ORDER BY username',
-                    [req.user.id]
+                    `INSERT INTO cursor_trade_book.cash_ledger (user_id, portfolio_id, entry_type, amount, date, symbol, notes)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7)
+                     RETURNING id, portfolio_id, entry_type, amount, date, symbol, notes, created_at`,
+                    [req.user.id, portfolioId, entry.entry_type, entry.amount, entry.date, entry.symbol, entry.notes]
                 );
-                userList = result.rows;
+                return res.status(201).json({ success: true, entry: toLedgerEntryResponse(result.rows[0]) });
             } catch (dbError) {
-                console.log('Database error getting users, using memory:', dbError.message);
+                console.log('Database error saving cash ledger entry, using memory:', dbError.message);
                 dbAvailable = false;
             }
         }
+        const record = { id: ++lastCashEntryId, portfolio_id: portfolioId, ...entry, created_at: new Date().toISOString() };
+        const list = userCashEntries.get(req.user.id) || [];
+        list.push(record);
+        userCashEntries.set(req.user.id, list);
+        res.status(201).json({ success: true, entry: toLedgerEntryResponse(record) });
+    } catch (error) {
+        console.error('Create cash ledger entry error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save cash ledger entry' });
+    }
+});
 
-        if (!dbAvailable) {
-            for (const [id, userData] of users) {
-                if (id !== req.user.id) {
-                    userList.push({
-                        id,
-                        username: userData.username,
-                        full_name: userData.full_name,
-                        email: userData.email
-                    });
+// Delete a recorded ledger entry (trade, dividend and rights lines follow their sources)
+app.delete('/api/ledger/:id', requireAuth, async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+        if (dbAvailable && pool) {
+            try {
+                const result = await pool.query('DELETE FROM cursor_trade_book.cash_ledger WHERE id = $1 AND user_id = $2', [id, req.user.id]);
+                if (result.rowCount === 0) {
+                    return res.status(404).json({ success: false, error: 'Ledger entry not found' });
                 }
+                return res.json({ success: true, deleted: id });
+            } catch (dbError) {
+                console.log('Database error deleting cash ledger entry, using memory:', dbError.message);
+                dbAvailable = false;
             }
         }
-
-        res.json({ success: true, users: userList });
+        const list = userCashEntries.get(req.user.id) || [];
+        if (!list.some(e => e.id === id)) {
+            return res.status(404).json({ success: false, error: 'Ledger entry not found' });
+        }
+        userCashEntries.set(req.user.id, list.filter(e => e.id !== id));
+        res.json({ success: true, deleted: id });
     } catch (error) {
-        console.error('Get users error:', error);
-        res.status(500).json({ error: 'Failed to get users', users: [] });
+        console.error('Delete cash ledger entry error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete cash ledger entry' });
     }
 });
 
-// Friends endpoints (simplified)
-app.get('/api/friends', requireAuth, (req, res) => {
-    res.json({ success: true, friends: [] });
-});
+function isAdminUser(user) {
+    return Boolean(user && ADMIN_USERNAMES.includes(user.username));
+}
 
-app.post('/api/friends/add', requireAuth, (req, res) => {
-    res.json({ success: true, message: 'Friend added successfully' });
-});
+function toCorporateActionResponse(a) {
+    return {
+        id: a.id,
+        user_id: a.user_id ?? null,
+        is_global: a.user_id == null,
+        symbol: a.symbol,
+        action_type: a.action_type,
+        ex_date: toISODateString(a.ex_date),
+        ratio_new: a.ratio_new != null ? Number(a.ratio_new) : null,
+        ratio_old: a.ratio_old != null ? Number(a.ratio_old) : null,
+        price: a.price != null ? Number(a.price) : null,
+        amount: a.amount != null ? Number(a.amount) : null,
+        notes: a.notes || null,
+        created_at: a.created_at
+    };
+}
 
-// Profile visibility (persist in DB when available)
-app.post('/api/auth/profile/visibility', requireAuth, async (req, res) => {
-    const isPublic = req.body.isPublic === true;
+// Corporate actions that apply to a user: global ones plus their own, by ex-date
+async function loadCorporateActions(userId) {
     if (dbAvailable && pool) {
         try {
-            await pool.query(
-                'UPDATE cursor_trade_book.users SET is_public = $1 WHERE id = $2',
-                [isPublic, req.user.id]
+            const result = await pool.query(
+                `SELECT id, user_id, symbol, action_type, ex_date, ratio_new, ratio_old, price, amount, notes, created_at
+                 FROM cursor_trade_book.corporate_actions
+                 WHERE user_id IS NULL OR user_id = $1 ORDER BY ex_date, id`,
+                [userId]
             );
-        } catch (e) {
-            // ignore
+            return result.rows.map(toCorporateActionResponse);
+        } catch (dbError) {
+            console.log('Database error getting corporate actions, using memory:', dbError.message);
+            dbAvailable = false;
         }
-    } else {
-        const mem = users.get(req.user.id);
-        if (mem) mem.is_public = isPublic;
     }
-    res.json({
-        success: true,
-        message: `Profile set to ${isPublic ? 'Public' : 'Private'}`,
-        user: { ...req.user, is_public: isPublic }
-    });
-});
+    return corporateActions
+        .filter(a => a.user_id == null || a.user_id === userId)
+        .map(toCorporateActionResponse)
+        .sort((a, b) => a.ex_date.localeCompare(b.ex_date) || a.id - b.id);
+}
 
-// Sharing
-app.get('/api/sharing/portfolios', requireAuth, (req, res) => {
-    res.json({ success: true, portfolios: [] });
+// List corporate actions: ?symbol=RELIANCE
+app.get('/api/corporate-actions', requireAuth, async (req, res) => {
+    try {
+        const symbol = String(req.query.symbol || '').trim().toUpperCase();
+        const actions = (await loadCorporateActions(req.user.id)).filter(a => !symbol || a.symbol === symbol);
+        res.json({ success: true, corporate_actions: actions, can_manage_global: isAdminUser(req.user) });
+    } catch (error) {
+        console.error('Get corporate actions error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get corporate actions', corporate_actions: [] });
+    }
 });
 
-// Stock data endpoint (mock)
-app.post('/api/stock-data', async (req, res) => {
-    const { symbol } = req.body;
-    
-    // Return mock data
-    res.json({
-        success: true,
-        data: {
-            symbol: symbol,
-            price: Math.floor(Math.random() * 3000) + 1000,
-            change: (Math.random() * 10 - 5).toFixed(2),
-            volume: Math.floor(Math.random() * 1000000),
-            high: Math.floor(Math.random() * 3500) + 1000,
-            low: Math.floor(Math.random() * 2500) + 800,
-            market_cap: '₹' + (Math.floor(Math.random() * 500000) + 100000).toLocaleString() + ' Cr',
-            pe_ratio: (Math.random() * 30 + 10).toFixed(2),
-            source: 'Mock Data'
+// Record a split, bonus, rights issue or dividend. { scope: 'global' } applies it to every user (admins only).
+app.post('/api/corporate-actions', requireAuth, async (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+        const { action, error } = parseCorporateAction(body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
         }
-    });
-});
+        const isGlobal = body.scope === 'global';
+        if (isGlobal && !isAdminUser(req.user)) {
+            return res.status(403).json({ success: false, error: 'Only admins can record corporate actions for all users' });
+        }
+        if (isGlobal && action.action_type === CORPORATE_ACTION_TYPES.RIGHTS) {
+            return res.status(400).json({ success: false, error: 'Rights issues must be recorded per user (only subscribed shares are added)' });
+        }
+        const ownerId = isGlobal ? null : req.user.id;
 
-// Serve main page
-app.get('/', (req, res) => {
-    res.sendFile(join(__dirname, 'index.html'));
+        let saved = null;
+        if (dbAvailable && pool) {
+            try {
+                const result = await pool.query(
+                    `INSERT INTO cursor_trade_book.corporate_actions (user_id, symbol, action_type, ex_date, ratio_new, ratio_old, price, amount, notes)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                     RETURNING id, user_id, symbol, action_type, ex_date, ratio_new, ratio_old, price, amount, notes, created_at`,
+                    [ownerId, action.symbol, action.action_type, action.ex_date, action.ratio_new, action.ratio_old, action.price, action.amount, action.notes]
+                );
+                saved = toCorporateActionResponse(result.rows[0]);
+            } catch (dbError) {
+                console.log('Database error saving corporate action, using memory:', dbError.message);
+                dbAvailable = false;
+            }
+        }
+        if (!saved) {
+            const record = { id: ++lastCorporateActionId, user_id: ownerId, ...action, created_at: new Date().toISOString() };
+            corporateActions.push(record);
+            saved = toCorporateActionResponse(record);
+        }
+        await refreshHoldingsForUser(req.user.id);
+        res.status(201).json({ success: true, corporate_action: saved });
+    } catch (error) {
+        console.error('Create corporate action error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save corporate action' });
+    }
 });
 
-// Auth page
-app.get('/auth', (req, res) => {
-    res.sendFile(join(__dirname, 'auth.html'));
+// Delete a corporate action (own actions; global ones need an admin)
+app.delete('/api/corporate-actions/:id', requireAuth, async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+        const action = (await loadCorporateActions(req.user.id)).find(a => a.id === id);
+        if (!action) {
+            return res.status(404).json({ success: false, error: 'Corporate action not found' });
+        }
+        if (action.is_global && !isAdminUser(req.user)) {
+            return res.status(403).json({ success: false, error: 'Only admins can delete corporate actions for all users' });
+        }
+        if (dbAvailable && pool) {
+            try {
+                await pool.query('DELETE FROM cursor_trade_book.corporate_actions WHERE id = $1', [id]);
+                await refreshHoldingsForUser(req.user.id);
+                return res.json({ success: true, deleted: id });
+            } catch (dbError) {
+                console.log('Database error deleting corporate action, using memory:', dbError.message);
+                dbAvailable = false;
+            }
+        }
+        corporateActions = corporateActions.filter(a => a.id !== id);
+        res.json({ success: true, deleted: id });
+    } catch (error) {
+        console.error('Delete corporate action error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete corporate action' });
+    }
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log('🎉 Working Trade Book Server Started Successfully!');
-    console.log('============================================================');
-    console.log(`🌐 Main App: http://localhost:${PORT}`);
-    console.log(`🔐 Auth Page: http://localhost:${PORT}/auth`);
-    console.log(`🩺 Health Check: http://localhost:${PORT}/api/health`);
-    console.log(`🚀 Railway Health: http://localhost:${PORT}/railway-health`);
-    console.log('✨ Features:');
-    console.log('   📝 Simple but robust authentication');
-    console.log('   💾 Database integration with memory fallback');
-    console.log('   💼 Trade management');
-    console.log('   📊 Portfolio tracking');
-    console.log('   🔍 Mock stock data');
-    console.log('   🚀 Railway deployment ready');
-    console.log(`📊 Database Status: ${dbAvailable ? '✅ Connected' : '❌ Offline (using memory)'}`);
-    console.log('💡 Use simple username login or register with password!');
+const JOURNAL_FIELDS = ['setup', 'tags', 'confidence', 'emotion', 'planned_entry', 'planned_stop', 'planned_target', 'review'];
+
+function toJournalTagResponse(t) {
+    return { id: t.id, name: t.name, kind: t.kind, description: t.description || null, created_at: t.created_at };
+}
+
+function toJournalEntryResponse(e) {
+    const number = v => (v != null ? Number(v) : null);
+    return {
+        id: e.id,
+        trade_id: e.trade_id ?? null,
+        position_key: e.position_key || null,
+        setup: e.setup || null,
+        tags: e.tags || [],
+        confidence: e.confidence != null ? Number(e.confidence) : null,
+        emotion: e.emotion || null,
+        planned_entry: number(e.planned_entry),
+        planned_stop: number(e.planned_stop),
+        planned_target: number(e.planned_target),
+        review: e.review || null,
+        created_at: e.created_at,
+        updated_at: e.updated_at
+    };
+}
+
+// A user's journal tags and setups, optionally one kind
+async function loadJournalTags(userId, kind = null) {
+    if (dbAvailable && pool) {
+        try {
+            const result = await pool.query(
+                `SELECT id, name, kind, description, created_at FROM cursor_trade_book.journal_tags
+                 WHERE user_id = $1 AND ($2::text IS NULL OR kind = $2) ORDER BY kind, LOWER(name)`,
+                [userId, kind]
+            );
+            return result.rows.map(toJournalTagResponse);
+        } catch (dbError) {
+            console.log('Database error getting journal tags, using memory:', dbError.message);
+            dbAvailable = false;
+        }
+    }
+    return (userJournalTags.get(userId) || [])
+        .filter(t => !kind || t.kind === kind)
+        .map(toJournalTagResponse)
+        .sort((a, b) => a.kind.localeCompare(b.kind) || a.name.toLowerCase().localeCompare(b.name.toLowerCase()));
+}
+
+async function loadJournalEntries(userId) {
+    if (dbAvailable && pool) {
+        try {
+            const result = await pool.query('SELECT * FROM cursor_trade_book.journal_entries WHERE user_id = $1 ORDER BY updated_at DESC, id DESC', [userId]);
+            return result.rows.map(toJournalEntryResponse);
+        } catch (dbError) {
+            console.log('Database error getting journal entries, using memory:', dbError.message);
+            dbAvailable = false;
+        }
+    }
+    return (userJournalEntries.get(userId) || []).map(toJournalEntryResponse);
+}
+
+async function insertJournalTag(userId, tag) {
+    if (dbAvailable && pool) {
+        try {
+            const result = await pool.query(
+                `INSERT INTO cursor_trade_book.journal_tags (user_id, name, kind, description) VALUES ($1, $2, $3, $4)
+                 RETURNING id, name, kind, description, created_at`,
+                [userId, tag.name, tag.kind, tag.description]
+            );
+            return toJournalTagResponse(result.rows[0]);
+        } catch (dbError) {
+            console.log('Database error saving journal tag, using memory:', dbError.message);
+            dbAvailable = false;
+        }
+    }
+    const record = { id: ++lastJournalTagId, ...tag, created_at: new Date().toISOString() };
+    const list = userJournalTags.get(userId) || [];
+    list.push(record);
+    userJournalTags.set(userId, list);
+    return toJournalTagResponse(record);
+}
+
+// Canonical names for the given tags/setups, creating any the user has not defined yet
+async function ensureJournalTags(userId, names, kind) {
+    const existing = await loadJournalTags(userId, kind);
+    const canonical = [];
+    for (const name of names) {
+        let tag = existing.find(t => t.name.toLowerCase() === name.toLowerCase());
+        if (!tag) {
+            tag = await insertJournalTag(userId, { name, kind, description: null });
+            existing.push(tag);
+        }
+        canonical.push(tag.name);
+    }
+    return canonical;
+}
+
+// Apply fn(entry) to each of a user's journal entries; fn returns the changed fields or null
+async function rewriteJournalEntries(userId, fn) {
+    for (const entry of await loadJournalEntries(userId)) {
+        const changes = fn(entry);
+        if (!changes) continue;
+        if (dbAvailable && pool) {
+            await pool.query(
+                'UPDATE cursor_trade_book.journal_entries SET setup = $1, tags = $2, updated_at = NOW() WHERE id = $3',
+                [changes.setup !== undefined ? changes.setup : entry.setup, JSON.stringify(changes.tags || entry.tags), entry.id]
+            );
+        } else {
+            const record = (userJournalEntries.get(userId) || []).find(e => e.id === entry.id);
+            Object.assign(record, changes, { updated_at: new Date().toISOString() });
+        }
+    }
+}
+
+// Closed and open positions a journal entry can attach to: F&O contract keys and Cash symbols
+async function loadJournalPositions(userId, trades, portfolioId = null) {
+    const positions = new Map();
+    computePositions(trades.filter(isDerivativeTrade), { marks: await loadPositionMarks(userId), contractMaster })
+        .forEach(p => positions.set(p.key, { key: p.key, symbol: p.symbol, status: p.status, realized_pnl: p.realized_pnl, net_pnl: p.net_pnl }));
+    (await loadUserHoldings(userId, portfolioId)).forEach(h => positions.set(h.symbol, {
+        key: h.symbol,
+        symbol: h.symbol,
+        status: h.quantity > 0 ? 'open' : 'closed',
+        realized_pnl: h.realized_pnl,
+        net_pnl: h.net_pnl
+    }));
+    return positions;
+}
+
+// List tags and setups with how many journal entries use each: ?kind=tag|setup
+app.get('/api/journal/tags', requireAuth, async (req, res) => {
+    try {
+        const kind = req.query.kind ? String(req.query.kind).toLowerCase() : null;
+        if (kind && !Object.values(JOURNAL_TAG_KINDS).includes(kind)) {
+            return res.status(400).json({ success: false, error: 'kind must be tag or setup', tags: [] });
+        }
+        const entries = await loadJournalEntries(req.user.id);
+        const tags = (await loadJournalTags(req.user.id, kind)).map(t => ({
+            ...t,
+            usage: entries.filter(e => t.kind === JOURNAL_TAG_KINDS.SETUP
+                ? (e.setup || '').toLowerCase() === t.name.toLowerCase()
+                : e.tags.some(name => name.toLowerCase() === t.name.toLowerCase())).length
+        }));
+        res.json({ success: true, tags });
+    } catch (error) {
+        console.error('Get journal tags error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get journal tags', tags: [] });
+    }
+});
+
+// Define a tag or setup: { name, kind: 'tag'|'setup', description }
+app.post('/api/journal/tags', requireAuth, async (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+        const { tag, error } = parseJournalTag(body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        const existing = await loadJournalTags(req.user.id, tag.kind);
+        if (existing.some(t => t.name.toLowerCase() === tag.name.toLowerCase())) {
+            return res.status(409).json({ success: false, error: `A ${tag.kind} with this name already exists` });
+        }
+        res.status(201).json({ success: true, tag: await insertJournalTag(req.user.id, tag) });
+    } catch (error) {
+        console.error('Create journal tag error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save journal tag' });
+    }
+});
+
+// Rename a tag or setup (journal entries follow) or change its description: { name, description }
+app.patch('/api/journal/tags/:id', requireAuth, async (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+        const id = Number(req.params.id);
+        const tags = await loadJournalTags(req.user.id);
+        const current = tags.find(t => t.id === id);
+        if (!current) {
+            return res.status(404).json({ success: false, error: 'Tag not found' });
+        }
+        const { tag, error } = parseJournalTag({
+            name: body.name !== undefined ? body.name : current.name,
+            kind: current.kind,
+            description: body.description !== undefined ? body.description : current.description
+        });
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        if (tags.some(t => t.id !== id && t.kind === tag.kind && t.name.toLowerCase() === tag.name.toLowerCase())) {
+            return res.status(409).json({ success: false, error: `A ${tag.kind} with this name already exists` });
+        }
+
+        let updated = null;
+        if (dbAvailable && pool) {
+            try {
+                const result = await pool.query(
+                    `UPDATE cursor_trade_book.journal_tags SET name = $1, description = $2 WHERE id = $3 AND user_id = $4
+                     RETURNING id, name, kind, description, created_at`,
+                    [tag.name, tag.description, id, req.user.id]
+                );
+                updated = toJournalTagResponse(result.rows[0]);
+            } catch (dbError) {
+                console.log('Database error updating journal tag, using memory:', dbError.message);
+                dbAvailable = false;
+            }
+        }
+        if (!updated) {
+            const record = (userJournalTags.get(req.user.id) || []).find(t => t.id === id);
+            Object.assign(record, { name: tag.name, description: tag.description });
+            updated = toJournalTagResponse(record);
+        }
+        const oldName = current.name.toLowerCase();
+        if (tag.name !== current.name) {
+            await rewriteJournalEntries(req.user.id, e => {
+                if (current.kind === JOURNAL_TAG_KINDS.SETUP) {
+                    return (e.setup || '').toLowerCase() === oldName ? { setup: tag.name } : null;
+                }
+                return e.tags.some(t => t.toLowerCase() === oldName)
+                    ? { tags: e.tags.map(t => (t.toLowerCase() === oldName ? tag.name : t)) }
+                    : null;
+            });
+        }
+        res.json({ success: true, tag: updated });
+    } catch (error) {
+        console.error('Update journal tag error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update journal tag' });
+    }
+});
+
+// Delete a tag or setup; it is removed from journal entries that use it
+app.delete('/api/journal/tags/:id', requireAuth, async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+        const tag = (await loadJournalTags(req.user.id)).find(t => t.id === id);
+        if (!tag) {
+            return res.status(404).json({ success: false, error: 'Tag not found' });
+        }
+        const name = tag.name.toLowerCase();
+        await rewriteJournalEntries(req.user.id, e => {
+            if (tag.kind === JOURNAL_TAG_KINDS.SETUP) {
+                return (e.setup || '').toLowerCase() === name ? { setup: null } : null;
+            }
+            return e.tags.some(t => t.toLowerCase() === name) ? { tags: e.tags.filter(t => t.toLowerCase() !== name) } : null;
+        });
+        if (dbAvailable && pool) {
+            await pool.query('DELETE FROM cursor_trade_book.journal_tags WHERE id = $1 AND user_id = $2', [id, req.user.id]);
+        } else {
+            userJournalTags.set(req.user.id, (userJournalTags.get(req.user.id) || []).filter(t => t.id !== id));
+        }
+        res.json({ success: true, deleted: id });
+    } catch (error) {
+        console.error('Delete journal tag error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete journal tag' });
+    }
+});
+
+// Journal entries: ?trade_id=&position_key=&setup=&tag=
+app.get('/api/journal/entries', requireAuth, async (req, res) => {
+    try {
+        const setup = normalizeTagName(req.query.setup).toLowerCase();
+        const tag = normalizeTagName(req.query.tag).toLowerCase();
+        const entries = (await loadJournalEntries(req.user.id)).filter(e =>
+            (!req.query.trade_id || String(e.trade_id) === String(req.query.trade_id)) &&
+            (!req.query.position_key || e.position_key === req.query.position_key) &&
+            (!setup || (e.setup || '').toLowerCase() === setup) &&
+            (!tag || e.tags.some(t => t.toLowerCase() === tag)));
+        res.json({ success: true, entries });
+    } catch (error) {
+        console.error('Get journal entries error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get journal entries', entries: [] });
+    }
+});
+
+// Create or update the journal entry for a trade or position:
+// { trade_id | position_key, setup, tags: [..], confidence: 1-5, emotion, planned_entry, planned_stop, planned_target, review }
+// Only the fields sent are changed; unknown tags and setups are added to the user's lists.
+app.put('/api/journal/entries', requireAuth, async (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+        const tradeId = body.trade_id != null && body.trade_id !== '' ? String(body.trade_id) : null;
+        const positionKey = body.position_key ? String(body.position_key).trim() : null;
+        if (Boolean(tradeId) === Boolean(positionKey)) {
+            return res.status(400).json({ success: false, error: 'Send either trade_id or position_key' });
+        }
+        const trades = await loadUserTrades(req.user.id);
+        if (tradeId && !trades.some(t => String(t.id) === tradeId)) {
+            return res.status(404).json({ success: false, error: 'Trade not found' });
+        }
+        if (positionKey && !(await loadJournalPositions(req.user.id, trades)).has(positionKey)) {
+            return res.status(404).json({ success: false, error: 'Position not found' });
+        }
+
+        const { entry: fields, error } = parseJournalEntry(body, { partial: true });
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        const existing = (await loadJournalEntries(req.user.id))
+            .find(e => (tradeId ? String(e.trade_id) === tradeId : e.position_key === positionKey));
+        const merged = { ...(existing || {}), ...fields };
+        const planError = validateTradePlan(merged);
+        if (planError) {
+            return res.status(400).json({ success: false, error: planError });
+        }
+        if (fields.setup) fields.setup = (await ensureJournalTags(req.user.id, [fields.setup], JOURNAL_TAG_KINDS.SETUP))[0];
+        if (fields.tags) fields.tags = await ensureJournalTags(req.user.id, fields.tags, JOURNAL_TAG_KINDS.TAG);
+        const values = JOURNAL_FIELDS.map(f => (fields[f] !== undefined ? fields[f] : existing ? existing[f] : null));
+        values[JOURNAL_FIELDS.indexOf('tags')] = JSON.stringify(values[JOURNAL_FIELDS.indexOf('tags')] || []);
+
+        if (dbAvailable && pool) {
+            try {
+                const columns = JOURNAL_FIELDS.join(', ');
+                const result = existing
+                    ? await pool.query(
+                        `UPDATE cursor_trade_book.journal_entries SET ${JOURNAL_FIELDS.map((f, i) => `${f} = $${i + 1}`).join(', ')}, updated_at = NOW()
+                         WHERE id = $${JOURNAL_FIELDS.length + 1} AND user_id = $${JOURNAL_FIELDS.length + 2} RETURNING *`,
+                        [...values, existing.id, req.user.id]
+                    )
+                    : await pool.query(
+                        `INSERT INTO cursor_trade_book.journal_entries (user_id, trade_id, position_key, ${columns})
+                         VALUES ($1, $2, $3, ${JOURNAL_FIELDS.map((f, i) => `$${i + 4}`).join(', ')}) RETURNING *`,
+                        [req.user.id, tradeId, positionKey, ...values]
+                    );
+                return res.status(existing ? 200 : 201).json({ success: true, entry: toJournalEntryResponse(result.rows[0]) });
+            } catch (dbError) {
+                console.log('Database error saving journal entry, using memory:', dbError.message);
+                dbAvailable = false;
+            }
+        }
+        const list = userJournalEntries.get(req.user.id) || [];
+        const now = new Date().toISOString();
+        let record = existing ? list.find(e => e.id === existing.id) : null;
+        const data = Object.fromEntries(JOURNAL_FIELDS.map((f, i) => [f, f === 'tags' ? JSON.parse(values[i]) : values[i]]));
+        if (record) {
+            Object.assign(record, data, { updated_at: now });
+        } else {
+            const trade = tradeId ? trades.find(t => String(t.id) === tradeId) : null;
+            record = { id: ++lastJournalEntryId, trade_id: trade ? trade.id : null, position_key: positionKey, ...data, created_at: now, updated_at: now };
+            list.push(record);
+            userJournalEntries.set(req.user.id, list);
+        }
+        res.status(existing ? 200 : 201).json({ success: true, entry: toJournalEntryResponse(record) });
+    } catch (error) {
+        console.error('Save journal entry error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save journal entry' });
+    }
+});
+
+app.delete('/api/journal/entries/:id', requireAuth, async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+        if (dbAvailable && pool) {
+            try {
+                const result = await pool.query('DELETE FROM cursor_trade_book.journal_entries WHERE id = $1 AND user_id = $2', [id, req.user.id]);
+                if (result.rowCount === 0) {
+                    return res.status(404).json({ success: false, error: 'Journal entry not found' });
+                }
+                return res.json({ success: true, deleted: id });
+            } catch (dbError) {
+                console.log('Database error deleting journal entry, using memory:', dbError.message);
+                dbAvailable = false;
+            }
+        }
+        const list = userJournalEntries.get(req.user.id) || [];
+        if (!list.some(e => e.id === id)) {
+            return res.status(404).json({ success: false, error: 'Journal entry not found' });
+        }
+        userJournalEntries.set(req.user.id, list.filter(e => e.id !== id));
+        res.json({ success: true, deleted: id });
+    } catch (error) {
+        console.error('Delete journal entry error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete journal entry' });
+    }
+});
+
+// Journal view: entries with their trade or position, grouped by setup. ?portfolio_id=&setup=&tag=
+app.get('/api/journal', requireAuth, async (req, res) => {
+    try {
+        const { portfolioId, error } = await resolvePortfolioId(req.user.id, req.query.portfolio_id);
+        if (error) {
+            return res.status(404).json({ success: false, error, groups: [] });
+        }
+        const setup = normalizeTagName(req.query.setup).toLowerCase();
+        const tag = normalizeTagName(req.query.tag).toLowerCase();
+        const trades = await loadUserTrades(req.user.id, portfolioId);
+        const positions = await loadJournalPositions(req.user.id, trades, portfolioId);
+        const tradesById = new Map(trades.map(t => [String(t.id), t]));
+        const entries = (await loadJournalEntries(req.user.id)).filter(e =>
+            (e.trade_id != null ? tradesById.has(String(e.trade_id)) : positions.has(e.position_key)) &&
+            (!setup || (e.setup || '').toLowerCase() === setup) &&
+            (!tag || e.tags.some(t => t.toLowerCase() === tag)));
+        res.json({
+            success: true,
+            groups: buildJournalView(entries, { trades: tradesById, positions }),
+            tags: await loadJournalTags(req.user.id)
+        });
+    } catch (error) {
+        console.error('Get journal error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get journal', groups: [] });
+    }
+});
+
+function toStrategyResponse(s) {
+    return {
+        id: s.id,
+        name: s.name,
+        strategy_type: s.strategy_type,
+        notes: s.notes || null,
+        status: s.status || STRATEGY_STATUS.OPEN,
+        closed_on: s.closed_on ? toISODateString(s.closed_on) : null,
+        trade_ids: (s.trade_ids || []).map(String),
+        created_at: s.created_at
+    };
+}
+
+async function loadStrategies(userId) {
+    if (dbAvailable && pool) {
+        try {
+            const result = await pool.query(
+                `SELECT s.id, s.name, s.strategy_type, s.notes, s.status, s.closed_on, s.created_at,
+                        COALESCE(array_agg(l.trade_id) FILTER (WHERE l.trade_id IS NOT NULL), '{}') AS trade_ids
+                 FROM cursor_trade_book.strategies s
+                 LEFT JOIN cursor_trade_book.strategy_legs l ON l.strategy_id = s.id
+                 WHERE s.user_id = $1 GROUP BY s.id ORDER BY s.created_at DESC, s.id DESC`,
+                [userId]
+            );
+            return result.rows.map(toStrategyResponse);
+        } catch (dbError) {
+            console.log('Database error getting strategies, using memory:', dbError.message);
+            dbAvailable = false;
+        }
+    }
+    return (userStrategies.get(userId) || []).map(toStrategyResponse).reverse();
+}
+
+// Legs must be the user's own F&O trades on one underlying, not already in another strategy.
+// Returns { trades } or { status, error }.
+async function checkStrategyTrades(userId, tradeIds, strategyId = null) {
+    const allTrades = await loadUserTrades(userId);
+    const byId = new Map(allTrades.map(t => [String(t.id), t]));
+    const missing = tradeIds.filter(id => !byId.has(id));
+    if (missing.length > 0) {
+        return { status: 404, error: `Trade not found: ${missing.join(', ')}` };
+    }
+    const trades = tradeIds.map(id => byId.get(id));
+    if (!trades.every(isDerivativeTrade)) {
+        return { status: 400, error: 'Strategy legs must be Futures, CE or PE trades' };
+    }
+    if (new Set(trades.map(t => String(t.symbol).trim().toUpperCase())).size > 1) {
+        return { status: 400, error: 'Strategy legs must share one underlying' };
+    }
+    const taken = (await loadStrategies(userId))
+        .filter(s => s.id !== strategyId)
+        .flatMap(s => s.trade_ids)
+        .filter(id => tradeIds.includes(id));
+    if (taken.length > 0) {
+        return { status: 409, error: `Trades already in another strategy: ${taken.join(', ')}` };
+    }
+    return { trades };
+}
+
+// Combined views; a strategy whose legs have all gone flat is recorded as closed (and reopened if legs change)
+async function buildUserStrategyViews(userId, strategies) {
+    const tradesById = new Map((await loadUserTrades(userId)).map(t => [String(t.id), t]));
+    const marks = await loadPositionMarks(userId);
+    const views = [];
+    for (const strategy of strategies) {
+        const trades = strategy.trade_ids.map(id => tradesById.get(id)).filter(Boolean);
+        const view = buildStrategyView(strategy, trades, { marks, contractMaster });
+        if (view.status !== strategy.status || view.closed_on !== strategy.closed_on) {
+            if (dbAvailable && pool) {
+                await pool.query(
+                    'UPDATE cursor_trade_book.strategies SET status = $1, closed_on = $2 WHERE id = $3 AND user_id = $4',
+                    [view.status, view.closed_on, strategy.id, userId]
+                );
+            } else {
+                const record = (userStrategies.get(userId) || []).find(s => s.id === strategy.id);
+                if (record) Object.assign(record, { status: view.status, closed_on: view.closed_on });
+            }
+        }
+        views.push(view);
+    }
+    return views;
+}
+
+async function saveStrategy(userId, fields, strategyId = null) {
+    if (dbAvailable && pool) {
+        try {
+            let id = strategyId;
+            if (id == null) {
+                const result = await pool.query(
+                    `INSERT INTO cursor_trade_book.strategies (user_id, name, strategy_type, notes) VALUES ($1, $2, $3, $4) RETURNING id`,
+                    [userId, fields.name, fields.strategy_type, fields.notes]
+                );
+                id = result.rows[0].id;
+            } else {
+                await pool.query(
+                    `UPDATE cursor_trade_book.strategies SET name = COALESCE($1, name), strategy_type = COALESCE($2, strategy_type),
+                            notes = CASE WHEN $3::boolean THEN $4 ELSE notes END
+                     WHERE id = $5 AND user_id = $6`,
+                    [fields.name ?? null, fields.strategy_type ?? null, fields.notes !== undefined, fields.notes ?? null, id, userId]
+                );
+            }
+            if (fields.trade_ids) {
+                await pool.query('DELETE FROM cursor_trade_book.strategy_legs WHERE strategy_id = $1', [id]);
+                for (const tradeId of fields.trade_ids) {
+                    await pool.query('INSERT INTO cursor_trade_book.strategy_legs (strategy_id, trade_id) VALUES ($1, $2)', [id, Number(tradeId)]);
+                }
+            }
+            return id;
+        } catch (dbError) {
+            console.log('Database error saving strategy, using memory:', dbError.message);
+            dbAvailable = false;
+        }
+    }
+    const list = userStrategies.get(userId) || [];
+    let record = strategyId != null ? list.find(s => s.id === strategyId) : null;
+    if (!record) {
+        record = { id: ++lastStrategyId, status: STRATEGY_STATUS.OPEN, closed_on: null, trade_ids: [], created_at: new Date().toISOString() };
+        list.push(record);
+        userStrategies.set(userId, list);
+    }
+    Object.keys(fields).forEach(key => {
+        if (fields[key] !== undefined) record[key] = fields[key];
+    });
+    return record.id;
+}
+
+// Strategies with combined P&L and payoff: ?status=open|closed&portfolio_id= (strategies with a leg in the portfolio)
+app.get('/api/strategies', requireAuth, async (req, res) => {
+    try {
+        const status = req.query.status ? String(req.query.status).toLowerCase() : null;
+        if (status && !Object.values(STRATEGY_STATUS).includes(status)) {
+            return res.status(400).json({ success: false, error: 'status must be open or closed', strategies: [] });
+        }
+        const { portfolioId, error } = await resolvePortfolioId(req.user.id, req.query.portfolio_id);
+        if (error) {
+            return res.status(404).json({ success: false, error, strategies: [] });
+        }
+        const inPortfolio = portfolioId == null ? null : new Set((await loadUserTrades(req.user.id, portfolioId)).map(t => String(t.id)));
+        const strategies = (await loadStrategies(req.user.id))
+            .filter(s => !inPortfolio || s.trade_ids.some(id => inPortfolio.has(id)));
+        const views = (await buildUserStrategyViews(req.user.id, strategies)).filter(s => !status || s.status === status);
+        res.json({ success: true, strategies: views });
+    } catch (error) {
+        console.error('Get strategies error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get strategies', strategies: [] });
+    }
+});
+
+// Same-underlying, same-expiry F&O trades entered on the same day that are not in a strategy yet
+app.get('/api/strategies/suggestions', requireAuth, async (req, res) => {
+    try {
+        const { portfolioId, error } = await resolvePortfolioId(req.user.id, req.query.portfolio_id);
+        if (error) {
+            return res.status(404).json({ success: false, error, suggestions: [] });
+        }
+        const assigned = new Set((await loadStrategies(req.user.id)).flatMap(s => s.trade_ids));
+        const suggestions = detectStrategies(await loadUserTrades(req.user.id, portfolioId), assigned);
+        res.json({ success: true, suggestions });
+    } catch (error) {
+        console.error('Strategy suggestions error:', error);
+        res.status(500).json({ success: false, error: 'Failed to detect strategies', suggestions: [] });
+    }
+});
+
+app.get('/api/strategies/:id', requireAuth, async (req, res) => {
+    try {
+        const strategy = (await loadStrategies(req.user.id)).find(s => s.id === Number(req.params.id));
+        if (!strategy) {
+            return res.status(404).json({ success: false, error: 'Strategy not found' });
+        }
+        res.json({ success: true, strategy: (await buildUserStrategyViews(req.user.id, [strategy]))[0] });
+    } catch (error) {
+        console.error('Get strategy error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get strategy' });
+    }
+});
+
+// Group trades into a strategy: { trade_ids, name, notes }. The type is recognised from the legs
+// opened on the first day; the name defaults to underlying, expiry and type.
+app.post('/api/strategies', requireAuth, async (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+        const { strategy, error } = parseStrategyInput(body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        const check = await checkStrategyTrades(req.user.id, strategy.trade_ids);
+        if (check.error) {
+            return res.status(check.status).json({ success: false, error: check.error });
+        }
+        const type = classifyStrategy(openingLegs(check.trades));
+        const expiries = [...new Set(check.trades.map(t => toISODateString(t.expiry)).filter(Boolean))].sort();
+        const id = await saveStrategy(req.user.id, {
+            ...strategy,
+            name: strategy.name || defaultStrategyName(type, String(check.trades[0].symbol).toUpperCase(), expiries),
+            strategy_type: type
+        });
+        const saved = (await loadStrategies(req.user.id)).find(s => s.id === id);
+        res.status(201).json({ success: true, strategy: (await buildUserStrategyViews(req.user.id, [saved]))[0] });
+    } catch (error) {
+        console.error('Create strategy error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save strategy' });
+    }
+});
+
+// Rename, add notes or change the legs: { name, notes, trade_ids }
+app.patch('/api/strategies/:id', requireAuth, async (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+        const id = Number(req.params.id);
+        if (!(await loadStrategies(req.user.id)).some(s => s.id === id)) {
+            return res.status(404).json({ success: false, error: 'Strategy not found' });
+        }
+        const { strategy, error } = parseStrategyInput(body, { partial: true });
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        if (strategy.name === null) {
+            return res.status(400).json({ success: false, error: 'Name cannot be empty' });
+        }
+        if (strategy.trade_ids) {
+            const check = await checkStrategyTrades(req.user.id, strategy.trade_ids, id);
+            if (check.error) {
+                return res.status(check.status).json({ success: false, error: check.error });
+            }
+            strategy.strategy_type = classifyStrategy(openingLegs(check.trades));
+        }
+        await saveStrategy(req.user.id, strategy, id);
+        const saved = (await loadStrategies(req.user.id)).find(s => s.id === id);
+        res.json({ success: true, strategy: (await buildUserStrategyViews(req.user.id, [saved]))[0] });
+    } catch (error) {
+        console.error('Update strategy error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update strategy' });
+    }
+});
+
+// Ungroup a strategy; its trades are kept
+app.delete('/api/strategies/:id', requireAuth, async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+        if (dbAvailable && pool) {
+            try {
+                const result = await pool.query('DELETE FROM cursor_trade_book.strategies WHERE id = $1 AND user_id = $2', [id, req.user.id]);
+                if (result.rowCount === 0) {
+                    return res.status(404).json({ success: false, error: 'Strategy not found' });
+                }
+                return res.json({ success: true, deleted: id });
+            } catch (dbError) {
+                console.log('Database error deleting strategy, using memory:', dbError.message);
+                dbAvailable = false;
+            }
+        }
+        const list = userStrategies.get(req.user.id) || [];
+        if (!list.some(s => s.id === id)) {
+            return res.status(404).json({ success: false, error: 'Strategy not found' });
+        }
+        userStrategies.set(req.user.id, list.filter(s => s.id !== id));
+        res.json({ success: true, deleted: id });
+    } catch (error) {
+        console.error('Delete strategy error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete strategy' });
+    }
+});
+
+// Current premium / settlement price per F&O contract key for a user
+async function loadPositionMarks(userId) {
+    if (dbAvailable && pool) {
+        try {
+            const result = await pool.query(
+                'SELECT contract_key, last_price, settlement_price FROM cursor_trade_book.position_marks WHERE user_id = $1',
+                [userId]
+            );
+            return new Map(result.rows.map(r => [r.contract_key, {
+                last_price: r.last_price != null ? Number(r.last_price) : null,
+                settlement_price: r.settlement_price != null ? Number(r.settlement_price) : null
+            }]));
+        } catch (dbError) {
+            console.log('Database error getting position marks, using memory:', dbError.message);
+            dbAvailable = false;
+        }
+    }
+    return new Map(userPositionMarks.get(userId) || []);
+}
+
+// Net F&O positions with M2M: ?as_of=YYYY-MM-DD&status=open,closed,expired,settled&portfolio_id=<id>|all
+app.get('/api/positions', requireAuth, async (req, res) => {
+    try {
+        const { portfolioId, error: portfolioError } = await resolvePortfolioId(req.user.id, req.query.portfolio_id);
+        if (portfolioError) {
+            return res.status(404).json({ success: false, error: portfolioError });
+        }
+        const trades = await loadUserTrades(req.user.id, portfolioId);
+        const marks = await loadPositionMarks(req.user.id);
+        const asOf = req.query.as_of ? toISODateString(req.query.as_of) : null;
+        if (req.query.as_of && !asOf) {
+            return res.status(400).json({ success: false, error: 'as_of must be a date (YYYY-MM-DD)' });
+        }
+        const statuses = parseListParam(req.query.status).map(s => s.toLowerCase());
+        const positions = computePositions(trades, { marks, asOf: asOf || undefined, contractMaster })
+            .filter(p => statuses.length === 0 || statuses.includes(p.status));
+        res.json({ success: true, positions, summary: summarizePositions(positions) });
+    } catch (error) {
+        console.error('Get positions error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get positions', positions: [] });
+    }
+});
+
+// Underlying prices for option Greeks: ?spot=NIFTY:23150,RELIANCE:2890 first, then the nearest
+// marked futures contract (discounted back to spot), then the stored holding price (stock options)
+function resolveUnderlyingSpots(symbols, query, positions, holdingPrices, rate) {
+    const given = new Map(parseListParam(query).map(pair => {
+        const [symbol, price] = pair.split(':');
+        return [String(symbol).trim().toUpperCase(), Number(price)];
+    }).filter(([, price]) => price > 0));
+    const spots = new Map();
+    for (const symbol of symbols) {
+        const future = positions
+            .filter(p => p.symbol === symbol && p.instrument === 'FUT' && p.last_price != null && p.status === 'open')
+            .sort((a, b) => String(a.expiry).localeCompare(String(b.expiry)))[0];
+        if (given.has(symbol)) spots.set(symbol, { spot: given.get(symbol), source: 'request' });
+        else if (future) spots.set(symbol, { spot: future.last_price * Math.exp(-rate * (yearsToExpiry(future.expiry) || 0)), source: 'futures' });
+        else if (holdingPrices.has(symbol)) spots.set(symbol, { spot: holdingPrices.get(symbol), source: 'holding' });
+    }
+    return spots;
+}
+
+// Black-Scholes price, IV and Greeks for open F&O positions, with totals per underlying:
+// ?spot=NIFTY:23150,...&rate=6.5 (annual %, default 6.5)&portfolio_id=
+app.get('/api/positions/greeks', requireAuth, async (req, res) => {
+    try {
+        const rate = req.query.rate != null && req.query.rate !== '' ? Number(req.query.rate) / 100 : DEFAULT_RISK_FREE_RATE;
+        if (!Number.isFinite(rate) || rate < 0 || rate > 0.5) {
+            return res.status(400).json({ success: false, error: 'rate must be an annual percentage between 0 and 50' });
+        }
+        const { portfolioId, error: portfolioError } = await resolvePortfolioId(req.user.id, req.query.portfolio_id);
+        if (portfolioError) {
+            return res.status(404).json({ success: false, error: portfolioError });
+        }
+        const trades = await loadUserTrades(req.user.id, portfolioId);
+        const positions = computePositions(trades, { marks: await loadPositionMarks(req.user.id), contractMaster });
+        const open = positions.filter(p => p.status === 'open');
+        const spots = resolveUnderlyingSpots([...new Set(open.map(p => p.symbol))], req.query.spot, positions, await loadHoldingPrices(req.user.id), rate);
+
+        const rows = open.map(p => {
+            const spot = spots.get(p.symbol);
+            return {
+                key: p.key,
+                symbol: p.symbol,
+                instrument: p.instrument,
+                strike_price: p.strike_price,
+                expiry: p.expiry,
+                net_quantity: p.net_quantity,
+                multiplier: p.multiplier,
+                spot: spot ? Math.round(spot.spot * 100) / 100 : null,
+                spot_source: spot ? spot.source : null,
+                greeks: positionGreeks(p, { spot: spot ? spot.spot : null, rate })
+            };
+        });
+        const missing = [...new Set(rows.filter(r => r.instrument !== 'FUT' && r.spot == null).map(r => r.symbol))];
+        res.json({
+            success: true,
+            rate,
+            positions: rows,
+            underlyings: aggregateGreeks(rows.map(r => ({ symbol: r.symbol, spot: r.spot, greeks: r.greeks }))),
+            warnings: missing.map(symbol => `${symbol}: no underlying price; pass spot=${symbol}:<price> or mark a ${symbol} futures contract`)
+        });
+    } catch (error) {
+        console.error('Position Greeks error:', error);
+        res.status(500).json({ success: false, error: 'Failed to calculate Greeks' });
+    }
+});
+
+// Payoff diagram for one underlying: ?strategy_id= (all legs, booked P&L included), or
+// ?symbol= / ?keys=k1,k2 (open positions). The curve is sampled at expiry and on ?date= (default now)
+// with options revalued at their IV, or at ?iv= (annual %). Also takes from, to, steps, spot, rate, portfolio_id.
+app.get('/api/positions/payoff', requireAuth, async (req, res) => {
+    try {
+        const q = req.query;
+        const number = value => (value != null && value !== '' ? Number(value) : null);
+        const rate = number(q.rate) != null ? number(q.rate) / 100 : DEFAULT_RISK_FREE_RATE;
+        const volatility = number(q.iv) != null ? number(q.iv) / 100 : null;
+        const [from, to] = [number(q.from), number(q.to)];
+        const steps = number(q.steps) ?? DEFAULT_PAYOFF_STEPS;
+        const date = q.date ? toISODateString(q.date) : null;
+        if (!Number.isFinite(rate) || rate < 0 || rate > 0.5) {
+            return res.status(400).json({ success: false, error: 'rate must be an annual percentage between 0 and 50' });
+        }
+        if (volatility != null && !(volatility > 0 && volatility <= 5)) {
+            return res.status(400).json({ success: false, error: 'iv must be an annual percentage between 0 and 500' });
+        }
+        if ((from != null && !(from >= 0)) || (to != null && !(to > 0)) || (from != null && to != null && !(to > from))) {
+            return res.status(400).json({ success: false, error: 'from and to must be prices with from below to' });
+        }
+        if (!Number.isInteger(steps) || steps < 2 || steps > MAX_PAYOFF_STEPS) {
+            return res.status(400).json({ success: false, error: `steps must be a whole number from 2 to ${MAX_PAYOFF_STEPS}` });
+        }
+        if (q.date && !date) {
+            return res.status(400).json({ success: false, error: 'date must be a date (YYYY-MM-DD)' });
+        }
+        if (date && date < toISODateString(new Date())) {
+            return res.status(400).json({ success: false, error: 'date cannot be in the past' });
+        }
+        if (!q.strategy_id && !q.symbol && !q.keys) {
+            return res.status(400).json({ success: false, error: 'Pass strategy_id, symbol or keys' });
+        }
+
+        const marks = await loadPositionMarks(req.user.id);
+        let legs;
+        let strategy = null;
+        if (q.strategy_id) {
+            strategy = (await loadStrategies(req.user.id)).find(s => s.id === Number(q.strategy_id));
+            if (!strategy) {
+                return res.status(404).json({ success: false, error: 'Strategy not found' });
+            }
+            const tradesById = new Map((await loadUserTrades(req.user.id)).map(t => [String(t.id), t]));
+            legs = computePositions(strategy.trade_ids.map(id => tradesById.get(id)).filter(Boolean), { marks, contractMaster });
+        } else {
+            const { portfolioId, error: portfolioError } = await resolvePortfolioId(req.user.id, q.portfolio_id);
+            if (portfolioError) {
+                return res.status(404).json({ success: false, error: portfolioError });
+            }
+            const keys = parseListParam(q.keys);
+            const symbol = q.symbol ? String(q.symbol).trim().toUpperCase() : null;
+            legs = computePositions(await loadUserTrades(req.user.id, portfolioId), { marks, contractMaster })
+                .filter(p => p.status === 'open' && (!symbol || p.symbol === symbol) && (keys.length === 0 || keys.includes(p.key)));
+        }
+        if (legs.length === 0) {
+            return res.status(404).json({ success: false, error: 'No matching F&O positions' });
+        }
+        const symbols = [...new Set(legs.map(l => l.symbol))];
+        if (symbols.length > 1) {
+            return res.status(400).json({ success: false, error: `Positions span several underlyings (${symbols.join(', ')}); choose one symbol` });
+        }
+
+        const allPositions = computePositions(await loadUserTrades(req.user.id), { marks, contractMaster });
+        const spot = resolveUnderlyingSpots(symbols, q.spot, allPositions, await loadHoldingPrices(req.user.id), rate).get(symbols[0]);
+        const at = date ? new Date(`${date}T10:00:00Z`) : new Date();
+        const payoff = buildPayoffDiagram(legs, { spot: spot ? spot.spot : null, rate, at, volatility, from, to, steps });
+        if (!payoff) {
+            return res.status(400).json({ success: false, error: `No price range for ${symbols[0]}; pass from and to, or spot=${symbols[0]}:<price>` });
+        }
+        const warnings = [];
+        if (!spot && legs.some(l => l.net_quantity && l.instrument !== 'FUT') && volatility == null) {
+            warnings.push(`${symbols[0]}: no underlying price to solve IVs; pass spot=${symbols[0]}:<price> or iv=<annual %>`);
+        }
+        if (payoff.legs_at_intrinsic.length > 0 && spot) {
+            warnings.push(`No IV for ${payoff.legs_at_intrinsic.join(', ')}; valued at intrinsic value`);
+        }
+        res.json({
+            success: true,
+            symbol: symbols[0],
+            strategy_id: strategy ? strategy.id : null,
+            date: date || toISODateString(new Date()),
+            rate,
+            spot_source: spot ? spot.source : null,
+            legs: legs.map(l => ({ key: l.key, instrument: l.instrument, strike_price: l.strike_price, expiry: l.expiry, net_quantity: l.net_quantity, multiplier: l.multiplier, avg_open_price: l.avg_open_price, realized_pnl: l.realized_pnl })),
+            ...payoff,
+            warnings
+        });
+    } catch (error) {
+        console.error('Payoff diagram error:', error);
+        res.status(500).json({ success: false, error: 'Failed to build payoff diagram' });
+    }
+});
+
+// Parse one mark from the request: contract key or symbol/expiry/strike_price/trade_type, plus prices
+function parsePositionMark(input) {
+    const key = input.key || (input.symbol ? contractKey(input) : null);
+    if (!key || key.split('|').length !== 4 || !key.split('|')[3]) {
+        return { error: 'Each mark needs a contract key or symbol, expiry, strike_price and trade_type (Futures, CE, PE)' };
+    }
+    const mark = {};
+    for (const field of ['last_price', 'settlement_price']) {
+        if (input[field] === undefined) continue;
+        if (input[field] === null || input[field] === '') {
+            mark[field] = null;
+            continue;
+        }
+        const value = Number(input[field]);
+        if (!Number.isFinite(value) || value < 0) {
+            return { error: `${field} must be a non-negative number` };
+        }
+        mark[field] = value;
+    }
+    if (Object.keys(mark).length === 0) {
+        return { error: 'Provide last_price and/or settlement_price' };
+    }
+    return { key, mark };
+}
+
+// Set current premium (M2M) and/or settlement price for contracts: { marks: [{ key, last_price?, settlement_price? }] }
+app.put('/api/positions/marks', requireAuth, async (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+        const inputs = Array.isArray(body.marks) ? body.marks : [body];
+        const parsed = inputs.map(parsePositionMark);
+        const invalid = parsed.find(p => p.error);
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid.error });
+        }
+
+        const userId = req.user.id;
+        if (dbAvailable && pool) {
+            try {
+                for (const { key, mark } of parsed) {
+                    await pool.query(
+                        `INSERT INTO cursor_trade_book.position_marks (user_id, contract_key, last_price, settlement_price, updated_at)
+                         VALUES ($1, $2, $3, $4, NOW())
+                         ON CONFLICT (user_id, contract_key) DO UPDATE SET
+                           last_price = CASE WHEN $5 THEN EXCLUDED.last_price ELSE cursor_trade_book.position_marks.last_price END,
+                           settlement_price = CASE WHEN $6 THEN EXCLUDED.settlement_price ELSE cursor_trade_book.position_marks.settlement_price END,
+                           updated_at = NOW()`,
+                        [userId, key, mark.last_price ?? null, mark.settlement_price ?? null, 'last_price' in mark, 'settlement_price' in mark]
+                    );
+                }
+                return res.json({ success: true, updated: parsed.length });
+            } catch (dbError) {
+                console.log('Database error saving position marks, using memory:', dbError.message);
+                dbAvailable = false;
+            }
+        }
+
+        if (!userPositionMarks.has(userId)) userPositionMarks.set(userId, new Map());
+        const marks = userPositionMarks.get(userId);
+        for (const { key, mark } of parsed) {
+            marks.set(key, { last_price: null, settlement_price: null, ...marks.get(key), ...mark });
+        }
+        res.json({ success: true, updated: parsed.length });
+    } catch (error) {
+        console.error('Save position marks error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save position marks' });
+    }
+});
+
+// Comma-separated query values (?months=2025-01,2025-02 or repeated ?months=...)
+function parseListParam(value) {
+    if (value == null) return [];
+    const parts = Array.isArray(value) ? value : String(value).split(',');
+    return parts.map(v => String(v).trim()).filter(Boolean);
+}
+
+// Executed Trades tab filters: months (YYYY-MM) and trade types (Cash, Futures, CE, PE)
+function parseExportFilters(query) {
+    return {
+        months: parseListParam(query.months),
+        trade_types: parseListParam(query.trade_types)
+    };
+}
+
+function filterTradesForExport(trades, filters) {
+    const tradeTypes = filters.trade_types.map(t => t.toLowerCase());
+    return trades.filter(t => {
+        const month = t.trade_month || toISODateString(t.date)?.slice(0, 7);
+        const okMonth = filters.months.length === 0 || filters.months.includes(month);
+        const okType = tradeTypes.length === 0 || tradeTypes.includes((t.trade_type || '').trim().toLowerCase());
+        return okMonth && okType;
+    });
+}
+
+async function sendExport(res, format, data, filenamePrefix) {
+    const file = await tradebookExporter.export(format, data);
+    const filename = `${filenamePrefix}-${toISODateString(new Date())}.${file.extension}`;
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(file.body);
+}
+
+// Export trades: ?format=csv|xlsx|json&months=YYYY-MM,...&trade_types=Cash,...&portfolio_id=
+app.get('/api/trades/export', requireAuth, async (req, res) => {
+    try {
+        const format = String(req.query.format || EXPORT_FORMATS.CSV).toLowerCase();
+        if (!Object.values(EXPORT_FORMATS).includes(format)) {
+            return res.status(400).json({ success: false, error: 'format must be csv, xlsx or json' });
+        }
+        const filters = parseExportFilters(req.query);
+        const { portfolioId, error: portfolioError } = await resolvePortfolioId(req.user.id, req.query.portfolio_id);
+        if (portfolioError) {
+            return res.status(404).json({ success: false, error: portfolioError });
+        }
+        const trades = filterTradesForExport(await loadUserTrades(req.user.id, portfolioId), filters);
+        await sendExport(res, format, { trades, filters }, 'trades');
+    } catch (error) {
+        console.error('Export trades error:', error);
+        res.status(500).json({ success: false, error: 'Failed to export trades' });
+    }
+});
+
+// Export holdings. Month/type filters keep holdings whose symbol has a matching Cash trade.
+app.get('/api/holdings/export', requireAuth, async (req, res) => {
+    try {
+        const format = String(req.query.format || EXPORT_FORMATS.CSV).toLowerCase();
+        if (!Object.values(EXPORT_FORMATS).includes(format)) {
+            return res.status(400).json({ success: false, error: 'format must be csv, xlsx or json' });
+        }
+        const filters = parseExportFilters(req.query);
+        const { portfolioId, error: portfolioError } = await resolvePortfolioId(req.user.id, req.query.portfolio_id);
+        if (portfolioError) {
+            return res.status(404).json({ success: false, error: portfolioError });
+        }
+        let holdings = await loadUserHoldings(req.user.id, portfolioId);
+        if (filters.months.length > 0 || filters.trade_types.length > 0) {
+            const matching = filterTradesForExport(await loadUserTrades(req.user.id, portfolioId), filters).filter(isCashTrade);
+            const symbols = new Set(matching.map(t => (t.symbol || '').trim()));
+            holdings = holdings.filter(h => symbols.has(h.symbol));
+        }
+        await sendExport(res, format, { holdings, filters }, 'holdings');
+    } catch (error) {
+        console.error('Export holdings error:', error);
+        res.status(500).json({ success: false, error: 'Failed to export holdings' });
+    }
+});
+
+// Capital gains on delivery equity for a financial year: ?fy=2025-26&format=json|csv|html&portfolio_id=
+app.get('/api/reports/capital-gains', requireAuth, async (req, res) => {
+    try {
+        const fy = parseFinancialYear(req.query.fy || currentFinancialYear());
+        if (!fy) {
+            return res.status(400).json({ success: false, error: 'fy must be a financial year like 2025-26' });
+        }
+        const format = String(req.query.format || 'json').toLowerCase();
+        if (!['json', 'csv', 'html'].includes(format)) {
+            return res.status(400).json({ success: false, error: 'format must be json, csv or html' });
+        }
+        const { portfolioId, error: portfolioError } = await resolvePortfolioId(req.user.id, req.query.portfolio_id);
+        if (portfolioError) {
+            return res.status(404).json({ success: false, error: portfolioError });
+        }
+        const trades = await loadUserTrades(req.user.id, portfolioId);
+        const corporateActionsForUser = await loadCorporateActions(req.user.id);
+        const report = buildCapitalGainsReport(trades, { fy: fy.label, fairMarketValues: fairMarketValues2018, corporateActions: corporateActionsForUser });
+        if (format === 'json') {
+            return res.json({ success: true, report });
+        }
+        const filename = `capital-gains-FY${fy.label}.${format}`;
+        res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'text/html; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(format === 'csv' ? capitalGainsToCSV(report) : capitalGainsToHTML(report, { name: req.user.full_name || req.user.username }));
+    } catch (error) {
+        console.error('Capital gains report error:', error);
+        res.status(500).json({ success: false, error: 'Failed to build capital gains report' });
+    }
+});
+
+// Intraday (speculative) and F&O (non-speculative) business income with turnover: ?fy=2025-26&format=json|csv&portfolio_id=
+app.get('/api/reports/business-income', requireAuth, async (req, res) => {
+    try {
+        const fy = parseFinancialYear(req.query.fy || currentFinancialYear());
+        if (!fy) {
+            return res.status(400).json({ success: false, error: 'fy must be a financial year like 2025-26' });
+        }
+        const format = String(req.query.format || 'json').toLowerCase();
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({ success: false, error: 'format must be json or csv' });
+        }
+        const { portfolioId, error: portfolioError } = await resolvePortfolioId(req.user.id, req.query.portfolio_id);
+        if (portfolioError) {
+            return res.status(404).json({ success: false, error: portfolioError });
+        }
+        const trades = await loadUserTrades(req.user.id, portfolioId);
+        const marks = await loadPositionMarks(req.user.id);
+        const report = buildBusinessIncomeReport(trades, { fy: fy.label, marks, contractMaster });
+        if (format === 'json') {
+            return res.json({ success: true, report });
+        }
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="business-income-FY${fy.label}.csv"`);
+        res.send(businessIncomeToCSV(report));
+    } catch (error) {
+        console.error('Business income report error:', error);
+        res.status(500).json({ success: false, error: 'Failed to build business income report' });
+    }
+});
+
+// Win rate, expectancy, profit factor and streaks over closed round-trips, overall and grouped by
+// trade_type, market_index, symbol, month and reason keyword: ?from=&to=&portfolio_id=&round_trips=true
+app.get('/api/reports/performance', requireAuth, async (req, res) => {
+    try {
+        const from = req.query.from ? toISODateString(req.query.from) : null;
+        const to = req.query.to ? toISODateString(req.query.to) : null;
+        if ((req.query.from && !from) || (req.query.to && !to)) {
+            return res.status(400).json({ success: false, error: 'from and to must be dates (YYYY-MM-DD)' });
+        }
+        const { portfolioId, error: portfolioError } = await resolvePortfolioId(req.user.id, req.query.portfolio_id);
+        if (portfolioError) {
+            return res.status(404).json({ success: false, error: portfolioError });
+        }
+        const trades = await loadUserTrades(req.user.id, portfolioId);
+        const report = buildPerformanceReport(trades, {
+            from,
+            to,
+            marks: await loadPositionMarks(req.user.id),
+            contractMaster,
+            corporateActions: await loadCorporateActions(req.user.id)
+        });
+        if (String(req.query.round_trips).toLowerCase() !== 'true') delete report.round_trips;
+        res.json({ success: true, report });
+    } catch (error) {
+        console.error('Performance report error:', error);
+        res.status(500).json({ success: false, error: 'Failed to build performance report' });
+    }
+});
+
+// Cash trade product: 'intraday' or 'delivery'; blank means auto-detect from same-day buys and sells
+function parseTradeProduct(value, trade) {
+    if (value === undefined || value === null || value === '') return { product: null };
+    const product = String(value).trim().toLowerCase();
+    if (!Object.values(TRADE_PRODUCTS).includes(product)) {
+        return { error: 'product must be intraday or delivery' };
+    }
+    if (!isCashTrade(trade)) {
+        return { error: 'product applies to Cash trades only' };
+    }
+    return { product };
+}
+
+// F&O trades: convert lots to units and check the quantity against the lot size in force for
+// the contract. Returns { quantity, lots, warning } or { error }; a contract the master does not
+// cover is accepted with a warning.
+function resolveDerivativeQuantity(trade, lotsInput) {
+    const hasLots = lotsInput !== undefined && lotsInput !== null && lotsInput !== '';
+    if (!isDerivativeTrade(trade)) {
+        if (hasLots) return { error: 'Lots can only be used for Futures, CE and PE trades' };
+        return { quantity: trade.quantity, lots: null, warning: null };
+    }
+    if (contractMaster.size === 0) {
+        if (hasLots) return { error: 'Lot sizes are not loaded; enter the quantity in units' };
+        return { quantity: trade.quantity, lots: null, warning: null };
+    }
+
+    let quantity = trade.quantity;
+    if (hasLots) {
+        const lots = Number(lotsInput);
+        if (!Number.isInteger(lots) || lots <= 0) return { error: 'Lots must be a positive integer' };
+        quantity = contractMaster.lotsToQuantity(trade, lots);
+        if (quantity == null) {
+            return { error: `Lot size of ${String(trade.symbol).toUpperCase()} is not known for this contract; enter the quantity in units` };
+        }
+    }
+    const check = contractMaster.validateQuantity({ ...trade, quantity });
+    if (!check.valid) return { error: check.error };
+    return { quantity, lots: check.lots, warning: check.warning };
+}
+
+// Brokerage plans for the charges calculator
+app.get('/api/charges/plans', requireAuth, (req, res) => {
+    res.json({ success: true, plans: chargesCalculator.listPlans(), current: req.user.brokerage_plan });
+});
+
+// Estimate charges for a trade before saving it (same body as POST /api/trades; ?plan= overrides the user's plan)
+app.post('/api/charges/preview', requireAuth, (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+        const trade = {
+            symbol: (body.symbol || '').trim(),
+            type: (body.trade_action || body.type || '').toLowerCase() === 'sell' ? 'sell' : 'buy',
+            quantity: Number(body.quantity),
+            price: Number(body.price),
+            market_index: (body.market_index || '').trim() || null,
+            trade_type: (body.trade_type || '').trim() || null,
+            expiry: body.expiry || null,
+            product: body.product || null
+        };
+        if (!(trade.quantity > 0) || !(trade.price > 0)) {
+            return res.status(400).json({ success: false, error: 'Quantity and price must be greater than 0' });
+        }
+        const plan = req.query.plan || req.user.brokerage_plan;
+        if (!chargesCalculator.hasPlan(plan)) {
+            return res.status(400).json({ success: false, error: `Unknown brokerage plan: ${plan}` });
+        }
+        const charges = chargesCalculator.calculate(trade, { plan, product: trade.product });
+        if (!charges) {
+            return res.status(400).json({ success: false, error: 'trade_type must be Cash, Futures, CE or PE' });
+        }
+        res.json({ success: true, charges });
+    } catch (error) {
+        console.error('Charges preview error:', error);
+        res.status(500).json({ success: false, error: 'Failed to calculate charges' });
+    }
+});
+
+// F&O contract master: underlyings with lot size, tick size and multiplier (for the trade form)
+app.get('/api/contracts', requireAuth, (req, res) => {
+    res.json({ success: true, contracts: contractMaster.listSymbols(), sources: contractMaster.sources });
+});
+
+// Contract spec for one underlying: ?expiry=YYYY-MM-DD&market_index=NSE
+app.get('/api/contracts/:symbol', requireAuth, (req, res) => {
+    const contract = contractMaster.find(req.params.symbol, req.query.expiry || null, req.query.market_index || null);
+    if (!contract) {
+        return res.status(404).json({ success: false, error: `Unknown F&O symbol: ${String(req.params.symbol).toUpperCase()}` });
+    }
+    res.json({ success: true, contract });
+});
+
+// Trading calendar of an exchange: session now, next trading day, holidays and special sessions.
+// ?exchange=NSE|BSE|MCX&from=&to= (default this calendar year); &symbol= adds upcoming F&O expiries (&months=, default 3)
+app.get('/api/market/calendar', requireAuth, (req, res) => {
+    const exchange = String(req.query.exchange || 'NSE').trim().toUpperCase();
+    if (!Object.values(MARKET_INDICES).includes(exchange)) {
+        return res.status(400).json({ success: false, error: `exchange must be one of: ${Object.values(MARKET_INDICES).join(', ')}` });
+    }
+    const now = new Date();
+    const today = istTime(now).date;
+    const from = req.query.from ? toISODateString(req.query.from) : `${today.slice(0, 4)}-01-01`;
+    const to = req.query.to ? toISODateString(req.query.to) : `${today.slice(0, 4)}-12-31`;
+    if (!from || !to || from > to) {
+        return res.status(400).json({ success: false, error: 'from and to must be dates (YYYY-MM-DD), from on or before to' });
+    }
+    const months = req.query.months != null ? Number(req.query.months) : 3;
+    if (!Number.isInteger(months) || months < 1 || months > 12) {
+        return res.status(400).json({ success: false, error: 'months must be a whole number from 1 to 12' });
+    }
+    const days = marketCalendar.listDays(exchange, from, to);
+    const response = {
+        success: true,
+        exchange,
+        now: { ist_date: today, state: marketCalendar.sessionState(exchange, now), is_open: marketCalendar.isMarketOpen(exchange, now) },
+        today: marketCalendar.dayInfo(exchange, today),
+        next_trading_day: marketCalendar.nextTradingDay(exchange, today),
+        holidays: days.filter(d => !d.trading),
+        special_sessions: days.filter(d => d.trading),
+        sources: marketCalendar.sources
+    };
+    if (req.query.symbol) {
+        response.expiries = marketCalendar.expiriesFor(req.query.symbol, { from: today, months });
+    }
+    res.json(response);
+});
+
+// Supported broker tradebook formats
+app.get('/api/trades/import/brokers', requireAuth, (req, res) => {
+    res.json({ success: true, brokers: tradebookImporter.listBrokers() });
+});
+
+// Load "broker:broker_trade_id" keys for trades the user has already imported
+async function getImportedBrokerTradeKeys(userId) {
+    if (dbAvailable && pool) {
+        const result = await pool.query(
+            'SELECT broker, broker_trade_id FROM cursor_trade_book.trades WHERE user_id = $1 AND broker_trade_id IS NOT NULL',
+            [userId]
+        );
+        return new Set(result.rows.map(r => `${r.broker}:${r.broker_trade_id}`));
+    }
+    const raw = userTrades.get(userId) || [];
+    return new Set(raw.filter(t => t.broker_trade_id).map(t => `${t.broker}:${t.broker_trade_id}`));
+}
+
+// Import broker tradebook CSV. Body: { csv, broker?, dry_run? } as JSON, or raw text/csv with ?broker=&dry_run=
+// A Trade Book JSON export can be sent instead of csv as { json: <export>, dry_run? }.
+// dry_run defaults to true so clients preview before committing.
+app.post('/api/trades/import', requireAuth, async (req, res) => {
+    try {
+        let body = req.body;
+        if (typeof body === 'string' && req.is('text/csv')) {
+            body = { csv: body };
+        } else if (typeof body === 'string') {
+            try { body = JSON.parse(body); } catch (e) { return res.status(400).json({ success: false, error: 'Invalid JSON body' }); }
+        }
+        body = body || {};
+        const csv = body.csv;
+        const json = body.json || (Array.isArray(body.trades) ? body : null);
+        const broker = body.broker || req.query.broker || null;
+        const dryRunValue = body.dry_run !== undefined ? body.dry_run : req.query.dry_run;
+        const dryRun = !(dryRunValue === false || dryRunValue === 'false' || dryRunValue === '0');
+        const { portfolioId, error: portfolioError } = await resolvePortfolioId(req.user.id, body.portfolio_id ?? req.query.portfolio_id, { useDefault: true });
+        if (portfolioError) {
+            return res.status(400).json({ success: false, error: portfolioError });
+        }
+
+        if (!json && (typeof csv !== 'string' || !csv.trim())) {
+            return res.status(400).json({ success: false, error: 'CSV content is required' });
+        }
+
+        let parsed;
+        try {
+            parsed = json ? tradebookImporter.parseExport(json) : tradebookImporter.parse(csv, { broker });
+        } catch (parseError) {
+            return res.status(400).json({ success: false, error: parseError.message, brokers: tradebookImporter.listBrokers() });
+        }
+
+        const existingKeys = await getImportedBrokerTradeKeys(req.user.id);
+        // Tradebooks report units, so an F&O quantity off the lot size (or one that cannot be checked) is flagged but still imported
+        const lotWarning = t => {
+            if (!isDerivativeTrade(t) || contractMaster.size === 0) return null;
+            const check = contractMaster.validateQuantity(t);
+            return check.valid ? check.warning || null : check.error;
+        };
+        const preview = parsed.trades.map(t => ({
+            ...t,
+            status: t.duplicate || (t.broker_trade_id && existingKeys.has(`${t.broker}:${t.broker_trade_id}`)) ? 'duplicate' : 'new',
+            warning: lotWarning(t)
+        }));
+        const toImport = preview.filter(t => t.status === 'new');
+        const summary = {
+            total_rows: parsed.trades.length + parsed.errors.length + parsed.skipped,
+            new: toImport.length,
+            duplicates: preview.length - toImport.length,
+            skipped: parsed.skipped,
+            errors: parsed.errors.length
+        };
+
+        if (dryRun) {
+            return res.json({
+                success: true,
+                dry_run: true,
+                broker: parsed.broker,
+                summary,
+                trades: preview,
+                errors: parsed.errors
+            });
+        }
+
+        const inserted = [];
+        if (dbAvailable && pool) {
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                for (const t of toImport) {
+                    const result = await client.query(
+                        `INSERT INTO cursor_trade_book.trades
+                         (user_id, symbol, type, quantity, price, date, market_index, trade_type, reason, expiry, strike_price, trade_month, broker, broker_trade_id, product, portfolio_id)
+                         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+                         ON CONFLICT DO NOTHING
+                         RETURNING id, symbol, type, quantity, price, date, created_at, market_index, trade_type, reason, expiry, strike_price, trade_month, broker, broker_trade_id, product, portfolio_id`,
+                        [req.user.id, t.symbol, t.type, t.quantity, t.price, t.date, t.market_index, t.trade_type, t.reason || null, t.expiry, t.strike_price, t.trade_month, t.broker, t.broker_trade_id, isCashTrade(t) ? t.product || null : null, portfolioId]
+                    );
+                    if (result.rows[0]) inserted.push(result.rows[0]);
+                }
+                await client.query('COMMIT');
+            } catch (dbError) {
+                await client.query('ROLLBACK');
+                throw dbError;
+            } finally {
+                client.release();
+            }
+        } else {
+            const userTradeList = userTrades.get(req.user.id) || [];
+            for (const t of toImport) {
+                const trade = {
+                    id: nextMemoryTradeId(),
+                    userId: req.user.id,
+                    symbol: t.symbol,
+                    type: t.type,
+                    quantity: t.quantity,
+                    price: t.price,
+                    date: t.date,
+                    market_index: t.market_index,
+                    trade_type: t.trade_type,
+                    reason: t.reason || null,
+                    expiry: t.expiry,
+                    strike_price: t.strike_price,
+                    trade_month: t.trade_month,
+                    broker: t.broker,
+                    broker_trade_id: t.broker_trade_id,
+                    product: isCashTrade(t) ? t.product || null : null,
+                    portfolio_id: portfolioId,
+                    created_at: new Date().toISOString()
+                };
+                userTradeList.push(trade);
+                inserted.push(trade);
+            }
+            userTrades.set(req.user.id, userTradeList);
+        }
+
+        const charges = await refreshTradeChargesForUser(req.user.id);
+        inserted.forEach(t => { t.charges = charges.get(t.id) || null; });
+        if (inserted.some(isCashTrade)) {
+            await refreshHoldingsForUser(req.user.id);
+        }
+
+        res.json({
+            success: true,
+            dry_run: false,
+            message: `Imported ${inserted.length} trade${inserted.length === 1 ? '' : 's'}`,
+            broker: parsed.broker,
+            summary: { ...summary, imported: inserted.length },
+            trades: inserted.map(toTradeResponse),
+            errors: parsed.errors
+        });
+    } catch (error) {
+        console.error('Import trades error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to import trades'
+        });
+    }
+});
+
+// Collect editable trade fields present in a request body (used by PUT/PATCH)
+function parseTradeUpdates(body) {
+    const updates = {};
+    if (body.trade_action !== undefined || body.type !== undefined) {
+        const action = (body.trade_action || body.type || '').toLowerCase();
+        updates.type = action === 'sell' ? 'sell' : 'buy';
+    }
+    if (body.symbol !== undefined) updates.symbol = typeof body.symbol === 'string' ? body.symbol.trim() : body.symbol;
+    if (body.quantity !== undefined) updates.quantity = parseInt(body.quantity, 10);
+    if (body.price !== undefined) updates.price = parseFloat(body.price);
+    if (body.date !== undefined && body.date) {
+        // Invalid dates are left as null for validateTradeUpdates to reject
+        updates.date = parseISODate(body.date);
+        updates.trade_month = updates.date ? updates.date.slice(0, 7) : null;
+    }
+    if (body.market_index !== undefined) updates.market_index = (body.market_index || '').trim() || null;
+    if (body.trade_type !== undefined) updates.trade_type = (body.trade_type || '').trim() || null;
+    if (body.reason !== undefined) updates.reason = (body.reason || '').trim() || null;
+    if (body.expiry !== undefined) updates.expiry = body.expiry ? parseISODate(body.expiry) ?? body.expiry : null;
+    if (body.strike_price !== undefined) {
+        updates.strike_price = body.strike_price != null && body.strike_price !== '' ? parseFloat(body.strike_price) : null;
+    }
+    if (body.product !== undefined) {
+        updates.product = body.product ? String(body.product).trim().toLowerCase() : null;
+    }
+    return updates;
+}
+
+// Returns an error message for invalid update values, or null
+function validateTradeUpdates(updates) {
+    if (updates.symbol !== undefined && typeof updates.symbol !== 'string') return 'Symbol must be a string';
+    if (updates.symbol !== undefined && !updates.symbol) return 'Symbol cannot be empty';
+    if (updates.date === null) return 'Date must be a valid date (YYYY-MM-DD)';
+    if (updates.expiry != null && !parseISODate(updates.expiry)) return 'Expiry must be a valid date (YYYY-MM-DD)';
+    if (updates.quantity !== undefined && !(updates.quantity > 0)) return 'Quantity must be a positive integer';
+    if (updates.price !== undefined && !(updates.price > 0)) return 'Price must be greater than 0';
+    if (updates.strike_price !== undefined && updates.strike_price !== null && Number.isNaN(updates.strike_price)) return 'Invalid strike price';
+    if (updates.product && !Object.values(TRADE_PRODUCTS).includes(updates.product)) return 'product must be intraday or delivery';
+    return null;
+}
+
+function isValidTradeId(id) {
+    return /^\d+$/.test(String(id || ''));
+}
+
+function isCashTrade(trade) {
+    return (trade?.trade_type || '').toLowerCase() === 'cash';
+}
+
+// Fields whose change means the F&O quantity must be checked against the lot size again
+const LOT_CHECK_FIELDS = ['quantity', 'symbol', 'expiry', 'trade_type'];
+
+// Checks that depend on the stored trade (lot size, product); may set updates.quantity / updates.product.
+// The lot size is only re-checked when the update touches the quantity or the contract, so other
+// fields of a trade saved under an earlier lot size stay editable. Returns an error message or null.
+function checkMergedTradeUpdates(existing, updates, lots) {
+    const merged = { ...existing, ...updates };
+    if (lots !== undefined || LOT_CHECK_FIELDS.some(field => updates[field] !== undefined)) {
+        const lotCheck = resolveDerivativeQuantity(merged, lots);
+        if (lotCheck.error) return lotCheck.error;
+        // pg returns NUMERIC columns as strings
+        if (Number(lotCheck.quantity) !== Number(existing.quantity)) updates.quantity = Number(lotCheck.quantity);
+    }
+    if (updates.product !== undefined) {
+        const productCheck = parseTradeProduct(updates.product, merged);
+        if (productCheck.error) return productCheck.error;
+    } else if (existing.product && !isCashTrade(merged)) {
+        updates.product = null;
+    }
+    return null;
+}
+
+// Update trade (owner only); PUT and PATCH both accept a partial body
+async function updateTrade(req, res) {
+    try {
+        if (!isValidTradeId(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Trade not found' });
+        }
+        const body = typeof req.body === 'string' ? JSON.parse(req.body) : (req.body || {});
+        const updates = parseTradeUpdates(body);
+        const validationError = validateTradeUpdates(updates);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        if (body.portfolio_id !== undefined) {
+            const portfolioCheck = await resolvePortfolioId(req.user.id, body.portfolio_id, { useDefault: true });
+            if (portfolioCheck.error) {
+                return res.status(400).json({ success: false, error: portfolioCheck.error });
+            }
+            updates.portfolio_id = portfolioCheck.portfolioId;
+        }
+        if (Object.keys(updates).length === 0 && body.lots === undefined) {
+            return res.status(400).json({ success: false, error: 'No trade fields to update' });
+        }
+
+        let updated = null;
+        let previous = null;
+
+        if (dbAvailable && pool) {
+            try {
+                const existing = await pool.query(
+                    'SELECT id, symbol, quantity, date, trade_type, market_index, expiry, product FROM cursor_trade_book.trades WHERE id = $1 AND user_id = $2',
+                    [req.params.id, req.user.id]
+                );
+                if (existing.rows.length === 0) {
+                    return res.status(404).json({ success: false, error: 'Trade not found' });
+                }
+                previous = existing.rows[0];
+                const mergeError = checkMergedTradeUpdates(previous, updates, body.lots);
+                if (mergeError) {
+                    return res.status(400).json({ success: false, error: mergeError });
+                }
+                const fields = Object.keys(updates);
+                if (fields.length === 0) {
+                    return res.status(400).json({ success: false, error: 'No trade fields to update' });
+                }
+                const setClause = fields.map((f, i) => `${f} = $${i + 1}`).join(', ');
+                const values = fields.map(f => updates[f]);
+                values.push(req.params.id, req.user.id);
+                const result = await pool.query(
+                    `UPDATE cursor_trade_book.trades SET ${setClause}
+                     WHERE id = $${fields.length + 1} AND user_id = $${fields.length + 2}
+                     RETURNING id, symbol, type, quantity, price, date, created_at, market_index, trade_type, reason, expiry, strike_price, trade_month, product, portfolio_id`,
+                    values
+                );
+                updated = result.rows[0];
+            } catch (dbError) {
+                console.log('Database error updating trade, using memory:', dbError.message);
+                dbAvailable = false;
+            }
+        }
+
+        if (!dbAvailable) {
+            const userTradeList = userTrades.get(req.user.id) || [];
+            const trade = userTradeList.find(t => String(t.id) === String(req.params.id));
+            if (!trade) {
+                return res.status(404).json({ success: false, error: 'Trade not found' });
+            }
+            const mergeError = checkMergedTradeUpdates(trade, updates, body.lots);
+            if (mergeError) {
+                return res.status(400).json({ success: false, error: mergeError });
+            }
+            previous = { ...trade };
+            Object.assign(trade, updates);
+            updated = trade;
+        }
+
+        const charges = await refreshTradeChargesForUser(req.user.id);
+        updated.charges = charges.get(updated.id) || null;
+        if (isCashTrade(previous) || isCashTrade(updated)) {
+            await refreshHoldingsForUser(req.user.id);
+        }
+
+        res.json({
+            success: true,
+            message: 'Trade updated successfully',
+            trade: toTradeResponse(updated)
+        });
+    } catch (error) {
+        console.error('Update trade error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update trade'
+        });
+    }
+}
+
+app.put('/api/trades/:id', requireAuth, updateTrade);
+app.patch('/api/trades/:id', requireAuth, updateTrade);
+
+// Delete trade (owner only)
+app.delete('/api/trades/:id', requireAuth, async (req, res) => {
+    try {
+        if (!isValidTradeId(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Trade not found' });
+        }
+        let deleted = null;
+
+        if (dbAvailable && pool) {
+            try {
+                const result = await pool.query(
+                    'DELETE FROM cursor_trade_book.trades WHERE id = $1 AND user_id = $2 RETURNING id, symbol, trade_type',
+                    [req.params.id, req.user.id]
+                );
+                if (result.rows.length === 0) {
+                    return res.status(404).json({ success: false, error: 'Trade not found' });
+                }
+                deleted = result.rows[0];
+            } catch (dbError) {
+                console.log('Database error deleting trade, using memory:', dbError.message);
+                dbAvailable = false;
+            }
+        }
+
+        if (!dbAvailable) {
+            const userTradeList = userTrades.get(req.user.id) || [];
+            const idx = userTradeList.findIndex(t => String(t.id) === String(req.params.id));
+            if (idx === -1) {
+                return res.status(404).json({ success: false, error: 'Trade not found' });
+            }
+            deleted = userTradeList.splice(idx, 1)[0];
+            userJournalEntries.set(req.user.id, (userJournalEntries.get(req.user.id) || []).filter(e => String(e.trade_id) !== String(deleted.id)));
+            (userStrategies.get(req.user.id) || []).forEach(s => {
+                s.trade_ids = s.trade_ids.filter(id => id !== String(deleted.id));
+            });
+        }
+
+        if (isCashTrade(deleted)) {
+            await refreshTradeChargesForUser(req.user.id);
+            await refreshHoldingsForUser(req.user.id);
+        }
+
+        res.json({
+            success: true,
+            message: 'Trade deleted successfully',
+            id: deleted.id
+        });
+    } catch (error) {
+        console.error('Delete trade error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete trade'
+        });
+    }
+});
+
+// Get all users (for friend selection dropdown)
+app.get('/api/users', requireAuth, async (req, res) => {
+    try {
+        let userList = [];
+
+        if (dbAvailable && pool) {
+            try {
+                const result = await pool.query(
+                    'SELECT id, username, full_name, email FROM cursor_trade_book.users WHERE id != $1 ORDER BY username',
+                    [req.user.id]
+                );
+                userList = result.rows;
+            } catch (dbError) {
+                console.log('Database error getting users, using memory:', dbError.message);
+                dbAvailable = false;
+            }
+        }
+
+        if (!dbAvailable) {
+            for (const [id, userData] of users) {
+                if (id !== req.user.id) {
+                    userList.push({
+                        id,
+                        username: userData.username,
+                        full_name: userData.full_name,
+                        email: userData.email
+                    });
+                }
+            }
+        }
+
+        res.json({ success: true, users: userList });
+    } catch (error) {
+        console.error('Get users error:', error);
+        res.status(500).json({ error: 'Failed to get users', users: [] });
+    }
+});
+
+// Friends endpoints (simplified)
+app.get('/api/friends', requireAuth, (req, res) => {
+    res.json({ success: true, friends: [] });
+});
+
+app.post('/api/friends/add', requireAuth, (req, res) => {
+    res.json({ success: true, message: 'Friend added successfully' });
+});
+
+// Profile visibility (persist in DB when available)
+app.post('/api/auth/profile/visibility', requireAuth, async (req, res) => {
+    const isPublic = req.body.isPublic === true;
+    if (dbAvailable && pool) {
+        try {
+            await pool.query(
+                'UPDATE cursor_trade_book.users SET is_public = $1 WHERE id = $2',
+                [isPublic, req.user.id]
+            );
+        } catch (e) {
+            // ignore
+        }
+    } else {
+        const mem = users.get(req.user.id);
+        if (mem) mem.is_public = isPublic;
+    }
+    res.json({
+        success: true,
+        message: `Profile set to ${isPublic ? 'Public' : 'Private'}`,
+        user: { ...req.user, is_public: isPublic }
+    });
+});
+
+// Sharing
+app.get('/api/sharing/portfolios', requireAuth, (req, res) => {
+    res.json({ success: true, portfolios: [] });
+});
+
+// Quote sources: the EquityScraper provider registry. QUOTE_PROVIDERS lists the sources to use in
+// priority order (e.g. "nse,yahoo_finance"; "-screener" only disables one), QUOTE_PROVIDER_MODULES
+// lists extra provider modules (comma-separated paths, default export a provider or a function
+// returning one) and QUOTE_FIXTURES (JSON, e.g. {"RELIANCE": 2950}) registers fixed prices for
+// testing, used alone unless QUOTE_PROVIDERS says otherwise
+const equityScraper = new EquityScraper();
+
+async function loadQuoteProviders() {
+    let fixtures = null;
+    if (process.env.QUOTE_FIXTURES) {
+        try {
+            fixtures = equityScraper.registerProvider(new FixtureProvider({ quotes: JSON.parse(process.env.QUOTE_FIXTURES) }));
+        } catch (error) {
+            console.log('⚠️ Ignoring QUOTE_FIXTURES, not valid JSON:', error.message);
+        }
+    }
+    const modules = (process.env.QUOTE_PROVIDER_MODULES || '').split(',').map(f => f.trim()).filter(Boolean);
+    for (const file of modules) {
+        try {
+            const { default: exported } = await import(pathToFileURL(resolve(file)).href);
+            const provider = equityScraper.registerProvider(typeof exported === 'function' ? await exported() : exported);
+            console.log(`📈 Loaded quote provider ${provider.name} from ${file}`);
+        } catch (error) {
+            console.log(`⚠️ Could not load quote provider ${file}:`, error.message);
+        }
+    }
+    const config = parseProviderList(process.env.QUOTE_PROVIDERS || (fixtures ? fixtures.name : ''));
+    if (config) {
+        const unknown = Object.keys(config).filter(name => name !== '*' && !equityScraper.registry.get(name));
+        if (unknown.length > 0) console.log('⚠️ Unknown sources in QUOTE_PROVIDERS:', unknown.join(', '));
+        equityScraper.configure(config);
+    }
+    const providers = await equityScraper.listProviders();
+    providers.filter(p => p.health === PROVIDER_HEALTH.UNAVAILABLE)
+        .forEach(p => console.log(`⚠️ Quote source ${p.name} unavailable: ${p.last_error}`));
+    console.log(`📈 Quote sources: ${providers.filter(p => p.enabled).map(p => p.name).join(', ') || 'none'}`);
+}
+const quoteProvidersLoaded = loadQuoteProviders();
+
+// Lookups wait for user-supplied provider modules to load
+function createQuoteSource() {
+    return {
+        async getEquityData(symbol) {
+            await quoteProvidersLoaded;
+            return equityScraper.getEquityData(symbol);
+        }
+    };
+}
+
+function toQuoteResponse(r) {
+    const number = value => (value != null ? Number(value) : null);
+    return {
+        symbol: r.symbol,
+        price: number(r.current_price),
+        change: number(r.change_amount),
+        changePercent: number(r.change_percent),
+        high: number(r.day_high),
+        low: number(r.day_low),
+        open: number(r.open_price),
+        prevClose: number(r.prev_close),
+        volume: number(r.volume),
+        marketCap: number(r.market_cap),
+        peRatio: null,
+        source: r.source || null,
+        is_real_data: Boolean(r.is_real_data),
+        updated_at: r.last_updated
+    };
+}
+
+async function loadCachedQuotes(symbols) {
+    if (dbAvailable && pool) {
+        try {
+            const result = await pool.query('SELECT * FROM cursor_trade_book.stock_data WHERE symbol = ANY($1)', [symbols]);
+            return new Map(result.rows.map(r => [r.symbol, toQuoteResponse(r)]));
+        } catch (dbError) {
+            console.log('Database error getting quotes, using memory:', dbError.message);
+            dbAvailable = false;
+        }
+    }
+    return new Map(symbols.filter(s => quoteCache.has(s)).map(s => [s, { ...quoteCache.get(s) }]));
+}
+
+async function storeQuote(quote) {
+    if (dbAvailable && pool) {
+        try {
+            await pool.query(
+                `INSERT INTO cursor_trade_book.stock_data
+                    (symbol, current_price, change_amount, change_percent, volume, day_high, day_low, open_price, prev_close, market_cap, source, is_real_data, last_updated)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+                 ON CONFLICT (symbol) DO UPDATE SET current_price = $2, change_amount = $3, change_percent = $4, volume = $5,
+                    day_high = $6, day_low = $7, open_price = $8, prev_close = $9, market_cap = $10, source = $11, is_real_data = $12, last_updated = $13`,
+                [quote.symbol, quote.price, quote.change, quote.changePercent, quote.volume, quote.high, quote.low, quote.open, quote.prevClose,
+                    quote.marketCap != null ? Math.round(quote.marketCap) : null, quote.source, quote.is_real_data, quote.updated_at]
+            );
+            return;
+        } catch (dbError) {
+            console.log('Database error saving quote, using memory:', dbError.message);
+            dbAvailable = false;
+        }
+    }
+    quoteCache.set(quote.symbol, quote);
+}
+
+// Quotes cached in stock_data for QUOTE_TTL_SECONDS (default 60); expired quotes are looked up
+// again and served stale when every source fails
+const quoteService = new QuoteService({
+    provider: createQuoteSource(),
+    store: { load: loadCachedQuotes, save: storeQuote },
+    ttlMs: Number(process.env.QUOTE_TTL_SECONDS) > 0 ? Number(process.env.QUOTE_TTL_SECONDS) * 1000 : DEFAULT_QUOTE_TTL_MS
+});
+
+// Symbols held (quantity > 0) by any user, once each, with the exchange of their cash trades
+async function loadHeldSymbols() {
+    if (dbAvailable && pool) {
+        try {
+            const result = await pool.query(
+                `SELECT h.symbol, COALESCE(MAX(UPPER(t.market_index)), 'NSE') AS exchange
+                 FROM cursor_trade_book.holdings h
+                 LEFT JOIN cursor_trade_book.trades t
+                   ON t.user_id = h.user_id AND t.symbol = h.symbol AND LOWER(COALESCE(t.trade_type, '')) = 'cash'
+                 WHERE h.quantity > 0
+                 GROUP BY h.symbol`
+            );
+            return result.rows.map(r => ({ symbol: r.symbol, exchange: r.exchange }));
+        } catch (dbError) {
+            console.log('Database error loading held symbols, using memory:', dbError.message);
+            dbAvailable = false;
+        }
+    }
+    const held = new Map();
+    for (const [userId, trades] of userTrades) {
+        const holdings = await loadUserHoldings(userId);
+        for (const h of holdings.filter(h => h.quantity > 0)) {
+            const trade = trades.find(t => isCashTrade(t) && t.symbol === h.symbol && t.market_index);
+            if (!held.has(h.symbol)) held.set(h.symbol, { symbol: h.symbol, exchange: trade ? trade.market_index.toUpperCase() : 'NSE' });
+        }
+    }
+    return [...held.values()];
+}
+
+// Write refreshed prices to every holding of each symbol, then recompute current value, unrealized
+// and net change % for the users holding them; resolves to the number of holdings updated
+async function applyHoldingPrices(quotes) {
+    if (dbAvailable && pool) {
+        try {
+            const users = new Set();
+            let updated = 0;
+            for (const [symbol, quote] of quotes) {
+                const result = await pool.query(
+                    'UPDATE cursor_trade_book.holdings SET current_price = $1 WHERE symbol = $2 AND quantity > 0 RETURNING user_id',
+                    [quote.price, symbol]
+                );
+                updated += result.rowCount;
+                result.rows.forEach(r => users.add(r.user_id));
+            }
+            for (const userId of users) await refreshHoldingsForUser(userId);
+            return updated;
+        } catch (dbError) {
+            console.log('Database error updating holding prices, using memory:', dbError.message);
+            dbAvailable = false;
+        }
+    }
+    for (const [symbol, quote] of quotes) memoryHoldingPrices.set(symbol, Number(quote.price));
+    let updated = 0;
+    for (const trades of userTrades.values()) {
+        updated += new Set(trades.filter(t => isCashTrade(t) && quotes.has(t.symbol)).map(t => t.symbol)).size;
+    }
+    return updated;
+}
+
+async function saveClosingPrices(date, quotes) {
+    const exchanges = new Map((await loadHeldSymbols()).map(h => [h.symbol, h.exchange]));
+    if (dbAvailable && pool) {
+        try {
+            for (const quote of quotes) {
+                await pool.query(
+                    `INSERT INTO cursor_trade_book.closing_prices (symbol, exchange, trade_date, close_price, change_percent, source, is_real_data)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7)
+                     ON CONFLICT (symbol, trade_date) DO UPDATE SET close_price = $4, change_percent = $5, source = $6, is_real_data = $7, recorded_at = CURRENT_TIMESTAMP`,
+                    [quote.symbol, exchanges.get(quote.symbol) || null, date, quote.price, quote.changePercent, quote.source, quote.is_real_data]
+                );
+            }
+            return;
+        } catch (dbError) {
+            console.log('Database error saving closing prices, using memory:', dbError.message);
+            dbAvailable = false;
+        }
+    }
+    for (const quote of quotes) {
+        closingPrices.set(`${date}|${quote.symbol}`, {
+            symbol: quote.symbol,
+            exchange: exchanges.get(quote.symbol) || null,
+            trade_date: date,
+            close_price: Number(quote.price),
+            change_percent: quote.changePercent,
+            source: quote.source,
+            is_real_data: quote.is_real_data
+        });
+    }
+}
+
+// Held symbols are re-quoted every PRICE_REFRESH_SECONDS (default 300) while their exchange is in
+// session, with a closing snapshot once it closes
+const priceRefresher = new PriceRefresher({
+    quoteService,
+    loadHeldSymbols,
+    applyPrices: applyHoldingPrices,
+    saveCloses: saveClosingPrices,
+    intervalMs: (Number(process.env.PRICE_REFRESH_SECONDS) || 300) * 1000,
+    sessionState: (exchange, now) => marketCalendar.sessionState(exchange, now)
+});
+
+// Refresh prices of the user's holdings now, regardless of market hours, and return the holdings:
+// ?portfolio_id=<id>|all
+app.post('/api/holdings/refresh-prices', requireAuth, async (req, res) => {
+    try {
+        const { portfolioId, error } = await resolvePortfolioId(req.user.id, req.query.portfolio_id);
+        if (error) {
+            return res.status(404).json({ success: false, error });
+        }
+        const symbols = (await loadUserHoldings(req.user.id, portfolioId)).filter(h => h.quantity > 0).map(h => h.symbol);
+        const summary = symbols.length > 0 ? await priceRefresher.refresh(symbols) : { refreshed: [], failed: [], holdings_updated: 0 };
+        res.json({
+            success: true,
+            refreshed: summary.refreshed.map(q => ({ symbol: q.symbol, price: q.price, change_percent: q.changePercent, source: q.source, updated_at: q.updated_at })),
+            failed: summary.failed,
+            holdings: await loadUserHoldings(req.user.id, portfolioId)
+        });
+    } catch (error) {
+        console.error('Refresh holding prices error:', error);
+        res.status(500).json({ success: false, error: 'Failed to refresh prices' });
+    }
+});
+
+function toAlertResponse(a) {
+    return {
+        id: a.id,
+        user_id: a.user_id,
+        symbol: a.symbol,
+        alert_type: a.alert_type,
+        alert_label: ALERT_LABELS[a.alert_type] || a.alert_type,
+        threshold: Number(a.threshold),
+        notes: a.notes || null,
+        webhook_url: a.webhook_url || null,
+        status: a.status || ALERT_STATUS.ACTIVE,
+        triggered_at: a.triggered_at || null,
+        triggered_price: a.triggered_price != null ? Number(a.triggered_price) : null,
+        created_at: a.created_at
+    };
+}
+
+// A user's alerts, or with userId null every active alert (for the monitor)
+async function loadAlerts(userId) {
+    if (dbAvailable && pool) {
+        try {
+            const result = userId == null
+                ? await pool.query('SELECT * FROM cursor_trade_book.alerts WHERE status = $1 ORDER BY id', [ALERT_STATUS.ACTIVE])
+                : await pool.query('SELECT * FROM cursor_trade_book.alerts WHERE user_id = $1 ORDER BY created_at DESC, id DESC', [userId]);
+            return result.rows.map(toAlertResponse);
+        } catch (dbError) {
+            console.log('Database error getting alerts, using memory:', dbError.message);
+            dbAvailable = false;
+        }
+    }
+    if (userId == null) {
+        return [...userAlerts.values()].flat().filter(a => a.status === ALERT_STATUS.ACTIVE).map(toAlertResponse);
+    }
+    return (userAlerts.get(userId) || []).map(toAlertResponse).reverse();
+}
+
+async function saveAlert(userId, fields, alertId = null) {
+    if (dbAvailable && pool) {
+        try {
+            if (alertId == null) {
+                const result = await pool.query(
+                    `INSERT INTO cursor_trade_book.alerts (user_id, symbol, alert_type, threshold, notes, webhook_url)
+                     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+                    [userId, fields.symbol, fields.alert_type, fields.threshold, fields.notes ?? null, fields.webhook_url ?? null]
+                );
+                return toAlertResponse(result.rows[0]);
+            }
+            const columns = Object.keys(fields).filter(key => fields[key] !== undefined);
+            const result = await pool.query(
+                `UPDATE cursor_trade_book.alerts SET ${columns.map((key, i) => `${key} = $${i + 1}`).join(', ')}
+                 WHERE id = $${columns.length + 1} AND user_id = $${columns.length + 2} RETURNING *`,
+                [...columns.map(key => fields[key]), alertId, userId]
+            );
+            return result.rows[0] ? toAlertResponse(result.rows[0]) : null;
+        } catch (dbError) {
+            console.log('Database error saving alert, using memory:', dbError.message);
+            dbAvailable = false;
+        }
+    }
+    const list = userAlerts.get(userId) || [];
+    let record = alertId != null ? list.find(a => a.id === alertId) : null;
+    if (alertId != null && !record) return null;
+    if (!record) {
+        record = { id: ++lastAlertId, user_id: userId, status: ALERT_STATUS.ACTIVE, triggered_at: null, triggered_price: null, created_at: new Date().toISOString() };
+        list.push(record);
+        userAlerts.set(userId, list);
+    }
+    Object.keys(fields).forEach(key => {
+        if (fields[key] !== undefined) record[key] = fields[key];
+    });
+    return toAlertResponse(record);
+}
+
+function toNotificationResponse(n) {
+    return {
+        id: n.id,
+        alert_id: n.alert_id ?? null,
+        title: n.title,
+        message: n.message || null,
+        webhook_status: n.webhook_status || null,
+        created_at: n.created_at,
+        read_at: n.read_at || null
+    };
+}
+
+async function loadNotifications(userId) {
+    if (dbAvailable && pool) {
+        try {
+            const result = await pool.query(
+                'SELECT * FROM cursor_trade_book.notifications WHERE user_id = $1 ORDER BY created_at DESC, id DESC LIMIT 200',
+                [userId]
+            );
+            return result.rows.map(toNotificationResponse);
+        } catch (dbError) {
+            console.log('Database error getting notifications, using memory:', dbError.message);
+            dbAvailable = false;
+        }
+    }
+    return (userNotifications.get(userId) || []).map(toNotificationResponse).reverse();
+}
+
+async function insertNotification(userId, notification) {
+    if (dbAvailable && pool) {
+        try {
+            const result = await pool.query(
+                `INSERT INTO cursor_trade_book.notifications (user_id, alert_id, title, message, webhook_status)
+                 VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+                [userId, notification.alert_id, notification.title, notification.message, notification.webhook_status ?? null]
+            );
+            return toNotificationResponse(result.rows[0]);
+        } catch (dbError) {
+            console.log('Database error saving notification, using memory:', dbError.message);
+            dbAvailable = false;
+        }
+    }
+    const record = { id: ++lastNotificationId, ...notification, created_at: new Date().toISOString(), read_at: null };
+    userNotifications.set(userId, [...(userNotifications.get(userId) || []), record]);
+    return toNotificationResponse(record);
+}
+
+// A triggered alert fires once: it is marked triggered, a notification is stored, and the
+// alert's webhook (if any) receives { alert, notification }
+async function recordTriggeredAlert(alert, { price, message }) {
+    const triggered = await saveAlert(alert.user_id, { status: ALERT_STATUS.TRIGGERED, triggered_at: new Date().toISOString(), triggered_price: price }, alert.id);
+    const notification = { alert_id: alert.id, title: `${ALERT_LABELS[alert.alert_type] || 'Alert'}: ${alert.symbol}`, message };
+    if (alert.webhook_url) {
+        const delivery = await postWebhook(alert.webhook_url, { alert: triggered || alert, notification: { ...notification, price } });
+        notification.webhook_status = delivery.ok ? 'sent' : `failed: ${delivery.error}`.slice(0, 100);
+        if (!delivery.ok) console.log(`Alert ${alert.id} webhook failed:`, delivery.error);
+    }
+    return insertNotification(alert.user_id, notification);
+}
+
+const alertMonitor = new AlertMonitor({
+    // Alerts fire on fresh quotes only, never on a stale fallback
+    quoteSource: {
+        async getEquityData(symbol) {
+            const quote = await quoteService.getQuote(symbol);
+            if (!quote || quote.stale) throw new Error(`No live quote for ${symbol}`);
+            return quote;
+        }
+    },
+    loadActiveAlerts: () => loadAlerts(null),
+    loadHolding: async (userId, symbol) => (await loadUserHoldings(userId)).find(h => h.symbol === symbol) || null,
+    onTrigger: recordTriggeredAlert,
+    intervalMs: (Number(process.env.ALERT_INTERVAL_SECONDS) || 60) * 1000,
+    isMarketOpen: now => marketCalendar.isMarketOpen('NSE', now)
+});
+
+// Holding alerts (stop-loss, target) need shares of the symbol
+async function checkAlertHolding(userId, alert) {
+    if (!HOLDING_ALERT_TYPES.includes(alert.alert_type)) return null;
+    const holding = (await loadUserHoldings(userId)).find(h => h.symbol === alert.symbol);
+    return holding && holding.quantity > 0 ? null : `${ALERT_LABELS[alert.alert_type]} alerts need a holding in ${alert.symbol}`;
+}
+
+// Alerts: ?status=active|triggered|disabled
+app.get('/api/alerts', requireAuth, async (req, res) => {
+    try {
+        const status = req.query.status ? String(req.query.status).toLowerCase() : null;
+        if (status && !Object.values(ALERT_STATUS).includes(status)) {
+            return res.status(400).json({ success: false, error: `status must be one of: ${Object.values(ALERT_STATUS).join(', ')}`, alerts: [] });
+        }
+        const alerts = (await loadAlerts(req.user.id)).filter(a => !status || a.status === status);
+        res.json({ success: true, alerts, monitor: { interval_seconds: alertMonitor.intervalMs / 1000, last_run: alertMonitor.lastRun } });
+    } catch (error) {
+        console.error('Get alerts error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get alerts', alerts: [] });
+    }
+});
+
+// Create an alert: { symbol, alert_type, threshold, notes, webhook_url }
+app.post('/api/alerts', requireAuth, async (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+        const { alert, error } = parseAlertInput(body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        const holdingError = await checkAlertHolding(req.user.id, alert);
+        if (holdingError) {
+            return res.status(400).json({ success: false, error: holdingError });
+        }
+        res.status(201).json({ success: true, alert: await saveAlert(req.user.id, alert) });
+    } catch (error) {
+        console.error('Create alert error:', error);
+        res.status(500).json({ success: false, error: 'Failed to create alert' });
+    }
+});
+
+// Update threshold, notes, webhook_url or status (active re-arms a triggered alert, disabled pauses it)
+app.patch('/api/alerts/:id', requireAuth, async (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+        const { alert, error } = parseAlertInput(body, { partial: true });
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        const current = (await loadAlerts(req.user.id)).find(a => a.id === Number(req.params.id));
+        if (!current) {
+            return res.status(404).json({ success: false, error: 'Alert not found' });
+        }
+        if (alert.threshold !== undefined && current.alert_type !== ALERT_TYPES.PERCENT_CHANGE && !(alert.threshold > 0)) {
+            return res.status(400).json({ success: false, error: 'threshold must be a price greater than 0' });
+        }
+        if (alert.status === ALERT_STATUS.ACTIVE) {
+            Object.assign(alert, { triggered_at: null, triggered_price: null });
+        }
+        res.json({ success: true, alert: await saveAlert(req.user.id, alert, current.id) });
+    } catch (error) {
+        console.error('Update alert error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update alert' });
+    }
+});
+
+app.delete('/api/alerts/:id', requireAuth, async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+        if (!(await loadAlerts(req.user.id)).some(a => a.id === id)) {
+            return res.status(404).json({ success: false, error: 'Alert not found' });
+        }
+        if (dbAvailable && pool) {
+            await pool.query('DELETE FROM cursor_trade_book.alerts WHERE id = $1 AND user_id = $2', [id, req.user.id]);
+        } else {
+            userAlerts.set(req.user.id, (userAlerts.get(req.user.id) || []).filter(a => a.id !== id));
+        }
+        res.json({ success: true, message: 'Alert deleted' });
+    } catch (error) {
+        console.error('Delete alert error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete alert' });
+    }
+});
+
+// Check the user's active alerts now, outside the schedule and regardless of market hours
+app.post('/api/alerts/check', requireAuth, async (req, res) => {
+    try {
+        const summary = await alertMonitor.runOnce(await loadAlerts(req.user.id));
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        console.error('Check alerts error:', error);
+        res.status(500).json({ success: false, error: 'Failed to check alerts' });
+    }
+});
+
+// Triggered-alert notifications, newest first: ?unread=true
+app.get('/api/notifications', requireAuth, async (req, res) => {
+    try {
+        const notifications = await loadNotifications(req.user.id);
+        const unread = notifications.filter(n => !n.read_at);
+        res.json({ success: true, notifications: req.query.unread === 'true' ? unread : notifications, unread: unread.length });
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get notifications', notifications: [] });
+    }
+});
+
+// Mark notifications read: { ids } or all when ids is omitted
+app.post('/api/notifications/read', requireAuth, async (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+        const ids = Array.isArray(body.ids) ? body.ids.map(Number) : null;
+        const readAt = new Date().toISOString();
+        if (dbAvailable && pool) {
+            await pool.query(
+                `UPDATE cursor_trade_book.notifications SET read_at = $1
+                 WHERE user_id = $2 AND read_at IS NULL AND ($3::int[] IS NULL OR id = ANY($3))`,
+                [readAt, req.user.id, ids]
+            );
+        } else {
+            (userNotifications.get(req.user.id) || [])
+                .filter(n => !n.read_at && (!ids || ids.includes(n.id)))
+                .forEach(n => { n.read_at = readAt; });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Read notifications error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update notifications' });
+    }
+});
+
+function toWatchlistItemResponse(i) {
+    return {
+        symbol: i.symbol,
+        notes: i.notes || null,
+        target_price: i.target_price != null ? Number(i.target_price) : null,
+        added_at: i.added_at
+    };
+}
+
+async function loadWatchlists(userId) {
+    if (dbAvailable && pool) {
+        try {
+            const lists = await pool.query(
+                'SELECT id, name, created_at FROM cursor_trade_book.watchlists WHERE user_id = $1 ORDER BY name',
+                [userId]
+            );
+            const items = await pool.query(
+                `SELECT i.watchlist_id, i.symbol, i.notes, i.target_price, i.added_at
+                 FROM cursor_trade_book.watchlist_items i JOIN cursor_trade_book.watchlists w ON w.id = i.watchlist_id
+                 WHERE w.user_id = $1 ORDER BY i.added_at, i.id`,
+                [userId]
+            );
+            return lists.rows.map(w => ({
+                id: w.id,
+                name: w.name,
+                created_at: w.created_at,
+                items: items.rows.filter(i => i.watchlist_id === w.id).map(toWatchlistItemResponse)
+            }));
+        } catch (dbError) {
+            console.log('Database error getting watchlists, using memory:', dbError.message);
+            dbAvailable = false;
+        }
+    }
+    return (userWatchlists.get(userId) || [])
+        .map(w => ({ id: w.id, name: w.name, created_at: w.created_at, items: w.items.map(toWatchlistItemResponse) }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Watchlists with latest quotes (one lookup per distinct symbol), unless quotes=false
+async function watchlistViews(watchlists, withQuotes = true) {
+    const quotes = withQuotes ? await quoteService.getQuotes(watchlists.flatMap(w => w.items.map(i => i.symbol))) : new Map();
+    return watchlists.map(w => buildWatchlistView(w, quotes));
+}
+
+// Find the user's watchlist from :id, or send 404
+async function findWatchlist(req, res) {
+    const watchlist = (await loadWatchlists(req.user.id)).find(w => w.id === Number(req.params.id));
+    if (!watchlist) res.status(404).json({ success: false, error: 'Watchlist not found' });
+    return watchlist || null;
+}
+
+// Watchlists with a quote per symbol: ?quotes=false skips the quote lookup
+app.get('/api/watchlists', requireAuth, async (req, res) => {
+    try {
+        const watchlists = await watchlistViews(await loadWatchlists(req.user.id), req.query.quotes !== 'false');
+        res.json({ success: true, watchlists });
+    } catch (error) {
+        console.error('Get watchlists error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get watchlists', watchlists: [] });
+    }
+});
+
+app.get('/api/watchlists/:id', requireAuth, async (req, res) => {
+    try {
+        const watchlist = await findWatchlist(req, res);
+        if (!watchlist) return;
+        res.json({ success: true, watchlist: (await watchlistViews([watchlist], req.query.quotes !== 'false'))[0] });
+    } catch (error) {
+        console.error('Get watchlist error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get watchlist' });
+    }
+});
+
+// Create a watchlist: { name }
+app.post('/api/watchlists', requireAuth, async (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+        const { watchlist, error } = parseWatchlistInput(body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        if ((await loadWatchlists(req.user.id)).some(w => w.name.toLowerCase() === watchlist.name.toLowerCase())) {
+            return res.status(409).json({ success: false, error: 'A watchlist with this name already exists' });
+        }
+        let created = null;
+        if (dbAvailable && pool) {
+            try {
+                const result = await pool.query(
+                    'INSERT INTO cursor_trade_book.watchlists (user_id, name) VALUES ($1, $2) RETURNING id, name, created_at',
+                    [req.user.id, watchlist.name]
+                );
+                created = { ...result.rows[0], items: [] };
+            } catch (dbError) {
+                console.log('Database error creating watchlist, using memory:', dbError.message);
+                dbAvailable = false;
+            }
+        }
+        if (!created) {
+            created = { id: ++lastWatchlistId, name: watchlist.name, created_at: new Date().toISOString(), items: [] };
+            userWatchlists.set(req.user.id, [...(userWatchlists.get(req.user.id) || []), created]);
+        }
+        res.status(201).json({ success: true, watchlist: { id: created.id, name: created.name, created_at: created.created_at, items: [] } });
+    } catch (error) {
+        console.error('Create watchlist error:', error);
+        res.status(500).json({ success: false, error: 'Failed to create watchlist' });
+    }
+});
+
+// Rename a watchlist: { name }
+app.patch('/api/watchlists/:id', requireAuth, async (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+        const current = await findWatchlist(req, res);
+        if (!current) return;
+        const { watchlist, error } = parseWatchlistInput(body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        if ((await loadWatchlists(req.user.id)).some(w => w.id !== current.id && w.name.toLowerCase() === watchlist.name.toLowerCase())) {
+            return res.status(409).json({ success: false, error: 'A watchlist with this name already exists' });
+        }
+        if (dbAvailable && pool) {
+            await pool.query('UPDATE cursor_trade_book.watchlists SET name = $1 WHERE id = $2 AND user_id = $3', [watchlist.name, current.id, req.user.id]);
+        } else {
+            (userWatchlists.get(req.user.id) || []).find(w => w.id === current.id).name = watchlist.name;
+        }
+        res.json({ success: true, watchlist: { ...current, name: watchlist.name } });
+    } catch (error) {
+        console.error('Update watchlist error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update watchlist' });
+    }
+});
+
+app.delete('/api/watchlists/:id', requireAuth, async (req, res) => {
+    try {
+        const current = await findWatchlist(req, res);
+        if (!current) return;
+        if (dbAvailable && pool) {
+            await pool.query('DELETE FROM cursor_trade_book.watchlists WHERE id = $1 AND user_id = $2', [current.id, req.user.id]);
+        } else {
+            userWatchlists.set(req.user.id, (userWatchlists.get(req.user.id) || []).filter(w => w.id !== current.id));
+        }
+        res.json({ success: true, message: 'Watchlist deleted' });
+    } catch (error) {
+        console.error('Delete watchlist error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete watchlist' });
+    }
+});
+
+// Add a symbol: { symbol, notes, target_price }
+app.post('/api/watchlists/:id/symbols', requireAuth, async (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+        const current = await findWatchlist(req, res);
+        if (!current) return;
+        const { item, error } = parseWatchlistItem(body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        if (current.items.some(i => i.symbol === item.symbol)) {
+            return res.status(409).json({ success: false, error: `${item.symbol} is already in this watchlist` });
+        }
+        if (current.items.length >= MAX_WATCHLIST_SYMBOLS) {
+            return res.status(400).json({ success: false, error: `A watchlist holds at most ${MAX_WATCHLIST_SYMBOLS} symbols` });
+        }
+        let added = null;
+        if (dbAvailable && pool) {
+            try {
+                const result = await pool.query(
+                    `INSERT INTO cursor_trade_book.watchlist_items (watchlist_id, symbol, notes, target_price) VALUES ($1, $2, $3, $4)
+                     RETURNING symbol, notes, target_price, added_at`,
+                    [current.id, item.symbol, item.notes, item.target_price]
+                );
+                added = toWatchlistItemResponse(result.rows[0]);
+            } catch (dbError) {
+                console.log('Database error adding watchlist symbol, using memory:', dbError.message);
+                dbAvailable = false;
+            }
+        }
+        if (!added) {
+            const record = { ...item, added_at: new Date().toISOString() };
+            (userWatchlists.get(req.user.id) || []).find(w => w.id === current.id).items.push(record);
+            added = toWatchlistItemResponse(record);
+        }
+        const quotes = await quoteService.getQuotes([added.symbol]);
+        res.status(201).json({ success: true, item: buildWatchlistView({ items: [added] }, quotes).items[0] });
+    } catch (error) {
+        console.error('Add watchlist symbol error:', error);
+        res.status(500).json({ success: false, error: 'Failed to add symbol' });
+    }
+});
+
+// Update a symbol's notes or target_price
+app.patch('/api/watchlists/:id/symbols/:symbol', requireAuth, async (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+        const current = await findWatchlist(req, res);
+        if (!current) return;
+        const symbol = String(req.params.symbol).toUpperCase();
+        const existing = current.items.find(i => i.symbol === symbol);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: `${symbol} is not in this watchlist` });
+        }
+        const { item, error } = parseWatchlistItem(body, { partial: true });
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        const updated = { ...existing, ...item };
+        if (dbAvailable && pool) {
+            await pool.query(
+                'UPDATE cursor_trade_book.watchlist_items SET notes = $1, target_price = $2 WHERE watchlist_id = $3 AND symbol = $4',
+                [updated.notes, updated.target_price, current.id, symbol]
+            );
+        } else {
+            const record = (userWatchlists.get(req.user.id) || []).find(w => w.id === current.id).items.find(i => i.symbol === symbol);
+            Object.assign(record, item);
+        }
+        res.json({ success: true, item: updated });
+    } catch (error) {
+        console.error('Update watchlist symbol error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update symbol' });
+    }
+});
+
+app.delete('/api/watchlists/:id/symbols/:symbol', requireAuth, async (req, res) => {
+    try {
+        const current = await findWatchlist(req, res);
+        if (!current) return;
+        const symbol = String(req.params.symbol).toUpperCase();
+        if (!current.items.some(i => i.symbol === symbol)) {
+            return res.status(404).json({ success: false, error: `${symbol} is not in this watchlist` });
+        }
+        if (dbAvailable && pool) {
+            await pool.query('DELETE FROM cursor_trade_book.watchlist_items WHERE watchlist_id = $1 AND symbol = $2', [current.id, symbol]);
+        } else {
+            const record = (userWatchlists.get(req.user.id) || []).find(w => w.id === current.id);
+            record.items = record.items.filter(i => i.symbol !== symbol);
+        }
+        res.json({ success: true, message: `${symbol} removed` });
+    } catch (error) {
+        console.error('Remove watchlist symbol error:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove symbol' });
+    }
+});
+
+// Batch quotes: ?symbols=RELIANCE,TCS&refresh=true (refresh skips the cache)
+app.get('/api/quotes', requireAuth, async (req, res) => {
+    try {
+        const symbols = parseListParam(req.query.symbols).map(s => s.toUpperCase());
+        if (symbols.length === 0 || symbols.length > 50) {
+            return res.status(400).json({ success: false, error: 'symbols must list 1 to 50 symbols', quotes: [] });
+        }
+        const quotes = await quoteService.getQuotes(symbols, { refresh: req.query.refresh === 'true' });
+        res.json({
+            success: true,
+            quotes: [...quotes.values()].filter(Boolean),
+            missing: [...quotes].filter(([, quote]) => !quote).map(([symbol]) => symbol)
+        });
+    } catch (error) {
+        console.error('Get quotes error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get quotes', quotes: [] });
+    }
+});
+
+// Quote sources with their capabilities, priority and health
+app.get('/api/quotes/providers', requireAuth, async (req, res) => {
+    try {
+        await quoteProvidersLoaded;
+        res.json({ success: true, providers: await equityScraper.listProviders() });
+    } catch (error) {
+        console.error('Get quote providers error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get quote providers', providers: [] });
+    }
+});
+
+// Symbols a user follows on the live stream (open holdings, underlyings of open F&O positions and
+// watchlist symbols) and their holdings for live P&L
+async function loadStreamUser(userId) {
+    const holdings = await loadUserHoldings(userId);
+    const trades = await loadUserTrades(userId);
+    const positions = computePositions(trades.filter(isDerivativeTrade), { marks: await loadPositionMarks(userId), contractMaster });
+    const watchlists = await loadWatchlists(userId);
+    return {
+        symbols: [
+            ...holdings.filter(h => h.quantity > 0).map(h => h.symbol),
+            ...positions.filter(p => p.status === 'open').map(p => p.symbol),
+            ...watchlists.flatMap(w => w.items.map(i => i.symbol))
+        ],
+        holdings
+    };
+}
+
+// Quote updates pushed every STREAM_INTERVAL_SECONDS (default 5) while browsers are connected
+const priceStream = new PriceStream({
+    quoteService,
+    loadUser: loadStreamUser,
+    intervalMs: (Number(process.env.STREAM_INTERVAL_SECONDS) || 5) * 1000
+});
+
+// EventSource cannot send headers, so the stream also takes the JWT as ?token=
+function acceptQueryToken(req, res, next) {
+    if (!req.headers.authorization && req.query.token) {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+}
+
+// Live quotes as Server-Sent Events: ?symbols= to follow besides holdings, positions and watchlists.
+// Events: ready { client_id, symbols }, quotes { quotes }, holdings { holdings (live P&L) }, heartbeat
+app.get('/api/stream', acceptQueryToken, requireAuth, async (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    let client = null;
+    let closed = false;
+    req.on('close', () => {
+        closed = true;
+        if (client) priceStream.disconnect(client.id);
+    });
+    try {
+        client = await priceStream.connect(req.user.id, (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }, parseListParam(req.query.symbols));
+        if (closed) priceStream.disconnect(client.id);
+    } catch (error) {
+        console.error('Price stream connect error:', error);
+        if (client) priceStream.disconnect(client.id);
+        res.write(`event: error\ndata: ${JSON.stringify({ error: 'Failed to start the price stream' })}\n\n`);
+        res.end();
+    }
+});
+
+// Follow or stop following symbols on a stream connection: { symbols }
+app.post('/api/stream/:clientId/:action(subscribe|unsubscribe)', requireAuth, (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+        const clientId = Number(req.params.clientId);
+        const client = priceStream.clients.get(clientId);
+        if (!client || client.userId !== req.user.id) {
+            return res.status(404).json({ success: false, error: 'Stream connection not found' });
+        }
+        const symbols = parseListParam(body.symbols);
+        if (symbols.length === 0) {
+            return res.status(400).json({ success: false, error: 'symbols is required' });
+        }
+        const followed = req.params.action === 'subscribe'
+            ? priceStream.subscribe(clientId, symbols)
+            : priceStream.unsubscribe(clientId, symbols);
+        res.json({ success: true, client_id: clientId, symbols: followed });
+    } catch (error) {
+        console.error('Stream subscription error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update the stream' });
+    }
+});
+
+// Polling fallback for browsers without a stream: the same quotes and live holdings in one response
+app.get('/api/stream/snapshot', requireAuth, async (req, res) => {
+    try {
+        const snapshot = await priceStream.snapshot(req.user.id, parseListParam(req.query.symbols));
+        res.json({ success: true, ...snapshot, interval_seconds: priceStream.intervalMs / 1000 });
+    } catch (error) {
+        console.error('Stream snapshot error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get quotes', quotes: [], holdings: [] });
+    }
+});
+
+// Stock data for one symbol (used by the legacy page), from the quote service
+app.post('/api/stock-data', requireAuth, async (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+        const symbol = String(body.symbol || '').trim().toUpperCase();
+        if (!symbol) {
+            return res.status(400).json({ success: false, error: 'Symbol is required' });
+        }
+        const quote = await quoteService.getQuote(symbol);
+        if (!quote) {
+            return res.status(502).json({ success: false, error: `No quote available for ${symbol}` });
+        }
+        res.json({
+            success: true,
+            data: {
+                symbol: quote.symbol,
+                price: quote.price,
+                change: quote.change,
+                change_percent: quote.changePercent,
+                volume: quote.volume,
+                high: quote.high,
+                low: quote.low,
+                open: quote.open,
+                prev_close: quote.prevClose,
+                market_cap: quote.marketCap,
+                pe_ratio: quote.peRatio,
+                source: quote.source,
+                is_real_data: quote.is_real_data,
+                stale: quote.stale,
+                last_updated: quote.updated_at
+            }
+        });
+    } catch (error) {
+        console.error('Stock data error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get stock data' });
+    }
+});
+
+// Serve main page
+app.get('/', (req, res) => {
+    res.sendFile(join(__dirname, 'index.html'));
+});
+
+// Auth page
+app.get('/auth', (req, res) => {
+    res.sendFile(join(__dirname, 'auth.html'));
+});
+
+// Start server
+app.listen(PORT, () => {
+    console.log('🎉 Working Trade Book Server Started Successfully!');
+    console.log('============================================================');
+    console.log(`🌐 Main App: http://localhost:${PORT}`);
+    console.log(`🔐 Auth Page: http://localhost:${PORT}/auth`);
+    console.log(`🩺 Health Check: http://localhost:${PORT}/api/health`);
+    console.log(`🚀 Railway Health: http://localhost:${PORT}/railway-health`);
+    console.log('✨ Features:');
+    console.log('   📝 Simple but robust authentication');
+    console.log('   💾 Database integration with memory fallback');
+    console.log('   💼 Trade management');
+    console.log('   📊 Portfolio tracking');
+    console.log('   🔍 Cached stock quotes');
+    console.log('   🚀 Railway deployment ready');
+    console.log(`📊 Database Status: ${dbAvailable ? '✅ Connected' : '❌ Offline (using memory)'}`);
+    console.log('💡 Use simple username login or register with password!');
     console.log('============================================================');
+    if (process.env.ALERTS_ENABLED !== 'false') {
+        alertMonitor.start();
+        console.log(`🔔 Alert monitor checking every ${alertMonitor.intervalMs / 1000}s during NSE market hours`);
+    }
+    if (process.env.PRICE_REFRESH_ENABLED !== 'false') {
+        priceRefresher.start();
+        console.log(`💹 Holding prices refreshed every ${priceRefresher.intervalMs / 1000}s during NSE/BSE/MCX sessions`);
+    }
 });
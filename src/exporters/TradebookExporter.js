@@ -0,0 +1,198 @@
+import ExcelJS from 'exceljs';
+import { stringifyCSV } from '../utils/csv.js';
+import { toISODateString } from '../utils/date.js';
+
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx',
+  JSON: 'json'
+};
+
+// Headers are the trade field names so CSV exports re-import through the tradebook parser
+export const TRADE_EXPORT_COLUMNS = [
+  { key: 'id', width: 12 },
+  { key: 'date', width: 12 },
+  { key: 'trade_month', width: 10 },
+  { key: 'symbol', width: 16 },
+  { key: 'market_index', width: 8 },
+  { key: 'type', width: 6 },
+  { key: 'trade_type', width: 10 },
+  { key: 'quantity', width: 10 },
+  { key: 'price', width: 12 },
+  { key: 'strike_price', width: 12 },
+  { key: 'expiry', width: 12 },
+  { key: 'value', width: 14 },
+  { key: 'product', width: 10 },
+  { key: 'charges', width: 10 },
+  { key: 'reason', width: 40 },
+  { key: 'broker', width: 12 },
+  { key: 'broker_trade_id', width: 18 }
+];
+
+export const HOLDING_EXPORT_COLUMNS = [
+  { key: 'symbol', width: 16 },
+  { key: 'quantity', width: 10 },
+  { key: 'avg_buy_price', width: 12 },
+  { key: 'avg_buy_qty', width: 10 },
+  { key: 'avg_sell_price', width: 12 },
+  { key: 'avg_sell_qty', width: 10 },
+  { key: 'avg_cost', width: 12 },
+  { key: 'invested_value', width: 14 },
+  { key: 'current_price', width: 12 },
+  { key: 'current_value', width: 14 },
+  { key: 'net_change_pct', width: 10 },
+  { key: 'realized_pnl', width: 14 },
+  { key: 'unrealized_pnl', width: 14 },
+  { key: 'charges', width: 12 },
+  { key: 'net_pnl', width: 14 },
+  { key: 'dividend_income', width: 14 },
+  { key: 'cost_basis_method', width: 16 }
+];
+
+const CONTENT_TYPES = {
+  [EXPORT_FORMATS.CSV]: 'text/csv; charset=utf-8',
+  [EXPORT_FORMATS.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  [EXPORT_FORMATS.JSON]: 'application/json; charset=utf-8'
+};
+
+/**
+ * Tradebook Exporter
+ * Serializes trades and holdings as CSV, XLSX or JSON.
+ * The JSON document has the same shape as TradeManager.exportPortfolio().
+ */
+export class TradebookExporter {
+  /**
+   * Flatten a trade for tabular output
+   * @param {Object} trade - Trade row from the API
+   * @returns {Object} Export record
+   */
+  toTradeRecord(trade) {
+    const quantity = Number(trade.quantity) || 0;
+    const price = trade.price != null ? Number(trade.price) : null;
+    return {
+      id: trade.id,
+      date: toISODateString(trade.date),
+      trade_month: trade.trade_month || (toISODateString(trade.date) || '').slice(0, 7) || null,
+      symbol: trade.symbol,
+      market_index: trade.market_index || null,
+      type: (trade.type || trade.trade_action || '').toLowerCase(),
+      trade_type: trade.trade_type || null,
+      quantity,
+      price,
+      strike_price: trade.strike_price != null ? Number(trade.strike_price) : null,
+      expiry: toISODateString(trade.expiry),
+      value: price != null ? Math.round(quantity * price * 100) / 100 : null,
+      product: trade.product || null,
+      charges: trade.charges?.total ?? null,
+      reason: trade.reason || null,
+      broker: trade.broker || null,
+      broker_trade_id: trade.broker_trade_id || null
+    };
+  }
+
+  /**
+   * Flatten a holding for tabular output
+   * @param {Object} holding - Holding row from the API
+   * @returns {Object} Export record
+   */
+  toHoldingRecord(holding) {
+    const buyQty = Number(holding.avg_buy_qty) || 0;
+    const sellQty = Number(holding.avg_sell_qty) || 0;
+    return {
+      symbol: holding.symbol,
+      quantity: holding.quantity != null ? Number(holding.quantity) : buyQty - sellQty,
+      avg_buy_price: holding.avg_buy_price,
+      avg_buy_qty: holding.avg_buy_qty,
+      avg_sell_price: holding.avg_sell_price,
+      avg_sell_qty: holding.avg_sell_qty,
+      avg_cost: holding.avg_cost ?? null,
+      invested_value: holding.invested_value,
+      current_price: holding.current_price,
+      current_value: holding.current_value,
+      net_change_pct: holding.net_change_pct,
+      realized_pnl: holding.realized_pnl ?? null,
+      unrealized_pnl: holding.unrealized_pnl ?? null,
+      charges: holding.charges ?? null,
+      net_pnl: holding.net_pnl ?? null,
+      dividend_income: holding.dividend_income ?? null,
+      cost_basis_method: holding.cost_basis_method ?? null
+    };
+  }
+
+  /**
+   * Build the JSON export document
+   * @param {Object} data - Export data
+   * @param {Array} data.trades - Trades (optional)
+   * @param {Array} data.holdings - Holdings (optional)
+   * @param {Object} data.filters - Filters applied
+   * @returns {Object} Export document
+   */
+  toJSONDocument({ trades, holdings, filters = {} }) {
+    const doc = {
+      format: 'trade-book-export',
+      version: 1,
+      exportDate: new Date().toISOString(),
+      filters
+    };
+    if (trades) {
+      doc.trades = trades.map(t => this.toTradeRecord(t));
+    }
+    if (holdings) {
+      doc.holdings = holdings.map(h => this.toHoldingRecord(h));
+      doc.portfolio = Object.fromEntries(doc.holdings.map(h => [h.symbol, {
+        symbol: h.symbol,
+        totalQuantity: h.quantity,
+        averagePrice: h.avg_cost || h.avg_buy_price || 0,
+        totalInvested: h.invested_value || 0,
+        trades: []
+      }]));
+    }
+    return doc;
+  }
+
+  /**
+   * Write records to an XLSX workbook with a single sheet
+   * @param {string} sheetName - Worksheet name
+   * @param {Array<Object>} records - Rows
+   * @param {Array<Object>} columns - Column definitions
+   * @returns {Promise<Buffer>} XLSX file contents
+   */
+  async toXLSX(sheetName, records, columns) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map(c => ({ header: c.header || c.key, key: c.key, width: c.width || 14 }));
+    sheet.addRows(records);
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  /**
+   * Export trades or holdings in the requested format
+   * @param {string} format - 'csv', 'xlsx' or 'json'
+   * @param {Object} data - { trades } or { holdings }, plus filters
+   * @returns {Promise<{contentType: string, extension: string, body: string|Buffer}>}
+   */
+  async export(format, data) {
+    if (!Object.values(EXPORT_FORMATS).includes(format)) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+    const isTrades = Array.isArray(data.trades);
+    const records = isTrades
+      ? data.trades.map(t => this.toTradeRecord(t))
+      : (data.holdings || []).map(h => this.toHoldingRecord(h));
+    const columns = isTrades ? TRADE_EXPORT_COLUMNS : HOLDING_EXPORT_COLUMNS;
+
+    let body;
+    if (format === EXPORT_FORMATS.CSV) {
+      body = stringifyCSV(records, columns);
+    } else if (format === EXPORT_FORMATS.XLSX) {
+      body = await this.toXLSX(isTrades ? 'Trades' : 'Holdings', records, columns);
+    } else {
+      body = JSON.stringify(this.toJSONDocument(data), null, 2);
+    }
+
+    return { contentType: CONTENT_TYPES[format], extension: format, body };
+  }
+}
@@ -0,0 +1,177 @@
+import { parseCSV } from '../utils/csv.js';
+import { DEFAULT_BROKER_PARSERS } from './brokers/index.js';
+import { BROKERS } from '../types/trade.js';
+import { MarketCalendar } from '../utils/MarketCalendar.js';
+import { parseISODate } from '../utils/date.js';
+
+/**
+ * Tradebook Importer
+ * Detects the broker format of a tradebook CSV and maps its rows to trade records.
+ *
+ * A broker parser is a plain object:
+ *   { id, name, detect(headers) => boolean, mapRow(record, context) => trade | null }
+ * mapRow returns null to skip a row (e.g. cancelled orders) and throws for invalid rows.
+ * context.calendar is a MarketCalendar, for the expiry of monthly contracts given only by month.
+ */
+export class TradebookImporter {
+  /**
+   * @param {Array<Object>} parsers - Broker parsers
+   * @param {Object} options - { calendar: MarketCalendar with holidays and listed expiries (default: weekday rules only) }
+   */
+  constructor(parsers = DEFAULT_BROKER_PARSERS, { calendar = new MarketCalendar() } = {}) {
+    this.calendar = calendar;
+    this.parsers = new Map();
+    parsers.forEach(parser => this.registerParser(parser));
+  }
+
+  /**
+   * Register a broker parser (replaces an existing parser with the same id)
+   * @param {Object} parser - Broker parser
+   */
+  registerParser(parser) {
+    if (!parser || !parser.id || typeof parser.detect !== 'function' || typeof parser.mapRow !== 'function') {
+      throw new Error('Broker parser must have an id, detect() and mapRow()');
+    }
+    this.parsers.set(parser.id, parser);
+  }
+
+  /**
+   * List supported brokers
+   * @returns {Array<{id: string, name: string}>}
+   */
+  listBrokers() {
+    return [...this.parsers.values()].map(p => ({ id: p.id, name: p.name || p.id }));
+  }
+
+  /**
+   * Find the parser whose format matches the given headers
+   * @param {Array<string>} headers - Normalized CSV headers
+   * @returns {Object|null} Matching parser
+   */
+  detectParser(headers) {
+    for (const parser of this.parsers.values()) {
+      if (parser.detect(headers)) {
+        return parser;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse a tradebook CSV
+   * @param {string} csvText - CSV content
+   * @param {Object} options - Parse options
+   * @param {string} options.broker - Force a broker id instead of auto-detecting
+   * @returns {Object} { broker, trades, skipped, errors }
+   */
+  parse(csvText, options = {}) {
+    const { headers, records } = parseCSV(csvText);
+    if (headers.length === 0) {
+      throw new Error('CSV file is empty');
+    }
+
+    return this.parseRecords(records, this.resolveParser(headers, options.broker));
+  }
+
+  /**
+   * Parse a Trade Book JSON export ({ trades: [...] } from the export API or TradeManager.exportPortfolio)
+   * @param {Object} data - Export document
+   * @returns {Object} { broker, trades, skipped, errors }
+   */
+  parseExport(data) {
+    if (!data || !Array.isArray(data.trades)) {
+      throw new Error('JSON export must contain a trades array');
+    }
+    return this.parseRecords(data.trades, this.resolveParser([], BROKERS.TRADEBOOK));
+  }
+
+  /**
+   * Pick the parser for a file: the forced broker if given, else by header detection
+   * @param {Array<string>} headers - Normalized CSV headers
+   * @param {string|null} broker - Forced broker id
+   * @returns {Object} Parser
+   */
+  resolveParser(headers, broker) {
+    let parser;
+    if (broker) {
+      parser = this.parsers.get(broker);
+      if (!parser) {
+        throw new Error(`Unsupported broker: ${broker}`);
+      }
+    } else {
+      parser = this.detectParser(headers);
+      if (!parser) {
+        throw new Error('Could not detect broker format from CSV headers');
+      }
+    }
+    return parser;
+  }
+
+  /**
+   * Map parsed records through a broker parser
+   * @param {Array<Object>} records - Header-keyed records
+   * @param {Object} parser - Broker parser
+   * @returns {Object} { broker, trades, skipped, errors }
+   */
+  parseRecords(records, parser) {
+    const trades = [];
+    const errors = [];
+    const seenIds = new Set();
+    let skipped = 0;
+
+    records.forEach((record, idx) => {
+      // Row numbers are 1-based and account for the header line
+      const row = idx + 2;
+      try {
+        const trade = parser.mapRow(record, { calendar: this.calendar });
+        if (!trade) {
+          skipped++;
+          return;
+        }
+        const error = this.validateTrade(trade);
+        if (error) {
+          errors.push({ row, error });
+          return;
+        }
+        const broker = trade.broker || parser.id;
+        const brokerId = trade.broker_trade_id || trade.broker_order_id || null;
+        const key = `${broker}:${brokerId}`;
+        const duplicate = brokerId != null && seenIds.has(key);
+        if (brokerId != null) seenIds.add(key);
+        trades.push({
+          ...trade,
+          broker,
+          broker_trade_id: brokerId,
+          trade_month: trade.date.slice(0, 7),
+          row,
+          duplicate
+        });
+      } catch (error) {
+        errors.push({ row, error: error.message });
+      }
+    });
+
+    return {
+      broker: { id: parser.id, name: parser.name || parser.id },
+      trades,
+      skipped,
+      errors
+    };
+  }
+
+  /**
+   * Validate a mapped trade
+   * @param {Object} trade - Mapped trade
+   * @returns {string|null} Error message or null
+   */
+  validateTrade(trade) {
+    if (!trade.symbol) return 'Missing symbol';
+    if (!trade.type) return 'Missing or unknown buy/sell side';
+    // Broker parsers build dates from the row's fields, so a day past the month end can get through
+    if (!parseISODate(trade.date)) return 'Missing or invalid trade date';
+    if (trade.expiry && !parseISODate(trade.expiry)) return 'Invalid expiry date';
+    if (!(trade.quantity > 0) || !Number.isInteger(trade.quantity)) return 'Quantity must be a positive whole number';
+    if (!(trade.price > 0)) return 'Price must be positive';
+    return null;
+  }
+}
@@ -0,0 +1,41 @@
+import { BROKERS, TRADE_TYPES } from '../../types/trade.js';
+import { parseDate, parseNumber, parseSide, parseExchange, parseDerivativeSymbol, derivativeExpiry, hasHeaders } from '../helpers.js';
+
+/**
+ * Groww order history export
+ * Stock name,Symbol,ISIN,Type,Quantity,Value,Exchange,Exchange Order Id,Execution date and time,Order status
+ */
+export const growwParser = {
+  id: BROKERS.GROWW,
+  name: 'Groww',
+
+  detect(headers) {
+    return hasHeaders(headers, ['symbol', 'type', 'quantity', 'exchange order id', 'execution date and time']);
+  },
+
+  mapRow(record, { calendar } = {}) {
+    const status = (record['order status'] || 'executed').toLowerCase();
+    if (status !== 'executed' && status !== 'complete') {
+      return null;
+    }
+
+    const quantity = parseNumber(record.quantity);
+    const value = parseNumber(record.value);
+    const price = parseNumber(record.price) ?? (quantity && value != null ? value / quantity : null);
+    const derivative = parseDerivativeSymbol(record.symbol);
+
+    return {
+      symbol: (derivative ? derivative.symbol : record.symbol || '').toUpperCase(),
+      type: parseSide(record.type),
+      quantity,
+      price: price != null ? Math.round(price * 100) / 100 : null,
+      date: parseDate(record['execution date and time']),
+      market_index: parseExchange(record.exchange),
+      trade_type: derivative ? derivative.trade_type : TRADE_TYPES.CASH,
+      expiry: derivativeExpiry(derivative, parseExchange(record.exchange), calendar),
+      strike_price: derivative ? derivative.strike_price : null,
+      broker_trade_id: record['exchange trade id'] || null,
+      broker_order_id: record['exchange order id'] || null
+    };
+  }
+};
@@ -0,0 +1,43 @@
+import { BROKERS, TRADE_TYPES } from '../../types/trade.js';
+import { parseDate, parseNumber, parseSide, parseExchange, parseOptionType, hasHeaders } from '../helpers.js';
+
+/**
+ * ICICI Direct trade book export
+ * Date,Stock,Action,Qty,Price,Trade Value,Order Ref.,Settlement,Segment,DP Id - Client DP Id,Exchange,...
+ * F&O exports add Expiry Date, Strike Price and Option Type columns.
+ */
+export const iciciDirectParser = {
+  id: BROKERS.ICICI_DIRECT,
+  name: 'ICICI Direct',
+
+  detect(headers) {
+    const hasOrderRef = headers.includes('order ref.') || headers.includes('order ref');
+    return hasOrderRef && hasHeaders(headers, ['date', 'stock', 'action', 'qty', 'price']);
+  },
+
+  mapRow(record) {
+    const segment = (record.segment || '').toUpperCase();
+    const optionType = parseOptionType(record['option type']);
+    let tradeType = TRADE_TYPES.CASH;
+    if (optionType) {
+      tradeType = optionType;
+    } else if (segment.includes('FUT') || (record['instrument'] || '').toUpperCase().startsWith('FUT')) {
+      tradeType = TRADE_TYPES.FUTURES;
+    }
+    const isDerivative = tradeType !== TRADE_TYPES.CASH;
+
+    return {
+      symbol: (record['stock code'] || record.stock || '').toUpperCase(),
+      type: parseSide(record.action),
+      quantity: parseNumber(record.qty),
+      price: parseNumber(record.price),
+      date: parseDate(record.date),
+      market_index: parseExchange(record.exchange),
+      trade_type: tradeType,
+      expiry: isDerivative ? parseDate(record['expiry date'] || record.expiry) : null,
+      strike_price: optionType ? parseNumber(record['strike price']) : null,
+      broker_trade_id: record['trade id'] || null,
+      broker_order_id: record['order ref.'] || record['order ref'] || null
+    };
+  }
+};
@@ -0,0 +1,18 @@
+import { zerodhaParser } from './zerodha.js';
+import { upstoxParser } from './upstox.js';
+import { growwParser } from './groww.js';
+import { iciciDirectParser } from './iciciDirect.js';
+import { tradebookParser } from './tradebook.js';
+
+/**
+ * Built-in broker tradebook parsers, in detection order
+ */
+export const DEFAULT_BROKER_PARSERS = [
+  tradebookParser,
+  zerodhaParser,
+  upstoxParser,
+  growwParser,
+  iciciDirectParser
+];
+
+export { tradebookParser, zerodhaParser, upstoxParser, growwParser, iciciDirectParser };
@@ -0,0 +1,37 @@
+import { BROKERS, TRADE_TYPES, TRADE_PRODUCTS } from '../../types/trade.js';
+import { parseDate, parseNumber, parseSide, parseExchange, hasHeaders } from '../helpers.js';
+
+/**
+ * Trade Book's own CSV/JSON export (see TradebookExporter and TradeManager.exportPortfolio), so exports can be re-imported.
+ * Broker ids from the original import are kept; manual trades are keyed by their Trade Book id.
+ */
+export const tradebookParser = {
+  id: BROKERS.TRADEBOOK,
+  name: 'Trade Book export',
+
+  detect(headers) {
+    return hasHeaders(headers, ['id', 'date', 'symbol', 'type', 'trade_type', 'quantity', 'price']);
+  },
+
+  mapRow(record) {
+    const hasBrokerId = record.broker && record.broker_trade_id;
+    const date = parseDate(record.date);
+    return {
+      symbol: String(record.symbol || '').trim().toUpperCase(),
+      type: parseSide(record.type || record.trade_action),
+      quantity: parseNumber(record.quantity),
+      price: parseNumber(record.price),
+      date,
+      market_index: parseExchange(record.market_index),
+      // TradeManager exports carry no trade_type; those are equity delivery trades
+      trade_type: record.trade_type === undefined ? TRADE_TYPES.CASH : (String(record.trade_type || '').trim() || null),
+      expiry: parseDate(record.expiry),
+      strike_price: parseNumber(record.strike_price),
+      reason: String(record.reason || record.notes || '').trim() || null,
+      product: Object.values(TRADE_PRODUCTS).includes(String(record.product || '').toLowerCase()) ? String(record.product).toLowerCase() : null,
+      broker: hasBrokerId ? record.broker : BROKERS.TRADEBOOK,
+      broker_trade_id: hasBrokerId ? String(record.broker_trade_id) : (record.id != null && record.id !== '' ? String(record.id) : null),
+      broker_order_id: null
+    };
+  }
+};
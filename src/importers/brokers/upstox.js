@@ -0,0 +1,47 @@
+import { BROKERS, TRADE_TYPES } from '../../types/trade.js';
+import { parseDate, parseNumber, parseSide, parseExchange, parseOptionType, hasHeaders } from '../helpers.js';
+
+/**
+ * Upstox trade report export
+ * Date,Company,Amount,Exchange,Segment,Scrip Code,Instrument Type,Strike Price,Expiry,Trade Num,Trade Time,Side,Quantity,Price
+ */
+export const upstoxParser = {
+  id: BROKERS.UPSTOX,
+  name: 'Upstox',
+
+  detect(headers) {
+    return hasHeaders(headers, ['date', 'company', 'instrument type', 'trade num', 'side', 'quantity', 'price']);
+  },
+
+  mapRow(record) {
+    const instrument = (record['instrument type'] || '').toUpperCase();
+    const company = (record.company || '').toUpperCase();
+    let tradeType = TRADE_TYPES.CASH;
+    if (instrument.startsWith('FUT')) {
+      tradeType = TRADE_TYPES.FUTURES;
+    } else if (instrument.startsWith('OPT')) {
+      const optionToken = company.match(/\b(CE|PE|CALL|PUT)\b/);
+      tradeType = parseOptionType(record['option type']) || (optionToken ? parseOptionType(optionToken[1]) : null);
+      if (!tradeType) {
+        throw new Error(`Cannot determine option type for ${record.company}`);
+      }
+    }
+    const isDerivative = tradeType !== TRADE_TYPES.CASH;
+    // Scrip Code is the exchange symbol for most exports; numeric BSE codes fall back to the company name
+    const scripCode = /^\d+$/.test(record['scrip code'] || '') ? '' : record['scrip code'];
+
+    return {
+      symbol: (record.symbol || scripCode || company.split(/\s+/)[0] || '').toUpperCase(),
+      type: parseSide(record.side),
+      quantity: parseNumber(record.quantity),
+      price: parseNumber(record.price),
+      date: parseDate(record.date),
+      market_index: parseExchange(record.exchange),
+      trade_type: tradeType,
+      expiry: isDerivative ? parseDate(record.expiry) : null,
+      strike_price: tradeType === TRADE_TYPES.CALL || tradeType === TRADE_TYPES.PUT ? parseNumber(record['strike price']) : null,
+      broker_trade_id: record['trade num'] || null,
+      broker_order_id: record['order num'] || null
+    };
+  }
+};
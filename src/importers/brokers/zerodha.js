@@ -0,0 +1,35 @@
+import { BROKERS, TRADE_TYPES } from '../../types/trade.js';
+import { parseDate, parseNumber, parseSide, parseExchange, parseDerivativeSymbol, derivativeExpiry, hasHeaders } from '../helpers.js';
+
+/**
+ * Zerodha Console tradebook export
+ * symbol,isin,trade_date,exchange,segment,series,trade_type,auction,quantity,price,trade_id,order_id,order_execution_time[,expiry_date]
+ */
+export const zerodhaParser = {
+  id: BROKERS.ZERODHA,
+  name: 'Zerodha',
+
+  detect(headers) {
+    return hasHeaders(headers, ['symbol', 'trade_date', 'trade_type', 'quantity', 'price', 'trade_id', 'order_id']);
+  },
+
+  mapRow(record, { calendar } = {}) {
+    const segment = (record.segment || '').toUpperCase();
+    const derivative = segment === 'EQ' ? null : parseDerivativeSymbol(record.symbol);
+    const expiry = parseDate(record.expiry_date) || derivativeExpiry(derivative, parseExchange(record.exchange), calendar);
+
+    return {
+      symbol: (derivative ? derivative.symbol : record.symbol || '').toUpperCase(),
+      type: parseSide(record.trade_type),
+      quantity: parseNumber(record.quantity),
+      price: parseNumber(record.price),
+      date: parseDate(record.trade_date),
+      market_index: parseExchange(record.exchange),
+      trade_type: derivative ? derivative.trade_type : TRADE_TYPES.CASH,
+      expiry: derivative ? expiry : null,
+      strike_price: derivative ? derivative.strike_price : null,
+      broker_trade_id: record.trade_id || null,
+      broker_order_id: record.order_id || null
+    };
+  }
+};
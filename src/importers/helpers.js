@@ -0,0 +1,170 @@
+import { TRADE_ACTIONS, TRADE_TYPES, MARKET_INDICES } from '../types/trade.js';
+
+/**
+ * Shared field parsers for broker tradebook rows
+ */
+
+const MONTHS = {
+  JAN: 1, FEB: 2, MAR: 3, APR: 4, MAY: 5, JUN: 6,
+  JUL: 7, AUG: 8, SEP: 9, OCT: 10, NOV: 11, DEC: 12
+};
+
+// Zerodha weekly expiry month codes: 1-9 for Jan-Sep, O/N/D for Oct-Dec
+const WEEKLY_MONTH_CODES = { O: 10, N: 11, D: 12 };
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+function toISODate(year, month, day) {
+  const y = year < 100 ? 2000 + year : year;
+  if (!(month >= 1 && month <= 12) || !(day >= 1 && day <= 31)) return null;
+  return `${y}-${pad2(month)}-${pad2(day)}`;
+}
+
+/**
+ * Parse broker date strings (YYYY-MM-DD, DD-MM-YYYY, DD/MM/YYYY, DD-Mon-YYYY, with optional time)
+ * @param {string} value - Raw date cell
+ * @returns {string|null} ISO date (YYYY-MM-DD) or null
+ */
+export function parseDate(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  let m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return toISODate(+m[1], +m[2], +m[3]);
+
+  m = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+  if (m) return toISODate(+m[3], +m[2], +m[1]);
+
+  m = text.match(/^(\d{1,2})[-\s/]([A-Za-z]{3})[A-Za-z]*[-\s/,]+(\d{2,4})/);
+  if (m && MONTHS[m[2].toUpperCase()]) return toISODate(+m[3], MONTHS[m[2].toUpperCase()], +m[1]);
+
+  const parsed = new Date(text);
+  if (!Number.isNaN(parsed.getTime())) {
+    return toISODate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+  }
+  return null;
+}
+
+/**
+ * Parse a numeric cell, ignoring currency symbols and thousands separators
+ * @param {string|number} value - Raw cell
+ * @returns {number|null} Parsed number or null
+ */
+export function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const cleaned = String(value || '').replace(/[₹,\s]/g, '');
+  if (cleaned === '' || cleaned === '-') return null;
+  const num = parseFloat(cleaned);
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Normalize a buy/sell cell to the trades.type column value
+ * @param {string} value - Raw side ('B', 'Buy', 'SELL', ...)
+ * @returns {string|null} 'buy', 'sell' or null
+ */
+export function parseSide(value) {
+  const side = String(value || '').trim().toLowerCase();
+  if (['b', 'buy', 'bought', 'purchase'].includes(side)) return TRADE_ACTIONS.BUY;
+  if (['s', 'sell', 'sold', 'sale'].includes(side)) return TRADE_ACTIONS.SELL;
+  return null;
+}
+
+/**
+ * Map exchange / segment codes to the market_index column value
+ * @param {string} value - Raw exchange ('NSE', 'NFO', 'BFO', 'MCX', ...)
+ * @returns {string|null} 'NSE', 'BSE', 'MCX' or null
+ */
+export function parseExchange(value) {
+  const exchange = String(value || '').trim().toUpperCase();
+  if (!exchange) return null;
+  if (exchange.startsWith('NSE') || exchange === 'NFO' || exchange === 'CDS') return MARKET_INDICES.NSE;
+  if (exchange.startsWith('BSE') || exchange === 'BFO') return MARKET_INDICES.BSE;
+  if (exchange.startsWith('MCX')) return MARKET_INDICES.MCX;
+  return null;
+}
+
+/**
+ * Map an option type cell to the trade_type column value
+ * @param {string} value - Raw option type ('CE', 'Call', 'PE', 'Put')
+ * @returns {string|null} 'CE', 'PE' or null
+ */
+export function parseOptionType(value) {
+  const type = String(value || '').trim().toUpperCase();
+  if (type === 'CE' || type === 'CALL' || type === 'C') return TRADE_TYPES.CALL;
+  if (type === 'PE' || type === 'PUT' || type === 'P') return TRADE_TYPES.PUT;
+  return null;
+}
+
+/**
+ * Parse a compact exchange trading symbol for derivatives
+ * e.g. NIFTY24JANFUT, BANKNIFTY24JAN48000CE, NIFTY2411821500PE (weekly)
+ * @param {string} tradingSymbol - Exchange trading symbol
+ * @returns {Object|null} { symbol, trade_type, expiry, expiry_month, strike_price } or null when not a derivative
+ */
+export function parseDerivativeSymbol(tradingSymbol) {
+  const text = String(tradingSymbol || '').trim().toUpperCase();
+
+  let m = text.match(/^([A-Z&-]+?)(\d{2})([A-Z]{3})FUT$/);
+  if (m && MONTHS[m[3]]) {
+    return {
+      symbol: m[1],
+      trade_type: TRADE_TYPES.FUTURES,
+      expiry: null,
+      expiry_month: `20${m[2]}-${pad2(MONTHS[m[3]])}`,
+      strike_price: null
+    };
+  }
+
+  m = text.match(/^([A-Z&-]+?)(\d{2})([A-Z]{3})(\d+(?:\.\d+)?)(CE|PE)$/);
+  if (m && MONTHS[m[3]]) {
+    return {
+      symbol: m[1],
+      trade_type: m[5],
+      expiry: null,
+      expiry_month: `20${m[2]}-${pad2(MONTHS[m[3]])}`,
+      strike_price: parseFloat(m[4])
+    };
+  }
+
+  m = text.match(/^([A-Z&-]+?)(\d{2})([1-9OND])(\d{2})(\d+(?:\.\d+)?)(CE|PE)$/);
+  if (m) {
+    const month = WEEKLY_MONTH_CODES[m[3]] || parseInt(m[3], 10);
+    const expiry = toISODate(+m[2], month, +m[4]);
+    return {
+      symbol: m[1],
+      trade_type: m[6],
+      expiry,
+      expiry_month: expiry ? expiry.slice(0, 7) : null,
+      strike_price: parseFloat(m[5])
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Expiry of a parsed derivative symbol. Monthly symbols (NIFTY24DECFUT) give only the month, so
+ * the expiry is the underlying's monthly expiry from the market calendar.
+ * @param {Object|null} derivative - parseDerivativeSymbol result
+ * @param {string|null} exchange - NSE, BSE or MCX
+ * @param {Object} calendar - MarketCalendar (optional)
+ * @returns {string|null} YYYY-MM-DD, or null when not a derivative or the expiry is unknown
+ */
+export function derivativeExpiry(derivative, exchange, calendar = null) {
+  if (!derivative) return null;
+  if (derivative.expiry || !calendar || !derivative.expiry_month) return derivative.expiry || null;
+  return calendar.monthlyExpiry(derivative.symbol, derivative.expiry_month, { exchange }) || null;
+}
+
+/**
+ * Check that every required header is present
+ * @param {Array<string>} headers - Normalized headers
+ * @param {Array<string>} required - Required normalized headers
+ * @returns {boolean}
+ */
+export function hasHeaders(headers, required) {
+  return required.every(h => headers.includes(h));
+}
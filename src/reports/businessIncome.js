@@ -0,0 +1,257 @@
+import { splitCashTrades } from '../utils/ChargesCalculator.js';
+import { netContracts } from '../utils/positions.js';
+import { isDerivativeTrade } from '../utils/instruments.js';
+import { stringifyCSV } from '../utils/csv.js';
+import { toISODateString, parseFinancialYear } from '../utils/date.js';
+
+/**
+ * Business Income Report
+ * Intraday equity (speculative, section 43(5)) and F&O (non-speculative) income for ITR-3,
+ * with turnover per the ICAI Guidance Note on Tax Audit: the aggregate of favourable and
+ * unfavourable differences on each squared-off transaction.
+ */
+
+export const BUSINESS_INCOME_TYPES = {
+  SPECULATIVE: 'speculative',
+  NON_SPECULATIVE: 'non_speculative'
+};
+
+// Section 44AB turnover limit for businesses with at most 5% cash transactions (FY 2020-21 onwards)
+export const TAX_AUDIT_TURNOVER_LIMIT = 100000000;
+
+// Charges breakdown fields reported as expenses (STT is deductible against business income)
+export const EXPENSE_FIELDS = ['brokerage', 'stt', 'exchange_txn', 'sebi_fee', 'stamp_duty', 'gst'];
+
+const EPSILON = 1e-9;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function emptyExpenses() {
+  return Object.fromEntries([...EXPENSE_FIELDS, 'total'].map(field => [field, 0]));
+}
+
+function addExpenses(expenses, charges) {
+  if (!charges) return;
+  for (const field of EXPENSE_FIELDS) expenses[field] += Number(charges[field]) || 0;
+  expenses.total += Number(charges.total) || 0;
+}
+
+/**
+ * Intraday P&L per symbol and day: matched quantity at the day's average buy and sell prices
+ * @returns {{entries: Array<Object>, unmatched: Array<Object>}}
+ */
+function intradayEntries(trades) {
+  const days = new Map();
+  for (const trade of trades) {
+    const date = toISODateString(trade.date);
+    const symbol = String(trade.symbol || '').trim().toUpperCase();
+    const key = `${symbol}|${date}`;
+    const day = days.get(key) || { symbol, date, buyQty: 0, buyValue: 0, sellQty: 0, sellValue: 0, tradeIds: [] };
+    const quantity = Number(trade.quantity) || 0;
+    const value = quantity * (Number(trade.price) || 0);
+    if (String(trade.type || '').toLowerCase() === 'sell') {
+      day.sellQty += quantity;
+      day.sellValue += value;
+    } else {
+      day.buyQty += quantity;
+      day.buyValue += value;
+    }
+    day.tradeIds.push(trade.id ?? null);
+    days.set(key, day);
+  }
+
+  const entries = [];
+  const unmatched = [];
+  for (const day of days.values()) {
+    const matched = Math.min(day.buyQty, day.sellQty);
+    if (matched > EPSILON) {
+      const pnl = matched * (day.sellValue / day.sellQty - day.buyValue / day.buyQty);
+      entries.push({
+        type: BUSINESS_INCOME_TYPES.SPECULATIVE,
+        instrument: 'EQ',
+        contract: day.symbol,
+        symbol: day.symbol,
+        date: day.date,
+        quantity: matched,
+        pnl,
+        trade_ids: day.tradeIds
+      });
+    }
+    const leftover = Math.abs(day.buyQty - day.sellQty);
+    if (leftover > EPSILON) unmatched.push({ symbol: day.symbol, date: day.date, quantity: leftover });
+  }
+  return { entries, unmatched };
+}
+
+/**
+ * F&O P&L per closing trade, plus cash settlement of contracts still open at expiry
+ * @returns {{entries: Array<Object>, unsettled: Array<string>}}
+ */
+function derivativeEntries(trades, options) {
+  const marks = options.marks || new Map();
+  const contractMaster = options.contractMaster || null;
+  const asOf = toISODateString(options.asOf || new Date());
+  const entries = [];
+  const unsettled = [];
+
+  for (const position of netContracts(trades).values()) {
+    const contract = contractMaster ? contractMaster.find(position.symbol, position.expiry, position.market_index) : null;
+    const multiplier = contract ? contract.multiplier : 1;
+    const base = {
+      type: BUSINESS_INCOME_TYPES.NON_SPECULATIVE,
+      instrument: position.instrument === 'FUT' ? 'FUT' : 'OPT',
+      contract: position.key,
+      symbol: position.symbol
+    };
+    for (const closing of position.closings) {
+      entries.push({ ...base, date: closing.date, quantity: closing.quantity, pnl: closing.pnl * multiplier, trade_ids: [closing.trade_id] });
+    }
+
+    const isOpen = Math.abs(position.netQuantity) > EPSILON;
+    if (!isOpen || position.expiry == null || position.expiry >= asOf) continue;
+    const settlementPrice = marks.get(position.key)?.settlement_price;
+    if (settlementPrice == null) {
+      unsettled.push(position.key);
+      continue;
+    }
+    entries.push({
+      ...base,
+      date: position.expiry,
+      quantity: Math.abs(position.netQuantity),
+      pnl: position.netQuantity * (Number(settlementPrice) - position.avgOpenPrice) * multiplier,
+      trade_ids: [],
+      settlement: true
+    });
+  }
+  return { entries, unsettled };
+}
+
+function summarize(entries, expenses) {
+  const grossProfit = entries.filter(e => e.pnl > 0).reduce((sum, e) => sum + e.pnl, 0);
+  const grossLoss = entries.filter(e => e.pnl < 0).reduce((sum, e) => sum + e.pnl, 0);
+  const roundedExpenses = Object.fromEntries(Object.entries(expenses).map(([k, v]) => [k, round2(v)]));
+  return {
+    transactions: entries.length,
+    gross_profit: round2(grossProfit),
+    gross_loss: round2(grossLoss),
+    net_pnl: round2(grossProfit + grossLoss),
+    turnover: round2(grossProfit - grossLoss),
+    expenses: roundedExpenses,
+    net_income: round2(grossProfit + grossLoss - expenses.total)
+  };
+}
+
+/**
+ * Build the business income report for a financial year
+ * @param {Array<Object>} trades - All of a user's trades (with stored charges)
+ * @param {Object} options - Options
+ * @param {string} options.fy - Financial year ('2025-26')
+ * @param {Map<string, Object>} options.marks - Settlement prices per contract key (for expired open contracts)
+ * @param {ContractMaster} options.contractMaster - Contract multipliers
+ * @param {Date|string} options.asOf - Contracts expiring before this date are settled (defaults to today)
+ * @returns {Object} Speculative and non-speculative summaries, turnover and line entries
+ */
+export function buildBusinessIncomeReport(trades, options = {}) {
+  const fy = parseFinancialYear(options.fy);
+  if (!fy) throw new Error('fy must be a financial year like 2025-26');
+  const inYear = date => date >= fy.start && date <= fy.end;
+  const warnings = [];
+
+  const splits = splitCashTrades(trades);
+  const intradayTrades = trades
+    .filter(t => splits.get(t.id)?.intraday_quantity > 0)
+    .map(t => ({ ...t, quantity: splits.get(t.id).intraday_quantity, charges: t.charges?.portions?.intraday || t.charges }));
+  const derivativeTrades = trades.filter(isDerivativeTrade);
+
+  const intraday = intradayEntries(intradayTrades);
+  const derivatives = derivativeEntries(derivativeTrades, options);
+
+  for (const day of intraday.unmatched.filter(d => inYear(d.date))) {
+    warnings.push(`${day.symbol} on ${day.date}: ${day.quantity} intraday shares not squared off the same day; excluded`);
+  }
+  for (const key of derivatives.unsettled) {
+    const expiry = key.split('|')[1];
+    if (inYear(expiry)) warnings.push(`${key} expired open without a settlement price; set it on the Positions tab to include it`);
+  }
+
+  const entries = [...intraday.entries, ...derivatives.entries]
+    .filter(e => inYear(e.date))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.contract.localeCompare(b.contract));
+
+  const expensesFor = list => {
+    const expenses = emptyExpenses();
+    list.filter(t => inYear(toISODateString(t.date))).forEach(t => addExpenses(expenses, t.charges));
+    return expenses;
+  };
+  const speculativeEntries = entries.filter(e => e.type === BUSINESS_INCOME_TYPES.SPECULATIVE);
+  const nonSpeculativeEntries = entries.filter(e => e.type === BUSINESS_INCOME_TYPES.NON_SPECULATIVE);
+
+  const speculative = summarize(speculativeEntries, expensesFor(intradayTrades));
+  const nonSpeculative = {
+    ...summarize(nonSpeculativeEntries, expensesFor(derivativeTrades)),
+    futures: summarize(nonSpeculativeEntries.filter(e => e.instrument === 'FUT'),
+      expensesFor(derivativeTrades.filter(t => String(t.trade_type).toLowerCase() === 'futures'))),
+    options: summarize(nonSpeculativeEntries.filter(e => e.instrument === 'OPT'),
+      expensesFor(derivativeTrades.filter(t => String(t.trade_type).toLowerCase() !== 'futures')))
+  };
+
+  const totalTurnover = round2(speculative.turnover + nonSpeculative.turnover);
+  const withoutCharges = [...intradayTrades, ...derivativeTrades].filter(t => inYear(toISODateString(t.date)) && !t.charges);
+  if (withoutCharges.length > 0) {
+    warnings.push(`${withoutCharges.length} trades have no charges recorded; expenses exclude them`);
+  }
+
+  return {
+    fy: fy.label,
+    period: { start: fy.start, end: fy.end },
+    speculative,
+    non_speculative: nonSpeculative,
+    total_turnover: totalTurnover,
+    total_net_income: round2(speculative.net_income + nonSpeculative.net_income),
+    tax_audit: {
+      turnover_limit: TAX_AUDIT_TURNOVER_LIMIT,
+      turnover_exceeds_limit: totalTurnover > TAX_AUDIT_TURNOVER_LIMIT
+    },
+    entries: entries.map(e => ({
+      ...e,
+      pnl: round2(e.pnl),
+      turnover: round2(Math.abs(e.pnl)),
+      settlement: Boolean(e.settlement)
+    })),
+    warnings
+  };
+}
+
+const ENTRY_COLUMNS = [
+  { key: 'date' }, { key: 'type' }, { key: 'instrument' }, { key: 'contract' },
+  { key: 'quantity' }, { key: 'pnl' }, { key: 'turnover' }, { key: 'settlement' }
+];
+
+/**
+ * CSV: squared-off transactions, then per-category totals as field,speculative,non_speculative rows
+ * @param {Object} report - Output of buildBusinessIncomeReport
+ * @returns {string}
+ */
+export function businessIncomeToCSV(report) {
+  const spec = report.speculative;
+  const nonSpec = report.non_speculative;
+  const row = (field, a, b) => ({ field, speculative: a, non_speculative: b });
+  const summaryRows = [
+    row('financial_year', report.fy, report.fy),
+    row('transactions', spec.transactions, nonSpec.transactions),
+    row('gross_profit', spec.gross_profit, nonSpec.gross_profit),
+    row('gross_loss', spec.gross_loss, nonSpec.gross_loss),
+    row('net_pnl', spec.net_pnl, nonSpec.net_pnl),
+    row('turnover', spec.turnover, nonSpec.turnover),
+    ...[...EXPENSE_FIELDS, 'total'].map(field => row(`expenses_${field}`, spec.expenses[field], nonSpec.expenses[field])),
+    row('net_income', spec.net_income, nonSpec.net_income),
+    row('total_turnover', report.total_turnover, ''),
+    row('total_net_income', report.total_net_income, '')
+  ];
+  return [
+    stringifyCSV(report.entries, ENTRY_COLUMNS),
+    stringifyCSV(summaryRows, [{ key: 'field' }, { key: 'speculative' }, { key: 'non_speculative' }])
+  ].join('\r\n');
+}
@@ -0,0 +1,381 @@
+import { readFile } from 'fs/promises';
+import { LotEngine, COST_BASIS_METHODS } from '../utils/LotEngine.js';
+import { splitCashTrades } from '../utils/ChargesCalculator.js';
+import { parseCSV, stringifyCSV } from '../utils/csv.js';
+import { toISODateString, parseFinancialYear } from '../utils/date.js';
+import { escapeHTML, moneyCell, renderStatementHTML } from './html.js';
+
+/**
+ * Capital Gains Report
+ * STCG/LTCG on listed equity (sections 111A/112A) for an Indian financial year,
+ * from delivery Cash trades matched FIFO as the Income-tax Act requires for demat shares.
+ */
+
+// Rates changed for transfers on or after 23-Jul-2024 (Finance (No. 2) Act, 2024)
+export const CAPITAL_GAINS_REGIMES = [
+  { id: 'before_2024_07_23', from: '0000-01-01', to: '2024-07-22', stcg_rate: 15, ltcg_rate: 10, ltcg_exemption: 100000 },
+  { id: 'from_2024_07_23', from: '2024-07-23', to: '9999-12-31', stcg_rate: 20, ltcg_rate: 12.5, ltcg_exemption: 125000 }
+];
+
+// Section 112A grandfathering: shares acquired on or before this date use the 31-Jan-2018 FMV
+export const GRANDFATHERING_DATE = '2018-01-31';
+
+// Long-term gains on listed equity were exempt under section 10(38) for transfers before this date
+export const SECTION_112A_START = '2018-04-01';
+
+export const GAIN_TERMS = {
+  SHORT: 'short_term',
+  LONG: 'long_term'
+};
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function regimeFor(date) {
+  return CAPITAL_GAINS_REGIMES.find(r => date >= r.from && date <= r.to);
+}
+
+// Listed equity is long-term when held for more than 12 months
+function isLongTerm(buyDate, sellDate) {
+  const [y, m, d] = buyDate.split('-').map(Number);
+  const anniversary = toISODateString(new Date(y + 1, m - 1, d));
+  return sellDate > anniversary;
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Load 31-Jan-2018 fair market values from a CSV with symbol,fmv (and optional isin) columns
+ * @param {string} filePath - Path to the CSV
+ * @returns {Promise<Map<string, {fmv: number, isin: string|null}>>}
+ */
+export async function loadFairMarketValues(filePath) {
+  const { records } = parseCSV(await readFile(filePath, 'utf8'));
+  const values = new Map();
+  for (const record of records) {
+    const symbol = String(record.symbol || '').trim().toUpperCase();
+    const fmv = Number(String(record.fmv || '').replace(/,/g, ''));
+    if (symbol && fmv > 0) values.set(symbol, { fmv, isin: record.isin || null });
+  }
+  return values;
+}
+
+/**
+ * Allowable transfer expenses per unit for each trade: charges excluding STT, which is not deductible
+ * @param {Array<Object>} trades - Trades with a charges breakdown
+ * @returns {Map<*, number>} Trade id -> expense per unit
+ */
+function expensePerUnitByTrade(trades) {
+  const perUnit = new Map();
+  for (const trade of trades) {
+    const quantity = Number(trade.quantity) || 0;
+    if (!trade.charges || quantity <= 0) continue;
+    const total = Number(trade.charges.total) || 0;
+    const stt = Number(trade.charges.stt) || 0;
+    perUnit.set(trade.id, (total - stt) / quantity);
+  }
+  return perUnit;
+}
+
+/**
+ * Offset losses against gain buckets, highest tax rate first
+ * @param {Array<{rate: number, amount: number}>} buckets - Gains (mutated)
+ * @param {number} loss - Loss to absorb (positive)
+ * @returns {number} Loss left over
+ */
+function absorb(buckets, loss) {
+  let remaining = loss;
+  for (const bucket of [...buckets].sort((a, b) => b.rate - a.rate)) {
+    const used = Math.min(bucket.amount, remaining);
+    bucket.amount -= used;
+    remaining -= used;
+  }
+  return remaining;
+}
+
+/**
+ * Build the capital gains report for a financial year
+ * @param {Array<Object>} trades - All of a user's trades (non-Cash trades are ignored)
+ * @param {Object} options - Options
+ * @param {string} options.fy - Financial year ('2025-26')
+ * @param {Map<string, Object>} options.fairMarketValues - 31-Jan-2018 FMV per symbol
+ * @param {Array<Object>} options.corporateActions - Splits, bonuses and rights applied to the lots
+ * @returns {Object} Report with transactions, Schedule CG / 112A rows and a tax summary
+ */
+export function buildCapitalGainsReport(trades, options = {}) {
+  const fy = parseFinancialYear(options.fy);
+  if (!fy) throw new Error('fy must be a financial year like 2025-26');
+  const fairMarketValues = options.fairMarketValues || new Map();
+  const warnings = [];
+
+  // Only the quantity not squared off the same day is a transfer of shares
+  const splits = splitCashTrades(trades);
+  const deliveryTrades = trades
+    .filter(t => splits.get(t.id)?.delivery_quantity > 0)
+    .map(t => ({ ...t, quantity: splits.get(t.id).delivery_quantity, charges: t.charges?.portions?.delivery || t.charges }));
+  const engine = LotEngine.fromTrades(deliveryTrades, { method: COST_BASIS_METHODS.FIFO, corporateActions: options.corporateActions });
+  const expensePerUnit = expensePerUnitByTrade(deliveryTrades);
+
+  const missingFmv = new Set();
+  // Buys covering a sale made without shares held are not transfers; those sales are warned about below
+  const transactions = engine.getRealizations()
+    .filter(r => r.side === 'long')
+    .map(r => ({ ...r, buyDate: toISODateString(r.buyDate), sellDate: toISODateString(r.sellDate) }))
+    .filter(r => r.sellDate >= fy.start && r.sellDate <= fy.end)
+    .map(r => {
+      const term = isLongTerm(r.buyDate, r.sellDate) ? GAIN_TERMS.LONG : GAIN_TERMS.SHORT;
+      const regime = regimeFor(r.sellDate);
+      const fmvEntry = fairMarketValues.get(r.symbol) || null;
+      const grandfathered = term === GAIN_TERMS.LONG && r.buyDate <= GRANDFATHERING_DATE;
+      const buyExpenses = (expensePerUnit.get(r.buyTradeId) || 0) * r.quantity;
+      const saleExpenses = (expensePerUnit.get(r.sellTradeId) || 0) * r.quantity;
+      const actualCost = r.cost + buyExpenses;
+
+      let costOfAcquisition = actualCost;
+      let fmvTotal = null;
+      if (grandfathered) {
+        if (fmvEntry) {
+          fmvTotal = fmvEntry.fmv * r.quantity;
+          costOfAcquisition = Math.max(actualCost, Math.min(fmvTotal, r.proceeds));
+        } else {
+          missingFmv.add(r.symbol);
+        }
+      }
+
+      const gain = r.proceeds - saleExpenses - costOfAcquisition;
+      return {
+        symbol: r.symbol,
+        isin: fmvEntry?.isin || null,
+        quantity: r.quantity,
+        buy_date: r.buyDate,
+        sell_date: r.sellDate,
+        holding_days: daysBetween(r.buyDate, r.sellDate),
+        term,
+        section: term === GAIN_TERMS.SHORT ? '111A' : r.sellDate < SECTION_112A_START ? '10(38)' : '112A',
+        regime: regime.id,
+        buy_price: round2(r.buyPrice),
+        sell_price: round2(r.sellPrice),
+        full_value_of_consideration: round2(r.proceeds),
+        actual_cost: round2(actualCost),
+        fmv_per_share_2018: fmvEntry && grandfathered ? fmvEntry.fmv : null,
+        total_fmv_2018: fmvTotal != null ? round2(fmvTotal) : null,
+        cost_of_acquisition: round2(costOfAcquisition),
+        expenditure_on_transfer: round2(saleExpenses),
+        gain: round2(gain),
+        buy_trade_id: r.buyTradeId,
+        sell_trade_id: r.sellTradeId
+      };
+    })
+    .sort((a, b) => a.sell_date.localeCompare(b.sell_date) || a.symbol.localeCompare(b.symbol));
+
+  for (const symbol of missingFmv) {
+    warnings.push(`No 31-Jan-2018 fair market value for ${symbol}; actual cost used for shares bought on or before ${GRANDFATHERING_DATE}`);
+  }
+  const soldInYear = new Set(deliveryTrades
+    .filter(t => String(t.type || '').toLowerCase() === 'sell')
+    .filter(t => { const d = toISODateString(t.date); return d >= fy.start && d <= fy.end; })
+    .map(t => String(t.symbol || '').trim().toUpperCase()));
+  const unmatched = engine.getPositions().filter(p => p.unmatchedSellQuantity > 0 && soldInYear.has(p.symbol));
+  for (const position of unmatched) {
+    warnings.push(`${position.symbol}: ${position.unmatchedSellQuantity} shares sold without matching buy trades; add the purchase history to include them`);
+  }
+
+  const scheduleCG = { short_term_111a: [], long_term_112a: [] };
+  for (const regime of CAPITAL_GAINS_REGIMES) {
+    for (const term of Object.values(GAIN_TERMS)) {
+      const rows = transactions.filter(t => t.regime === regime.id && t.term === term && t.section !== '10(38)');
+      if (rows.length === 0) continue;
+      const consideration = rows.reduce((sum, t) => sum + t.full_value_of_consideration, 0);
+      const cost = rows.reduce((sum, t) => sum + t.cost_of_acquisition, 0);
+      const expenditure = rows.reduce((sum, t) => sum + t.expenditure_on_transfer, 0);
+      (term === GAIN_TERMS.SHORT ? scheduleCG.short_term_111a : scheduleCG.long_term_112a).push({
+        regime: regime.id,
+        rate: term === GAIN_TERMS.SHORT ? regime.stcg_rate : regime.ltcg_rate,
+        full_value_of_consideration: round2(consideration),
+        cost_of_acquisition: round2(cost),
+        expenditure_on_transfer: round2(expenditure),
+        total_deductions: round2(cost + expenditure),
+        balance: round2(consideration - cost - expenditure)
+      });
+    }
+  }
+
+  // Schedule 112A: one row per scrip (and rate period)
+  const schedule112A = new Map();
+  for (const t of transactions.filter(t => t.section === '112A')) {
+    const key = `${t.symbol}|${t.regime}`;
+    const row = schedule112A.get(key) || {
+      symbol: t.symbol, isin: t.isin, regime: t.regime, quantity: 0,
+      full_value_of_consideration: 0, cost_without_grandfathering: 0, total_fmv_2018: null,
+      cost_of_acquisition: 0, expenditure_on_transfer: 0
+    };
+    row.quantity += t.quantity;
+    row.full_value_of_consideration += t.full_value_of_consideration;
+    row.cost_without_grandfathering += t.actual_cost;
+    if (t.total_fmv_2018 != null) row.total_fmv_2018 = (row.total_fmv_2018 || 0) + t.total_fmv_2018;
+    row.cost_of_acquisition += t.cost_of_acquisition;
+    row.expenditure_on_transfer += t.expenditure_on_transfer;
+    schedule112A.set(key, row);
+  }
+
+  const summary = summarizeGains(transactions, regimeFor(fy.end));
+
+  return {
+    fy: fy.label,
+    period: { start: fy.start, end: fy.end },
+    cost_basis_method: COST_BASIS_METHODS.FIFO,
+    transactions,
+    schedule_cg: scheduleCG,
+    schedule_112a: [...schedule112A.values()].map(row => ({
+      ...row,
+      sale_price_per_share: round2(row.full_value_of_consideration / row.quantity),
+      full_value_of_consideration: round2(row.full_value_of_consideration),
+      cost_without_grandfathering: round2(row.cost_without_grandfathering),
+      total_fmv_2018: row.total_fmv_2018 != null ? round2(row.total_fmv_2018) : null,
+      cost_of_acquisition: round2(row.cost_of_acquisition),
+      expenditure_on_transfer: round2(row.expenditure_on_transfer),
+      total_deductions: round2(row.cost_of_acquisition + row.expenditure_on_transfer),
+      balance: round2(row.full_value_of_consideration - row.cost_of_acquisition - row.expenditure_on_transfer)
+    })),
+    summary,
+    warnings
+  };
+}
+
+/**
+ * Net gains after set-off, the LTCG exemption and estimated tax (before surcharge and cess).
+ * Short-term losses set off against short- then long-term gains; long-term losses only against long-term gains.
+ */
+function summarizeGains(transactions, fyRegime) {
+  const total = (term, sign) => round2(transactions
+    .filter(t => t.term === term && t.section !== '10(38)' && Math.sign(t.gain) === sign)
+    .reduce((sum, t) => sum + t.gain, 0));
+
+  const bucketsFor = (term) => CAPITAL_GAINS_REGIMES.map(regime => ({
+    rate: term === GAIN_TERMS.SHORT ? regime.stcg_rate : regime.ltcg_rate,
+    amount: transactions
+      .filter(t => t.regime === regime.id && t.term === term && t.section !== '10(38)')
+      .reduce((sum, t) => sum + t.gain, 0)
+  }));
+
+  const stBuckets = bucketsFor(GAIN_TERMS.SHORT);
+  const ltBuckets = bucketsFor(GAIN_TERMS.LONG);
+  let stLoss = -stBuckets.filter(b => b.amount < 0).reduce((sum, b) => sum + b.amount, 0);
+  let ltLoss = -ltBuckets.filter(b => b.amount < 0).reduce((sum, b) => sum + b.amount, 0);
+  stBuckets.forEach(b => { b.amount = Math.max(b.amount, 0); });
+  ltBuckets.forEach(b => { b.amount = Math.max(b.amount, 0); });
+
+  stLoss = absorb(stBuckets, stLoss);
+  stLoss = absorb(ltBuckets, stLoss);
+  ltLoss = absorb(ltBuckets, ltLoss);
+
+  const netLtcg = ltBuckets.reduce((sum, b) => sum + b.amount, 0);
+  const exemption = Math.min(netLtcg, fyRegime.ltcg_exemption);
+  absorb(ltBuckets, exemption);
+
+  const taxableStcg = stBuckets.reduce((sum, b) => sum + b.amount, 0);
+  const taxableLtcg = ltBuckets.reduce((sum, b) => sum + b.amount, 0);
+  const tax = [...stBuckets, ...ltBuckets].reduce((sum, b) => sum + b.amount * b.rate / 100, 0);
+
+  return {
+    stcg: total(GAIN_TERMS.SHORT, 1),
+    stcl: total(GAIN_TERMS.SHORT, -1),
+    ltcg: total(GAIN_TERMS.LONG, 1),
+    ltcl: total(GAIN_TERMS.LONG, -1),
+    exempt_ltcg_10_38: round2(transactions.filter(t => t.section === '10(38)').reduce((sum, t) => sum + t.gain, 0)),
+    net_stcg: round2(total(GAIN_TERMS.SHORT, 1) + total(GAIN_TERMS.SHORT, -1)),
+    net_ltcg: round2(total(GAIN_TERMS.LONG, 1) + total(GAIN_TERMS.LONG, -1)),
+    ltcg_after_set_off: round2(netLtcg),
+    ltcg_exemption: round2(exemption),
+    taxable_stcg: round2(taxableStcg),
+    taxable_ltcg: round2(taxableLtcg),
+    estimated_tax: round2(tax),
+    st_loss_carried_forward: round2(stLoss),
+    lt_loss_carried_forward: round2(ltLoss)
+  };
+}
+
+const TRANSACTION_COLUMNS = [
+  { key: 'symbol' }, { key: 'isin' }, { key: 'quantity' }, { key: 'buy_date' }, { key: 'sell_date' },
+  { key: 'holding_days' }, { key: 'term' }, { key: 'section' }, { key: 'regime' }, { key: 'buy_price' },
+  { key: 'sell_price' }, { key: 'full_value_of_consideration' }, { key: 'actual_cost' },
+  { key: 'fmv_per_share_2018' }, { key: 'total_fmv_2018' }, { key: 'cost_of_acquisition' },
+  { key: 'expenditure_on_transfer' }, { key: 'gain' }
+];
+
+/**
+ * CSV: matched transactions, then the summary as field,value rows
+ * @param {Object} report - Output of buildCapitalGainsReport
+ * @returns {string}
+ */
+export function capitalGainsToCSV(report) {
+  const summaryRows = [
+    { field: 'financial_year', value: report.fy },
+    ...Object.entries(report.summary).map(([field, value]) => ({ field, value }))
+  ];
+  return [
+    stringifyCSV(report.transactions, TRANSACTION_COLUMNS),
+    stringifyCSV(summaryRows, [{ key: 'field' }, { key: 'value' }])
+  ].join('\r\n');
+}
+
+/**
+ * Printable HTML statement
+ * @param {Object} report - Output of buildCapitalGainsReport
+ * @param {Object} options - { name } of the account holder
+ * @returns {string}
+ */
+export function capitalGainsToHTML(report, options = {}) {
+  const s = report.summary;
+  const scheduleRows = [
+    ...report.schedule_cg.short_term_111a.map(r => ({ ...r, label: `STCG u/s 111A @ ${r.rate}%` })),
+    ...report.schedule_cg.long_term_112a.map(r => ({ ...r, label: `LTCG u/s 112A @ ${r.rate}%` }))
+  ];
+
+  const sections = [
+    {
+      title: 'Summary',
+      html: `<table><tbody>
+        <tr><th>Short-term gains (111A)</th>${moneyCell(s.stcg)}</tr>
+        <tr><th>Short-term losses</th>${moneyCell(s.stcl)}</tr>
+        <tr><th>Long-term gains (112A)</th>${moneyCell(s.ltcg)}</tr>
+        <tr><th>Long-term losses</th>${moneyCell(s.ltcl)}</tr>
+        <tr><th>LTCG after set-off</th>${moneyCell(s.ltcg_after_set_off)}</tr>
+        <tr><th>LTCG exemption</th>${moneyCell(s.ltcg_exemption)}</tr>
+        <tr><th>Taxable STCG</th>${moneyCell(s.taxable_stcg)}</tr>
+        <tr><th>Taxable LTCG</th>${moneyCell(s.taxable_ltcg)}</tr>
+        <tr><th>Estimated tax (before surcharge and cess)</th>${moneyCell(s.estimated_tax)}</tr>
+        <tr><th>Short-term loss carried forward</th>${moneyCell(s.st_loss_carried_forward)}</tr>
+        <tr><th>Long-term loss carried forward</th>${moneyCell(s.lt_loss_carried_forward)}</tr>
+      </tbody></table>`
+    },
+    {
+      title: 'Schedule CG',
+      html: `<table><thead><tr><th></th><th>Full value of consideration</th><th>Cost of acquisition</th><th>Expenditure on transfer</th><th>Total deductions</th><th>Balance</th></tr></thead><tbody>
+        ${scheduleRows.map(r => `<tr><td>${escapeHTML(r.label)}</td>${moneyCell(r.full_value_of_consideration)}${moneyCell(r.cost_of_acquisition)}${moneyCell(r.expenditure_on_transfer)}${moneyCell(r.total_deductions)}${moneyCell(r.balance)}</tr>`).join('')}
+      </tbody></table>`
+    },
+    {
+      title: 'Schedule 112A',
+      html: `<table><thead><tr><th>Scrip</th><th>ISIN</th><th>Qty</th><th>Sale price / share</th><th>Full value of consideration</th><th>Cost without grandfathering</th><th>FMV on 31-Jan-2018</th><th>Cost of acquisition</th><th>Expenditure</th><th>Balance</th></tr></thead><tbody>
+        ${report.schedule_112a.map(r => `<tr><td>${escapeHTML(r.symbol)}</td><td>${escapeHTML(r.isin || '')}</td><td>${r.quantity}</td>${moneyCell(r.sale_price_per_share)}${moneyCell(r.full_value_of_consideration)}${moneyCell(r.cost_without_grandfathering)}${moneyCell(r.total_fmv_2018)}${moneyCell(r.cost_of_acquisition)}${moneyCell(r.expenditure_on_transfer)}${moneyCell(r.balance)}</tr>`).join('')}
+      </tbody></table>`
+    },
+    {
+      title: 'Transactions',
+      html: `<table><thead><tr><th>Scrip</th><th>Qty</th><th>Bought</th><th>Sold</th><th>Days</th><th>Term</th><th>Consideration</th><th>Cost</th><th>Expenditure</th><th>Gain</th></tr></thead><tbody>
+        ${report.transactions.map(t => `<tr><td>${escapeHTML(t.symbol)}</td><td>${t.quantity}</td><td>${t.buy_date}</td><td>${t.sell_date}</td><td>${t.holding_days}</td><td>${t.term === GAIN_TERMS.LONG ? 'LT' : 'ST'}</td>${moneyCell(t.full_value_of_consideration)}${moneyCell(t.cost_of_acquisition)}${moneyCell(t.expenditure_on_transfer)}${moneyCell(t.gain)}</tr>`).join('')}
+      </tbody></table>`
+    }
+  ];
+
+  return renderStatementHTML({
+    title: `Capital Gains Statement — FY ${report.fy}`,
+    subtitle: `${options.name ? `${escapeHTML(options.name)} · ` : ''}${report.period.start} to ${report.period.end} · FIFO`,
+    warnings: report.warnings,
+    sections
+  });
+}
@@ -0,0 +1,64 @@
+/**
+ * Statement HTML
+ * Self-contained printable page shared by the tax reports (open in a browser, print to PDF)
+ */
+
+export function escapeHTML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Right-aligned amount cell in Indian grouping; negatives are shown in red
+ * @param {number|null} value - Amount
+ * @returns {string}
+ */
+export function moneyCell(value) {
+  if (value == null) return '<td class="num"></td>';
+  const text = Number(value).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return `<td class="num${value < 0 ? ' neg' : ''}">${text}</td>`;
+}
+
+/**
+ * Render a statement page
+ * @param {Object} statement - Statement content
+ * @param {string} statement.title - Page heading
+ * @param {string} statement.subtitle - Line under the heading (already escaped)
+ * @param {Array<string>} statement.warnings - Notes shown above the sections
+ * @param {Array<{title: string, html: string}>} statement.sections - Section bodies
+ * @returns {string} HTML document
+ */
+export function renderStatementHTML({ title, subtitle = '', warnings = [], sections = [] }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #222; margin: 24px; font-size: 13px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 24px 0 8px; border-bottom: 1px solid #ccc; padding-bottom: 4px; }
+  .subtitle { color: #666; margin-bottom: 16px; }
+  .warning { background: #fff8e1; border-left: 3px solid #f0ad4e; padding: 6px 10px; margin: 4px 0; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #ddd; padding: 4px 6px; text-align: left; }
+  th { background: #f5f5f5; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  td.neg { color: #c62828; }
+  .footer { margin-top: 24px; color: #888; font-size: 11px; }
+  @media print { body { margin: 0; } h2 { page-break-after: avoid; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<div class="subtitle">${subtitle}</div>
+${warnings.map(w => `<div class="warning">${escapeHTML(w)}</div>`).join('\n')}
+${sections.map(s => `<h2>${escapeHTML(s.title)}</h2>\n${s.html}`).join('\n')}
+<div class="footer">Generated by Trade Book on ${new Date().toISOString().slice(0, 10)}. Figures are estimates for ITR preparation; verify with your broker's tax P&amp;L.</div>
+</body>
+</html>
+`;
+}
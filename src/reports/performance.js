@@ -0,0 +1,306 @@
+import { LotEngine, COST_BASIS_METHODS } from '../utils/LotEngine.js';
+import { contractKey } from '../utils/positions.js';
+import { isDerivativeTrade } from '../utils/instruments.js';
+import { toISODateString } from '../utils/date.js';
+
+/**
+ * Performance Statistics
+ * Pairs buys and sells into closed round-trips and reports win rate, expectancy, profit
+ * factor, streaks and holding periods, overall and per trade type, market, symbol, month
+ * and reason keyword. A round-trip is one closing trade (or a contract's settlement at expiry)
+ * with the opening trades it is matched against FIFO, so a sell that closes three buys counts
+ * once; P&L is net of the charges of the trades, pro rata to the matched quantity.
+ */
+
+export const STATS_GROUPS = ['trade_type', 'market_index', 'symbol', 'month', 'reason'];
+
+// Words that say nothing about why a trade was taken
+const REASON_STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'into', 'onto', 'after', 'before', 'near', 'above', 'below',
+  'was', 'were', 'are', 'has', 'had', 'have', 'this', 'that', 'its', 'our', 'per', 'via', 'but', 'not',
+  'buy', 'sell', 'bought', 'sold', 'trade', 'entry', 'exit'
+]);
+
+const EPSILON = 1e-9;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round2(value) {
+  return value != null ? Math.round(value * 100) / 100 : null;
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+function isSellTrade(trade) {
+  return String(trade.type || trade.trade_action || '').toLowerCase() === 'sell';
+}
+
+function sortTrades(trades) {
+  return [...trades].sort((a, b) => new Date(a.date) - new Date(b.date) || (Number(a.id) || 0) - (Number(b.id) || 0));
+}
+
+/**
+ * Keywords from a trade's reason: lowercased words of three or more letters, without stopwords
+ * ('Breakout above 200 DMA!' -> ['breakout', 'dma'])
+ * @param {string} reason - Free-text reason
+ * @returns {Array<string>} Distinct keywords in order of appearance
+ */
+export function reasonKeywords(reason) {
+  const words = String(reason || '').toLowerCase().split(/[^a-z0-9]+/)
+    .filter(word => word.length >= 3 && !/^\d+$/.test(word) && !REASON_STOPWORDS.has(word));
+  return [...new Set(words)];
+}
+
+// Share of a trade's charges for part of its quantity
+function chargesShare(trade, quantity) {
+  return trade && trade.charges && Number(trade.quantity) > 0
+    ? (Number(trade.charges.total) || 0) * quantity / Number(trade.quantity)
+    : 0;
+}
+
+/**
+ * Round-trip record from the FIFO matches (legs) of one closing trade or settlement. Prices are
+ * quantity-weighted averages and holding_days the quantity-weighted holding period.
+ * @param {Array<Object>} legs - { open, close, quantity, side, entryPrice, exitPrice, multiplier, closeDate, settlement }
+ */
+function roundTrip(legs) {
+  const [first] = legs;
+  const { close, side, multiplier, closeDate, settlement = false } = first;
+  const open = legs.reduce((earliest, leg) => (toISODateString(leg.open.date) < toISODateString(earliest.date) ? leg.open : earliest), first.open);
+  const sum = value => legs.reduce((total, leg) => total + value(leg), 0);
+  const quantity = sum(leg => leg.quantity);
+  const gross = sum(leg => leg.quantity * (leg.exitPrice - leg.entryPrice)) * (side === 'short' ? -1 : 1) * multiplier;
+  const charges = sum(leg => chargesShare(leg.open, leg.quantity)) + chargesShare(close, quantity);
+  const openTradeIds = [...new Set(legs.map(leg => leg.open.id ?? null).filter(id => id != null))];
+  return {
+    symbol: String(open.symbol || '').trim().toUpperCase(),
+    contract: isDerivativeTrade(open) ? contractKey(open) : String(open.symbol || '').trim().toUpperCase(),
+    trade_type: open.trade_type || 'Cash',
+    market_index: open.market_index || null,
+    side,
+    quantity,
+    open_date: toISODateString(open.date),
+    close_date: closeDate,
+    entry_price: round2(sum(leg => leg.quantity * leg.entryPrice) / quantity),
+    exit_price: round2(sum(leg => leg.quantity * leg.exitPrice) / quantity),
+    gross_pnl: round2(gross),
+    charges: round2(charges),
+    pnl: round2(gross - charges),
+    holding_days: round2(sum(leg => leg.quantity * daysBetween(toISODateString(leg.open.date), closeDate)) / quantity),
+    reason: first.open.reason || (close && close.reason) || null,
+    open_trade_id: first.open.id ?? null,
+    open_trade_ids: openTradeIds,
+    close_trade_id: close ? close.id ?? null : null,
+    settlement
+  };
+}
+
+// Group FIFO matches by closing trade (settlements by contract and expiry) into round-trips
+function mergeLegs(legs) {
+  const byClose = new Map();
+  for (const leg of legs) {
+    const key = leg.close || `settlement:${contractKey(leg.open)}:${leg.closeDate}`;
+    if (!byClose.has(key)) byClose.set(key, []);
+    byClose.get(key).push(leg);
+  }
+  return [...byClose.values()].map(roundTrip);
+}
+
+/**
+ * Cash FIFO matches from the lot engine (corporate actions applied; a buy covering a short sale
+ * closes it)
+ */
+function cashLegs(trades, corporateActions) {
+  const byId = new Map(trades.map(t => [String(t.id), t]));
+  const engine = LotEngine.fromTrades(trades, { method: COST_BASIS_METHODS.FIFO, corporateActions });
+  const legs = [];
+  for (const state of engine.symbols.values()) {
+    for (const r of state.realizations) {
+      const buy = byId.get(String(r.buyTradeId));
+      const sell = byId.get(String(r.sellTradeId));
+      // Bonus and rights lots have no opening trade
+      if (!buy || !sell) continue;
+      legs.push(r.side === 'short'
+        ? { open: sell, close: buy, quantity: r.quantity, side: 'short', entryPrice: r.sellPrice, exitPrice: r.buyPrice, multiplier: 1, closeDate: toISODateString(r.buyDate) }
+        : { open: buy, close: sell, quantity: r.quantity, side: 'long', entryPrice: r.buyPrice, exitPrice: r.sellPrice, multiplier: 1, closeDate: toISODateString(r.sellDate) });
+    }
+  }
+  return legs;
+}
+
+/**
+ * F&O FIFO matches: each contract's closing quantity is matched FIFO against open quantity,
+ * long or short. Contracts still open after expiry close at their settlement price.
+ */
+function derivativeLegs(trades, { marks, contractMaster, asOf }) {
+  const contracts = new Map();
+  for (const trade of sortTrades(trades)) {
+    const quantity = Number(trade.quantity) || 0;
+    if (quantity <= 0) continue;
+    const key = contractKey(trade);
+    if (!contracts.has(key)) contracts.set(key, { first: trade, lots: [] });
+    contracts.get(key).lots.push({ trade, signed: isSellTrade(trade) ? -quantity : quantity, price: Number(trade.price) || 0 });
+  }
+
+  const legs = [];
+  const unsettled = [];
+  for (const [key, { first, lots }] of contracts) {
+    const contract = contractMaster ? contractMaster.find(first.symbol, first.expiry, first.market_index) : null;
+    const multiplier = contract ? contract.multiplier : 1;
+    const open = [];
+    for (const lot of lots) {
+      let remaining = Math.abs(lot.signed);
+      while (remaining > EPSILON && open.length > 0 && Math.sign(open[0].signed) !== Math.sign(lot.signed)) {
+        const head = open[0];
+        const matched = Math.min(Math.abs(head.signed), remaining);
+        legs.push({
+          open: head.trade, close: lot.trade, quantity: matched, side: head.signed > 0 ? 'long' : 'short',
+          entryPrice: head.price, exitPrice: lot.price, multiplier, closeDate: toISODateString(lot.trade.date)
+        });
+        head.signed -= matched * Math.sign(head.signed);
+        remaining -= matched;
+        if (Math.abs(head.signed) <= EPSILON) open.shift();
+      }
+      if (remaining > EPSILON) open.push({ ...lot, signed: remaining * Math.sign(lot.signed) });
+    }
+
+    const expiry = toISODateString(first.expiry);
+    if (open.length === 0 || !expiry || expiry >= asOf) continue;
+    const settlementPrice = marks.get(key)?.settlement_price;
+    if (settlementPrice == null) {
+      unsettled.push(key);
+      continue;
+    }
+    for (const head of open) {
+      legs.push({
+        open: head.trade, close: null, quantity: Math.abs(head.signed), side: head.signed > 0 ? 'long' : 'short',
+        entryPrice: head.price, exitPrice: Number(settlementPrice), multiplier, closeDate: expiry, settlement: true
+      });
+    }
+  }
+  return { legs, unsettled };
+}
+
+/**
+ * Closed round-trips from a user's trades, oldest close first
+ * @param {Array<Object>} trades - Trades (with stored charges)
+ * @param {Object} options - Options
+ * @param {Map<string, Object>} options.marks - Settlement prices per contract key
+ * @param {ContractMaster} options.contractMaster - Contract multipliers
+ * @param {Array<Object>} options.corporateActions - Applied to Cash lots before matching
+ * @param {Date|string} options.asOf - Contracts expiring before this date are settled (defaults to today)
+ * @returns {{round_trips: Array<Object>, unsettled: Array<string>}}
+ */
+export function buildRoundTrips(trades, options = {}) {
+  const asOf = toISODateString(options.asOf || new Date());
+  const cash = cashLegs(trades.filter(t => !isDerivativeTrade(t)), options.corporateActions || []);
+  const derivatives = derivativeLegs(trades.filter(isDerivativeTrade), {
+    marks: options.marks || new Map(),
+    contractMaster: options.contractMaster || null,
+    asOf
+  });
+  const roundTrips = mergeLegs([...cash, ...derivatives.legs]).sort((a, b) =>
+    a.close_date.localeCompare(b.close_date) ||
+    (Number(a.close_trade_id) || 0) - (Number(b.close_trade_id) || 0) ||
+    a.open_date.localeCompare(b.open_date));
+  return { round_trips: roundTrips, unsettled: derivatives.unsettled };
+}
+
+/**
+ * Statistics for a list of round-trips in close order. Breakeven trips count in `count`
+ * but are neither wins nor losses.
+ * @param {Array<Object>} trips - Round-trips
+ * @returns {Object} count, wins, losses, win_rate, avg_win, avg_loss, expectancy, profit_factor,
+ *   largest_win, largest_loss, max_win_streak, max_loss_streak, current_streak, avg_holding_days, total_pnl
+ */
+export function summarizeRoundTrips(trips) {
+  const wins = trips.filter(t => t.pnl > 0);
+  const losses = trips.filter(t => t.pnl < 0);
+  const sum = list => list.reduce((total, t) => total + t.pnl, 0);
+  const grossWin = sum(wins);
+  const grossLoss = sum(losses);
+
+  let maxWinStreak = 0;
+  let maxLossStreak = 0;
+  let streak = 0;
+  for (const trip of trips) {
+    if (trip.pnl > 0) streak = streak > 0 ? streak + 1 : 1;
+    else if (trip.pnl < 0) streak = streak < 0 ? streak - 1 : -1;
+    else streak = 0;
+    maxWinStreak = Math.max(maxWinStreak, streak);
+    maxLossStreak = Math.max(maxLossStreak, -streak);
+  }
+
+  const count = trips.length;
+  return {
+    count,
+    wins: wins.length,
+    losses: losses.length,
+    win_rate: count > 0 ? round2((wins.length / count) * 100) : null,
+    avg_win: wins.length > 0 ? round2(grossWin / wins.length) : null,
+    avg_loss: losses.length > 0 ? round2(grossLoss / losses.length) : null,
+    expectancy: count > 0 ? round2((grossWin + grossLoss) / count) : null,
+    profit_factor: losses.length > 0 ? round2(grossWin / -grossLoss) : null,
+    largest_win: wins.length > 0 ? round2(Math.max(...wins.map(t => t.pnl))) : null,
+    largest_loss: losses.length > 0 ? round2(Math.min(...losses.map(t => t.pnl))) : null,
+    max_win_streak: maxWinStreak,
+    max_loss_streak: maxLossStreak,
+    current_streak: streak,
+    avg_holding_days: count > 0 ? round2(trips.reduce((total, t) => total + t.holding_days, 0) / count) : null,
+    total_pnl: round2(grossWin + grossLoss)
+  };
+}
+
+function groupKeys(trip, group) {
+  switch (group) {
+    case 'month': return [trip.close_date.slice(0, 7)];
+    case 'reason': {
+      const keywords = reasonKeywords(trip.reason);
+      return keywords.length > 0 ? keywords : [null];
+    }
+    default: return [trip[group] ?? null];
+  }
+}
+
+/**
+ * Build the statistics report
+ * @param {Array<Object>} trades - Trades (with stored charges)
+ * @param {Object} options - buildRoundTrips options, plus:
+ * @param {string} options.from - First close date included (YYYY-MM-DD)
+ * @param {string} options.to - Last close date included
+ * @returns {Object} { overall, groups: { trade_type, market_index, symbol, month, reason }, round_trips, warnings }.
+ *   Each group row is { key, ...stats }; a round-trip whose reason has several keywords counts under each.
+ */
+export function buildPerformanceReport(trades, options = {}) {
+  const { round_trips: all, unsettled } = buildRoundTrips(trades, options);
+  const from = options.from ? toISODateString(options.from) : null;
+  const to = options.to ? toISODateString(options.to) : null;
+  const trips = all.filter(t => (!from || t.close_date >= from) && (!to || t.close_date <= to));
+
+  const groups = {};
+  for (const group of STATS_GROUPS) {
+    const buckets = new Map();
+    for (const trip of trips) {
+      for (const key of groupKeys(trip, group)) {
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(trip);
+      }
+    }
+    groups[group] = [...buckets.entries()]
+      .map(([key, list]) => ({ key, ...summarizeRoundTrips(list) }))
+      .sort((a, b) => b.count - a.count || String(a.key).localeCompare(String(b.key)));
+  }
+
+  const warnings = unsettled.map(key => `${key} expired open without a settlement price; set it on the Positions tab to include it`);
+  const withoutCharges = trades.filter(t => !t.charges).length;
+  if (withoutCharges > 0) warnings.push(`${withoutCharges} trades have no charges recorded; their P&L is gross`);
+
+  return {
+    period: { from, to },
+    overall: summarizeRoundTrips(trips),
+    groups,
+    round_trips: trips,
+    warnings
+  };
+}
@@ -0,0 +1,240 @@
+import { PROVIDER_CAPABILITIES } from '../types/equity.js';
+import { CAPABILITY_METHODS } from './providers/QuoteProvider.js';
+
+/**
+ * Provider Registry
+ * The data sources EquityScraper can use, each with its capabilities, priority, enabled flag
+ * and health. A call for a capability tries the enabled providers that support it in priority
+ * order until one returns a result. Consecutive failures mark a provider down for a cooldown,
+ * during which it is skipped, so an offline server fails fast instead of retrying every source.
+ * Providers are probed on registration (checkAvailable) and one that cannot run here, such as a
+ * scraper whose optional dependency is not installed, is registered unavailable with the reason.
+ */
+
+// Health status of a provider
+export const PROVIDER_HEALTH = {
+  HEALTHY: 'healthy',
+  DEGRADED: 'degraded',
+  DOWN: 'down',
+  UNAVAILABLE: 'unavailable'
+};
+
+/**
+ * Provider settings from a comma-separated list of source names in priority order
+ * ('nse,yahoo_finance'). Listed sources are enabled with increasing priority; '-name' disables
+ * one without changing the rest. With no plain names the other sources keep their defaults.
+ * @param {string} text - List, e.g. from the QUOTE_PROVIDERS environment variable
+ * @param {Object} options - { exclusive: disable sources that are not listed when any plain name is given (default true) }
+ * @returns {Object<string, {enabled: boolean, priority?: number}>|null} Settings for configure(), null when blank
+ */
+export function parseProviderList(text, { exclusive = true } = {}) {
+  const names = String(text || '').split(',').map(n => n.trim().toLowerCase()).filter(Boolean);
+  if (names.length === 0) return null;
+  const settings = {};
+  const listed = names.filter(n => !n.startsWith('-'));
+  listed.forEach((name, i) => { settings[name] = { enabled: true, priority: (i + 1) * 10 }; });
+  names.filter(n => n.startsWith('-')).forEach(n => { settings[n.slice(1)] = { enabled: false }; });
+  if (exclusive && listed.length > 0) settings['*'] = { enabled: false };
+  return settings;
+}
+
+export class ProviderRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {number} options.failureThreshold - Consecutive failures before a provider is marked down (default 3)
+   * @param {number} options.cooldownMs - How long a down provider is skipped (default 5 minutes)
+   * @param {function(): Date} options.now - Clock
+   */
+  constructor({ failureThreshold = 3, cooldownMs = 5 * 60 * 1000, now = () => new Date() } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.now = now;
+    // name -> { provider, priority, enabled, unavailable (reason), checking (probe in progress), health }
+    this.entries = new Map();
+  }
+
+  /**
+   * Add or replace a provider
+   * @param {Object} provider - { name, capabilities, priority, getQuote?, getHistorical?, getFundamentals? }
+   * @param {Object} options - { priority, enabled } overriding the provider's defaults
+   * @returns {Object} The provider
+   */
+  register(provider, { priority = null, enabled = true } = {}) {
+    const name = String(provider?.name || '').trim().toLowerCase();
+    if (!name) throw new Error('Quote provider needs a name');
+    const capabilities = provider.capabilities || [];
+    if (capabilities.length === 0) throw new Error(`Quote provider ${name} lists no capabilities`);
+    for (const capability of capabilities) {
+      if (!Object.values(PROVIDER_CAPABILITIES).includes(capability)) {
+        throw new Error(`Quote provider ${name} has an unknown capability: ${capability}`);
+      }
+      if (typeof provider[CAPABILITY_METHODS[capability]] !== 'function') {
+        throw new Error(`Quote provider ${name} supports ${capability} but has no ${CAPABILITY_METHODS[capability]}()`);
+      }
+    }
+    const entry = {
+      provider,
+      priority: priority ?? provider.priority ?? 100,
+      enabled,
+      unavailable: null,
+      checking: null,
+      health: { failures: 0, lastError: null, lastSuccessAt: null, lastFailureAt: null, downUntil: null }
+    };
+    if (typeof provider.checkAvailable === 'function') {
+      entry.checking = Promise.resolve()
+        .then(() => provider.checkAvailable())
+        .catch(error => error.message || 'availability check failed')
+        .then(reason => {
+          entry.unavailable = reason || null;
+          entry.checking = null;
+        });
+    }
+    this.entries.set(name, entry);
+    return provider;
+  }
+
+  /**
+   * Wait for the availability checks of registered providers
+   * @returns {Promise<void>}
+   */
+  async ready() {
+    await Promise.all([...this.entries.values()].map(entry => entry.checking).filter(Boolean));
+  }
+
+  unregister(name) {
+    return this.entries.delete(String(name).toLowerCase());
+  }
+
+  get(name) {
+    return this.entries.get(String(name || '').toLowerCase())?.provider || null;
+  }
+
+  /**
+   * Enable, disable or reprioritise providers. The '*' key applies to every provider not named.
+   * @param {Object<string, {enabled?: boolean, priority?: number}>} settings - By provider name
+   */
+  configure(settings) {
+    if (!settings) return;
+    const fallback = settings['*'] || {};
+    for (const [name, entry] of this.entries) {
+      const setting = settings[name] || fallback;
+      if (setting.enabled !== undefined) entry.enabled = Boolean(setting.enabled);
+      if (Number.isFinite(setting.priority)) entry.priority = setting.priority;
+    }
+  }
+
+  setEnabled(name, enabled) {
+    const entry = this.entries.get(String(name).toLowerCase());
+    if (!entry) return false;
+    entry.enabled = enabled;
+    return true;
+  }
+
+  healthOf(entry) {
+    if (entry.unavailable) return PROVIDER_HEALTH.UNAVAILABLE;
+    const { failures, downUntil } = entry.health;
+    if (downUntil && downUntil > this.now().getTime()) return PROVIDER_HEALTH.DOWN;
+    return failures > 0 ? PROVIDER_HEALTH.DEGRADED : PROVIDER_HEALTH.HEALTHY;
+  }
+
+  /**
+   * Providers with their settings and health, in priority order (call ready() first for
+   * availability)
+   * @returns {Array<Object>} [{ name, capabilities, priority, enabled, health, failures, last_error, last_success_at, last_failure_at, down_until }]
+   */
+  list() {
+    return [...this.entries.entries()]
+      .sort(([, a], [, b]) => a.priority - b.priority)
+      .map(([name, entry]) => ({
+        name,
+        capabilities: entry.provider.capabilities,
+        priority: entry.priority,
+        enabled: entry.enabled && !entry.unavailable,
+        health: this.healthOf(entry),
+        failures: entry.health.failures,
+        last_error: entry.unavailable || entry.health.lastError,
+        last_success_at: entry.health.lastSuccessAt,
+        last_failure_at: entry.health.lastFailureAt,
+        down_until: entry.health.downUntil ? new Date(entry.health.downUntil).toISOString() : null
+      }));
+  }
+
+  // Enabled, available providers supporting a capability, in priority order
+  usableFor(capability) {
+    return [...this.entries.entries()]
+      .filter(([, entry]) => entry.enabled && !entry.unavailable && entry.provider.capabilities.includes(capability))
+      .sort(([, a], [, b]) => a.priority - b.priority);
+  }
+
+  /**
+   * Providers a call for a capability tries: enabled, available and not cooling down, by priority
+   * @param {string} capability - PROVIDER_CAPABILITIES value
+   * @returns {Array<string>} Provider names
+   */
+  providersFor(capability) {
+    return this.usableFor(capability)
+      .filter(([, entry]) => this.healthOf(entry) !== PROVIDER_HEALTH.DOWN)
+      .map(([name]) => name);
+  }
+
+  /**
+   * Call one provider for a capability, recording its health
+   * @param {string} name - Provider name
+   * @param {string} capability - PROVIDER_CAPABILITIES value
+   * @param {Array} args - Arguments for the capability's method
+   * @param {function(*): boolean} isValid - Whether a result counts as a success
+   * @returns {Promise<*>}
+   */
+  async callProvider(name, capability, args, isValid = result => result != null) {
+    const entry = this.entries.get(String(name).toLowerCase());
+    if (!entry || !entry.provider.capabilities.includes(capability)) {
+      throw new Error(`Unsupported source for ${capability}: ${name}`);
+    }
+    if (!entry.enabled) throw new Error(`Source is disabled: ${name}`);
+    await this.ready();
+    if (entry.unavailable) throw new Error(`Source is unavailable: ${name} (${entry.unavailable})`);
+    try {
+      const result = await entry.provider[CAPABILITY_METHODS[capability]](...args);
+      if (!isValid(result)) throw new Error(`${name} returned no ${capability} data`);
+      entry.health = { ...entry.health, failures: 0, lastError: null, lastSuccessAt: this.now().toISOString(), downUntil: null };
+      return result;
+    } catch (error) {
+      const failures = entry.health.failures + 1;
+      entry.health = {
+        failures,
+        lastError: error.message,
+        lastSuccessAt: entry.health.lastSuccessAt,
+        lastFailureAt: this.now().toISOString(),
+        downUntil: failures >= this.failureThreshold ? this.now().getTime() + this.cooldownMs : entry.health.downUntil
+      };
+      throw error;
+    }
+  }
+
+  /**
+   * Try providers for a capability in order until one succeeds
+   * @param {string} capability - PROVIDER_CAPABILITIES value
+   * @param {Array} args - Arguments for the capability's method
+   * @param {function(*): boolean} isValid - Whether a result counts as a success
+   * @returns {Promise<*>} The first valid result
+   */
+  async call(capability, args, isValid = result => result != null) {
+    await this.ready();
+    const names = this.providersFor(capability);
+    if (names.length === 0) {
+      if (this.usableFor(capability).length > 0) {
+        throw new Error(`All sources for ${capability} data are down after repeated failures; retrying after their cooldown`);
+      }
+      throw new Error(`No enabled source provides ${capability} data`);
+    }
+    const errors = [];
+    for (const name of names) {
+      try {
+        return await this.callProvider(name, capability, args, isValid);
+      } catch (error) {
+        errors.push(`${name}: ${error.message}`);
+      }
+    }
+    throw new Error(`All sources failed for ${capability} (${errors.join('; ')})`);
+  }
+}
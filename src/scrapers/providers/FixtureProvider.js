@@ -0,0 +1,47 @@
+import { EquityData, PROVIDER_CAPABILITIES } from '../../types/equity.js';
+import { QuoteProvider } from './QuoteProvider.js';
+
+/**
+ * Fixed quotes and history for tests and offline runs. Quotes carry isRealData: false so the
+ * quote cache flags them as not real.
+ */
+export class FixtureProvider extends QuoteProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {Object<string, number|Object>} options.quotes - Symbol to price, or to EquityData fields
+   * @param {Object<string, Array<Object>>} options.history - Symbol to daily bars { date, open, high, low, close, volume }
+   */
+  constructor({ quotes = {}, history = {}, ...options } = {}) {
+    super({
+      name: 'fixture',
+      capabilities: [PROVIDER_CAPABILITIES.QUOTE, PROVIDER_CAPABILITIES.HISTORICAL, PROVIDER_CAPABILITIES.FUNDAMENTALS],
+      priority: 0,
+      ...options
+    });
+    this.quotes = new Map();
+    this.history = new Map();
+    Object.entries(quotes).forEach(([symbol, quote]) => this.set(symbol, quote));
+    Object.entries(history).forEach(([symbol, bars]) => this.history.set(symbol.trim().toUpperCase(), bars));
+  }
+
+  set(symbol, quote) {
+    this.quotes.set(String(symbol).trim().toUpperCase(), typeof quote === 'object' ? { ...quote } : { price: Number(quote) });
+  }
+
+  async getQuote(symbol) {
+    const key = String(symbol).trim().toUpperCase();
+    const quote = this.quotes.get(key);
+    if (!quote) throw new Error(`No fixture quote for ${symbol}`);
+    return Object.assign(new EquityData({ ...quote, symbol: key, source: this.name }), { isRealData: false });
+  }
+
+  async getHistorical(symbol, days = 30) {
+    const bars = this.history.get(String(symbol).trim().toUpperCase());
+    if (!bars) throw new Error(`No fixture history for ${symbol}`);
+    return bars.slice(-days).map(bar => ({ ...bar, date: new Date(bar.date) }));
+  }
+
+  async getFundamentals(symbol) {
+    return this.getQuote(symbol);
+  }
+}
@@ -0,0 +1,61 @@
+import axios from 'axios';
+import { EquityData, EQUITY_SOURCES, PROVIDER_CAPABILITIES } from '../../types/equity.js';
+import { QuoteProvider } from './QuoteProvider.js';
+
+/**
+ * MoneyControl quotes, parsed from the stock page (needs the optional cheerio dependency)
+ */
+export class MoneyControlProvider extends QuoteProvider {
+  constructor(options = {}) {
+    super({ name: EQUITY_SOURCES.MONEYCONTROL, capabilities: [PROVIDER_CAPABILITIES.QUOTE], priority: 10, ...options });
+  }
+
+  async checkAvailable() {
+    try {
+      await import('cheerio');
+      return null;
+    } catch (error) {
+      return 'cheerio is not installed';
+    }
+  }
+
+  /**
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<EquityData>}
+   */
+  async getQuote(symbol) {
+    try {
+      const cheerio = await import('cheerio');
+      const url = `https://www.moneycontrol.com/india/stockpricequote/${symbol.toLowerCase()}`;
+
+      const response = await axios.get(url, {
+        headers: { 'User-Agent': this.userAgent },
+        timeout: this.timeout
+      });
+
+      const $ = cheerio.load(response.data);
+
+      const price = parseFloat($('.pcnsb div:nth-child(1) .last_price').text().replace(/[^\d.]/g, '')) || 0;
+      const change = parseFloat($('.pcnsb div:nth-child(2) .change').text().replace(/[^\d.-]/g, '')) || 0;
+      const changePercent = parseFloat($('.pcnsb div:nth-child(2) .change_percent').text().replace(/[^\d.-]/g, '')) || 0;
+      const volume = parseInt($('.pcnsb div:nth-child(3) .volume').text().replace(/[^\d]/g, '')) || 0;
+      const high = parseFloat($('.pcnsb div:nth-child(4) .high').text().replace(/[^\d.]/g, '')) || 0;
+      const low = parseFloat($('.pcnsb div:nth-child(5) .low').text().replace(/[^\d.]/g, '')) || 0;
+      const open = parseFloat($('.pcnsb div:nth-child(6) .open').text().replace(/[^\d.]/g, '')) || 0;
+
+      return new EquityData({
+        symbol: symbol.toUpperCase(),
+        price,
+        change,
+        changePercent,
+        volume,
+        high,
+        low,
+        open,
+        source: EQUITY_SOURCES.MONEYCONTROL
+      });
+    } catch (error) {
+      throw new Error(`MoneyControl scraping failed: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,54 @@
+import axios from 'axios';
+import { EquityData, EQUITY_SOURCES, PROVIDER_CAPABILITIES } from '../../types/equity.js';
+import { QuoteProvider } from './QuoteProvider.js';
+
+/**
+ * NSE quotes from the exchange's quote-equity API (official source, rate limited and strict
+ * about headers)
+ */
+export class NseProvider extends QuoteProvider {
+  constructor(options = {}) {
+    super({ name: EQUITY_SOURCES.NSE, capabilities: [PROVIDER_CAPABILITIES.QUOTE], priority: 40, ...options });
+  }
+
+  /**
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<EquityData>}
+   */
+  async getQuote(symbol) {
+    try {
+      const url = `https://www.nseindia.com/api/quote-equity?symbol=${symbol}`;
+
+      const response = await axios.get(url, {
+        headers: {
+          'User-Agent': this.userAgent,
+          'Accept': 'application/json, text/plain, */*',
+          'Accept-Language': 'en-US,en;q=0.9',
+          'Accept-Encoding': 'gzip, deflate, br',
+          'Referer': 'https://www.nseindia.com/',
+          'DNT': '1',
+          'Connection': 'keep-alive',
+          'Upgrade-Insecure-Requests': '1'
+        },
+        timeout: this.timeout
+      });
+
+      const data = response.data;
+
+      return new EquityData({
+        symbol: data.info.symbol,
+        price: data.priceInfo.lastPrice,
+        change: data.priceInfo.change,
+        changePercent: data.priceInfo.pChange,
+        volume: data.marketDeptOrderBook.totalTradedVolume,
+        high: data.priceInfo.dayHigh,
+        low: data.priceInfo.dayLow,
+        open: data.priceInfo.open,
+        prevClose: data.priceInfo.previousClose,
+        source: EQUITY_SOURCES.NSE
+      });
+    } catch (error) {
+      throw new Error(`NSE scraping failed: ${error.message}`);
+    }
+  }
+}
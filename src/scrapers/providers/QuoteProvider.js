@@ -0,0 +1,52 @@
+import { PROVIDER_CAPABILITIES } from '../../types/equity.js';
+
+// Method each capability is served by
+export const CAPABILITY_METHODS = {
+  [PROVIDER_CAPABILITIES.QUOTE]: 'getQuote',
+  [PROVIDER_CAPABILITIES.HISTORICAL]: 'getHistorical',
+  [PROVIDER_CAPABILITIES.FUNDAMENTALS]: 'getFundamentals'
+};
+
+export const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/**
+ * Quote Provider
+ * Base class for EquityScraper data sources. A provider has a unique name, the capabilities it
+ * supports (quote, historical, fundamentals), a default priority (lower is tried first) and one
+ * method per capability:
+ *  - getQuote(symbol) => EquityData
+ *  - getHistorical(symbol, days) => [{ date, open, high, low, close, volume }]
+ *  - getFundamentals(symbol) => EquityData with marketCap and peRatio
+ * A provider with optional dependencies also implements checkAvailable(), resolving to the reason
+ * it cannot run (or null), so the registry can disable it up front.
+ * Any object with the same shape can be registered; extending this class is optional.
+ */
+export class QuoteProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.name - Source name (EQUITY_SOURCES value for the built-in sources)
+   * @param {Array<string>} options.capabilities - PROVIDER_CAPABILITIES values
+   * @param {number} options.priority - Default priority, lower first
+   * @param {string} options.userAgent - User-Agent header for requests
+   * @param {number} options.timeout - Request timeout in ms
+   */
+  constructor({ name, capabilities = [PROVIDER_CAPABILITIES.QUOTE], priority = 100, userAgent = DEFAULT_USER_AGENT, timeout = 30000 }) {
+    this.name = name;
+    this.capabilities = capabilities;
+    this.priority = priority;
+    this.userAgent = userAgent;
+    this.timeout = timeout;
+  }
+
+  supports(capability) {
+    return this.capabilities.includes(capability);
+  }
+
+  /**
+   * Why the provider cannot run here, e.g. a missing optional dependency
+   * @returns {Promise<string|null>} Reason, or null when it can run
+   */
+  async checkAvailable() {
+    return null;
+  }
+}
@@ -0,0 +1,78 @@
+import { existsSync } from 'fs';
+import { EquityData, EQUITY_SOURCES, PROVIDER_CAPABILITIES } from '../../types/equity.js';
+import { QuoteProvider } from './QuoteProvider.js';
+
+/**
+ * Screener.in price, market cap and P/E, read from the rendered company page (needs the
+ * optional puppeteer dependency)
+ */
+export class ScreenerProvider extends QuoteProvider {
+  constructor(options = {}) {
+    super({ name: EQUITY_SOURCES.SCREENER, capabilities: [PROVIDER_CAPABILITIES.QUOTE, PROVIDER_CAPABILITIES.FUNDAMENTALS], priority: 30, ...options });
+  }
+
+  async checkAvailable() {
+    let puppeteer;
+    try {
+      ({ default: puppeteer } = await import('puppeteer'));
+    } catch (error) {
+      return 'puppeteer is not installed';
+    }
+    try {
+      return existsSync(puppeteer.executablePath()) ? null : 'Chrome for puppeteer is not installed';
+    } catch (error) {
+      return `Chrome for puppeteer is not available: ${error.message}`;
+    }
+  }
+
+  /**
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<EquityData>}
+   */
+  async getQuote(symbol) {
+    let browser = null;
+    try {
+      const { default: puppeteer } = await import('puppeteer');
+      const url = `https://www.screener.in/company/${symbol}/`;
+
+      browser = await puppeteer.launch({ headless: true });
+      const page = await browser.newPage();
+      await page.setUserAgent(this.userAgent);
+      await page.goto(url, { waitUntil: 'networkidle0', timeout: this.timeout });
+
+      const data = await page.evaluate(() => {
+        const priceElement = document.querySelector('.company-price .price');
+        const price = priceElement ? parseFloat(priceElement.textContent.replace(/[^\d.]/g, '')) : 0;
+
+        const changeElement = document.querySelector('.company-price .change');
+        const change = changeElement ? parseFloat(changeElement.textContent.replace(/[^\d.-]/g, '')) : 0;
+
+        const marketCapElement = document.querySelector('[data-testid="market-cap"]');
+        const marketCap = marketCapElement ? parseFloat(marketCapElement.textContent.replace(/[^\d.]/g, '')) : 0;
+
+        const peElement = document.querySelector('[data-testid="pe-ratio"]');
+        const peRatio = peElement ? parseFloat(peElement.textContent.replace(/[^\d.]/g, '')) : 0;
+
+        return { price, change, marketCap, peRatio };
+      });
+
+      return new EquityData({
+        symbol: symbol.toUpperCase(),
+        price: data.price,
+        change: data.change,
+        marketCap: data.marketCap,
+        peRatio: data.peRatio,
+        source: EQUITY_SOURCES.SCREENER
+      });
+    } catch (error) {
+      throw new Error(`Screener scraping failed: ${error.message}`);
+    } finally {
+      if (browser) await browser.close();
+    }
+  }
+
+  // The company page carries the fundamentals with the price
+  async getFundamentals(symbol) {
+    return this.getQuote(symbol);
+  }
+}
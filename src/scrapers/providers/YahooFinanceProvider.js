@@ -0,0 +1,85 @@
+import axios from 'axios';
+import { EquityData, EQUITY_SOURCES, PROVIDER_CAPABILITIES } from '../../types/equity.js';
+import { QuoteProvider } from './QuoteProvider.js';
+
+/**
+ * Yahoo Finance quotes and daily history from the chart API (NSE listings, SYMBOL.NS)
+ */
+export class YahooFinanceProvider extends QuoteProvider {
+  constructor(options = {}) {
+    super({ name: EQUITY_SOURCES.YAHOO_FINANCE, capabilities: [PROVIDER_CAPABILITIES.QUOTE, PROVIDER_CAPABILITIES.HISTORICAL], priority: 20, ...options });
+  }
+
+  async chart(symbol, query = '') {
+    // For Indian stocks, append .NS (NSE) or .BO (BSE)
+    const yahooSymbol = `${symbol}.NS`;
+    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${yahooSymbol}${query}`;
+
+    const response = await axios.get(url, {
+      headers: { 'User-Agent': this.userAgent },
+      timeout: this.timeout
+    });
+    return response.data.chart.result[0];
+  }
+
+  /**
+   * @param {string} symbol - Stock symbol
+   * @returns {Promise<EquityData>}
+   */
+  async getQuote(symbol) {
+    try {
+      const data = await this.chart(symbol);
+      const quote = data.indicators.quote[0];
+      const meta = data.meta;
+
+      const currentPrice = meta.regularMarketPrice;
+      const prevClose = meta.previousClose;
+      const change = currentPrice - prevClose;
+      const changePercent = (change / prevClose) * 100;
+
+      return new EquityData({
+        symbol: symbol.toUpperCase(),
+        price: currentPrice,
+        change,
+        changePercent,
+        volume: quote.volume[quote.volume.length - 1] || 0,
+        high: meta.regularMarketDayHigh || 0,
+        low: meta.regularMarketDayLow || 0,
+        open: meta.regularMarketOpen || 0,
+        prevClose,
+        source: EQUITY_SOURCES.YAHOO_FINANCE
+      });
+    } catch (error) {
+      throw new Error(`Yahoo Finance scraping failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * @param {string} symbol - Stock symbol
+   * @param {number} days - Number of days of historical data
+   * @returns {Promise<Array>}
+   */
+  async getHistorical(symbol, days = 30) {
+    try {
+      const data = await this.chart(symbol, `?interval=1d&range=${days}d`);
+      const timestamps = data.timestamp;
+      const quotes = data.indicators.quote[0];
+
+      const historicalData = [];
+      for (let i = 0; i < timestamps.length; i++) {
+        historicalData.push({
+          date: new Date(timestamps[i] * 1000),
+          open: quotes.open[i] || 0,
+          high: quotes.high[i] || 0,
+          low: quotes.low[i] || 0,
+          close: quotes.close[i] || 0,
+          volume: quotes.volume[i] || 0
+        });
+      }
+
+      return historicalData;
+    } catch (error) {
+      throw new Error(`Historical data scraping failed: ${error.message}`);
+    }
+  }
+}
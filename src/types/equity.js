@@ -9,6 +9,13 @@ export const EQUITY_SOURCES = {
   SCREENER: 'screener'
 };
 
+// What a quote provider can supply
+export const PROVIDER_CAPABILITIES = {
+  QUOTE: 'quote',
+  HISTORICAL: 'historical',
+  FUNDAMENTALS: 'fundamentals'
+};
+
 export const EQUITY_DATA_FIELDS = {
   SYMBOL: 'symbol',
   PRICE: 'price',
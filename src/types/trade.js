@@ -0,0 +1,126 @@
+/**
+ * Trade Types and Constants
+ * Mirrors the values stored in cursor_trade_book.trades by the web server
+ */
+
+export const TRADE_ACTIONS = {
+  BUY: 'buy',
+  SELL: 'sell'
+};
+
+export const TRADE_TYPES = {
+  CASH: 'Cash',
+  FUTURES: 'Futures',
+  CALL: 'CE',
+  PUT: 'PE'
+};
+
+export const MARKET_INDICES = {
+  NSE: 'NSE',
+  BSE: 'BSE',
+  MCX: 'MCX'
+};
+
+export const BROKERS = {
+  ZERODHA: 'zerodha',
+  UPSTOX: 'upstox',
+  GROWW: 'groww',
+  ICICI_DIRECT: 'icici_direct',
+  TRADEBOOK: 'tradebook'
+};
+
+// Cash trade product: delivery (CNC) or intraday (MIS); null on a trade means auto-detect
+export const TRADE_PRODUCTS = {
+  DELIVERY: 'delivery',
+  INTRADAY: 'intraday'
+};
+
+// Charge segments used by the charges calculator and tax reports
+export const TRADE_SEGMENTS = {
+  EQUITY_DELIVERY: 'equity_delivery',
+  EQUITY_INTRADAY: 'equity_intraday',
+  EQUITY_FUTURES: 'equity_futures',
+  EQUITY_OPTIONS: 'equity_options',
+  COMMODITY_FUTURES: 'commodity_futures',
+  COMMODITY_OPTIONS: 'commodity_options'
+};
+
+// Corporate actions applied to Cash holdings from their ex-date
+export const CORPORATE_ACTION_TYPES = {
+  SPLIT: 'split',
+  BONUS: 'bonus',
+  RIGHTS: 'rights',
+  DIVIDEND: 'dividend'
+};
+
+// Cash ledger entries; deposit, withdrawal, dividend and charge can be recorded by hand,
+// the rest are derived from trades
+export const LEDGER_ENTRY_TYPES = {
+  DEPOSIT: 'deposit',
+  WITHDRAWAL: 'withdrawal',
+  DIVIDEND: 'dividend',
+  CHARGE: 'charge',
+  BUY: 'buy',
+  SELL: 'sell',
+  FUTURES_PNL: 'futures_pnl'
+};
+
+// Journal vocabulary: free-form tags and named setups (strategies) are both user-defined
+export const JOURNAL_TAG_KINDS = {
+  TAG: 'tag',
+  SETUP: 'setup'
+};
+
+// Emotional state recorded on a journal entry
+export const JOURNAL_EMOTIONS = {
+  CALM: 'calm',
+  CONFIDENT: 'confident',
+  FEARFUL: 'fearful',
+  GREEDY: 'greedy',
+  ANXIOUS: 'anxious',
+  FOMO: 'fomo',
+  REVENGE: 'revenge',
+  BORED: 'bored'
+};
+
+// Multi-leg option structures recognised when legs are grouped into a strategy
+export const STRATEGY_TYPES = {
+  FUTURES: 'futures',
+  LONG_CALL: 'long_call',
+  SHORT_CALL: 'short_call',
+  LONG_PUT: 'long_put',
+  SHORT_PUT: 'short_put',
+  LONG_STRADDLE: 'long_straddle',
+  SHORT_STRADDLE: 'short_straddle',
+  LONG_STRANGLE: 'long_strangle',
+  SHORT_STRANGLE: 'short_strangle',
+  BULL_CALL_SPREAD: 'bull_call_spread',
+  BEAR_CALL_SPREAD: 'bear_call_spread',
+  BULL_PUT_SPREAD: 'bull_put_spread',
+  BEAR_PUT_SPREAD: 'bear_put_spread',
+  CALL_BUTTERFLY: 'call_butterfly',
+  PUT_BUTTERFLY: 'put_butterfly',
+  IRON_CONDOR: 'iron_condor',
+  IRON_BUTTERFLY: 'iron_butterfly',
+  CUSTOM: 'custom'
+};
+
+export const STRATEGY_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed'
+};
+
+// Price alerts: stop-loss and target apply to a symbol the user holds
+export const ALERT_TYPES = {
+  PRICE_ABOVE: 'price_above',
+  PRICE_BELOW: 'price_below',
+  PERCENT_CHANGE: 'percent_change',
+  STOP_LOSS: 'stop_loss',
+  TARGET: 'target'
+};
+
+export const ALERT_STATUS = {
+  ACTIVE: 'active',
+  TRIGGERED: 'triggered',
+  DISABLED: 'disabled'
+};
@@ -0,0 +1,93 @@
+import { ALERT_STATUS } from '../types/trade.js';
+import { evaluateAlert, HOLDING_ALERT_TYPES } from './alerts.js';
+import { isNseMarketOpen } from './marketHours.js';
+
+/**
+ * Alert Monitor
+ * Periodically checks active alerts against live quotes while the market is open. Each symbol
+ * is quoted once per run; triggered alerts are handed to onTrigger, which records the
+ * notification and marks the alert. The quote source and clock are injectable for tests.
+ */
+export class AlertMonitor {
+  /**
+   * @param {Object} options - Monitor options
+   * @param {Object} options.quoteSource - { getEquityData(symbol) } resolving to { price, changePercent }
+   * @param {function(): Promise<Array<Object>>} options.loadActiveAlerts - Active alerts of all users
+   * @param {function(number, string): Promise<Object|null>} options.loadHolding - Holding for stop-loss/target messages
+   * @param {function(Object, Object): Promise<void>} options.onTrigger - Called with (alert, { price, message, quote })
+   * @param {number} options.intervalMs - Time between runs (default 60s)
+   * @param {function(Date): boolean} options.isMarketOpen - Session check (default NSE hours)
+   * @param {function(): Date} options.now - Clock
+   */
+  constructor({ quoteSource, loadActiveAlerts, loadHolding = async () => null, onTrigger, intervalMs = 60000, isMarketOpen = isNseMarketOpen, now = () => new Date() }) {
+    this.quoteSource = quoteSource;
+    this.loadActiveAlerts = loadActiveAlerts;
+    this.loadHolding = loadHolding;
+    this.onTrigger = onTrigger;
+    this.intervalMs = intervalMs;
+    this.isMarketOpen = isMarketOpen;
+    this.now = now;
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start the schedule. Runs outside market hours are skipped.
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick().catch(error => console.error('Alert monitor error:', error)), this.intervalMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (this.running || !this.isMarketOpen(this.now())) return null;
+    return this.runOnce();
+  }
+
+  /**
+   * Check alerts now, regardless of market hours
+   * @param {Array<Object>} alerts - Alerts to check (defaults to every active alert)
+   * @returns {Promise<{checked: number, triggered: Array<Object>, errors: Array<Object>}>}
+   */
+  async runOnce(alerts = null) {
+    this.running = true;
+    const summary = { checked: 0, triggered: [], errors: [] };
+    try {
+      const active = (alerts || await this.loadActiveAlerts()).filter(a => a.status === ALERT_STATUS.ACTIVE);
+      const bySymbol = new Map();
+      for (const alert of active) {
+        if (!bySymbol.has(alert.symbol)) bySymbol.set(alert.symbol, []);
+        bySymbol.get(alert.symbol).push(alert);
+      }
+
+      for (const [symbol, symbolAlerts] of bySymbol) {
+        let quote;
+        try {
+          quote = await this.quoteSource.getEquityData(symbol);
+        } catch (error) {
+          summary.errors.push({ symbol, error: error.message });
+          continue;
+        }
+        for (const alert of symbolAlerts) {
+          summary.checked += 1;
+          const holding = HOLDING_ALERT_TYPES.includes(alert.alert_type) ? await this.loadHolding(alert.user_id, symbol) : null;
+          const result = evaluateAlert(alert, quote, holding);
+          if (!result.triggered) continue;
+          await this.onTrigger(alert, { ...result, quote });
+          summary.triggered.push({ alert_id: alert.id, user_id: alert.user_id, symbol, price: result.price, message: result.message });
+        }
+      }
+    } finally {
+      this.running = false;
+      this.lastRun = this.now();
+    }
+    return summary;
+  }
+}
@@ -0,0 +1,353 @@
+import { MARKET_INDICES, TRADE_PRODUCTS, TRADE_SEGMENTS } from '../types/trade.js';
+import { normalizeInstrumentType } from './instruments.js';
+import { toISODateString } from './date.js';
+
+/**
+ * Charges Calculator
+ * Brokerage and statutory charges (STT/CTT, exchange transaction charges, SEBI
+ * turnover fee, stamp duty, GST) per trade, as they appear on a contract note.
+ */
+
+/**
+ * Statutory rates in percent of turnover (premium turnover for options).
+ * STT/CTT applies to the side(s) listed; stamp duty is charged on buys only.
+ */
+export const STATUTORY_RATES = {
+  [TRADE_SEGMENTS.EQUITY_DELIVERY]: {
+    stt: { buy: 0.1, sell: 0.1 },
+    exchange: { [MARKET_INDICES.NSE]: 0.00297, [MARKET_INDICES.BSE]: 0.00375 },
+    stamp: 0.015
+  },
+  [TRADE_SEGMENTS.EQUITY_INTRADAY]: {
+    stt: { buy: 0, sell: 0.025 },
+    exchange: { [MARKET_INDICES.NSE]: 0.00297, [MARKET_INDICES.BSE]: 0.00375 },
+    stamp: 0.003
+  },
+  [TRADE_SEGMENTS.EQUITY_FUTURES]: {
+    stt: { buy: 0, sell: 0.02 },
+    exchange: { [MARKET_INDICES.NSE]: 0.00173, [MARKET_INDICES.BSE]: 0 },
+    stamp: 0.002
+  },
+  [TRADE_SEGMENTS.EQUITY_OPTIONS]: {
+    stt: { buy: 0, sell: 0.1 },
+    exchange: { [MARKET_INDICES.NSE]: 0.03503, [MARKET_INDICES.BSE]: 0.0325 },
+    stamp: 0.003
+  },
+  [TRADE_SEGMENTS.COMMODITY_FUTURES]: {
+    stt: { buy: 0, sell: 0.01 },
+    exchange: { [MARKET_INDICES.MCX]: 0.0021 },
+    stamp: 0.002
+  },
+  [TRADE_SEGMENTS.COMMODITY_OPTIONS]: {
+    stt: { buy: 0, sell: 0.05 },
+    exchange: { [MARKET_INDICES.MCX]: 0.0418 },
+    stamp: 0.003
+  }
+};
+
+// SEBI turnover fee (₹10 per crore) and GST on brokerage + exchange + SEBI charges
+export const SEBI_FEE_RATE = 0.0001;
+export const GST_RATE = 18;
+
+/**
+ * Brokerage plans. Each segment rule is { flat } per order, or { percent, max?, min? }.
+ */
+export const BROKERAGE_PLANS = {
+  discount: {
+    id: 'discount',
+    name: 'Discount (₹20 or 0.03% per order, free delivery)',
+    rules: {
+      [TRADE_SEGMENTS.EQUITY_DELIVERY]: { flat: 0 },
+      [TRADE_SEGMENTS.EQUITY_INTRADAY]: { percent: 0.03, max: 20 },
+      [TRADE_SEGMENTS.EQUITY_FUTURES]: { percent: 0.03, max: 20 },
+      [TRADE_SEGMENTS.EQUITY_OPTIONS]: { flat: 20 },
+      [TRADE_SEGMENTS.COMMODITY_FUTURES]: { percent: 0.03, max: 20 },
+      [TRADE_SEGMENTS.COMMODITY_OPTIONS]: { flat: 20 }
+    }
+  },
+  flat_20: {
+    id: 'flat_20',
+    name: 'Flat ₹20 per order',
+    rules: Object.fromEntries(Object.values(TRADE_SEGMENTS).map(segment => [segment, { flat: 20 }]))
+  },
+  full_service: {
+    id: 'full_service',
+    name: 'Full service (0.5% delivery, 0.05% intraday/futures, ₹50 per options order)',
+    rules: {
+      [TRADE_SEGMENTS.EQUITY_DELIVERY]: { percent: 0.5 },
+      [TRADE_SEGMENTS.EQUITY_INTRADAY]: { percent: 0.05 },
+      [TRADE_SEGMENTS.EQUITY_FUTURES]: { percent: 0.05 },
+      [TRADE_SEGMENTS.EQUITY_OPTIONS]: { flat: 50 },
+      [TRADE_SEGMENTS.COMMODITY_FUTURES]: { percent: 0.05 },
+      [TRADE_SEGMENTS.COMMODITY_OPTIONS]: { flat: 50 }
+    }
+  },
+  zero: {
+    id: 'zero',
+    name: 'No brokerage',
+    rules: Object.fromEntries(Object.values(TRADE_SEGMENTS).map(segment => [segment, { flat: 0 }]))
+  }
+};
+
+export const DEFAULT_BROKERAGE_PLAN = 'discount';
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function isSell(trade) {
+  return String(trade.type || trade.trade_action || '').toLowerCase() === 'sell';
+}
+
+/**
+ * Split Cash trades without an explicit product into intraday and delivery quantity. When a
+ * symbol is bought and sold on the same day, the quantity squared off (the smaller side's total)
+ * is intraday, taken from each side's trades in order; the rest is delivery. Brokers decide by
+ * the order's product code, so an explicit `product` wins and those trades are not netted.
+ * @param {Array<Object>} trades - Trades (any type)
+ * @returns {Map<*, {product: string, intraday_quantity: number, delivery_quantity: number}>} Trade id -> split
+ *   for Cash trades; product is 'delivery' when any of the quantity is delivered
+ */
+export function splitCashTrades(trades) {
+  const splits = new Map();
+  const days = new Map();
+  const setSplit = (trade, intraday) => {
+    const quantity = Number(trade.quantity) || 0;
+    splits.set(trade.id, {
+      product: intraday < quantity ? TRADE_PRODUCTS.DELIVERY : TRADE_PRODUCTS.INTRADAY,
+      intraday_quantity: intraday,
+      delivery_quantity: quantity - intraday
+    });
+  };
+
+  for (const trade of trades.filter(t => String(t.trade_type || '').toLowerCase() === 'cash')) {
+    if (Object.values(TRADE_PRODUCTS).includes(trade.product)) {
+      setSplit(trade, trade.product === TRADE_PRODUCTS.INTRADAY ? Number(trade.quantity) || 0 : 0);
+      continue;
+    }
+    const key = `${String(trade.symbol || '').trim().toUpperCase()}|${toISODateString(trade.date)}`;
+    if (!days.has(key)) days.set(key, { buy: [], sell: [] });
+    days.get(key)[isSell(trade) ? 'sell' : 'buy'].push(trade);
+  }
+
+  for (const day of days.values()) {
+    const total = side => day[side].reduce((sum, t) => sum + (Number(t.quantity) || 0), 0);
+    const squaredOff = Math.min(total('buy'), total('sell'));
+    for (const side of ['buy', 'sell']) {
+      let left = squaredOff;
+      for (const trade of [...day[side]].sort((a, b) => (Number(a.id) || 0) - (Number(b.id) || 0))) {
+        const intraday = Math.min(Number(trade.quantity) || 0, left);
+        left -= intraday;
+        setSplit(trade, intraday);
+      }
+    }
+  }
+  return splits;
+}
+
+// Breakdown with its brokerage replaced, GST and total recomputed
+function withBrokerage(breakdown, brokerage) {
+  const gst = round2((brokerage + breakdown.exchange_txn + breakdown.sebi_fee) * GST_RATE / 100);
+  return {
+    ...breakdown,
+    brokerage,
+    gst,
+    total: round2(brokerage + breakdown.stt + breakdown.exchange_txn + breakdown.sebi_fee + breakdown.stamp_duty + gst)
+  };
+}
+
+export class ChargesCalculator {
+  /**
+   * @param {Object} options - Calculator options
+   * @param {Object} options.rates - Overrides for STATUTORY_RATES (per segment)
+   * @param {ContractMaster} options.contractMaster - Supplies MCX contract multipliers for turnover
+   */
+  constructor(options = {}) {
+    this.rates = { ...STATUTORY_RATES, ...(options.rates || {}) };
+    this.plans = new Map(Object.values(BROKERAGE_PLANS).map(plan => [plan.id, plan]));
+    this.contractMaster = options.contractMaster || null;
+  }
+
+  /**
+   * Register or replace a brokerage plan
+   * @param {Object} plan - { id, name, rules: { [segment]: { flat } | { percent, max?, min? } } }
+   */
+  registerPlan(plan) {
+    if (!plan || !plan.id || !plan.rules) {
+      throw new Error('Brokerage plan needs an id and rules');
+    }
+    this.plans.set(plan.id, { name: plan.id, ...plan });
+  }
+
+  /**
+   * Available brokerage plans
+   * @returns {Array<{id: string, name: string}>}
+   */
+  listPlans() {
+    return [...this.plans.values()].map(({ id, name }) => ({ id, name }));
+  }
+
+  hasPlan(planId) {
+    return this.plans.has(planId);
+  }
+
+  /**
+   * Charge segment for a trade
+   * @param {Object} trade - Trade record
+   * @param {string} product - 'intraday' or 'delivery' for Cash trades
+   * @returns {string|null} One of TRADE_SEGMENTS, or null if the trade type is unknown
+   */
+  getSegment(trade, product = null) {
+    const isCommodity = String(trade.market_index || '').toUpperCase() === MARKET_INDICES.MCX;
+    const instrument = normalizeInstrumentType(trade.trade_type);
+    if (instrument === 'FUT') {
+      return isCommodity ? TRADE_SEGMENTS.COMMODITY_FUTURES : TRADE_SEGMENTS.EQUITY_FUTURES;
+    }
+    if (instrument) {
+      return isCommodity ? TRADE_SEGMENTS.COMMODITY_OPTIONS : TRADE_SEGMENTS.EQUITY_OPTIONS;
+    }
+    if (String(trade.trade_type || '').toLowerCase() !== 'cash') return null;
+    return (product || trade.product) === TRADE_PRODUCTS.INTRADAY
+      ? TRADE_SEGMENTS.EQUITY_INTRADAY
+      : TRADE_SEGMENTS.EQUITY_DELIVERY;
+  }
+
+  /**
+   * Brokerage for one order under a plan rule
+   * @param {Object} rule - { flat } or { percent, max?, min? }
+   * @param {number} turnover - Order value
+   * @returns {number}
+   */
+  applyRule(rule, turnover) {
+    if (!rule) return 0;
+    if (rule.flat != null) return Number(rule.flat);
+    let brokerage = turnover * (Number(rule.percent) || 0) / 100;
+    if (rule.max != null) brokerage = Math.min(brokerage, Number(rule.max));
+    if (rule.min != null) brokerage = Math.max(brokerage, Number(rule.min));
+    return brokerage;
+  }
+
+  /**
+   * Charges for a single trade
+   * @param {Object} trade - Trade (type, quantity, price, market_index, trade_type, symbol, expiry)
+   * @param {Object} options - Options
+   * @param {string} options.plan - Brokerage plan id
+   * @param {string} options.product - 'intraday' or 'delivery' for Cash trades
+   * @param {number} options.intradayQuantity - Part of a Cash trade squared off the same day (see calculateSplit)
+   * @returns {Object|null} Breakdown, or null when the trade type has no charge segment
+   */
+  calculate(trade, options = {}) {
+    const segment = this.getSegment(trade, options.product);
+    if (!segment) return null;
+    const intradayQuantity = Number(options.intradayQuantity) || 0;
+    if (intradayQuantity > 0 && intradayQuantity < (Number(trade.quantity) || 0) &&
+      (segment === TRADE_SEGMENTS.EQUITY_DELIVERY || segment === TRADE_SEGMENTS.EQUITY_INTRADAY)) {
+      return this.calculateSplit(trade, intradayQuantity, options.plan);
+    }
+
+    const plan = this.plans.get(options.plan || DEFAULT_BROKERAGE_PLAN) || this.plans.get(DEFAULT_BROKERAGE_PLAN);
+    const rates = this.rates[segment];
+    const exchange = String(trade.market_index || '').toUpperCase() ||
+      (segment.startsWith('commodity') ? MARKET_INDICES.MCX : MARKET_INDICES.NSE);
+    const contract = this.contractMaster && segment !== TRADE_SEGMENTS.EQUITY_DELIVERY && segment !== TRADE_SEGMENTS.EQUITY_INTRADAY
+      ? this.contractMaster.find(trade.symbol, trade.expiry, trade.market_index)
+      : null;
+    const multiplier = contract ? contract.multiplier : 1;
+    const turnover = (Number(trade.quantity) || 0) * (Number(trade.price) || 0) * multiplier;
+    const side = isSell(trade) ? 'sell' : 'buy';
+
+    const brokerage = round2(this.applyRule(plan.rules[segment], turnover));
+    const stt = round2(turnover * (rates.stt[side] || 0) / 100);
+    const exchangeTxn = round2(turnover * (rates.exchange[exchange] ?? Object.values(rates.exchange)[0] ?? 0) / 100);
+    const sebiFee = round2(turnover * SEBI_FEE_RATE / 100);
+    const stampDuty = side === 'buy' ? round2(turnover * rates.stamp / 100) : 0;
+    const gst = round2((brokerage + exchangeTxn + sebiFee) * GST_RATE / 100);
+
+    return {
+      segment,
+      plan: plan.id,
+      side,
+      turnover: round2(turnover),
+      brokerage,
+      stt,
+      exchange_txn: exchangeTxn,
+      sebi_fee: sebiFee,
+      stamp_duty: stampDuty,
+      gst,
+      total: round2(brokerage + stt + exchangeTxn + sebiFee + stampDuty + gst)
+    };
+  }
+
+  /**
+   * Charges for a Cash trade partly squared off the same day. STT, stamp duty and the other
+   * statutory charges apply to each portion at its own rates. Brokerage is for one order: the
+   * larger portion's fee under flat-fee rules, else the sum of the percentage fees.
+   * @param {Object} trade - Cash trade
+   * @param {number} intradayQuantity - Quantity squared off the same day
+   * @param {string} planId - Brokerage plan id
+   * @returns {Object} Breakdown with intraday_quantity and the intraday and delivery portions
+   */
+  calculateSplit(trade, intradayQuantity, planId) {
+    const quantity = Number(trade.quantity) || 0;
+    const intraday = this.calculate({ ...trade, quantity: intradayQuantity }, { plan: planId, product: TRADE_PRODUCTS.INTRADAY });
+    const delivery = this.calculate({ ...trade, quantity: quantity - intradayQuantity }, { plan: planId, product: TRADE_PRODUCTS.DELIVERY });
+    const plan = this.plans.get(intraday.plan);
+    const flat = [TRADE_SEGMENTS.EQUITY_INTRADAY, TRADE_SEGMENTS.EQUITY_DELIVERY].every(segment => plan.rules[segment]?.flat != null);
+    const brokerage = flat ? Math.max(intraday.brokerage, delivery.brokerage) : round2(intraday.brokerage + delivery.brokerage);
+    // Portions share the order's brokerage pro rata so they add up to the trade
+    const portions = {
+      intraday: withBrokerage(intraday, round2(brokerage * intradayQuantity / quantity)),
+      delivery: withBrokerage(delivery, round2(brokerage * (quantity - intradayQuantity) / quantity))
+    };
+    const sum = field => round2(intraday[field] + delivery[field]);
+    return {
+      ...withBrokerage({
+        segment: delivery.segment,
+        plan: intraday.plan,
+        side: intraday.side,
+        turnover: sum('turnover'),
+        brokerage,
+        stt: sum('stt'),
+        exchange_txn: sum('exchange_txn'),
+        sebi_fee: sum('sebi_fee'),
+        stamp_duty: sum('stamp_duty')
+      }, brokerage),
+      intraday_quantity: intradayQuantity,
+      portions
+    };
+  }
+
+  /**
+   * Charges for a user's trades, splitting Cash trades into intraday and delivery quantity first
+   * @param {Array<Object>} trades - All of a user's trades
+   * @param {Object} options - { plan }
+   * @returns {Map<*, Object>} Trade id -> breakdown (with product for Cash trades)
+   */
+  calculateAll(trades, options = {}) {
+    const splits = splitCashTrades(trades);
+    const charges = new Map();
+    for (const trade of trades) {
+      const split = splits.get(trade.id);
+      const breakdown = this.calculate(trade, { plan: options.plan, product: split?.product || null, intradayQuantity: split?.intraday_quantity });
+      if (breakdown) charges.set(trade.id, split ? { ...breakdown, product: split.product } : breakdown);
+    }
+    return charges;
+  }
+}
+
+/**
+ * Sum charges per key
+ * @param {Array<Object>} trades - Trades with a `charges` breakdown
+ * @param {Function} keyOf - Trade -> group key
+ * @returns {Map<string, number>} Total charges per key
+ */
+export function sumChargesBy(trades, keyOf) {
+  const totals = new Map();
+  for (const trade of trades) {
+    const total = trade.charges?.total;
+    if (total == null) continue;
+    const key = keyOf(trade);
+    totals.set(key, round2((totals.get(key) || 0) + Number(total)));
+  }
+  return totals;
+}
@@ -0,0 +1,309 @@
+import { readFile } from 'fs/promises';
+import { parseCSV } from './csv.js';
+import { parseDate, parseNumber } from '../importers/helpers.js';
+import { MARKET_INDICES } from '../types/trade.js';
+import { toISODateString } from './date.js';
+
+/**
+ * Contract Master
+ * Lot size, tick size and contract multiplier for F&O underlyings, keyed by
+ * underlying and expiry. Loaded from local instrument CSVs:
+ *  - Trade Book format: exchange,symbol,lot_size,tick_size,multiplier,expiry,valid_from,valid_to
+ *    (expiry blank for a default, YYYY-MM for a contract month or a full date; valid_from and
+ *    valid_to, both optional, bound the contract expiries a lot size applies to, since exchanges
+ *    revise lot sizes over time)
+ *  - NSE market lots (fo_mktlots.csv): UNDERLYING,SYMBOL,JAN-25,FEB-25,...
+ *  - Broker instrument dumps (Kite-style): tradingsymbol,name,expiry,lot_size,tick_size,instrument_type,exchange
+ */
+
+const MONTHS = {
+  JAN: '01', FEB: '02', MAR: '03', APR: '04', MAY: '05', JUN: '06',
+  JUL: '07', AUG: '08', SEP: '09', OCT: '10', NOV: '11', DEC: '12'
+};
+
+const DERIVATIVE_INSTRUMENT_TYPES = ['FUT', 'CE', 'PE'];
+
+// Derivative exchange segments in instrument dumps map to the trade's market_index
+const SEGMENT_EXCHANGES = { NFO: MARKET_INDICES.NSE, BFO: MARKET_INDICES.BSE, MCX: MARKET_INDICES.MCX };
+
+function normalizeSymbol(symbol) {
+  return String(symbol || '').trim().toUpperCase();
+}
+
+function normalizeExchange(exchange) {
+  const value = normalizeSymbol(exchange);
+  return SEGMENT_EXCHANGES[value] || value || MARKET_INDICES.NSE;
+}
+
+// 'JAN-25' / 'Jan-2025' -> '2025-01'
+function parseMonthHeader(header) {
+  const m = String(header || '').trim().match(/^([A-Za-z]{3})[-\s](\d{2}|\d{4})$/);
+  if (!m || !MONTHS[m[1].toUpperCase()]) return null;
+  const year = m[2].length === 2 ? `20${m[2]}` : m[2];
+  return `${year}-${MONTHS[m[1].toUpperCase()]}`;
+}
+
+// Blank (default), 'YYYY-MM' (contract month) or a full date
+function parseExpiry(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  if (/^\d{4}-\d{2}$/.test(text)) return text;
+  return parseMonthHeader(text) || parseDate(text);
+}
+
+function positiveNumber(value) {
+  const num = parseNumber(value);
+  return num != null && num > 0 ? num : null;
+}
+
+export class ContractMaster {
+  constructor() {
+    // symbol -> Array<contract>
+    this.contracts = new Map();
+    this.sources = [];
+  }
+
+  /**
+   * Number of underlyings known
+   * @returns {number}
+   */
+  get size() {
+    return this.contracts.size;
+  }
+
+  /**
+   * Add or replace a contract entry
+   * @param {Object} contract - Contract spec
+   * @param {string} contract.symbol - Underlying (NIFTY, RELIANCE, CRUDEOIL)
+   * @param {string} contract.exchange - NSE, BSE or MCX
+   * @param {string|null} contract.expiry - Expiry date, contract month (YYYY-MM) or null for all expiries
+   * @param {number} contract.lot_size - Units per lot
+   * @param {number} contract.tick_size - Minimum price step
+   * @param {number} contract.multiplier - Price multiplier for P&L (1 for NSE/BSE)
+   * @param {string|null} contract.valid_from - First expiry date the entry applies to (optional)
+   * @param {string|null} contract.valid_to - Last expiry date the entry applies to (optional)
+   */
+  addContract(contract) {
+    const symbol = normalizeSymbol(contract.symbol);
+    const lotSize = positiveNumber(contract.lot_size);
+    if (!symbol || !lotSize) return;
+
+    const entry = {
+      symbol,
+      exchange: normalizeExchange(contract.exchange),
+      expiry: contract.expiry || null,
+      lot_size: lotSize,
+      tick_size: positiveNumber(contract.tick_size) || 0.05,
+      multiplier: positiveNumber(contract.multiplier) || 1,
+      valid_from: parseDate(contract.valid_from),
+      valid_to: parseDate(contract.valid_to)
+    };
+    const entries = this.contracts.get(symbol) || [];
+    const existing = entries.findIndex(e => e.expiry === entry.expiry && e.exchange === entry.exchange &&
+      e.valid_from === entry.valid_from && e.valid_to === entry.valid_to);
+    if (existing >= 0) entries[existing] = entry;
+    else entries.push(entry);
+    this.contracts.set(symbol, entries);
+  }
+
+  /**
+   * Load contracts from CSV text (format detected from the headers)
+   * @param {string} text - CSV content
+   * @param {Object} options - Options
+   * @param {string} options.exchange - Exchange for files without an exchange column
+   * @returns {number} Number of contract entries read
+   */
+  loadCSV(text, options = {}) {
+    const { headers, records } = parseCSV(text);
+    const before = this.countEntries();
+
+    if (headers.includes('lot_size') && headers.includes('tradingsymbol')) {
+      this.loadInstrumentDump(records, options);
+    } else if (headers.includes('underlying') && headers.some(parseMonthHeader)) {
+      this.loadMarketLots(headers, records, options);
+    } else if (headers.includes('symbol') && headers.includes('lot_size')) {
+      records.forEach(record => this.addContract({
+        symbol: record.symbol,
+        exchange: record.exchange || options.exchange,
+        expiry: parseExpiry(record.expiry),
+        lot_size: record.lot_size,
+        tick_size: record.tick_size,
+        multiplier: record.multiplier,
+        valid_from: record.valid_from,
+        valid_to: record.valid_to
+      }));
+    } else {
+      throw new Error('Unrecognized contract master CSV: expected symbol/lot_size, NSE market lots or instrument dump headers');
+    }
+
+    return this.countEntries() - before;
+  }
+
+  /**
+   * NSE fo_mktlots.csv: one row per underlying, one lot-size column per contract month
+   */
+  loadMarketLots(headers, records, options) {
+    const monthHeaders = headers.filter(parseMonthHeader);
+    for (const record of records) {
+      for (const header of monthHeaders) {
+        this.addContract({
+          symbol: record.symbol,
+          exchange: options.exchange || MARKET_INDICES.NSE,
+          expiry: parseMonthHeader(header),
+          lot_size: record[header]
+        });
+      }
+    }
+  }
+
+  /**
+   * Broker instrument dump: one row per contract; keeps derivative rows only
+   */
+  loadInstrumentDump(records, options) {
+    for (const record of records) {
+      const instrumentType = normalizeSymbol(record.instrument_type);
+      if (!DERIVATIVE_INSTRUMENT_TYPES.includes(instrumentType)) continue;
+      this.addContract({
+        symbol: record.name || record.tradingsymbol,
+        exchange: record.exchange || record.segment?.split('-')[0] || options.exchange,
+        expiry: parseExpiry(record.expiry),
+        lot_size: record.lot_size,
+        tick_size: record.tick_size,
+        multiplier: record.multiplier
+      });
+    }
+  }
+
+  /**
+   * Load contracts from a local CSV file
+   * @param {string} filePath - Path to the CSV
+   * @param {Object} options - Options passed to loadCSV
+   * @returns {Promise<number>} Number of contract entries read
+   */
+  async loadFile(filePath, options = {}) {
+    const text = await readFile(filePath, 'utf8');
+    const count = this.loadCSV(text, options);
+    this.sources.push({ path: filePath, entries: count, loadedAt: new Date().toISOString() });
+    return count;
+  }
+
+  countEntries() {
+    let count = 0;
+    for (const entries of this.contracts.values()) count += entries.length;
+    return count;
+  }
+
+  /**
+   * Whether an underlying is known
+   * @param {string} symbol - Underlying
+   * @returns {boolean}
+   */
+  hasSymbol(symbol) {
+    return this.contracts.has(normalizeSymbol(symbol));
+  }
+
+  /**
+   * Look up the contract spec for an underlying and expiry.
+   * Prefers an exact expiry date, then the contract month, then the default entry. Entries with
+   * valid_from/valid_to only match dates in their range: the expiry, or the trade date when the
+   * expiry is unknown. Without either date the current entry is used.
+   * @param {string} symbol - Underlying
+   * @param {string|Date|null} expiry - Expiry date (optional)
+   * @param {string|null} exchange - Exchange (optional)
+   * @param {string|Date|null} date - Trade date, used when there is no expiry (optional)
+   * @returns {Object|null} { symbol, exchange, expiry, lot_size, tick_size, multiplier, valid_from, valid_to }
+   */
+  find(symbol, expiry = null, exchange = null, date = null) {
+    let entries = this.contracts.get(normalizeSymbol(symbol)) || [];
+    if (exchange) {
+      const onExchange = entries.filter(e => e.exchange === normalizeExchange(exchange));
+      if (onExchange.length > 0) entries = onExchange;
+    }
+
+    // pg returns DATE columns as local-midnight Dates, so format them with local date parts
+    const toDay = value => (value instanceof Date ? toISODateString(value) : parseDate(value));
+    const expiryDate = expiry ? toDay(expiry) : null;
+    const asOf = expiryDate || (date ? toDay(date) : null);
+    entries = asOf
+      ? entries.filter(e => (!e.valid_from || asOf >= e.valid_from) && (!e.valid_to || asOf <= e.valid_to))
+      : entries.filter(e => !e.valid_to);
+    if (entries.length === 0) return null;
+
+    if (expiryDate) {
+      const exact = entries.find(e => e.expiry === expiryDate);
+      if (exact) return exact;
+      const month = entries.find(e => e.expiry === expiryDate.slice(0, 7));
+      if (month) return month;
+    }
+    return entries.find(e => e.expiry === null) ||
+      [...entries].sort((a, b) => String(b.expiry).localeCompare(String(a.expiry)))[0];
+  }
+
+  /**
+   * Known underlyings with their current default lot size, for symbol pickers
+   * @returns {Array<Object>} [{ symbol, exchange, lot_size, tick_size, multiplier }]
+   */
+  listSymbols() {
+    return [...this.contracts.keys()]
+      .sort()
+      .map(symbol => ({ symbol, contract: this.find(symbol) }))
+      .filter(({ contract }) => contract)
+      .map(({ symbol, contract: { exchange, lot_size, tick_size, multiplier } }) => ({ symbol, exchange, lot_size, tick_size, multiplier }));
+  }
+
+  /**
+   * Expiry dates listed for an underlying in the loaded files (as published by the exchange,
+   * so already moved off holidays)
+   * @param {string} symbol - Underlying
+   * @returns {Array<string>} YYYY-MM-DD dates, ascending
+   */
+  listedExpiries(symbol) {
+    const dates = (this.contracts.get(normalizeSymbol(symbol)) || [])
+      .map(e => e.expiry)
+      .filter(e => /^\d{4}-\d{2}-\d{2}$/.test(e || ''));
+    return [...new Set(dates)].sort();
+  }
+
+  /**
+   * Validate an F&O quantity (in units) against the lot size in force for the contract. A
+   * symbol or date the contract master does not cover cannot be validated, so the quantity is
+   * accepted with a warning.
+   * @param {Object} trade - { symbol, expiry, market_index, date, quantity }
+   * @returns {{valid: boolean, contract: Object|null, lots: number|null, error: string|null, warning: string|null}}
+   */
+  validateQuantity(trade) {
+    const contract = this.find(trade.symbol, trade.expiry, trade.market_index, trade.date);
+    if (!contract) {
+      return {
+        valid: true,
+        contract: null,
+        lots: null,
+        error: null,
+        warning: `Lot size of ${normalizeSymbol(trade.symbol)} is not known for this contract; quantity not checked`
+      };
+    }
+    const quantity = Number(trade.quantity);
+    const lots = quantity / contract.lot_size;
+    if (!Number.isInteger(lots) || lots <= 0) {
+      return {
+        valid: false,
+        contract,
+        lots: null,
+        error: `Quantity for ${contract.symbol} must be a multiple of the lot size (${contract.lot_size})`,
+        warning: null
+      };
+    }
+    return { valid: true, contract, lots, error: null, warning: null };
+  }
+
+  /**
+   * Convert a number of lots to units
+   * @param {Object} trade - { symbol, expiry, market_index, date }
+   * @param {number} lots - Number of lots
+   * @returns {number|null} Units, or null when the contract is unknown
+   */
+  lotsToQuantity(trade, lots) {
+    const contract = this.find(trade.symbol, trade.expiry, trade.market_index, trade.date);
+    return contract ? Number(lots) * contract.lot_size : null;
+  }
+}
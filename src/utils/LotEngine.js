@@ -0,0 +1,347 @@
+import { CORPORATE_ACTION_TYPES } from '../types/trade.js';
+import { toISODateString } from './date.js';
+
+/**
+ * Lot Engine
+ * Tracks open buy lots per symbol and matches sells against them to produce realized P&L.
+ * A sell with no open buy lots opens a short lot that later buys cover first, so an intraday
+ * short (sell, then buy back) nets to zero. Shared by TradeManager and the holdings refresh.
+ */
+
+export const COST_BASIS_METHODS = {
+  FIFO: 'fifo',
+  WEIGHTED_AVERAGE: 'weighted_average'
+};
+
+// Quantities below this are treated as fully closed (guards float drift on fractional prices)
+const EPSILON = 1e-9;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export class LotEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {string} options.method - 'fifo' (default) or 'weighted_average'
+   */
+  constructor(options = {}) {
+    const method = options.method || COST_BASIS_METHODS.FIFO;
+    if (!Object.values(COST_BASIS_METHODS).includes(method)) {
+      throw new Error(`Unsupported cost basis method: ${method}`);
+    }
+    this.method = method;
+    this.symbols = new Map();
+  }
+
+  /**
+   * Build an engine from a list of trades, processed in date order.
+   * Corporate actions apply before trades dated on or after their ex-date.
+   * @param {Array<Object>} trades - Trades with symbol, type, quantity, price, date
+   * @param {Object} options - Engine options
+   * @param {Array<Object>} options.corporateActions - Splits, bonuses, rights and dividends (see corporateActions.js)
+   * @returns {LotEngine}
+   */
+  static fromTrades(trades, options = {}) {
+    const engine = new LotEngine(options);
+    const actions = [...(options.corporateActions || [])]
+      .sort((a, b) => String(a.ex_date).localeCompare(String(b.ex_date)) || (Number(a.id) || 0) - (Number(b.id) || 0));
+    let next = 0;
+    [...trades]
+      .sort((a, b) => new Date(a.date) - new Date(b.date) || (Number(a.id) || 0) - (Number(b.id) || 0))
+      .forEach(trade => {
+        const date = toISODateString(trade.date);
+        while (next < actions.length && toISODateString(actions[next].ex_date) <= date) {
+          engine.applyCorporateAction(actions[next++]);
+        }
+        engine.addTrade(trade);
+      });
+    actions.slice(next).forEach(action => engine.applyCorporateAction(action));
+    return engine;
+  }
+
+  /**
+   * Get (or create) the state for a symbol
+   * @param {string} symbol - Stock symbol
+   * @returns {Object} Symbol state
+   */
+  getState(symbol) {
+    const key = String(symbol || '').trim().toUpperCase();
+    if (!this.symbols.has(key)) {
+      this.symbols.set(key, {
+        symbol: key,
+        lots: [],
+        shortLots: [],
+        realizations: [],
+        buyQuantity: 0,
+        buyValue: 0,
+        sellQuantity: 0,
+        sellValue: 0,
+        unmatchedSellQuantity: 0,
+        dividends: [],
+        corporateActions: []
+      });
+    }
+    return this.symbols.get(key);
+  }
+
+  /**
+   * Process a trade
+   * @param {Object} trade - Trade record
+   * @param {string} trade.symbol - Stock symbol
+   * @param {string} trade.type - 'buy'/'BUY' or 'sell'/'SELL'
+   * @param {number} trade.quantity - Number of shares
+   * @param {number} trade.price - Price per share
+   * @param {Date|string} trade.date - Trade date
+   * @returns {Array<Object>} Realizations produced: a sell closing buy lots or a buy covering short lots
+   */
+  addTrade(trade) {
+    const state = this.getState(trade.symbol);
+    const quantity = Number(trade.quantity) || 0;
+    const price = Number(trade.price) || 0;
+    const isSell = String(trade.type || trade.trade_action || '').toLowerCase() === 'sell';
+
+    if (quantity <= 0) return [];
+
+    if (!isSell) {
+      state.buyQuantity += quantity;
+      state.buyValue += quantity * price;
+      return this.matchBuy(state, { tradeId: trade.id ?? null, date: trade.date, quantity, price });
+    }
+
+    state.sellQuantity += quantity;
+    state.sellValue += quantity * price;
+    return this.matchSell(state, { tradeId: trade.id ?? null, date: trade.date, quantity, price });
+  }
+
+  /**
+   * Add an open lot (weighted average pools all lots into one)
+   * @param {Object} state - Symbol state
+   * @param {Object} lot - { tradeId, date, quantity, price }
+   * @param {Array<Object>} lots - state.lots for buys, state.shortLots for short sells
+   */
+  addLot(state, lot, lots = state.lots) {
+    if (this.method === COST_BASIS_METHODS.WEIGHTED_AVERAGE && lots.length > 0) {
+      const pooled = lots[0];
+      const totalQuantity = pooled.quantity + lot.quantity;
+      pooled.price = (pooled.quantity * pooled.price + lot.quantity * lot.price) / totalQuantity;
+      pooled.quantity = totalQuantity;
+      return;
+    }
+    lots.push({ ...lot, originalQuantity: lot.quantity });
+  }
+
+  /**
+   * Record a matched quantity of a buy and a sell
+   * @param {Object} state - Symbol state
+   * @param {string} side - 'long' (sell closing a buy lot) or 'short' (buy covering a short lot)
+   * @param {number} quantity - Matched quantity
+   * @param {Object} buy - { tradeId, date, price }
+   * @param {Object} sell - { tradeId, date, price }
+   * @returns {Object} Realization
+   */
+  realize(state, side, quantity, buy, sell) {
+    const realization = {
+      symbol: state.symbol,
+      side,
+      quantity,
+      buyTradeId: buy.tradeId,
+      buyDate: buy.date,
+      buyPrice: buy.price,
+      sellTradeId: sell.tradeId,
+      sellDate: sell.date,
+      sellPrice: sell.price,
+      cost: quantity * buy.price,
+      proceeds: quantity * sell.price,
+      pnl: quantity * (sell.price - buy.price)
+    };
+    state.realizations.push(realization);
+    return realization;
+  }
+
+  /**
+   * Cover open short lots with a buy; the rest opens a buy lot
+   * @param {Object} state - Symbol state
+   * @param {Object} buy - { tradeId, date, quantity, price }
+   * @returns {Array<Object>} Realizations for this buy
+   */
+  matchBuy(state, buy) {
+    const realizations = [];
+    let remaining = buy.quantity;
+
+    while (remaining > EPSILON && state.shortLots.length > 0) {
+      const lot = state.shortLots[0];
+      const matched = Math.min(lot.quantity, remaining);
+      realizations.push(this.realize(state, 'short', matched, buy, lot));
+      lot.quantity -= matched;
+      remaining -= matched;
+      if (lot.quantity <= EPSILON) {
+        state.shortLots.shift();
+      }
+    }
+
+    if (remaining > EPSILON) {
+      this.addLot(state, { ...buy, quantity: remaining });
+    }
+    return realizations;
+  }
+
+  /**
+   * Match a sell against open buy lots; the rest opens a short lot
+   * @param {Object} state - Symbol state
+   * @param {Object} sell - { tradeId, date, quantity, price }
+   * @returns {Array<Object>} Realizations for this sell
+   */
+  matchSell(state, sell) {
+    const realizations = [];
+    let remaining = sell.quantity;
+
+    while (remaining > EPSILON && state.lots.length > 0) {
+      const lot = state.lots[0];
+      const matched = Math.min(lot.quantity, remaining);
+      realizations.push(this.realize(state, 'long', matched, lot, sell));
+      lot.quantity -= matched;
+      remaining -= matched;
+      if (lot.quantity <= EPSILON) {
+        state.lots.shift();
+      }
+    }
+
+    if (remaining > EPSILON) {
+      // Sold more than was bought (missing history or short sale); a later buy covers it
+      state.unmatchedSellQuantity += remaining;
+      this.addLot(state, { ...sell, quantity: remaining }, state.shortLots);
+    }
+
+    return realizations;
+  }
+
+  /**
+   * Apply a corporate action to the shares held before its ex-date.
+   * Splits rescale open lots (acquisition dates are kept); bonus and rights shares open
+   * new lots dated the ex-date at zero cost and the issue price; dividends are booked as income.
+   * Fractional bonus/rights entitlements are dropped (they are settled in cash).
+   * @param {Object} action - { id, symbol, action_type, ex_date, ratio_new, ratio_old, price, amount }
+   * @returns {Object|null} Applied action with quantities, or null if the symbol was never traded
+   */
+  applyCorporateAction(action) {
+    const key = String(action.symbol || '').trim().toUpperCase();
+    if (!this.symbols.has(key)) return null;
+    const state = this.symbols.get(key);
+    const exDate = toISODateString(action.ex_date);
+    const held = state.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const ratio = Number(action.ratio_new) / Number(action.ratio_old);
+    const applied = {
+      id: action.id ?? null,
+      action_type: action.action_type,
+      ex_date: exDate,
+      quantity_held: held,
+      quantity_added: 0,
+      amount: null
+    };
+
+    switch (action.action_type) {
+      case CORPORATE_ACTION_TYPES.SPLIT:
+        [...state.lots, ...state.shortLots].forEach(lot => {
+          lot.quantity *= ratio;
+          lot.originalQuantity *= ratio;
+          lot.price /= ratio;
+        });
+        applied.quantity_added = held * ratio - held;
+        break;
+      case CORPORATE_ACTION_TYPES.BONUS:
+      case CORPORATE_ACTION_TYPES.RIGHTS: {
+        const quantity = Math.floor(held * ratio + EPSILON);
+        const price = action.action_type === CORPORATE_ACTION_TYPES.RIGHTS ? Number(action.price) || 0 : 0;
+        if (quantity > 0) {
+          this.addLot(state, { tradeId: null, corporateActionId: action.id ?? null, date: exDate, quantity, price });
+        }
+        applied.quantity_added = quantity;
+        applied.amount = round2(quantity * price);
+        break;
+      }
+      case CORPORATE_ACTION_TYPES.DIVIDEND: {
+        const amount = round2(held * (Number(action.amount) || 0));
+        if (held > EPSILON) {
+          state.dividends.push({ id: action.id ?? null, ex_date: exDate, quantity: held, amount_per_share: Number(action.amount), amount });
+        }
+        applied.amount = amount;
+        break;
+      }
+      default:
+        throw new Error(`Unsupported corporate action: ${action.action_type}`);
+    }
+
+    state.corporateActions.push(applied);
+    return applied;
+  }
+
+  /**
+   * Position summary for a symbol
+   * @param {string} symbol - Stock symbol
+   * @param {number|null} currentPrice - Current market price (optional)
+   * @returns {Object} Position with open lots, realized and unrealized P&L
+   */
+  getPosition(symbol, currentPrice = null) {
+    const key = String(symbol || '').trim().toUpperCase();
+    const state = this.symbols.get(key) || {
+      symbol: key, lots: [], shortLots: [], realizations: [], buyQuantity: 0, buyValue: 0, sellQuantity: 0, sellValue: 0, unmatchedSellQuantity: 0,
+      dividends: [], corporateActions: []
+    };
+    // Open short lots count as negative quantity and value (a symbol never has both)
+    const shortQuantity = state.shortLots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const quantity = state.lots.reduce((sum, lot) => sum + lot.quantity, 0) - shortQuantity;
+    const investedValue = state.lots.reduce((sum, lot) => sum + lot.quantity * lot.price, 0) -
+      state.shortLots.reduce((sum, lot) => sum + lot.quantity * lot.price, 0);
+    const realizedPnL = state.realizations.reduce((sum, r) => sum + r.pnl, 0);
+    const hasPrice = currentPrice != null && Math.abs(quantity) > EPSILON;
+    const currentValue = hasPrice ? quantity * currentPrice : null;
+
+    return {
+      symbol: state.symbol,
+      method: this.method,
+      quantity,
+      averageCost: Math.abs(quantity) > EPSILON ? investedValue / quantity : 0,
+      investedValue: round2(investedValue),
+      currentPrice,
+      currentValue: currentValue != null ? round2(currentValue) : null,
+      realizedPnL: round2(realizedPnL),
+      unrealizedPnL: currentValue != null ? round2(currentValue - investedValue) : null,
+      buyQuantity: state.buyQuantity,
+      buyValue: state.buyValue,
+      sellQuantity: state.sellQuantity,
+      sellValue: state.sellValue,
+      unmatchedSellQuantity: state.unmatchedSellQuantity,
+      shortQuantity,
+      openLots: state.lots.map(lot => ({
+        tradeId: lot.tradeId,
+        corporateActionId: lot.corporateActionId ?? null,
+        date: lot.date,
+        quantity: lot.quantity,
+        price: lot.price
+      })),
+      openShortLots: state.shortLots.map(lot => ({ tradeId: lot.tradeId, date: lot.date, quantity: lot.quantity, price: lot.price })),
+      realizations: [...state.realizations],
+      dividendIncome: round2(state.dividends.reduce((sum, d) => sum + d.amount, 0)),
+      dividends: [...state.dividends],
+      corporateActions: [...state.corporateActions]
+    };
+  }
+
+  /**
+   * Summaries for every symbol seen
+   * @param {Map<string, number>} currentPrices - Current prices by symbol (optional)
+   * @returns {Array<Object>} Positions
+   */
+  getPositions(currentPrices = new Map()) {
+    return [...this.symbols.keys()].map(symbol => this.getPosition(symbol, currentPrices.get(symbol) ?? null));
+  }
+
+  /**
+   * All realizations, grouped by symbol and in match order within a symbol
+   * @returns {Array<Object>}
+   */
+  getRealizations() {
+    return [...this.symbols.values()].flatMap(state => state.realizations);
+  }
+}
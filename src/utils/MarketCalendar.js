@@ -0,0 +1,325 @@
+import { readFile } from 'fs/promises';
+import { parseCSV } from './csv.js';
+import { parseDate } from '../importers/helpers.js';
+import { MARKET_INDICES } from '../types/trade.js';
+import { marketSession, istTime } from './marketHours.js';
+
+/**
+ * Market Calendar
+ * Trading days and sessions of NSE, BSE and MCX in IST: the regular sessions from marketHours,
+ * plus exchange holidays and special sessions (Muhurat trading, MCX evening-only days) loaded
+ * from local CSVs, and F&O expiry dates moved to the previous trading day when they fall on a
+ * holiday. CSV format: exchange,date,description,open,close, with open/close (HH:MM) set for a
+ * special session and blank when the exchange is closed all day. Files without an exchange
+ * column, such as NSE's holiday download (Date, Description), take the exchange from options.
+ */
+
+// Expiry weekday (0 = Sunday) of index derivatives, and whether weekly contracts are listed
+export const EXPIRY_RULES = {
+  NIFTY: { exchange: MARKET_INDICES.NSE, weekday: 2, weekly: true },
+  BANKNIFTY: { exchange: MARKET_INDICES.NSE, weekday: 2, weekly: false },
+  FINNIFTY: { exchange: MARKET_INDICES.NSE, weekday: 2, weekly: false },
+  MIDCPNIFTY: { exchange: MARKET_INDICES.NSE, weekday: 2, weekly: false },
+  NIFTYNXT50: { exchange: MARKET_INDICES.NSE, weekday: 2, weekly: false },
+  SENSEX: { exchange: MARKET_INDICES.BSE, weekday: 4, weekly: true },
+  BANKEX: { exchange: MARKET_INDICES.BSE, weekday: 4, weekly: false }
+};
+
+// Monthly expiry weekday of other underlyings (stock F&O); MCX contracts expire on listed dates only
+const MONTHLY_EXPIRY_WEEKDAY = { [MARKET_INDICES.NSE]: 2, [MARKET_INDICES.BSE]: 4 };
+
+// Expiry weekdays of an exchange before its current schedule, by last month (YYYY-MM) they applied
+// to. Contracts that expired on other days (e.g. some 2023-24 index contracts) need listed dates.
+const EARLIER_EXPIRY_WEEKDAYS = {
+  [MARKET_INDICES.NSE]: [{ until: '2025-08', weekday: 4 }],
+  [MARKET_INDICES.BSE]: [{ until: '2024-12', weekday: 5 }, { until: '2025-08', weekday: 2 }]
+};
+
+function expiryWeekday(market, month, weekday) {
+  const earlier = (EARLIER_EXPIRY_WEEKDAYS[market] || []).find(e => month <= e.until);
+  return earlier ? earlier.weekday : weekday;
+}
+
+// Longest run of non-trading days searched for the next or previous trading day
+const MAX_SEARCH_DAYS = 30;
+
+function normalizeExchange(exchange) {
+  return String(exchange || '').trim().toUpperCase() || MARKET_INDICES.NSE;
+}
+
+// 'HH:MM' -> minutes after midnight
+function parseTime(value) {
+  const m = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || +m[1] > 23 || +m[2] > 59) return null;
+  return +m[1] * 60 + +m[2];
+}
+
+function formatTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+// Dates of a weekday in a month ('2026-10', 2 -> ['2026-10-06', ..., '2026-10-27'])
+function weekdaysOfMonth(month, weekday) {
+  const [year, mon] = month.split('-').map(Number);
+  const dates = [];
+  for (let d = new Date(Date.UTC(year, mon - 1, 1)); d.getUTCMonth() === mon - 1; d.setUTCDate(d.getUTCDate() + 1)) {
+    if (d.getUTCDay() === weekday) dates.push(d.toISOString().slice(0, 10));
+  }
+  return dates;
+}
+
+function addMonths(month, count) {
+  const [year, mon] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, mon - 1 + count, 1)).toISOString().slice(0, 7);
+}
+
+export class MarketCalendar {
+  /**
+   * @param {Object} options - Calendar options
+   * @param {ContractMaster} options.contractMaster - Listed expiry dates, when loaded from instrument files (optional)
+   */
+  constructor({ contractMaster = null } = {}) {
+    // exchange -> Map<date, { date, description, session: { open, close } | null }>
+    this.days = new Map();
+    this.sources = [];
+    this.contractMaster = contractMaster;
+  }
+
+  /**
+   * Add or replace a holiday or special session
+   * @param {Object} entry - Calendar entry
+   * @param {string} entry.exchange - NSE, BSE or MCX
+   * @param {string} entry.date - Date
+   * @param {string} entry.description - Holiday or session name
+   * @param {string} entry.open - Special session open (HH:MM IST); blank for a holiday
+   * @param {string} entry.close - Special session close (HH:MM IST)
+   * @returns {boolean} Whether the entry was added
+   */
+  addDay({ exchange, date, description = '', open = null, close = null }) {
+    const day = parseDate(date);
+    if (!day) return false;
+    const openAt = parseTime(open);
+    const closeAt = parseTime(close);
+    const market = normalizeExchange(exchange);
+    if (!this.days.has(market)) this.days.set(market, new Map());
+    this.days.get(market).set(day, {
+      date: day,
+      description: String(description || '').trim() || null,
+      session: openAt != null && closeAt != null && closeAt > openAt ? { open: openAt, close: closeAt } : null
+    });
+    return true;
+  }
+
+  /**
+   * Load holidays and special sessions from CSV text
+   * @param {string} text - CSV content
+   * @param {Object} options - Options
+   * @param {string} options.exchange - Exchange for files without an exchange column
+   * @returns {number} Number of days read
+   */
+  loadCSV(text, options = {}) {
+    const { headers, records } = parseCSV(text);
+    if (!headers.includes('date')) {
+      throw new Error('Unrecognized market calendar CSV: expected a date column');
+    }
+    return records.filter(record => this.addDay({
+      exchange: record.exchange || options.exchange,
+      date: record.date,
+      description: record.description || record.holiday || record.holidays,
+      open: record.open,
+      close: record.close
+    })).length;
+  }
+
+  /**
+   * Load holidays and special sessions from a local CSV file
+   * @param {string} filePath - Path to the CSV
+   * @param {Object} options - Options passed to loadCSV
+   * @returns {Promise<number>} Number of days read
+   */
+  async loadFile(filePath, options = {}) {
+    const text = await readFile(filePath, 'utf8');
+    const count = this.loadCSV(text, options);
+    this.sources.push({ path: filePath, days: count, loadedAt: new Date().toISOString() });
+    return count;
+  }
+
+  // Holiday or special session listed for a date
+  entry(exchange, date) {
+    return this.days.get(normalizeExchange(exchange))?.get(date) || null;
+  }
+
+  // Session on a date in minutes after midnight IST, or null when the exchange is closed
+  sessionOn(exchange, date) {
+    const entry = this.entry(exchange, date);
+    if (entry) return entry.session;
+    const day = weekdayOf(date);
+    return day === 0 || day === 6 ? null : marketSession(exchange);
+  }
+
+  /**
+   * Trading status of a date
+   * @param {string} exchange - NSE, BSE or MCX
+   * @param {string} date - YYYY-MM-DD
+   * @returns {{exchange: string, date: string, trading: boolean, special: boolean, session: Object|null, description: string|null}}
+   *   session is { open, close } in HH:MM IST; special is true for a holiday or special session
+   */
+  dayInfo(exchange, date) {
+    const entry = this.entry(exchange, date);
+    const session = this.sessionOn(exchange, date);
+    return {
+      exchange: normalizeExchange(exchange),
+      date,
+      trading: session != null,
+      special: entry != null,
+      session: session ? { open: formatTime(session.open), close: formatTime(session.close) } : null,
+      description: entry ? entry.description : null
+    };
+  }
+
+  /**
+   * Whether an exchange has a session on a date (special sessions count)
+   * @param {string} exchange - NSE, BSE or MCX
+   * @param {string} date - YYYY-MM-DD
+   * @returns {boolean}
+   */
+  isTradingDay(exchange, date) {
+    return this.sessionOn(exchange, date) != null;
+  }
+
+  /**
+   * Where the day stands for an exchange's session, holidays and special sessions included
+   * @param {string} exchange - NSE, BSE or MCX
+   * @param {Date} now - Time to check
+   * @returns {'holiday'|'pre_open'|'open'|'closed'}
+   */
+  sessionState(exchange, now = new Date()) {
+    const { date, minutes } = istTime(now);
+    const session = this.sessionOn(exchange, date);
+    if (!session) return 'holiday';
+    if (minutes < session.open) return 'pre_open';
+    return minutes < session.close ? 'open' : 'closed';
+  }
+
+  /**
+   * Whether an exchange is trading now
+   * @param {string} exchange - NSE, BSE or MCX
+   * @param {Date} now - Time to check
+   * @returns {boolean}
+   */
+  isMarketOpen(exchange, now = new Date()) {
+    return this.sessionState(exchange, now) === 'open';
+  }
+
+  /**
+   * First trading day after a date
+   * @param {string} exchange - NSE, BSE or MCX
+   * @param {string} date - YYYY-MM-DD (defaults to today in IST)
+   * @returns {string|null} YYYY-MM-DD
+   */
+  nextTradingDay(exchange, date = istTime().date) {
+    return this.searchDay(date, 1, day => this.isTradingDay(exchange, day));
+  }
+
+  /**
+   * Last trading day before a date
+   * @param {string} exchange - NSE, BSE or MCX
+   * @param {string} date - YYYY-MM-DD (defaults to today in IST)
+   * @returns {string|null} YYYY-MM-DD
+   */
+  previousTradingDay(exchange, date = istTime().date) {
+    return this.searchDay(date, -1, day => this.isTradingDay(exchange, day));
+  }
+
+  // First date matching, stepping a day at a time forwards (1) or backwards (-1)
+  searchDay(date, step, matches) {
+    for (let i = 1, day = addDays(date, step); i <= MAX_SEARCH_DAYS; i++, day = addDays(day, step)) {
+      if (matches(day)) return day;
+    }
+    return null;
+  }
+
+  /**
+   * Holidays and special sessions in a date range
+   * @param {string} exchange - NSE, BSE or MCX
+   * @param {string} from - YYYY-MM-DD
+   * @param {string} to - YYYY-MM-DD
+   * @returns {Array<Object>} dayInfo of each listed date, ascending
+   */
+  listDays(exchange, from, to) {
+    return [...(this.days.get(normalizeExchange(exchange))?.keys() || [])]
+      .filter(date => date >= from && date <= to)
+      .sort()
+      .map(date => this.dayInfo(exchange, date));
+  }
+
+  /**
+   * Upcoming F&O expiries of an underlying. Dates listed in the contract master are used as
+   * published; otherwise weekly and monthly expiries follow EXPIRY_RULES (stock F&O: the last
+   * Tuesday of the month on NSE, Thursday on BSE; earlier months use the exchange's weekday at
+   * the time), moved to the previous full trading day when the scheduled day is a holiday or
+   * special session.
+   * @param {string} symbol - Underlying
+   * @param {Object} options - { exchange, from (YYYY-MM-DD, default today), months (default 3) }
+   * @returns {Array<Object>} [{ symbol, exchange, date, type: weekly|monthly, scheduled, shifted }]
+   */
+  expiriesFor(symbol, { exchange = null, from = istTime().date, months = 3 } = {}) {
+    const underlying = String(symbol || '').trim().toUpperCase();
+    const rule = EXPIRY_RULES[underlying];
+    const market = normalizeExchange(exchange || rule?.exchange || this.contractMaster?.find(underlying)?.exchange);
+    const until = addDays(`${addMonths(from.slice(0, 7), months)}-01`, -1);
+    const toExpiry = (date, scheduled, dates) => ({
+      symbol: underlying,
+      exchange: market,
+      date,
+      type: dates.some(d => d > scheduled && d.slice(0, 7) === scheduled.slice(0, 7)) ? 'weekly' : 'monthly',
+      scheduled,
+      shifted: date !== scheduled
+    });
+
+    const listed = this.contractMaster ? this.contractMaster.listedExpiries(underlying) : [];
+    if (listed.length > 0) {
+      return listed.filter(d => d >= from && d <= until).map(d => toExpiry(d, d, listed));
+    }
+
+    const weekday = rule ? rule.weekday : MONTHLY_EXPIRY_WEEKDAY[market];
+    if (weekday == null) return [];
+    const scheduled = [];
+    for (let i = 0; i < months; i++) {
+      const month = addMonths(from.slice(0, 7), i);
+      const dates = weekdaysOfMonth(month, expiryWeekday(market, month, weekday));
+      scheduled.push(...(rule?.weekly ? dates : dates.slice(-1)));
+    }
+    // Regular days only: a Muhurat session is not an expiry day
+    const regular = day => !this.entry(market, day) && this.isTradingDay(market, day);
+    const moved = scheduled.map(day => (regular(day) ? day : this.searchDay(day, -1, regular)));
+    return scheduled
+      .map((day, i) => ({ day, date: moved[i] }))
+      .filter(e => e.date && e.date >= from && e.date <= until)
+      .map(e => toExpiry(e.date, e.day, scheduled));
+  }
+
+  /**
+   * Monthly expiry of an underlying's contracts in a month: the last expiry of the month, as
+   * expiriesFor lists it. Used for symbols that give only the month, such as NIFTY24DECFUT.
+   * @param {string} symbol - Underlying
+   * @param {string} month - YYYY-MM
+   * @param {Object} options - { exchange }
+   * @returns {string|null} YYYY-MM-DD, or null when no expiry is known (e.g. MCX without listed dates)
+   */
+  monthlyExpiry(symbol, month, { exchange = null } = {}) {
+    if (!/^\d{4}-\d{2}$/.test(month || '')) return null;
+    const expiries = this.expiriesFor(symbol, { exchange, from: `${month}-01`, months: 1 });
+    return expiries.length > 0 ? expiries[expiries.length - 1].date : null;
+  }
+}
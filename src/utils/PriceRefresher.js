@@ -0,0 +1,110 @@
+import { sessionState, istDate } from './marketHours.js';
+
+/**
+ * Price Refresher
+ * Keeps holdings marked to market. On each run every held symbol (across all users, once per
+ * symbol) whose exchange is in session is quoted afresh and the prices are applied to holdings.
+ * After an exchange closes, one more refresh of its symbols is saved as the day's closing
+ * snapshot. The quote service, session check and clock are injectable for tests.
+ */
+export class PriceRefresher {
+  /**
+   * @param {Object} options - Refresher options
+   * @param {Object} options.quoteService - QuoteService (quotes are saved to its store)
+   * @param {function(): Promise<Array<{symbol: string, exchange: string}>>} options.loadHeldSymbols - Symbols held by any user
+   * @param {function(Map<string, Object>): Promise<number>} options.applyPrices - Writes symbol prices to holdings;
+   *   resolves to the number of holdings updated
+   * @param {function(string, Array<Object>): Promise<void>} options.saveCloses - Saves (date, quotes) as closing prices
+   * @param {number} options.intervalMs - Time between runs (default 5 minutes)
+   * @param {function(string, Date): string} options.sessionState - Session check (default marketHours.sessionState)
+   * @param {function(): Date} options.now - Clock
+   */
+  constructor({ quoteService, loadHeldSymbols, applyPrices, saveCloses = async () => {}, intervalMs = 5 * 60 * 1000, sessionState: stateOf = sessionState, now = () => new Date() }) {
+    this.quoteService = quoteService;
+    this.loadHeldSymbols = loadHeldSymbols;
+    this.applyPrices = applyPrices;
+    this.saveCloses = saveCloses;
+    this.intervalMs = intervalMs;
+    this.sessionState = stateOf;
+    this.now = now;
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+    // Exchange to the IST date of its last closing snapshot
+    this.closes = new Map();
+  }
+
+  /**
+   * Start the schedule. Runs with no exchange in session (or due a closing snapshot) do nothing.
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick().catch(error => console.error('Price refresh error:', error)), this.intervalMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Refresh symbols in session and snapshot exchanges that have closed for the day
+   * @returns {Promise<Object|null>} { refreshed, failed, holdings_updated, closes: [{ exchange, date, symbols }] };
+   *   null when a run is already in progress
+   */
+  async tick() {
+    if (this.running) return null;
+    this.running = true;
+    try {
+      const now = this.now();
+      const date = istDate(now);
+      const held = await this.loadHeldSymbols();
+      const open = [];
+      const closing = new Map();
+      for (const { symbol, exchange } of held) {
+        const state = this.sessionState(exchange, now);
+        if (state === 'open') open.push(symbol);
+        if (state === 'closed' && this.closes.get(exchange) !== date) {
+          if (!closing.has(exchange)) closing.set(exchange, []);
+          closing.get(exchange).push(symbol);
+        }
+      }
+
+      const summary = open.length > 0 ? await this.refresh(open) : { refreshed: [], failed: [], holdings_updated: 0 };
+      summary.closes = [];
+      for (const [exchange, symbols] of closing) {
+        const result = await this.refresh(symbols);
+        if (result.refreshed.length === 0) continue;
+        await this.saveCloses(date, result.refreshed);
+        this.closes.set(exchange, date);
+        summary.refreshed.push(...result.refreshed);
+        summary.failed.push(...result.failed);
+        summary.holdings_updated += result.holdings_updated;
+        summary.closes.push({ exchange, date, symbols: result.refreshed.map(q => q.symbol) });
+      }
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Quote symbols now, regardless of sessions, and apply the prices to holdings. Symbols
+   * without a live quote keep their last price.
+   * @param {Array<string>} symbols - Symbols
+   * @returns {Promise<{refreshed: Array<Object>, failed: Array<string>, holdings_updated: number}>}
+   */
+  async refresh(symbols) {
+    const quotes = await this.quoteService.getQuotes(symbols, { refresh: true });
+    const fresh = new Map();
+    const failed = [];
+    for (const [symbol, quote] of quotes) {
+      if (quote && !quote.stale && quote.price > 0) fresh.set(symbol, quote);
+      else failed.push(symbol);
+    }
+    const updated = fresh.size > 0 ? await this.applyPrices(fresh) : 0;
+    this.lastRun = this.now();
+    return { refreshed: [...fresh.values()], failed, holdings_updated: updated };
+  }
+}
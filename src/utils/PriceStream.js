@@ -0,0 +1,197 @@
+import { markHoldings } from './holdings.js';
+
+/**
+ * Price Stream
+ * Pushes quote updates to connected browsers. Each client follows the symbols of its user's
+ * holdings, open positions and watchlists, plus any it subscribes to. Every run quotes the union
+ * of followed symbols once through the quote service (cached quotes are reused within their TTL)
+ * and sends each client only the quotes that changed since its last update, with its user's open
+ * holdings revalued at the new prices. The transport (Server-Sent Events in server-working.js)
+ * is a send(event, data) function per client; the poll loop only runs while clients are connected.
+ */
+
+export const MAX_STREAM_SYMBOLS = 100;
+
+// Longest quiet spell before a client is sent a heartbeat
+const HEARTBEAT_MS = 25 * 1000;
+
+function normalizeSymbols(symbols) {
+  return (symbols || []).map(s => String(s).trim().toUpperCase()).filter(s => /^[A-Z0-9&._-]{1,20}$/.test(s));
+}
+
+// A quote is resent when its price or lookup time changes
+function quoteVersion(quote) {
+  return `${quote.price}|${quote.updated_at}|${quote.stale ? 1 : 0}`;
+}
+
+export class PriceStream {
+  /**
+   * @param {Object} options - Stream options
+   * @param {Object} options.quoteService - QuoteService
+   * @param {function(number): Promise<{symbols: Array<string>, holdings: Array<Object>}>} options.loadUser - Symbols a
+   *   user follows by default and their holdings (for live P&L)
+   * @param {number} options.intervalMs - Time between runs (default 5s)
+   * @param {number} options.reloadMs - How long a user's symbols and holdings are reused (default 60s)
+   * @param {function(): Date} options.now - Clock
+   */
+  constructor({ quoteService, loadUser, intervalMs = 5000, reloadMs = 60 * 1000, now = () => new Date() }) {
+    this.quoteService = quoteService;
+    this.loadUserData = loadUser;
+    this.intervalMs = intervalMs;
+    this.reloadMs = reloadMs;
+    this.now = now;
+    this.timer = null;
+    this.running = false;
+    this.lastClientId = 0;
+    this.clients = new Map();
+    // userId -> { symbols, holdings, loadedAt }
+    this.users = new Map();
+  }
+
+  /**
+   * Add a client and send it the current quotes and holdings
+   * @param {number} userId - User
+   * @param {function(string, Object): void} send - Delivers an event to the client
+   * @param {Array<string>} symbols - Symbols to follow besides the user's own
+   * @returns {Promise<Object>} Client ({ id, userId })
+   */
+  async connect(userId, send, symbols = []) {
+    const client = { id: ++this.lastClientId, userId, send, extra: new Set(), removed: new Set(), sent: new Map(), lastSentAt: 0 };
+    this.clients.set(client.id, client);
+    this.subscribe(client.id, symbols);
+    await this.loadUser(userId, { force: true });
+    this.deliver(client, 'ready', { client_id: client.id, symbols: this.symbolsOf(client), interval_seconds: this.intervalMs / 1000 });
+    this.start();
+    await this.pushTo([client]);
+    return client;
+  }
+
+  disconnect(clientId) {
+    this.clients.delete(clientId);
+    const userIds = new Set([...this.clients.values()].map(c => c.userId));
+    for (const userId of this.users.keys()) {
+      if (!userIds.has(userId)) this.users.delete(userId);
+    }
+    if (this.clients.size === 0) this.stop();
+  }
+
+  /**
+   * Follow more symbols
+   * @param {number} clientId - Client
+   * @param {Array<string>} symbols - Symbols
+   * @returns {Array<string>|null} Symbols now followed; null for an unknown client
+   */
+  subscribe(clientId, symbols) {
+    const client = this.clients.get(clientId);
+    if (!client) return null;
+    for (const symbol of normalizeSymbols(symbols)) {
+      client.removed.delete(symbol);
+      if (client.extra.size < MAX_STREAM_SYMBOLS) client.extra.add(symbol);
+    }
+    return this.symbolsOf(client);
+  }
+
+  /**
+   * Stop following symbols, including the user's own
+   * @param {number} clientId - Client
+   * @param {Array<string>} symbols - Symbols
+   * @returns {Array<string>|null} Symbols now followed; null for an unknown client
+   */
+  unsubscribe(clientId, symbols) {
+    const client = this.clients.get(clientId);
+    if (!client) return null;
+    for (const symbol of normalizeSymbols(symbols)) {
+      client.extra.delete(symbol);
+      client.removed.add(symbol);
+      client.sent.delete(symbol);
+    }
+    return this.symbolsOf(client);
+  }
+
+  symbolsOf(client) {
+    const own = this.users.get(client.userId)?.symbols || [];
+    return [...new Set([...own, ...client.extra])].filter(s => !client.removed.has(s)).sort();
+  }
+
+  async loadUser(userId, { force = false } = {}) {
+    const cached = this.users.get(userId);
+    if (cached && !force && this.now().getTime() - cached.loadedAt < this.reloadMs) return cached;
+    const { symbols, holdings } = await this.loadUserData(userId);
+    const user = { symbols: normalizeSymbols(symbols), holdings, loadedAt: this.now().getTime() };
+    this.users.set(userId, user);
+    return user;
+  }
+
+  /**
+   * Quotes and live holdings for a user without a connection (the polling fallback)
+   * @param {number} userId - User
+   * @param {Array<string>} symbols - Symbols to quote besides the user's own
+   * @returns {Promise<{symbols: Array<string>, quotes: Array<Object>, holdings: Array<Object>}>}
+   */
+  async snapshot(userId, symbols = []) {
+    const user = await this.loadUser(userId);
+    const followed = [...new Set([...user.symbols, ...normalizeSymbols(symbols).slice(0, MAX_STREAM_SYMBOLS)])].sort();
+    const quotes = followed.length > 0 ? await this.quoteService.getQuotes(followed) : new Map();
+    return {
+      symbols: followed,
+      quotes: [...quotes.values()].filter(Boolean),
+      holdings: markHoldings(user.holdings, quotes)
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick().catch(error => console.error('Price stream error:', error)), this.intervalMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (this.running || this.clients.size === 0) return;
+    this.running = true;
+    try {
+      for (const userId of new Set([...this.clients.values()].map(c => c.userId))) {
+        await this.loadUser(userId);
+      }
+      await this.pushTo([...this.clients.values()]);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Quote every symbol the clients follow once, then send each client what changed
+  async pushTo(clients) {
+    const symbols = [...new Set(clients.flatMap(c => this.symbolsOf(c)))];
+    const quotes = symbols.length > 0 ? await this.quoteService.getQuotes(symbols) : new Map();
+    const nowMs = this.now().getTime();
+    for (const client of clients) {
+      const changed = this.symbolsOf(client)
+        .map(symbol => quotes.get(symbol))
+        .filter(quote => quote && client.sent.get(quote.symbol) !== quoteVersion(quote));
+      if (changed.length > 0) {
+        changed.forEach(quote => client.sent.set(quote.symbol, quoteVersion(quote)));
+        this.deliver(client, 'quotes', { quotes: changed });
+        const holdings = this.users.get(client.userId)?.holdings || [];
+        if (changed.some(quote => holdings.some(h => h.symbol === quote.symbol))) {
+          this.deliver(client, 'holdings', { holdings: markHoldings(holdings, quotes) });
+        }
+      } else if (nowMs - client.lastSentAt >= HEARTBEAT_MS) {
+        this.deliver(client, 'heartbeat', { at: new Date(nowMs).toISOString() });
+      }
+    }
+  }
+
+  // A client whose connection fails is dropped
+  deliver(client, event, data) {
+    try {
+      client.send(event, data);
+      client.lastSentAt = this.now().getTime();
+    } catch (error) {
+      this.disconnect(client.id);
+    }
+  }
+}
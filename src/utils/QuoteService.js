@@ -0,0 +1,134 @@
+/**
+ * Quote Service
+ * Latest quotes through a provider (EquityScraper or any { getEquityData(symbol) }), cached in a
+ * store with a time-to-live. A fresh cached quote is served without a lookup; once it expires the
+ * provider is asked again, and if every source fails the expired quote is served marked stale.
+ * Concurrent lookups of one symbol share a single provider call. A symbol whose lookup failed is
+ * not looked up again for a short backoff, and its failure is logged once until it recovers.
+ */
+
+export const DEFAULT_QUOTE_TTL_MS = 60 * 1000;
+export const DEFAULT_FAILURE_BACKOFF_MS = 30 * 1000;
+
+function toNumber(value) {
+  return value == null || value === '' || !Number.isFinite(Number(value)) ? null : Number(value);
+}
+
+/**
+ * Quote fields from provider data (EquityData or a plain object)
+ * @param {string} symbol - Symbol
+ * @param {Object} data - { price, change, changePercent, volume, high, low, open, prevClose, marketCap, peRatio, source }
+ * @returns {Object} Quote
+ */
+export function normalizeQuote(symbol, data) {
+  // EquityData fills unknown fields with 0
+  const positive = field => (toNumber(data[field]) > 0 ? toNumber(data[field]) : null);
+  return {
+    symbol,
+    price: positive('price'),
+    change: toNumber(data.change),
+    changePercent: toNumber(data.changePercent),
+    volume: positive('volume'),
+    high: positive('high'),
+    low: positive('low'),
+    open: positive('open'),
+    prevClose: positive('prevClose'),
+    marketCap: positive('marketCap'),
+    peRatio: positive('peRatio'),
+    source: data.source || null
+  };
+}
+
+export class QuoteService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.provider - { getEquityData(symbol) }; set provider.isRealData = false, or
+   *   isRealData = false on the returned data, for fixtures
+   * @param {Object} options.store - { load(symbols) => Promise<Map<symbol, quote>>, save(quote) => Promise<void> };
+   *   stored quotes carry updated_at and is_real_data
+   * @param {number} options.ttlMs - How long a cached quote is served without a lookup
+   * @param {number} options.failureBackoffMs - How long a symbol is not looked up after a failed lookup
+   * @param {function(): Date} options.now - Clock
+   */
+  constructor({ provider, store, ttlMs = DEFAULT_QUOTE_TTL_MS, failureBackoffMs = DEFAULT_FAILURE_BACKOFF_MS, now = () => new Date() }) {
+    this.provider = provider;
+    this.store = store;
+    this.ttlMs = ttlMs;
+    this.failureBackoffMs = failureBackoffMs;
+    this.now = now;
+    this.inFlight = new Map();
+    // symbol -> { until, message } while lookups of the symbol are failing
+    this.failures = new Map();
+  }
+
+  /**
+   * Quote for one symbol
+   * @param {string} symbol - Symbol
+   * @param {Object} options - { refresh: skip the cache }
+   * @returns {Promise<Object|null>} Quote with updated_at, is_real_data, cached and stale; null when unknown
+   */
+  async getQuote(symbol, options = {}) {
+    return (await this.getQuotes([symbol], options)).get(String(symbol).trim().toUpperCase()) ?? null;
+  }
+
+  /**
+   * Quotes for several symbols, one provider lookup per symbol that is missing or expired
+   * @param {Array<string>} symbols - Symbols
+   * @param {Object} options - { refresh: skip the cache }
+   * @returns {Promise<Map<string, Object|null>>}
+   */
+  async getQuotes(symbols, { refresh = false } = {}) {
+    const unique = [...new Set(symbols.map(s => String(s).trim().toUpperCase()).filter(Boolean))];
+    const cached = unique.length > 0 ? await this.store.load(unique) : new Map();
+    const quotes = new Map();
+    await Promise.all(unique.map(async symbol => {
+      const hit = cached.get(symbol);
+      if (hit && !refresh && this.isFresh(hit)) {
+        quotes.set(symbol, { ...hit, cached: true, stale: false });
+        return;
+      }
+      const fetched = this.isBackingOff(symbol) ? null : await this.lookup(symbol);
+      if (fetched) quotes.set(symbol, { ...fetched, cached: false, stale: false });
+      else quotes.set(symbol, hit ? { ...hit, cached: true, stale: true } : null);
+    }));
+    return quotes;
+  }
+
+  isFresh(quote) {
+    const updated = new Date(quote.updated_at).getTime();
+    return !Number.isNaN(updated) && this.now().getTime() - updated < this.ttlMs;
+  }
+
+  isBackingOff(symbol) {
+    const failure = this.failures.get(symbol);
+    return Boolean(failure) && this.now().getTime() < failure.until;
+  }
+
+  // Only the first failure of a run is logged, as a message without the stack
+  recordFailure(symbol, message) {
+    if (!this.failures.has(symbol)) console.warn(`Quote lookup failed for ${symbol}:`, message);
+    this.failures.set(symbol, { until: this.now().getTime() + this.failureBackoffMs, message });
+  }
+
+  // Provider lookup saved to the store; null when every source fails
+  lookup(symbol) {
+    if (this.inFlight.has(symbol)) return this.inFlight.get(symbol);
+    const request = Promise.resolve()
+      .then(() => this.provider.getEquityData(symbol))
+      .then(async data => {
+        const quote = normalizeQuote(symbol, data || {});
+        if (!(quote.price > 0)) throw new Error('no price');
+        const stored = { ...quote, is_real_data: this.provider.isRealData !== false && data.isRealData !== false, updated_at: this.now().toISOString() };
+        await this.store.save(stored);
+        this.failures.delete(symbol);
+        return stored;
+      })
+      .catch(error => {
+        this.recordFailure(symbol, error.message);
+        return null;
+      })
+      .finally(() => this.inFlight.delete(symbol));
+    this.inFlight.set(symbol, request);
+    return request;
+  }
+}
@@ -1,13 +1,24 @@
 import { EquityData } from '../types/equity.js';
+import { LotEngine, COST_BASIS_METHODS } from './LotEngine.js';
+import { parseCorporateAction } from './corporateActions.js';
+import { parseLedgerEntry, buildCashLedger } from './cashLedger.js';
 
 /**
  * Trade Manager Utility
  * Handles trade operations, portfolio tracking, and P&L calculations
  */
 export class TradeManager {
-  constructor() {
+  /**
+   * @param {Object} options - Manager options
+   * @param {string} options.costBasisMethod - 'fifo' (default) or 'weighted_average'
+   */
+  constructor(options = {}) {
+    this.costBasisMethod = options.costBasisMethod || COST_BASIS_METHODS.FIFO;
     this.trades = [];
+    this.corporateActions = [];
+    this.cashEntries = [];
     this.portfolio = new Map();
+    this.lotEngine = new LotEngine({ method: this.costBasisMethod });
   }
 
   /**
@@ -32,14 +43,22 @@ export class TradeManager {
       timestamp: new Date()
     };
 
+    // Lots are matched in date order: a back-dated trade, or one before a recorded split/bonus,
+    // changes what earlier sells closed and what the action applies to
+    const backDated = this.trades.some(existing => new Date(existing.date) > new Date(tradeRecord.date));
     this.trades.push(tradeRecord);
-    this.updatePortfolio(tradeRecord);
-    
+    if (backDated || this.corporateActions.length > 0) {
+      this.rebuildPortfolio();
+    } else {
+      this.updatePortfolio(tradeRecord);
+    }
+
     return tradeRecord;
   }
 
   /**
    * Update portfolio based on trade
+   * Buys open lots; sells close lots (FIFO or weighted average) and book realized P&L.
    * @param {Object} trade - Trade record
    */
   updatePortfolio(trade) {
@@ -51,6 +70,8 @@ export class TradeManager {
         totalQuantity: 0,
         averagePrice: 0,
         totalInvested: 0,
+        realizedPnL: 0,
+        lots: [],
         trades: []
       });
     }
@@ -58,33 +79,97 @@ export class TradeManager {
     const position = this.portfolio.get(symbol);
     position.trades.push(trade);
 
-    if (trade.type === 'BUY') {
-      const newTotalQuantity = position.totalQuantity + trade.quantity;
-      const newTotalInvested = position.totalInvested + (trade.quantity * trade.price);
-      
-      position.totalQuantity = newTotalQuantity;
-      position.totalInvested = newTotalInvested;
-      position.averagePrice = newTotalInvested / newTotalQuantity;
-    } else if (trade.type === 'SELL') {
-      position.totalQuantity -= trade.quantity;
-      
-      if (position.totalQuantity <= 0) {
-        position.totalQuantity = 0;
-        position.averagePrice = 0;
-        position.totalInvested = 0;
+    this.lotEngine.addTrade(trade);
+    this.syncPosition(position);
+  }
+
+  /**
+   * Record a split, bonus, rights issue or dividend and recompute positions
+   * @param {Object} action - { symbol, action_type, ex_date, ratio_new, ratio_old, price, amount, notes }
+   * @returns {Object} Corporate action record
+   */
+  addCorporateAction(action) {
+    const { action: parsed, error } = parseCorporateAction(action);
+    if (error) throw new Error(error);
+    const record = { id: action.id != null ? action.id : `CA_${Date.now()}_${this.corporateActions.length + 1}`, ...parsed };
+    this.corporateActions.push(record);
+    this.rebuildPortfolio();
+    return record;
+  }
+
+  /**
+   * Record a deposit, withdrawal, dividend or other charge in the cash ledger
+   * @param {Object} entry - { entry_type, amount, date, symbol, notes }
+   * @returns {Object} Ledger entry record
+   */
+  addCashEntry(entry) {
+    const { entry: parsed, error } = parseLedgerEntry(entry);
+    if (error) throw new Error(error);
+    const record = { id: entry.id != null ? entry.id : `CASH_${Date.now()}_${this.cashEntries.length + 1}`, ...parsed };
+    this.cashEntries.push(record);
+    return record;
+  }
+
+  /**
+   * Cash ledger with running balance: recorded entries, trade values, dividends and rights payments
+   * @param {Object} options - { from, to } date range (YYYY-MM-DD)
+   * @returns {Object} Output of buildCashLedger
+   */
+  getCashLedger(options = {}) {
+    const holdings = [...this.portfolio.keys()].map(symbol => ({
+      symbol,
+      corporate_actions: this.lotEngine.getPosition(symbol).corporateActions
+    }));
+    return buildCashLedger({ entries: this.cashEntries, trades: this.trades, holdings, from: options.from, to: options.to });
+  }
+
+  /**
+   * Rebuild positions and lots from the Cash trades and corporate actions
+   */
+  rebuildPortfolio() {
+    this.portfolio = new Map();
+    const cashTrades = this.trades
+      .filter(trade => !trade.trade_type || trade.trade_type.toLowerCase() === 'cash');
+    this.lotEngine = LotEngine.fromTrades(cashTrades, { method: this.costBasisMethod, corporateActions: this.corporateActions });
+
+    for (const trade of cashTrades) {
+      if (!this.portfolio.has(trade.symbol)) {
+        this.portfolio.set(trade.symbol, { symbol: trade.symbol, trades: [] });
       }
+      this.portfolio.get(trade.symbol).trades.push(trade);
     }
+    for (const position of this.portfolio.values()) {
+      position.trades.sort((a, b) => new Date(a.date) - new Date(b.date));
+      this.syncPosition(position);
+    }
+  }
+
+  /**
+   * Copy lot engine figures onto a portfolio position
+   * @param {Object} position - Portfolio position
+   */
+  syncPosition(position) {
+    const lotPosition = this.lotEngine.getPosition(position.symbol);
+    position.totalQuantity = lotPosition.quantity;
+    position.averagePrice = lotPosition.averageCost;
+    position.totalInvested = lotPosition.investedValue;
+    position.realizedPnL = lotPosition.realizedPnL;
+    position.lots = lotPosition.openLots;
+    position.dividendIncome = lotPosition.dividendIncome;
   }
 
   /**
    * Calculate current portfolio value
    * @param {Map} currentPrices - Current prices for symbols
+   * @param {Object} options - Options
+   * @param {boolean} options.includeCash - Add the ledger's cash balance (cashBalance, accountValue, netDeposits)
    * @returns {Object} Portfolio summary
    */
-  calculatePortfolioValue(currentPrices) {
+  calculatePortfolioValue(currentPrices, options = {}) {
     let totalValue = 0;
     let totalInvested = 0;
     let totalPnL = 0;
+    let totalRealizedPnL = 0;
     const positions = [];
 
     for (const [symbol, position] of this.portfolio) {
@@ -102,22 +187,34 @@ export class TradeManager {
           currentValue,
           totalInvested: position.totalInvested,
           pnl,
-          pnlPercent
+          pnlPercent,
+          realizedPnL: position.realizedPnL || 0,
+          dividendIncome: position.dividendIncome || 0,
+          lots: position.lots || []
         });
 
         totalValue += currentValue;
         totalInvested += position.totalInvested;
         totalPnL += pnl;
       }
+      totalRealizedPnL += position.realizedPnL || 0;
     }
 
-    return {
+    const summary = {
       totalValue,
       totalInvested,
       totalPnL,
       totalPnLPercent: totalInvested > 0 ? (totalPnL / totalInvested) * 100 : 0,
+      totalRealizedPnL,
       positions
     };
+    if (options.includeCash) {
+      const ledger = this.getCashLedger().summary;
+      summary.cashBalance = ledger.balance;
+      summary.netDeposits = ledger.net_deposits;
+      summary.accountValue = totalValue + ledger.balance;
+    }
+    return summary;
   }
 
   /**
@@ -184,7 +281,10 @@ export class TradeManager {
         currentValue: 0,
         totalInvested: 0,
         pnl: 0,
-        pnlPercent: 0
+        pnlPercent: 0,
+        realizedPnL: position ? position.realizedPnL || 0 : 0,
+        dividendIncome: position ? position.dividendIncome || 0 : 0,
+        lots: []
       };
     }
 
@@ -200,7 +300,10 @@ export class TradeManager {
       currentValue,
       totalInvested: position.totalInvested,
       pnl,
-      pnlPercent
+      pnlPercent,
+      realizedPnL: position.realizedPnL || 0,
+      dividendIncome: position.dividendIncome || 0,
+      lots: position.lots || []
     };
   }
 
@@ -210,25 +313,71 @@ export class TradeManager {
    */
   exportPortfolio() {
     return {
+      format: 'trade-book-export',
+      version: 1,
       portfolio: Object.fromEntries(this.portfolio),
       trades: this.trades,
+      corporateActions: this.corporateActions,
+      cashEntries: this.cashEntries,
       exportDate: new Date()
     };
   }
 
   /**
    * Import portfolio data
+   * Accepts exportPortfolio() output or the server's JSON export (GET /api/trades/export?format=json).
+   * Positions and lots are rebuilt from the Cash trades and any corporate actions; a supplied portfolio is only used when there are no trades.
    * @param {Object} data - Portfolio data to import
    */
   importPortfolio(data) {
-    if (data.portfolio) {
-      this.portfolio = new Map(Object.entries(data.portfolio));
+    const corporateActions = data.corporateActions || data.corporate_actions;
+    if (Array.isArray(corporateActions)) {
+      this.corporateActions = corporateActions.map(action => ({ ...action }));
+    }
+    const cashEntries = data.cashEntries || data.cash_entries;
+    if (Array.isArray(cashEntries)) {
+      this.cashEntries = cashEntries.map(entry => ({ ...entry }));
     }
     if (data.trades) {
-      this.trades = data.trades;
+      this.trades = data.trades.map(trade => this.normalizeImportedTrade(trade));
+      this.rebuildPortfolio();
+    } else if (data.portfolio) {
+      this.portfolio = new Map(Object.entries(data.portfolio));
     }
   }
 
+  /**
+   * Realized P&L per matched sell
+   * @param {string} symbol - Stock symbol (optional, all symbols if omitted)
+   * @returns {Array} Realizations with buy/sell dates, prices and P&L
+   */
+  getRealizedPnL(symbol = null) {
+    const realizations = this.lotEngine.getRealizations();
+    return symbol
+      ? realizations.filter(r => r.symbol === symbol.toUpperCase())
+      : realizations;
+  }
+
+  /**
+   * Normalize an imported trade to the TradeManager record shape
+   * Server exports use lowercase 'buy'/'sell' and 'reason' instead of 'notes'.
+   * @param {Object} trade - Imported trade
+   * @returns {Object} Trade record
+   */
+  normalizeImportedTrade(trade) {
+    return {
+      ...trade,
+      id: trade.id != null ? trade.id : this.generateTradeId(),
+      symbol: String(trade.symbol || '').toUpperCase(),
+      type: String(trade.type || trade.trade_action || '').toUpperCase(),
+      quantity: Number(trade.quantity) || 0,
+      price: Number(trade.price) || 0,
+      date: trade.date ? new Date(trade.date) : new Date(),
+      notes: trade.notes != null ? trade.notes : (trade.reason || ''),
+      timestamp: trade.timestamp ? new Date(trade.timestamp) : new Date()
+    };
+  }
+
   /**
    * Generate unique trade ID
    * @returns {string} Unique trade ID
@@ -0,0 +1,229 @@
+import http from 'http';
+import https from 'https';
+import { lookup } from 'dns';
+import { BlockList, isIP } from 'net';
+import { ALERT_TYPES, ALERT_STATUS } from '../types/trade.js';
+import { parseNumber } from '../importers/helpers.js';
+
+/**
+ * Price Alerts
+ * Validation of user alerts (price above/below, % change on the day, stop-loss or target on a
+ * holding) and evaluation against a quote.
+ * A quote source is anything with getEquityData(symbol) resolving to { price, changePercent },
+ * such as EquityScraper or staticQuoteSource.
+ * Webhooks are posted from inside the server's network, so they may only reach public addresses:
+ * loopback, private, link-local (cloud metadata) and other reserved ranges are refused, both when
+ * the URL is saved and on every resolved address when it is posted, and redirects are not followed.
+ */
+
+export const ALERT_LABELS = {
+  [ALERT_TYPES.PRICE_ABOVE]: 'Price above',
+  [ALERT_TYPES.PRICE_BELOW]: 'Price below',
+  [ALERT_TYPES.PERCENT_CHANGE]: '% change',
+  [ALERT_TYPES.STOP_LOSS]: 'Stop-loss',
+  [ALERT_TYPES.TARGET]: 'Target'
+};
+
+// Alert types that watch a holding
+export const HOLDING_ALERT_TYPES = [ALERT_TYPES.STOP_LOSS, ALERT_TYPES.TARGET];
+
+// Address ranges a webhook may not reach
+const BLOCKED_ADDRESSES = new BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isBlockedAddress(address) {
+  const text = String(address || '').replace(/^\[|\]$/g, '');
+  const mapped = text.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isBlockedAddress(mapped[1]);
+  const family = isIP(text);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(text, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check a webhook URL before saving or posting it (host names are resolved when posting)
+ * @param {string} url - Webhook URL
+ * @returns {string|null} Error message, or null when allowed
+ */
+export function webhookUrlError(url) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    return 'webhook_url must be an http(s) URL';
+  }
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') return 'webhook_url must be an http(s) URL';
+  const host = target.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || (isIP(host) && isBlockedAddress(host))) {
+    return 'webhook_url must point to a public address';
+  }
+  return null;
+}
+
+// DNS lookup for webhook requests that refuses hosts resolving to a blocked address. Used as the
+// connection's lookup, so the checked address is the one connected to.
+function publicLookup(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(a => isBlockedAddress(a.address))) {
+      return callback(new Error(`${hostname} resolves to a non-public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Validate an alert. With partial set only the fields present are returned (for updates).
+ * Whether the user holds the symbol of a stop-loss or target is checked by the caller.
+ * @param {Object} input - { symbol, alert_type, threshold, notes, webhook_url, status }
+ * @param {Object} options - { partial }
+ * @returns {{alert: Object|null, error: string|null}}
+ */
+export function parseAlertInput(input, { partial = false } = {}) {
+  const has = field => !partial || input[field] !== undefined;
+  const alert = {};
+
+  if (!partial) {
+    alert.symbol = String(input.symbol || '').trim().toUpperCase();
+    if (!alert.symbol) return { alert: null, error: 'Symbol is required' };
+    alert.alert_type = String(input.alert_type || '').trim().toLowerCase();
+    if (!Object.values(ALERT_TYPES).includes(alert.alert_type)) {
+      return { alert: null, error: `alert_type must be one of: ${Object.values(ALERT_TYPES).join(', ')}` };
+    }
+  }
+  if (has('threshold')) {
+    const threshold = parseNumber(input.threshold);
+    if (threshold == null || !Number.isFinite(threshold)) return { alert: null, error: 'threshold must be a number' };
+    alert.threshold = round2(threshold);
+  }
+  if (!partial && alert.alert_type !== ALERT_TYPES.PERCENT_CHANGE && !(alert.threshold > 0)) {
+    return { alert: null, error: 'threshold must be a price greater than 0' };
+  }
+  if (!partial && alert.alert_type === ALERT_TYPES.PERCENT_CHANGE && alert.threshold === 0) {
+    return { alert: null, error: 'threshold must be a non-zero % (negative for a fall)' };
+  }
+  if (has('notes')) alert.notes = input.notes != null ? String(input.notes).trim() || null : null;
+  if (has('webhook_url')) {
+    alert.webhook_url = input.webhook_url ? String(input.webhook_url).trim() : null;
+    const webhookError = alert.webhook_url ? webhookUrlError(alert.webhook_url) : null;
+    if (webhookError) return { alert: null, error: webhookError };
+  }
+  if (partial && input.status !== undefined) {
+    alert.status = String(input.status).trim().toLowerCase();
+    if (alert.status !== ALERT_STATUS.ACTIVE && alert.status !== ALERT_STATUS.DISABLED) {
+      return { alert: null, error: 'status must be active or disabled' };
+    }
+  }
+  return { alert, error: null };
+}
+
+/**
+ * Check an alert against a quote. A positive % change threshold fires on a rise of at least that
+ * much on the day, a negative one on a fall.
+ * @param {Object} alert - { symbol, alert_type, threshold }
+ * @param {Object} quote - { price, changePercent }
+ * @param {Object} holding - { quantity, avg_cost } for stop-loss and target messages (optional)
+ * @returns {{triggered: boolean, price: number|null, message: string|null}}
+ */
+export function evaluateAlert(alert, quote, holding = null) {
+  const price = Number(quote?.price);
+  if (!(price > 0)) return { triggered: false, price: null, message: null };
+  const threshold = Number(alert.threshold);
+  const change = Number(quote.changePercent);
+
+  let triggered;
+  let message;
+  switch (alert.alert_type) {
+    case ALERT_TYPES.PRICE_ABOVE:
+    case ALERT_TYPES.TARGET:
+      triggered = price >= threshold;
+      message = `${alert.symbol} at ${price} reached ${alert.alert_type === ALERT_TYPES.TARGET ? 'target' : 'alert price'} ${threshold}`;
+      break;
+    case ALERT_TYPES.PRICE_BELOW:
+    case ALERT_TYPES.STOP_LOSS:
+      triggered = price <= threshold;
+      message = `${alert.symbol} at ${price} fell to ${alert.alert_type === ALERT_TYPES.STOP_LOSS ? 'stop-loss' : 'alert price'} ${threshold}`;
+      break;
+    case ALERT_TYPES.PERCENT_CHANGE:
+      triggered = Number.isFinite(change) && (threshold > 0 ? change >= threshold : change <= threshold);
+      message = `${alert.symbol} ${change >= 0 ? 'up' : 'down'} ${round2(Math.abs(change))}% on the day at ${price}`;
+      break;
+    default:
+      return { triggered: false, price, message: null };
+  }
+
+  if (triggered && holding && holding.quantity > 0 && holding.avg_cost > 0) {
+    const pnl = round2((price - holding.avg_cost) * holding.quantity);
+    message += ` (${holding.quantity} shares, unrealized P&L ${pnl})`;
+  }
+  return { triggered, price, message: triggered ? message : null };
+}
+
+/**
+ * Quote source serving fixed prices, for tests and offline runs (isRealData is false, so cached
+ * quotes are flagged as not real)
+ * @param {Object<string, number|Object>} quotes - Symbol to price, or to { price, changePercent }
+ * @returns {{getEquityData: function(string): Promise<Object>, set: function(string, number|Object): void, isRealData: boolean}}
+ */
+export function staticQuoteSource(quotes = {}) {
+  const table = new Map();
+  const set = (symbol, quote) => {
+    table.set(String(symbol).trim().toUpperCase(), typeof quote === 'object' ? { ...quote } : { price: Number(quote), changePercent: 0 });
+  };
+  Object.entries(quotes).forEach(([symbol, quote]) => set(symbol, quote));
+  return {
+    set,
+    isRealData: false,
+    async getEquityData(symbol) {
+      const quote = table.get(String(symbol).trim().toUpperCase());
+      if (!quote) throw new Error(`No quote for ${symbol}`);
+      return { symbol: String(symbol).toUpperCase(), source: 'static', ...quote };
+    }
+  };
+}
+
+/**
+ * POST a triggered alert to a webhook as JSON. Only public addresses are contacted and
+ * redirects are not followed (a 3xx counts as a failure).
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON body
+ * @param {Object} options - { timeoutMs }
+ * @returns {Promise<{ok: boolean, status: number|null, error: string|null}>}
+ */
+export async function postWebhook(url, payload, { timeoutMs = 5000 } = {}) {
+  const urlError = webhookUrlError(url);
+  if (urlError) return { ok: false, status: null, error: urlError };
+  const target = new URL(url);
+  const body = JSON.stringify(payload);
+  const client = target.protocol === 'https:' ? https : http;
+  return new Promise(resolve => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      signal: AbortSignal.timeout(timeoutMs)
+    }, response => {
+      response.resume();
+      const ok = response.statusCode >= 200 && response.statusCode < 300;
+      resolve({ ok, status: response.statusCode, error: ok ? null : `HTTP ${response.statusCode}` });
+    });
+    request.on('error', error => resolve({ ok: false, status: null, error: error.message }));
+    request.end(body);
+  });
+}
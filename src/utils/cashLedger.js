@@ -0,0 +1,215 @@
+import { LEDGER_ENTRY_TYPES, CORPORATE_ACTION_TYPES } from '../types/trade.js';
+import { parseDate, parseNumber } from '../importers/helpers.js';
+import { normalizeInstrumentType } from './instruments.js';
+import { netContracts } from './positions.js';
+import { toISODateString } from './date.js';
+
+/**
+ * Cash Ledger
+ * Funds in the account: deposits and withdrawals recorded by the user, plus the cash effect
+ * of trades (premium and delivery value), futures P&L on square-off, charges and dividends.
+ * Amounts on ledger lines are signed: credits positive, debits negative.
+ */
+
+export const MANUAL_LEDGER_TYPES = [
+  LEDGER_ENTRY_TYPES.DEPOSIT,
+  LEDGER_ENTRY_TYPES.WITHDRAWAL,
+  LEDGER_ENTRY_TYPES.DIVIDEND,
+  LEDGER_ENTRY_TYPES.CHARGE
+];
+
+const DEBIT_TYPES = [LEDGER_ENTRY_TYPES.WITHDRAWAL, LEDGER_ENTRY_TYPES.CHARGE, LEDGER_ENTRY_TYPES.BUY];
+
+// Same-day order: money in before money out, so a deposit funds that day's buys
+const DAY_ORDER = {
+  [LEDGER_ENTRY_TYPES.DEPOSIT]: 0,
+  [LEDGER_ENTRY_TYPES.DIVIDEND]: 1,
+  [LEDGER_ENTRY_TYPES.SELL]: 2,
+  [LEDGER_ENTRY_TYPES.FUTURES_PNL]: 2,
+  [LEDGER_ENTRY_TYPES.BUY]: 3,
+  [LEDGER_ENTRY_TYPES.CHARGE]: 4,
+  [LEDGER_ENTRY_TYPES.WITHDRAWAL]: 5
+};
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Validate a manually recorded ledger entry
+ * @param {Object} input - { entry_type, amount, date, symbol, notes }; amount is always positive
+ * @returns {{entry: Object|null, error: string|null}}
+ */
+export function parseLedgerEntry(input) {
+  const type = String(input.entry_type || input.type || '').trim().toLowerCase();
+  if (!MANUAL_LEDGER_TYPES.includes(type)) {
+    return { entry: null, error: `entry_type must be one of: ${MANUAL_LEDGER_TYPES.join(', ')}` };
+  }
+  const amount = parseNumber(input.amount);
+  if (!(amount > 0)) return { entry: null, error: 'Amount must be greater than 0' };
+  const date = input.date ? parseDate(input.date) : toISODateString(new Date());
+  if (!date) return { entry: null, error: 'date must be a date (YYYY-MM-DD)' };
+
+  return {
+    entry: {
+      entry_type: type,
+      amount: round2(amount),
+      date,
+      symbol: input.symbol ? String(input.symbol).trim().toUpperCase() || null : null,
+      notes: input.notes != null ? String(input.notes).trim() || null : null
+    },
+    error: null
+  };
+}
+
+/**
+ * Cash effect of trades: delivery/intraday value and option premium on every buy and sell,
+ * futures P&L on each square-off, and each trade's charges
+ * @param {Array<Object>} trades - Trades (with stored charges)
+ * @param {Object} options - Options
+ * @param {ContractMaster} options.contractMaster - Contract multipliers (MCX quantities are in lots)
+ * @returns {Array<Object>} Ledger lines
+ */
+export function tradeLedgerEntries(trades, options = {}) {
+  const contractMaster = options.contractMaster || null;
+  const multiplierFor = trade => {
+    const contract = contractMaster ? contractMaster.find(trade.symbol, trade.expiry, trade.market_index) : null;
+    return contract ? contract.multiplier : 1;
+  };
+  const lines = [];
+
+  for (const trade of trades) {
+    const date = toISODateString(trade.date);
+    const symbol = String(trade.symbol || '').trim().toUpperCase();
+    const isSell = String(trade.type || '').toLowerCase() === 'sell';
+    if (normalizeInstrumentType(trade.trade_type) !== 'FUT') {
+      const value = (Number(trade.quantity) || 0) * (Number(trade.price) || 0) * multiplierFor(trade);
+      lines.push({
+        entry_type: isSell ? LEDGER_ENTRY_TYPES.SELL : LEDGER_ENTRY_TYPES.BUY,
+        date,
+        symbol,
+        amount: isSell ? value : -value,
+        trade_id: trade.id ?? null,
+        notes: `${isSell ? 'Sold' : 'Bought'} ${trade.quantity} @ ${trade.price}`
+      });
+    }
+    const charges = Number(trade.charges?.total) || 0;
+    if (charges > 0) {
+      lines.push({ entry_type: LEDGER_ENTRY_TYPES.CHARGE, date, symbol, amount: -charges, trade_id: trade.id ?? null, notes: 'Trade charges' });
+    }
+  }
+
+  const futures = trades.filter(t => normalizeInstrumentType(t.trade_type) === 'FUT');
+  for (const position of netContracts(futures).values()) {
+    const multiplier = multiplierFor(position);
+    for (const closing of position.closings) {
+      lines.push({
+        entry_type: LEDGER_ENTRY_TYPES.FUTURES_PNL,
+        date: closing.date,
+        symbol: position.symbol,
+        amount: closing.pnl * multiplier,
+        trade_id: closing.trade_id,
+        notes: `${position.key} squared off`
+      });
+    }
+  }
+  return lines;
+}
+
+/**
+ * Dividends credited and rights subscriptions paid, from holdings rows' applied corporate actions
+ * @param {Array<Object>} holdings - Rows from computeHoldings (symbol, corporate_actions)
+ * @returns {Array<Object>} Ledger lines
+ */
+export function corporateActionLedgerEntries(holdings) {
+  const lines = [];
+  for (const holding of holdings) {
+    for (const action of holding.corporate_actions || []) {
+      if (!(action.amount > 0)) continue;
+      if (action.action_type === CORPORATE_ACTION_TYPES.DIVIDEND) {
+        lines.push({ entry_type: LEDGER_ENTRY_TYPES.DIVIDEND, date: action.ex_date, symbol: holding.symbol, amount: action.amount, corporate_action_id: action.id, notes: `Dividend on ${action.quantity_held} shares` });
+      } else if (action.action_type === CORPORATE_ACTION_TYPES.RIGHTS) {
+        lines.push({ entry_type: LEDGER_ENTRY_TYPES.BUY, date: action.ex_date, symbol: holding.symbol, amount: -action.amount, corporate_action_id: action.id, notes: `Rights issue, ${action.quantity_added} shares` });
+      }
+    }
+  }
+  return lines;
+}
+
+/**
+ * Build the ledger with a running balance
+ * @param {Object} sources - Ledger sources
+ * @param {Array<Object>} sources.entries - Manual entries ({ id, entry_type, amount (positive), date, symbol, notes })
+ * @param {Array<Object>} sources.trades - Trades with stored charges
+ * @param {Array<Object>} sources.holdings - Holdings rows (dividends and rights from corporate actions)
+ * @param {ContractMaster} sources.contractMaster - Contract multipliers
+ * @param {string} sources.from - First date shown (earlier lines make up the opening balance)
+ * @param {string} sources.to - Last date shown
+ * @returns {{opening_balance: number, entries: Array<Object>, summary: Object}}
+ */
+export function buildCashLedger({ entries = [], trades = [], holdings = [], contractMaster = null, from = null, to = null } = {}) {
+  const manual = entries.map(e => ({
+    entry_type: e.entry_type,
+    date: toISODateString(e.date),
+    symbol: e.symbol || null,
+    amount: DEBIT_TYPES.includes(e.entry_type) ? -Number(e.amount) : Number(e.amount),
+    id: e.id ?? null,
+    notes: e.notes || null,
+    manual: true
+  }));
+  const lines = [...manual, ...tradeLedgerEntries(trades, { contractMaster }), ...corporateActionLedgerEntries(holdings)]
+    .filter(line => line.date && (!to || line.date <= to))
+    .sort((a, b) => a.date.localeCompare(b.date) || DAY_ORDER[a.entry_type] - DAY_ORDER[b.entry_type]);
+
+  let balance = 0;
+  let openingBalance = 0;
+  const shown = [];
+  for (const line of lines) {
+    balance += line.amount;
+    if (from && line.date < from) {
+      openingBalance = balance;
+      continue;
+    }
+    shown.push({ ...line, amount: round2(line.amount), balance: round2(balance), manual: Boolean(line.manual) });
+  }
+
+  const total = type => round2(shown.filter(l => l.entry_type === type).reduce((sum, l) => sum + l.amount, 0));
+  const deposits = total(LEDGER_ENTRY_TYPES.DEPOSIT);
+  const withdrawals = 0 - total(LEDGER_ENTRY_TYPES.WITHDRAWAL);
+  return {
+    opening_balance: round2(openingBalance),
+    entries: shown,
+    summary: {
+      deposits,
+      withdrawals,
+      net_deposits: round2(deposits - withdrawals),
+      dividends: total(LEDGER_ENTRY_TYPES.DIVIDEND),
+      charges: 0 - total(LEDGER_ENTRY_TYPES.CHARGE),
+      buys: 0 - total(LEDGER_ENTRY_TYPES.BUY),
+      sells: total(LEDGER_ENTRY_TYPES.SELL),
+      futures_pnl: total(LEDGER_ENTRY_TYPES.FUTURES_PNL),
+      balance: round2(balance)
+    }
+  };
+}
+
+/**
+ * Whole-account value: holdings at market plus cash
+ * @param {Array<Object>} holdings - Holdings rows (current_value, or invested_value when unpriced)
+ * @param {Object} ledger - Output of buildCashLedger (all dates)
+ * @returns {Object} holdings_value, cash_balance, total_value, net_deposits, net_gain, return_pct
+ */
+export function accountValue(holdings, ledger) {
+  const holdingsValue = round2(holdings.reduce((sum, h) => sum + (Number(h.current_value ?? h.invested_value) || 0), 0));
+  const cashBalance = ledger.summary.balance;
+  const netDeposits = ledger.summary.net_deposits;
+  const totalValue = round2(holdingsValue + cashBalance);
+  return {
+    holdings_value: holdingsValue,
+    cash_balance: cashBalance,
+    total_value: totalValue,
+    net_deposits: netDeposits,
+    net_gain: round2(totalValue - netDeposits),
+    return_pct: netDeposits > 0 ? round2(((totalValue - netDeposits) / netDeposits) * 100) : null
+  };
+}
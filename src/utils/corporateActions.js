@@ -0,0 +1,56 @@
+import { CORPORATE_ACTION_TYPES } from '../types/trade.js';
+import { parseDate, parseNumber } from '../importers/helpers.js';
+
+/**
+ * Corporate Actions
+ * Validation for split, bonus, rights and dividend records. Ratios read as
+ * "ratio_new shares for every ratio_old held": a 1:5 split is ratio_old 1, ratio_new 5;
+ * a 1:2 bonus (one bonus share for every two held) is ratio_new 1, ratio_old 2.
+ */
+
+const RATIO_TYPES = [CORPORATE_ACTION_TYPES.SPLIT, CORPORATE_ACTION_TYPES.BONUS, CORPORATE_ACTION_TYPES.RIGHTS];
+
+/**
+ * Validate and normalize a corporate action
+ * @param {Object} input - { symbol, action_type, ex_date, ratio_new, ratio_old, price, amount, notes }
+ * @returns {{action: Object|null, error: string|null}}
+ */
+export function parseCorporateAction(input) {
+  const symbol = String(input.symbol || '').trim().toUpperCase();
+  const type = String(input.action_type || input.type || '').trim().toLowerCase();
+  const exDate = parseDate(input.ex_date);
+
+  if (!symbol) return { action: null, error: 'Symbol is required' };
+  if (!Object.values(CORPORATE_ACTION_TYPES).includes(type)) {
+    return { action: null, error: `action_type must be one of: ${Object.values(CORPORATE_ACTION_TYPES).join(', ')}` };
+  }
+  if (!exDate) return { action: null, error: 'ex_date must be a date (YYYY-MM-DD)' };
+
+  const action = {
+    symbol,
+    action_type: type,
+    ex_date: exDate,
+    ratio_new: null,
+    ratio_old: null,
+    price: null,
+    amount: null,
+    notes: input.notes != null ? String(input.notes).trim() || null : null
+  };
+
+  if (RATIO_TYPES.includes(type)) {
+    action.ratio_new = parseNumber(input.ratio_new);
+    action.ratio_old = parseNumber(input.ratio_old);
+    if (!(action.ratio_new > 0) || !(action.ratio_old > 0)) {
+      return { action: null, error: 'ratio_new and ratio_old must be greater than 0' };
+    }
+  }
+  if (type === CORPORATE_ACTION_TYPES.RIGHTS) {
+    action.price = parseNumber(input.price);
+    if (!(action.price >= 0)) return { action: null, error: 'Rights issue price is required' };
+  }
+  if (type === CORPORATE_ACTION_TYPES.DIVIDEND) {
+    action.amount = parseNumber(input.amount);
+    if (!(action.amount > 0)) return { action: null, error: 'Dividend amount per share must be greater than 0' };
+  }
+  return { action, error: null };
+}
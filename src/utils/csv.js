@@ -0,0 +1,119 @@
+import { toISODateString } from './date.js';
+
+/**
+ * CSV Utilities
+ * Minimal RFC 4180 parser/writer used by tradebook import and export
+ */
+
+/**
+ * Normalize a CSV header for lookups ('Trade Date ' -> 'trade date')
+ * @param {string} header - Raw header cell
+ * @returns {string} Normalized header
+ */
+export function normalizeHeader(header) {
+  return String(header || '')
+    .replace(/^﻿/, '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Split CSV text into rows of cells, honouring quoted fields
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows of raw cells
+ */
+export function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^﻿/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(c => String(c).trim() !== ''));
+}
+
+/**
+ * Parse CSV text into header-keyed records
+ * @param {string} text - CSV content with a header row
+ * @returns {{headers: Array<string>, records: Array<Object>}} Normalized headers and records
+ */
+export function parseCSV(text) {
+  const rows = parseCSVRows(text);
+  if (rows.length === 0) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = rows[0].map(normalizeHeader);
+  const records = rows.slice(1).map(cells => {
+    const record = {};
+    headers.forEach((header, idx) => {
+      record[header] = cells[idx] != null ? String(cells[idx]).trim() : '';
+    });
+    return record;
+  });
+
+  return { headers, records };
+}
+
+/**
+ * Quote a value for CSV output when it contains separators, quotes or newlines. Dates are
+ * written as YYYY-MM-DD, and text a spreadsheet would run as a formula (starting with =, +, -,
+ * @, tab or carriage return) is prefixed with ' so it stays text; numbers are left as they are.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+export function escapeCSVValue(value) {
+  if (value == null) return '';
+  let text = value instanceof Date ? toISODateString(value) ?? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize records to CSV
+ * @param {Array<Object>} records - Rows to write
+ * @param {Array<{key: string, header?: string}>} columns - Column order and headers
+ * @returns {string} CSV text
+ */
+export function stringifyCSV(records, columns) {
+  const lines = [columns.map(c => escapeCSVValue(c.header || c.key)).join(',')];
+  for (const record of records) {
+    lines.push(columns.map(c => escapeCSVValue(record[c.key])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,77 @@
+/**
+ * Date Utilities
+ * Trade dates are calendar dates (YYYY-MM-DD); node-postgres returns DATE columns
+ * as local-midnight Date objects, so formatting must use local date parts.
+ */
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Format a Date or date string as YYYY-MM-DD
+ * @param {Date|string|null} value - Date value
+ * @returns {string|null} ISO calendar date or null
+ */
+export function toISODateString(value) {
+  if (value == null || value === '') return null;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    return `${value.getFullYear()}-${pad2(value.getMonth() + 1)}-${pad2(value.getDate())}`;
+  }
+  const text = String(value);
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? null : toISODateString(parsed);
+}
+
+/**
+ * Validate user input as a calendar date (a Date or a string starting YYYY-MM-DD)
+ * @param {Date|string} value - Date value
+ * @returns {string|null} YYYY-MM-DD, or null when the value is not a real date
+ */
+export function parseISODate(value) {
+  if (value instanceof Date) return toISODateString(value);
+  const m = String(value ?? '').trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:$|T|\s)/);
+  if (!m) return null;
+  const date = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return date.getUTCMonth() === +m[2] - 1 && date.getUTCDate() === +m[3] ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+/**
+ * Parse an Indian financial year label ('2025-26' or '2025') into its date range
+ * @param {string} label - Financial year
+ * @returns {{label: string, start: string, end: string}|null} April 1 to March 31, or null if invalid
+ */
+export function parseFinancialYear(label) {
+  const m = String(label || '').trim().match(/^(\d{4})(?:-(\d{2}|\d{4}))?$/);
+  if (!m) return null;
+  const startYear = Number(m[1]);
+  if (m[2] && Number(m[2].slice(-2)) !== (startYear + 1) % 100) return null;
+  return {
+    label: `${startYear}-${pad2((startYear + 1) % 100)}`,
+    start: `${startYear}-04-01`,
+    end: `${startYear + 1}-03-31`
+  };
+}
+
+/**
+ * Financial year label for a date ('2025-06-10' -> '2025-26')
+ * @param {Date|string} value - Date
+ * @returns {string|null}
+ */
+export function financialYearOf(value) {
+  const iso = toISODateString(value);
+  if (!iso) return null;
+  const year = Number(iso.slice(0, 4));
+  const startYear = Number(iso.slice(5, 7)) >= 4 ? year : year - 1;
+  return `${startYear}-${pad2((startYear + 1) % 100)}`;
+}
+
+/**
+ * Current financial year label
+ * @returns {string}
+ */
+export function currentFinancialYear() {
+  return financialYearOf(new Date());
+}
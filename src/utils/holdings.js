@@ -0,0 +1,114 @@
+import { LotEngine, COST_BASIS_METHODS } from './LotEngine.js';
+import { toISODateString } from './date.js';
+import { sumChargesBy } from './ChargesCalculator.js';
+
+/**
+ * Holdings Calculator
+ * Builds cursor_trade_book.holdings rows from Cash trades using the shared lot engine
+ */
+
+function round2(value) {
+  return value != null ? Math.round(value * 100) / 100 : null;
+}
+
+/**
+ * Compute holdings for a user's Cash trades
+ * @param {Array<Object>} cashTrades - Trades (symbol, type, quantity, price, date, id, charges?)
+ * @param {Object} options - Options
+ * @param {string} options.method - Cost basis method ('fifo' or 'weighted_average')
+ * @param {Map<string, number>} options.currentPrices - Last known price per symbol
+ * @param {Array<Object>} options.corporateActions - Splits, bonuses, rights and dividends to apply
+ * @returns {Array<Object>} Holding rows keyed like the holdings table
+ */
+export function computeHoldings(cashTrades, options = {}) {
+  const method = options.method || COST_BASIS_METHODS.FIFO;
+  const currentPrices = options.currentPrices || new Map();
+  const engine = LotEngine.fromTrades(cashTrades, { method, corporateActions: options.corporateActions });
+  const detailsBySymbol = new Map();
+  const chargesBySymbol = sumChargesBy(cashTrades, trade => String(trade.symbol || '').trim().toUpperCase() || '?');
+
+  for (const trade of cashTrades) {
+    const symbol = String(trade.symbol || '').trim().toUpperCase() || '?';
+    if (!detailsBySymbol.has(symbol)) detailsBySymbol.set(symbol, []);
+    detailsBySymbol.get(symbol).push({
+      transactiontype: String(trade.type || '').toLowerCase() === 'sell' ? 'sell' : 'buy',
+      date: toISODateString(trade.date) || '',
+      qty: Number(trade.quantity) || 0,
+      price: Number(trade.price) || 0
+    });
+  }
+
+  return engine.getPositions().map(position => {
+    const currentPrice = currentPrices.get(position.symbol) ?? null;
+    const hasQuantity = position.quantity > 0;
+    const avgCost = hasQuantity ? position.averageCost : null;
+    const effectivePrice = currentPrice != null ? currentPrice : avgCost;
+    const investedValue = hasQuantity ? position.investedValue : null;
+    const currentValue = hasQuantity && effectivePrice != null ? position.quantity * effectivePrice : null;
+    const unrealizedPnL = hasQuantity && currentPrice != null ? currentValue - position.investedValue : null;
+    const charges = chargesBySymbol.get(position.symbol) || 0;
+
+    return {
+      symbol: position.symbol,
+      avg_buy_price: position.buyQuantity > 0 ? round2(position.buyValue / position.buyQuantity) : null,
+      avg_buy_qty: position.buyQuantity,
+      avg_sell_price: position.sellQuantity > 0 ? round2(position.sellValue / position.sellQuantity) : null,
+      avg_sell_qty: position.sellQuantity,
+      additional_detail: detailsBySymbol.get(position.symbol) || [],
+      quantity: position.quantity,
+      avg_cost: round2(avgCost),
+      current_price: currentPrice,
+      invested_value: round2(investedValue),
+      current_value: round2(currentValue),
+      net_change_pct: unrealizedPnL != null && position.investedValue > 0
+        ? round2((unrealizedPnL / position.investedValue) * 100)
+        : null,
+      realized_pnl: position.realizedPnL,
+      unrealized_pnl: round2(unrealizedPnL),
+      open_lots: position.openLots.map(lot => ({
+        trade_id: lot.tradeId,
+        corporate_action_id: lot.corporateActionId,
+        date: toISODateString(lot.date),
+        qty: lot.quantity,
+        price: round2(lot.price)
+      })),
+      cost_basis_method: method,
+      charges,
+      net_pnl: round2(position.realizedPnL + (unrealizedPnL || 0) - charges),
+      dividend_income: position.dividendIncome,
+      dividends: position.dividends,
+      corporate_actions: position.corporateActions
+    };
+  });
+}
+
+/**
+ * Open holdings revalued at quoted prices (live P&L between holdings refreshes)
+ * @param {Array<Object>} holdings - Holding rows from computeHoldings or the holdings table
+ * @param {Map<string, Object>} quotes - Symbol to quote ({ price, change }); holdings without one are skipped
+ * @returns {Array<Object>} [{ symbol, portfolio_id, quantity, current_price, current_value, unrealized_pnl,
+ *   net_change_pct, day_change, net_pnl, updated_at }]
+ */
+export function markHoldings(holdings, quotes) {
+  return holdings
+    .filter(h => h.quantity > 0 && quotes.get(h.symbol)?.price > 0)
+    .map(h => {
+      const quote = quotes.get(h.symbol);
+      const price = Number(quote.price);
+      const currentValue = h.quantity * price;
+      const invested = Number(h.invested_value) || 0;
+      const unrealizedPnL = currentValue - invested;
+      return {
+        symbol: h.symbol,
+        portfolio_id: h.portfolio_id ?? null,
+        quantity: h.quantity,
+        current_price: price,
+        current_value: round2(currentValue),
+        unrealized_pnl: round2(unrealizedPnL),
+        net_change_pct: invested > 0 ? round2((unrealizedPnL / invested) * 100) : null,
+        day_change: quote.change != null ? round2(h.quantity * Number(quote.change)) : null,
+        net_pnl: round2((Number(h.realized_pnl) || 0) + unrealizedPnL - (Number(h.charges) || 0)),
+        updated_at: quote.updated_at || null
+      };
+    });
+}
@@ -0,0 +1,28 @@
+import { TRADE_TYPES } from '../types/trade.js';
+
+/**
+ * Instrument Helpers
+ * Classify stored trade_type values shared by positions, charges and reports
+ */
+
+/**
+ * Normalize a trade_type to FUT, CE or PE (null for Cash/unknown)
+ * @param {string} tradeType - Trade type as stored ('Futures', 'CE', 'PE')
+ * @returns {string|null}
+ */
+export function normalizeInstrumentType(tradeType) {
+  const type = String(tradeType || '').trim().toUpperCase();
+  if (type === TRADE_TYPES.FUTURES.toUpperCase() || type === 'FUT') return 'FUT';
+  if (type === TRADE_TYPES.CALL) return TRADE_TYPES.CALL;
+  if (type === TRADE_TYPES.PUT) return TRADE_TYPES.PUT;
+  return null;
+}
+
+/**
+ * Whether a trade is a derivative (Futures, CE or PE)
+ * @param {Object} trade - Trade record
+ * @returns {boolean}
+ */
+export function isDerivativeTrade(trade) {
+  return normalizeInstrumentType(trade.trade_type) !== null;
+}
@@ -0,0 +1,162 @@
+import { JOURNAL_TAG_KINDS, JOURNAL_EMOTIONS } from '../types/trade.js';
+import { parseNumber } from '../importers/helpers.js';
+
+/**
+ * Trading Journal
+ * Validation for journal tags/setups and for the entries attached to a trade or a closed
+ * position (F&O contract key or Cash symbol), plus the journal view grouped by setup.
+ */
+
+export const MAX_TAG_LENGTH = 50;
+export const MAX_REVIEW_LENGTH = 5000;
+const NUMERIC_FIELDS = ['planned_entry', 'planned_stop', 'planned_target'];
+
+function round2(value) {
+  return value != null ? Math.round(value * 100) / 100 : null;
+}
+
+/**
+ * Trim and collapse whitespace in a tag or setup name
+ * @param {string} name - Raw name
+ * @returns {string}
+ */
+export function normalizeTagName(name) {
+  return String(name ?? '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Validate a tag or setup definition
+ * @param {Object} input - { name, kind, description }
+ * @returns {{tag: Object|null, error: string|null}}
+ */
+export function parseJournalTag(input) {
+  const name = normalizeTagName(input.name);
+  const kind = String(input.kind || JOURNAL_TAG_KINDS.TAG).trim().toLowerCase();
+  if (!name) return { tag: null, error: 'Name is required' };
+  if (name.length > MAX_TAG_LENGTH) return { tag: null, error: `Name must be at most ${MAX_TAG_LENGTH} characters` };
+  if (!Object.values(JOURNAL_TAG_KINDS).includes(kind)) {
+    return { tag: null, error: `kind must be one of: ${Object.values(JOURNAL_TAG_KINDS).join(', ')}` };
+  }
+  const description = input.description != null ? String(input.description).trim() || null : null;
+  return { tag: { name, kind, description }, error: null };
+}
+
+/**
+ * Validate journal fields. With partial set only the fields present in the input are returned
+ * (for updates); otherwise missing fields are null. The target (trade_id or position_key) is
+ * checked by the caller.
+ * @param {Object} input - { setup, tags, confidence, emotion, planned_entry, planned_stop, planned_target, review }
+ * @param {Object} options - { partial }
+ * @returns {{entry: Object|null, error: string|null}}
+ */
+export function parseJournalEntry(input, { partial = false } = {}) {
+  const has = field => !partial || input[field] !== undefined;
+  const entry = {};
+
+  if (has('setup')) {
+    entry.setup = normalizeTagName(input.setup) || null;
+    if (entry.setup && entry.setup.length > MAX_TAG_LENGTH) {
+      return { entry: null, error: `Setup must be at most ${MAX_TAG_LENGTH} characters` };
+    }
+  }
+  if (has('tags')) {
+    const raw = Array.isArray(input.tags) ? input.tags : String(input.tags ?? '').split(',');
+    const tags = [];
+    for (const name of raw.map(normalizeTagName).filter(Boolean)) {
+      if (name.length > MAX_TAG_LENGTH) return { entry: null, error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+      if (!tags.some(t => t.toLowerCase() === name.toLowerCase())) tags.push(name);
+    }
+    entry.tags = tags;
+  }
+  if (has('confidence')) {
+    const value = input.confidence;
+    entry.confidence = value == null || value === '' ? null : Number(value);
+    if (entry.confidence != null && !(Number.isInteger(entry.confidence) && entry.confidence >= 1 && entry.confidence <= 5)) {
+      return { entry: null, error: 'confidence must be a whole number from 1 to 5' };
+    }
+  }
+  if (has('emotion')) {
+    entry.emotion = String(input.emotion ?? '').trim().toLowerCase() || null;
+    if (entry.emotion && !Object.values(JOURNAL_EMOTIONS).includes(entry.emotion)) {
+      return { entry: null, error: `emotion must be one of: ${Object.values(JOURNAL_EMOTIONS).join(', ')}` };
+    }
+  }
+  for (const field of NUMERIC_FIELDS) {
+    if (!has(field)) continue;
+    const value = input[field];
+    entry[field] = value == null || value === '' ? null : parseNumber(value);
+    if (entry[field] !== null && !(entry[field] > 0)) {
+      return { entry: null, error: `${field} must be greater than 0` };
+    }
+  }
+  if (has('review')) {
+    entry.review = input.review != null ? String(input.review).trim() || null : null;
+    if (entry.review && entry.review.length > MAX_REVIEW_LENGTH) {
+      return { entry: null, error: `review must be at most ${MAX_REVIEW_LENGTH} characters` };
+    }
+  }
+  return { entry, error: null };
+}
+
+/**
+ * Check a merged entry's plan: stop and target must sit on opposite sides of the planned entry
+ * @param {Object} entry - Journal entry
+ * @returns {string|null} Error message
+ */
+export function validateTradePlan(entry) {
+  const { planned_entry: price, planned_stop: stop, planned_target: target } = entry;
+  if (price == null || stop == null || target == null) return null;
+  const isLong = stop < price && target > price;
+  const isShort = stop > price && target < price;
+  return isLong || isShort ? null : 'planned_stop and planned_target must be on opposite sides of planned_entry';
+}
+
+/**
+ * Planned risk and reward per unit from entry, stop and target
+ * @param {Object} entry - Journal entry
+ * @returns {{risk: number, reward: number, ratio: number}|null}
+ */
+export function plannedRiskReward(entry) {
+  const { planned_entry: price, planned_stop: stop, planned_target: target } = entry;
+  if (price == null || stop == null || target == null || validateTradePlan(entry)) return null;
+  const risk = Math.abs(price - stop);
+  const reward = Math.abs(target - price);
+  return { risk: round2(risk), reward: round2(reward), ratio: risk > 0 ? round2(reward / risk) : null };
+}
+
+/**
+ * Journal view: entries with their trade or position, grouped by setup (entries without a setup last)
+ * @param {Array<Object>} entries - Journal entries (trade_id or position_key)
+ * @param {Object} sources - Lookups
+ * @param {Map<string, Object>} sources.trades - Trades by String(id)
+ * @param {Map<string, Object>} sources.positions - Positions by key (F&O contract key or Cash symbol) with realized_pnl
+ * @returns {Array<Object>} Groups: { setup, count, avg_confidence, realized_pnl, tags, entries }
+ */
+export function buildJournalView(entries, { trades = new Map(), positions = new Map() } = {}) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = entry.setup ? entry.setup.toLowerCase() : null;
+    if (!groups.has(key)) groups.set(key, { setup: entry.setup || null, entries: [] });
+    groups.get(key).entries.push({
+      ...entry,
+      trade: entry.trade_id != null ? trades.get(String(entry.trade_id)) || null : null,
+      position: entry.position_key ? positions.get(entry.position_key) || null : null,
+      risk_reward: plannedRiskReward(entry)
+    });
+  }
+
+  return [...groups.values()].map(group => {
+    const rated = group.entries.filter(e => e.confidence != null);
+    const closed = group.entries.filter(e => e.position && e.position.realized_pnl != null);
+    const tags = {};
+    group.entries.forEach(e => (e.tags || []).forEach(tag => { tags[tag] = (tags[tag] || 0) + 1; }));
+    return {
+      setup: group.setup,
+      count: group.entries.length,
+      avg_confidence: rated.length > 0 ? round2(rated.reduce((sum, e) => sum + e.confidence, 0) / rated.length) : null,
+      realized_pnl: closed.length > 0 ? round2(closed.reduce((sum, e) => sum + e.position.realized_pnl, 0)) : null,
+      tags,
+      entries: group.entries.sort((a, b) => String(b.trade?.date || b.updated_at || '').localeCompare(String(a.trade?.date || a.updated_at || '')))
+    };
+  }).sort((a, b) => (a.setup == null) - (b.setup == null) || b.count - a.count || String(a.setup).localeCompare(String(b.setup)));
+}
@@ -0,0 +1,83 @@
+import { MARKET_INDICES } from '../types/trade.js';
+
+/**
+ * Market Hours
+ * Regular trading sessions of NSE, BSE (equity) and MCX (commodities) in IST, used by the alert
+ * monitor and the price refresher. Weekends are closed; exchange holidays and special sessions
+ * are added by MarketCalendar.
+ */
+
+// IST is UTC+05:30 all year
+const IST_OFFSET_MINUTES = 5 * 60 + 30;
+
+// Session open and close in minutes after midnight IST
+export const MARKET_SESSIONS = {
+  [MARKET_INDICES.NSE]: { open: 9 * 60 + 15, close: 15 * 60 + 30 },
+  [MARKET_INDICES.BSE]: { open: 9 * 60 + 15, close: 15 * 60 + 30 },
+  [MARKET_INDICES.MCX]: { open: 9 * 60, close: 23 * 60 + 30 }
+};
+
+/**
+ * Calendar date, weekday and time of day in IST
+ * @param {Date} now - Time
+ * @returns {{date: string, day: number, minutes: number}} YYYY-MM-DD, 0 (Sunday) to 6, minutes after midnight
+ */
+export function istTime(now = new Date()) {
+  const shifted = new Date(now.getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+  return {
+    date: shifted.toISOString().slice(0, 10),
+    day: shifted.getUTCDay(),
+    minutes: shifted.getUTCHours() * 60 + shifted.getUTCMinutes()
+  };
+}
+
+/**
+ * Calendar date in IST
+ * @param {Date} now - Time
+ * @returns {string} YYYY-MM-DD
+ */
+export function istDate(now = new Date()) {
+  return istTime(now).date;
+}
+
+/**
+ * Session of an exchange (unknown exchanges trade NSE hours)
+ * @param {string} exchange - NSE, BSE or MCX
+ * @returns {{open: number, close: number}}
+ */
+export function marketSession(exchange) {
+  return MARKET_SESSIONS[String(exchange || '').toUpperCase()] || MARKET_SESSIONS[MARKET_INDICES.NSE];
+}
+
+/**
+ * Where the day stands for an exchange's session
+ * @param {string} exchange - NSE, BSE or MCX
+ * @param {Date} now - Time to check
+ * @returns {'holiday'|'pre_open'|'open'|'closed'} holiday on weekends, closed after the close
+ */
+export function sessionState(exchange, now = new Date()) {
+  const { day, minutes } = istTime(now);
+  if (day === 0 || day === 6) return 'holiday';
+  const session = marketSession(exchange);
+  if (minutes < session.open) return 'pre_open';
+  return minutes < session.close ? 'open' : 'closed';
+}
+
+/**
+ * Whether an exchange's session is open
+ * @param {string} exchange - NSE, BSE or MCX
+ * @param {Date} now - Time to check
+ * @returns {boolean}
+ */
+export function isSessionOpen(exchange, now = new Date()) {
+  return sessionState(exchange, now) === 'open';
+}
+
+/**
+ * Whether the NSE equity session is open (weekdays 09:15-15:30 IST)
+ * @param {Date} now - Time to check
+ * @returns {boolean}
+ */
+export function isNseMarketOpen(now = new Date()) {
+  return isSessionOpen(MARKET_INDICES.NSE, now);
+}
@@ -0,0 +1,188 @@
+/**
+ * Option Pricing
+ * Black-Scholes prices and Greeks for European options (NSE index and stock options are
+ * European), implied volatility solved from a premium, and per-position Greeks scaled by
+ * quantity and contract multiplier. Volatility and rates are annual decimals (0.15 = 15%).
+ */
+
+export const DEFAULT_RISK_FREE_RATE = 0.065;
+
+// NSE F&O contracts expire at 15:30 IST (10:00 UTC) on the expiry date
+const EXPIRY_TIME_UTC = 'T10:00:00Z';
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const MIN_VOLATILITY = 1e-4;
+const MAX_VOLATILITY = 5;
+
+function round(value, digits) {
+  if (value == null || !Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Standard normal probability density
+ * @param {number} x
+ * @returns {number}
+ */
+export function normPdf(x) {
+  return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz-Stegun 7.1.26, error < 1.5e-7)
+ * @param {number} x
+ * @returns {number}
+ */
+export function normCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Time to expiry in years, up to 15:30 IST on the expiry date
+ * @param {string} expiry - Expiry date (YYYY-MM-DD)
+ * @param {Date} now - Valuation time (defaults to now)
+ * @returns {number|null} Years, or null once expired
+ */
+export function yearsToExpiry(expiry, now = new Date()) {
+  const expiresAt = Date.parse(`${String(expiry).slice(0, 10)}${EXPIRY_TIME_UTC}`);
+  if (Number.isNaN(expiresAt)) return null;
+  const ms = expiresAt - now.getTime();
+  return ms > 0 ? ms / YEAR_MS : null;
+}
+
+/**
+ * Black-Scholes price and Greeks per unit of the underlying
+ * @param {Object} params - Pricing inputs
+ * @param {string} params.type - 'CE' or 'PE'
+ * @param {number} params.spot - Underlying price
+ * @param {number} params.strike - Strike price
+ * @param {number} params.years - Time to expiry in years
+ * @param {number} params.volatility - Annual volatility
+ * @param {number} params.rate - Annual risk-free rate (continuous)
+ * @returns {Object} { price, delta, gamma, theta (per calendar day), vega (per 1 vol point) }
+ */
+export function blackScholes({ type, spot, strike, years, volatility, rate = DEFAULT_RISK_FREE_RATE }) {
+  const isCall = type === 'CE';
+  const sqrtT = Math.sqrt(years);
+  const d1 = (Math.log(spot / strike) + (rate + volatility * volatility / 2) * years) / (volatility * sqrtT);
+  const d2 = d1 - volatility * sqrtT;
+  const discount = Math.exp(-rate * years);
+  const decay = -spot * normPdf(d1) * volatility / (2 * sqrtT);
+
+  return {
+    price: isCall
+      ? spot * normCdf(d1) - strike * discount * normCdf(d2)
+      : strike * discount * normCdf(-d2) - spot * normCdf(-d1),
+    delta: isCall ? normCdf(d1) : normCdf(d1) - 1,
+    gamma: normPdf(d1) / (spot * volatility * sqrtT),
+    theta: (isCall
+      ? decay - rate * strike * discount * normCdf(d2)
+      : decay + rate * strike * discount * normCdf(-d2)) / 365,
+    vega: spot * normPdf(d1) * sqrtT / 100
+  };
+}
+
+/**
+ * Volatility at which the Black-Scholes price matches a premium (Newton-Raphson, bisection fallback)
+ * @param {Object} params - blackScholes params without volatility, plus price (the premium)
+ * @returns {number|null} Annual volatility, or null when the premium is outside no-arbitrage bounds
+ */
+export function impliedVolatility({ price, ...params }) {
+  const { type, spot, strike, years, rate = DEFAULT_RISK_FREE_RATE } = params;
+  const discountedStrike = strike * Math.exp(-rate * years);
+  const lower = type === 'CE' ? Math.max(spot - discountedStrike, 0) : Math.max(discountedStrike - spot, 0);
+  const upper = type === 'CE' ? spot : discountedStrike;
+  if (!(price > lower) || !(price < upper)) return null;
+
+  const priceAt = volatility => blackScholes({ ...params, rate, volatility }).price;
+  let volatility = 0.3;
+  for (let i = 0; i < 50; i++) {
+    const diff = priceAt(volatility) - price;
+    if (Math.abs(diff) < 1e-6) return volatility;
+    const vega = blackScholes({ ...params, rate, volatility }).vega * 100;
+    if (vega < 1e-8) break;
+    const next = volatility - diff / vega;
+    if (!(next > MIN_VOLATILITY && next < MAX_VOLATILITY)) break;
+    volatility = next;
+  }
+
+  let low = MIN_VOLATILITY;
+  let high = MAX_VOLATILITY;
+  if (priceAt(high) < price) return null;
+  for (let i = 0; i < 100; i++) {
+    volatility = (low + high) / 2;
+    if (priceAt(volatility) > price) high = volatility;
+    else low = volatility;
+    if (high - low < 1e-7) break;
+  }
+  return volatility;
+}
+
+/**
+ * Greeks for a net position. Options are priced at the volatility implied by their premium
+ * (the current price when marked, otherwise the average traded premium); futures carry delta only.
+ * @param {Object} position - Position from computePositions (instrument, strike_price, expiry,
+ *   net_quantity, multiplier, avg_open_price, last_price)
+ * @param {Object} market - { spot, rate, now }
+ * @returns {Object|null} Per-unit values and position totals, or null without spot or once expired
+ */
+export function positionGreeks(position, { spot, rate = DEFAULT_RISK_FREE_RATE, now = new Date() } = {}) {
+  const quantity = (Number(position.net_quantity) || 0) * (position.multiplier || 1);
+  if (position.instrument === 'FUT') {
+    return { iv: null, iv_source: null, theoretical_price: null, delta: 1, gamma: 0, theta: 0, vega: 0, position_delta: round(quantity, 2), position_gamma: 0, position_theta: 0, position_vega: 0 };
+  }
+  const years = yearsToExpiry(position.expiry, now);
+  if (!(spot > 0) || years == null) return null;
+
+  const premium = position.last_price != null ? Number(position.last_price) : Number(position.avg_open_price);
+  const params = { type: position.instrument, spot, strike: Number(position.strike_price), years, rate };
+  const iv = premium > 0 ? impliedVolatility({ ...params, price: premium }) : null;
+  if (iv == null) {
+    return { iv: null, iv_source: position.last_price != null ? 'last_price' : 'traded_premium', theoretical_price: null, delta: null, gamma: null, theta: null, vega: null, position_delta: null, position_gamma: null, position_theta: null, position_vega: null };
+  }
+  const greeks = blackScholes({ ...params, volatility: iv });
+  return {
+    iv: round(iv * 100, 2),
+    iv_source: position.last_price != null ? 'last_price' : 'traded_premium',
+    days_to_expiry: round(years * 365, 2),
+    theoretical_price: round(greeks.price, 2),
+    delta: round(greeks.delta, 4),
+    gamma: round(greeks.gamma, 6),
+    theta: round(greeks.theta, 2),
+    vega: round(greeks.vega, 2),
+    position_delta: round(greeks.delta * quantity, 2),
+    position_gamma: round(greeks.gamma * quantity, 4),
+    position_theta: round(greeks.theta * quantity, 2),
+    position_vega: round(greeks.vega * quantity, 2)
+  };
+}
+
+/**
+ * Sum position Greeks per underlying
+ * @param {Array<Object>} rows - { symbol, spot, greeks } where greeks is the output of positionGreeks
+ * @returns {Array<Object>} { symbol, spot, positions, delta, gamma, theta, vega, unpriced }
+ */
+export function aggregateGreeks(rows) {
+  const totals = new Map();
+  for (const row of rows) {
+    if (!totals.has(row.symbol)) {
+      totals.set(row.symbol, { symbol: row.symbol, spot: row.spot ?? null, positions: 0, delta: 0, gamma: 0, theta: 0, vega: 0, unpriced: 0 });
+    }
+    const total = totals.get(row.symbol);
+    total.positions += 1;
+    if (!row.greeks || row.greeks.position_delta == null) {
+      total.unpriced += 1;
+      continue;
+    }
+    total.delta += row.greeks.position_delta;
+    total.gamma += row.greeks.position_gamma;
+    total.theta += row.greeks.position_theta;
+    total.vega += row.greeks.position_vega;
+  }
+  return [...totals.values()]
+    .map(t => ({ ...t, delta: round(t.delta, 2), gamma: round(t.gamma, 4), theta: round(t.theta, 2), vega: round(t.vega, 2) }))
+    .sort((a, b) => a.symbol.localeCompare(b.symbol));
+}
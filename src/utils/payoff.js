@@ -0,0 +1,144 @@
+import { payoffAtExpiry, payoffProfile } from './strategies.js';
+import { DEFAULT_RISK_FREE_RATE, blackScholes, impliedVolatility, yearsToExpiry } from './optionPricing.js';
+
+/**
+ * Payoff Diagrams
+ * P&L of a set of F&O positions across a range of underlying prices: at expiry (intrinsic
+ * value) and on a chosen date before expiry, with open options revalued by Black-Scholes at
+ * their implied volatility. Both curves include P&L already booked on the legs.
+ */
+
+export const DEFAULT_PAYOFF_STEPS = 60;
+export const MAX_PAYOFF_STEPS = 400;
+
+// Minimum price range padding either side of the strikes and spot
+const RANGE_PADDING = 0.05;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Default price range: the strikes and spot, padded by half their spread or 5%, whichever is wider
+ * @param {Array<Object>} legs - Positions from computePositions
+ * @param {number|null} spot - Underlying price
+ * @returns {{from: number, to: number}|null} null with no strike and no spot
+ */
+export function payoffRange(legs, spot = null) {
+  const prices = legs
+    .filter(l => l.net_quantity && l.instrument !== 'FUT')
+    .map(l => Number(l.strike_price))
+    .concat(spot > 0 ? [spot] : [])
+    .filter(p => p > 0);
+  if (prices.length === 0) return null;
+  const low = Math.min(...prices);
+  const high = Math.max(...prices);
+  const padding = Math.max((high - low) / 2, ((high + low) / 2) * RANGE_PADDING);
+  return { from: round2(Math.max(low - padding, 0)), to: round2(high + padding) };
+}
+
+/**
+ * Volatility for revaluing each open option leg: the override, or the IV implied by the leg's
+ * premium (the current price when marked, otherwise the average traded premium) at spot
+ * @param {Array<Object>} legs - Positions from computePositions
+ * @param {Object} market - { spot, rate, now, volatility (annual decimal override) }
+ * @returns {Map<string, number|null>} Position key to volatility (null when it cannot be solved)
+ */
+export function legVolatilities(legs, { spot, rate = DEFAULT_RISK_FREE_RATE, now = new Date(), volatility = null } = {}) {
+  const vols = new Map();
+  for (const leg of legs) {
+    if (!leg.net_quantity || leg.instrument === 'FUT') continue;
+    if (volatility > 0) {
+      vols.set(leg.key, volatility);
+      continue;
+    }
+    const years = yearsToExpiry(leg.expiry, now);
+    const premium = leg.last_price != null ? Number(leg.last_price) : Number(leg.avg_open_price);
+    vols.set(leg.key, spot > 0 && years != null && premium > 0
+      ? impliedVolatility({ type: leg.instrument, spot, strike: Number(leg.strike_price), years, rate, price: premium })
+      : null);
+  }
+  return vols;
+}
+
+/**
+ * Combined P&L on a date before expiry for an underlying price: booked P&L plus each open leg
+ * revalued. Options use Black-Scholes at their volatility (intrinsic value once expired or without
+ * a volatility); futures are valued at the underlying price.
+ * @param {Array<Object>} legs - Positions from computePositions
+ * @param {number} price - Underlying price
+ * @param {Object} options - { at (valuation Date), vols (from legVolatilities), rate }
+ * @returns {number}
+ */
+export function payoffOnDate(legs, price, { at, vols = new Map(), rate = DEFAULT_RISK_FREE_RATE } = {}) {
+  return legs.reduce((total, leg) => {
+    if (!leg.net_quantity) return total + (Number(leg.realized_pnl) || 0);
+    const years = leg.instrument === 'FUT' ? null : yearsToExpiry(leg.expiry, at);
+    const volatility = vols.get(leg.key);
+    if (years == null || !(volatility > 0) || !(price > 0)) {
+      return total + payoffAtExpiry([leg], price);
+    }
+    const value = blackScholes({ type: leg.instrument, spot: price, strike: Number(leg.strike_price), years, volatility, rate }).price;
+    return total + (Number(leg.realized_pnl) || 0)
+      + leg.net_quantity * (value - (Number(leg.avg_open_price) || 0)) * (leg.multiplier || 1);
+  }, 0);
+}
+
+// Prices where a sampled curve crosses zero, by linear interpolation between points
+function curveBreakevens(points, field) {
+  const breakevens = [];
+  for (let i = 0; i < points.length; i++) {
+    const value = points[i][field];
+    if (value === 0 && i > 0 && i < points.length - 1) breakevens.push(points[i].price);
+    const next = points[i + 1];
+    if (next && value * next[field] < 0) {
+      breakevens.push(points[i].price + (next.price - points[i].price) * (-value / (next[field] - value)));
+    }
+  }
+  return [...new Set(breakevens.map(round2))];
+}
+
+/**
+ * Payoff diagram data for a set of legs on one underlying
+ * @param {Array<Object>} legs - Positions from computePositions
+ * @param {Object} options - Options
+ * @param {number} options.spot - Underlying price (needed to solve IVs and for the default range)
+ * @param {number} options.rate - Annual risk-free rate
+ * @param {Date} options.at - Valuation time for the before-expiry curve (defaults to now)
+ * @param {number} options.volatility - Annual volatility for all options instead of each leg's IV
+ * @param {number} options.from - Lowest underlying price
+ * @param {number} options.to - Highest underlying price
+ * @param {number} options.steps - Intervals between from and to (strikes in the range are added)
+ * @returns {Object|null} { from, to, spot, expiry (payoffProfile), breakevens_on_date, points, legs_at_intrinsic };
+ *   null when there is no price range
+ */
+export function buildPayoffDiagram(legs, { spot = null, rate = DEFAULT_RISK_FREE_RATE, at = new Date(), volatility = null, from = null, to = null, steps = DEFAULT_PAYOFF_STEPS } = {}) {
+  const range = payoffRange(legs, spot);
+  const low = from ?? range?.from;
+  const high = to ?? range?.to;
+  if (low == null || high == null || !(high > low)) return null;
+
+  const vols = legVolatilities(legs, { spot, rate, volatility });
+  // Strikes are sampled too so the expiry curve's corners are exact
+  const strikes = legs.filter(l => l.net_quantity && l.instrument !== 'FUT').map(l => Number(l.strike_price));
+  const prices = new Set(strikes.filter(p => p > low && p < high));
+  for (let i = 0; i <= steps; i++) prices.add(round2(low + (high - low) * i / steps));
+  const points = [];
+  for (const price of [...prices].sort((a, b) => a - b)) {
+    points.push({
+      price,
+      expiry_pnl: round2(payoffAtExpiry(legs, price)),
+      date_pnl: round2(payoffOnDate(legs, price, { at, vols, rate }))
+    });
+  }
+
+  return {
+    from: round2(low),
+    to: round2(high),
+    spot: spot > 0 ? round2(spot) : null,
+    expiry: payoffProfile(legs),
+    breakevens_on_date: curveBreakevens(points, 'date_pnl'),
+    points,
+    legs_at_intrinsic: [...vols].filter(([, v]) => v == null).map(([key]) => key)
+  };
+}
@@ -0,0 +1,233 @@
+import { TRADE_TYPES } from '../types/trade.js';
+import { normalizeInstrumentType, isDerivativeTrade } from './instruments.js';
+import { toISODateString } from './date.js';
+import { sumChargesBy } from './ChargesCalculator.js';
+
+/**
+ * Positions Calculator
+ * Nets Futures/CE/PE trades into open positions per contract
+ * (underlying + expiry + strike + option type) with realized P&L and M2M.
+ */
+
+export { normalizeInstrumentType, isDerivativeTrade };
+
+export const POSITION_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed',
+  EXPIRED: 'expired',
+  SETTLED: 'settled'
+};
+
+// Quantities below this are treated as flat (guards float drift)
+const EPSILON = 1e-9;
+
+function round2(value) {
+  return value != null ? Math.round(value * 100) / 100 : null;
+}
+
+/**
+ * Contract key used to group trades and to look up marks
+ * e.g. NIFTY|2025-01-30|23000|CE, BANKNIFTY|2025-01-30||FUT
+ * @param {Object} trade - Trade with symbol, expiry, strike_price, trade_type
+ * @returns {string}
+ */
+export function contractKey(trade) {
+  const instrument = normalizeInstrumentType(trade.trade_type) || '';
+  const strike = instrument === 'FUT' || trade.strike_price == null || trade.strike_price === ''
+    ? ''
+    : String(Number(trade.strike_price));
+  return [
+    String(trade.symbol || '').trim().toUpperCase(),
+    toISODateString(trade.expiry) || '',
+    strike,
+    instrument
+  ].join('|');
+}
+
+/**
+ * Apply a trade to a contract using the average-price method: trades in the
+ * direction of the open position add to it at a blended price, opposite trades
+ * close it (booking realized P&L) and may flip it.
+ * @param {Object} position - Mutable contract state
+ * @param {number} signedQty - Positive for buy, negative for sell
+ * @param {number} price - Trade price (premium for options)
+ * @param {Object} trade - Trade being applied (id and date are recorded on closings)
+ */
+function applyTrade(position, signedQty, price, trade) {
+  const openQty = position.netQuantity;
+  if (Math.abs(openQty) <= EPSILON || Math.sign(openQty) === Math.sign(signedQty)) {
+    const total = openQty + signedQty;
+    position.avgOpenPrice = (Math.abs(openQty) * position.avgOpenPrice + Math.abs(signedQty) * price) / Math.abs(total);
+    position.netQuantity = total;
+    return;
+  }
+
+  const closing = Math.min(Math.abs(openQty), Math.abs(signedQty));
+  const pnl = closing * (price - position.avgOpenPrice) * Math.sign(openQty);
+  position.realizedPnL += pnl;
+  position.closedQuantity += closing;
+  position.closings.push({ trade_id: trade.id ?? null, date: toISODateString(trade.date), quantity: closing, pnl });
+  const remaining = openQty + signedQty;
+  if (Math.abs(remaining) <= EPSILON) {
+    position.netQuantity = 0;
+    position.avgOpenPrice = 0;
+  } else if (Math.sign(remaining) !== Math.sign(openQty)) {
+    // Flipped from long to short (or back); the leftover opens at this trade's price
+    position.netQuantity = remaining;
+    position.avgOpenPrice = price;
+  } else {
+    position.netQuantity = remaining;
+  }
+}
+
+/**
+ * Net derivative trades per contract in date order
+ * @param {Array<Object>} trades - Trades (non-derivative trades are ignored)
+ * @returns {Map<string, Object>} Contract key -> raw state, including each closing trade's
+ *   unmultiplied P&L in `closings` ({ trade_id, date, quantity, pnl })
+ */
+export function netContracts(trades) {
+  const contracts = new Map();
+  const sorted = trades
+    .filter(isDerivativeTrade)
+    .sort((a, b) => new Date(a.date) - new Date(b.date) || (Number(a.id) || 0) - (Number(b.id) || 0));
+
+  for (const trade of sorted) {
+    const quantity = Number(trade.quantity) || 0;
+    if (quantity <= 0) continue;
+    const key = contractKey(trade);
+    if (!contracts.has(key)) {
+      const [symbol, expiry, strike, instrument] = key.split('|');
+      contracts.set(key, {
+        key,
+        symbol,
+        expiry: expiry || null,
+        strike_price: strike !== '' ? Number(strike) : null,
+        instrument,
+        market_index: trade.market_index || null,
+        netQuantity: 0,
+        avgOpenPrice: 0,
+        realizedPnL: 0,
+        closedQuantity: 0,
+        buyQuantity: 0,
+        sellQuantity: 0,
+        closings: [],
+        tradeIds: []
+      });
+    }
+    const position = contracts.get(key);
+    const isSell = String(trade.type || trade.trade_action || '').toLowerCase() === 'sell';
+    const price = Number(trade.price) || 0;
+    if (isSell) position.sellQuantity += quantity;
+    else position.buyQuantity += quantity;
+    position.tradeIds.push(trade.id ?? null);
+    applyTrade(position, isSell ? -quantity : quantity, price, trade);
+  }
+  return contracts;
+}
+
+/**
+ * Compute net positions from derivative trades
+ * @param {Array<Object>} trades - Trades (symbol, type, quantity, price, date, trade_type, expiry, strike_price)
+ * @param {Object} options - Options
+ * @param {Map<string, Object>} options.marks - Per contract key: { last_price, settlement_price }
+ * @param {Date|string} options.asOf - Valuation date (defaults to today)
+ * @param {ContractMaster} options.contractMaster - Supplies contract multipliers (MCX quotes per unit, trades in lots)
+ * @returns {Array<Object>} Positions, open contracts first, then by underlying and expiry
+ */
+export function computePositions(trades, options = {}) {
+  const marks = options.marks || new Map();
+  const asOf = toISODateString(options.asOf || new Date());
+  const contractMaster = options.contractMaster || null;
+  const contracts = netContracts(trades);
+  const chargesByContract = sumChargesBy(trades.filter(isDerivativeTrade), contractKey);
+
+  const result = [...contracts.values()].map(position => {
+    const mark = marks.get(position.key) || {};
+    const lastPrice = mark.last_price != null ? Number(mark.last_price) : null;
+    const settlementPrice = mark.settlement_price != null ? Number(mark.settlement_price) : null;
+    const isExpired = position.expiry != null && position.expiry < asOf;
+    const isFlat = Math.abs(position.netQuantity) <= EPSILON;
+    const contract = contractMaster ? contractMaster.find(position.symbol, position.expiry, position.market_index) : null;
+    const multiplier = contract ? contract.multiplier : 1;
+    const charges = chargesByContract.get(position.key) || 0;
+
+    let status = isFlat ? POSITION_STATUS.CLOSED : POSITION_STATUS.OPEN;
+    let realizedPnL = position.realizedPnL * multiplier;
+    let netQuantity = isFlat ? 0 : position.netQuantity;
+    let settledQuantity = 0;
+    let m2m = null;
+
+    if (!isFlat && isExpired) {
+      if (settlementPrice != null) {
+        // Cash-settled at expiry: close the open quantity at the settlement price
+        realizedPnL += netQuantity * (settlementPrice - position.avgOpenPrice) * multiplier;
+        settledQuantity = Math.abs(netQuantity);
+        netQuantity = 0;
+        status = POSITION_STATUS.SETTLED;
+      } else {
+        status = POSITION_STATUS.EXPIRED;
+      }
+    }
+
+    if (status === POSITION_STATUS.OPEN && lastPrice != null) {
+      m2m = netQuantity * (lastPrice - position.avgOpenPrice) * multiplier;
+    }
+
+    return {
+      key: position.key,
+      symbol: position.symbol,
+      instrument: position.instrument,
+      trade_type: position.instrument === 'FUT' ? TRADE_TYPES.FUTURES : position.instrument,
+      expiry: position.expiry,
+      strike_price: position.strike_price,
+      market_index: position.market_index,
+      side: netQuantity > 0 ? 'long' : netQuantity < 0 ? 'short' : 'flat',
+      net_quantity: netQuantity,
+      lot_size: contract ? contract.lot_size : null,
+      net_lots: contract && contract.lot_size ? netQuantity / contract.lot_size : null,
+      multiplier,
+      avg_open_price: netQuantity !== 0 || status === POSITION_STATUS.EXPIRED || settledQuantity > 0
+        ? round2(position.avgOpenPrice)
+        : null,
+      buy_quantity: position.buyQuantity,
+      sell_quantity: position.sellQuantity,
+      closed_quantity: position.closedQuantity,
+      settled_quantity: settledQuantity,
+      last_price: lastPrice,
+      settlement_price: settlementPrice,
+      realized_pnl: round2(realizedPnL),
+      m2m: round2(m2m),
+      total_pnl: round2(realizedPnL + (m2m || 0)),
+      charges,
+      net_pnl: round2(realizedPnL + (m2m || 0) - charges),
+      is_expired: isExpired,
+      status,
+      trade_ids: position.tradeIds
+    };
+  });
+
+  const statusOrder = [POSITION_STATUS.OPEN, POSITION_STATUS.EXPIRED, POSITION_STATUS.SETTLED, POSITION_STATUS.CLOSED];
+  return result.sort((a, b) =>
+    statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status) ||
+    a.symbol.localeCompare(b.symbol) ||
+    String(a.expiry || '').localeCompare(String(b.expiry || '')) ||
+    (a.strike_price || 0) - (b.strike_price || 0));
+}
+
+/**
+ * Totals across positions
+ * @param {Array<Object>} positions - Output of computePositions
+ * @returns {Object} { open_positions, realized_pnl, m2m, total_pnl, charges, net_pnl, unsettled_expired }
+ */
+export function summarizePositions(positions) {
+  return {
+    open_positions: positions.filter(p => p.status === POSITION_STATUS.OPEN).length,
+    unsettled_expired: positions.filter(p => p.status === POSITION_STATUS.EXPIRED).length,
+    realized_pnl: round2(positions.reduce((sum, p) => sum + (p.realized_pnl || 0), 0)),
+    m2m: round2(positions.reduce((sum, p) => sum + (p.m2m || 0), 0)),
+    total_pnl: round2(positions.reduce((sum, p) => sum + (p.total_pnl || 0), 0)),
+    charges: round2(positions.reduce((sum, p) => sum + (p.charges || 0), 0)),
+    net_pnl: round2(positions.reduce((sum, p) => sum + (p.net_pnl || 0), 0))
+  };
+}
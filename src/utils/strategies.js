@@ -0,0 +1,283 @@
+import { STRATEGY_TYPES, STRATEGY_STATUS } from '../types/trade.js';
+import { computePositions, netContracts, contractKey, POSITION_STATUS } from './positions.js';
+import { isDerivativeTrade } from './instruments.js';
+import { toISODateString } from './date.js';
+
+/**
+ * Option Strategies
+ * Groups F&O trades (legs) into one strategy: recognises common structures, and reports the
+ * combined premium, P&L and the payoff at expiry (max profit, max loss, breakevens).
+ * A strategy is closed once every leg is flat or settled.
+ */
+
+export const MAX_STRATEGY_NAME_LENGTH = 100;
+
+export const STRATEGY_LABELS = {
+  [STRATEGY_TYPES.FUTURES]: 'Futures',
+  [STRATEGY_TYPES.LONG_CALL]: 'Long call',
+  [STRATEGY_TYPES.SHORT_CALL]: 'Short call',
+  [STRATEGY_TYPES.LONG_PUT]: 'Long put',
+  [STRATEGY_TYPES.SHORT_PUT]: 'Short put',
+  [STRATEGY_TYPES.LONG_STRADDLE]: 'Long straddle',
+  [STRATEGY_TYPES.SHORT_STRADDLE]: 'Short straddle',
+  [STRATEGY_TYPES.LONG_STRANGLE]: 'Long strangle',
+  [STRATEGY_TYPES.SHORT_STRANGLE]: 'Short strangle',
+  [STRATEGY_TYPES.BULL_CALL_SPREAD]: 'Bull call spread',
+  [STRATEGY_TYPES.BEAR_CALL_SPREAD]: 'Bear call spread',
+  [STRATEGY_TYPES.BULL_PUT_SPREAD]: 'Bull put spread',
+  [STRATEGY_TYPES.BEAR_PUT_SPREAD]: 'Bear put spread',
+  [STRATEGY_TYPES.CALL_BUTTERFLY]: 'Call butterfly',
+  [STRATEGY_TYPES.PUT_BUTTERFLY]: 'Put butterfly',
+  [STRATEGY_TYPES.IRON_CONDOR]: 'Iron condor',
+  [STRATEGY_TYPES.IRON_BUTTERFLY]: 'Iron butterfly',
+  [STRATEGY_TYPES.CUSTOM]: 'Custom'
+};
+
+const EPSILON = 1e-9;
+
+function round2(value) {
+  return value != null ? Math.round(value * 100) / 100 : null;
+}
+
+/**
+ * Validate a strategy's name, notes and legs
+ * @param {Object} input - { name, notes, trade_ids }
+ * @param {Object} options - { partial }: only fields present are returned (for updates)
+ * @returns {{strategy: Object|null, error: string|null}}
+ */
+export function parseStrategyInput(input, { partial = false } = {}) {
+  const strategy = {};
+  if (!partial || input.name !== undefined) {
+    strategy.name = String(input.name ?? '').trim() || null;
+    if (strategy.name && strategy.name.length > MAX_STRATEGY_NAME_LENGTH) {
+      return { strategy: null, error: `Name must be at most ${MAX_STRATEGY_NAME_LENGTH} characters` };
+    }
+  }
+  if (!partial || input.notes !== undefined) {
+    strategy.notes = input.notes != null ? String(input.notes).trim() || null : null;
+  }
+  if (!partial || input.trade_ids !== undefined) {
+    if (!Array.isArray(input.trade_ids) || input.trade_ids.length === 0) {
+      return { strategy: null, error: 'trade_ids must list at least one trade' };
+    }
+    strategy.trade_ids = [...new Set(input.trade_ids.map(String))];
+  }
+  return { strategy, error: null };
+}
+
+/**
+ * Net quantity per contract on the strategy's first trading day: the structure as opened
+ * @param {Array<Object>} trades - Leg trades
+ * @returns {Array<Object>} { instrument, strike_price, quantity } with signed quantity
+ */
+export function openingLegs(trades) {
+  const dates = trades.map(t => toISODateString(t.date)).filter(Boolean).sort();
+  const firstDay = trades.filter(t => toISODateString(t.date) === dates[0]);
+  return [...netContracts(firstDay).values()]
+    .filter(p => Math.abs(p.netQuantity) > EPSILON)
+    .map(p => ({ instrument: p.instrument, strike_price: p.strike_price, quantity: p.netQuantity }));
+}
+
+/**
+ * Recognise the structure of a set of opening legs
+ * @param {Array<Object>} legs - { instrument: 'FUT'|'CE'|'PE', strike_price, quantity (signed) }
+ * @returns {string} One of STRATEGY_TYPES
+ */
+export function classifyStrategy(legs) {
+  const byStrike = (a, b) => a.strike_price - b.strike_price;
+  const calls = legs.filter(l => l.instrument === 'CE').sort(byStrike);
+  const puts = legs.filter(l => l.instrument === 'PE').sort(byStrike);
+  const futures = legs.filter(l => l.instrument === 'FUT');
+  const long = leg => leg.quantity > 0;
+
+  if (legs.length === 1) {
+    if (futures.length === 1) return STRATEGY_TYPES.FUTURES;
+    if (calls.length === 1) return long(calls[0]) ? STRATEGY_TYPES.LONG_CALL : STRATEGY_TYPES.SHORT_CALL;
+    return long(puts[0]) ? STRATEGY_TYPES.LONG_PUT : STRATEGY_TYPES.SHORT_PUT;
+  }
+  const size = Math.abs(legs[0]?.quantity || 0);
+  const equalSize = legs.every(l => Math.abs(Math.abs(l.quantity) - size) <= EPSILON);
+  if (futures.length > 0 || legs.length === 0) return STRATEGY_TYPES.CUSTOM;
+
+  if (legs.length === 2 && equalSize) {
+    if (calls.length === 1 && puts.length === 1 && long(calls[0]) === long(puts[0])) {
+      if (calls[0].strike_price === puts[0].strike_price) {
+        return long(calls[0]) ? STRATEGY_TYPES.LONG_STRADDLE : STRATEGY_TYPES.SHORT_STRADDLE;
+      }
+      return long(calls[0]) ? STRATEGY_TYPES.LONG_STRANGLE : STRATEGY_TYPES.SHORT_STRANGLE;
+    }
+    const [low, high] = calls.length === 2 ? calls : puts;
+    if (low && high && long(low) !== long(high) && low.strike_price !== high.strike_price) {
+      if (calls.length === 2) return long(low) ? STRATEGY_TYPES.BULL_CALL_SPREAD : STRATEGY_TYPES.BEAR_CALL_SPREAD;
+      return long(high) ? STRATEGY_TYPES.BEAR_PUT_SPREAD : STRATEGY_TYPES.BULL_PUT_SPREAD;
+    }
+  }
+
+  if (legs.length === 3 && (calls.length === 3 || puts.length === 3)) {
+    const [low, mid, high] = calls.length === 3 ? calls : puts;
+    const wings = Math.abs(low.quantity - high.quantity) <= EPSILON && Math.abs(mid.quantity + 2 * low.quantity) <= EPSILON;
+    if (wings && low.strike_price < mid.strike_price && mid.strike_price < high.strike_price) {
+      return calls.length === 3 ? STRATEGY_TYPES.CALL_BUTTERFLY : STRATEGY_TYPES.PUT_BUTTERFLY;
+    }
+  }
+
+  if (legs.length === 4 && calls.length === 2 && puts.length === 2 && equalSize) {
+    const [putLow, putHigh] = puts;
+    const [callLow, callHigh] = calls;
+    const wingsMatch = long(putLow) === long(callHigh) && long(putHigh) === long(callLow) && long(putLow) !== long(putHigh);
+    if (wingsMatch && putLow.strike_price < putHigh.strike_price && putHigh.strike_price <= callLow.strike_price &&
+        callLow.strike_price < callHigh.strike_price) {
+      return putHigh.strike_price === callLow.strike_price ? STRATEGY_TYPES.IRON_BUTTERFLY : STRATEGY_TYPES.IRON_CONDOR;
+    }
+  }
+  return STRATEGY_TYPES.CUSTOM;
+}
+
+/**
+ * Default strategy name, e.g. 'NIFTY 2025-01-30 Iron condor'
+ * @param {string} type - Strategy type
+ * @param {string} underlying - Underlying symbol
+ * @param {Array<string>} expiries - Leg expiries
+ * @returns {string}
+ */
+export function defaultStrategyName(type, underlying, expiries = []) {
+  return [underlying, ...expiries, STRATEGY_LABELS[type] || STRATEGY_LABELS[STRATEGY_TYPES.CUSTOM]].filter(Boolean).join(' ');
+}
+
+/**
+ * Combined P&L at expiry for an underlying price: booked P&L plus each open leg's
+ * intrinsic value (futures at the price) against its average open price.
+ * Legs with different expiries are all valued as if expiring together.
+ * @param {Array<Object>} legs - Positions from computePositions
+ * @param {number} price - Underlying price at expiry
+ * @returns {number}
+ */
+export function payoffAtExpiry(legs, price) {
+  return legs.reduce((total, leg) => {
+    let value = total + (Number(leg.realized_pnl) || 0);
+    if (!leg.net_quantity) return value;
+    const strike = Number(leg.strike_price) || 0;
+    const intrinsic = leg.instrument === 'FUT' ? price
+      : leg.instrument === 'CE' ? Math.max(price - strike, 0)
+        : Math.max(strike - price, 0);
+    value += leg.net_quantity * (intrinsic - (Number(leg.avg_open_price) || 0)) * (leg.multiplier || 1);
+    return value;
+  }, 0);
+}
+
+/**
+ * Max profit, max loss and breakevens of the payoff at expiry. The payoff is linear between
+ * strikes, so extremes sit at a strike, at zero, or are unlimited above the top strike.
+ * @param {Array<Object>} legs - Positions from computePositions
+ * @returns {Object} { max_profit, max_loss, unlimited_profit, unlimited_loss, breakevens }; unlimited values are null
+ */
+export function payoffProfile(legs) {
+  const open = legs.filter(l => l.net_quantity);
+  const points = [...new Set([0, ...open.filter(l => l.instrument !== 'FUT').map(l => Number(l.strike_price))])]
+    .sort((a, b) => a - b);
+  const values = points.map(p => payoffAtExpiry(legs, p));
+  const slopeAbove = open
+    .filter(l => l.instrument === 'FUT' || l.instrument === 'CE')
+    .reduce((sum, l) => sum + l.net_quantity * (l.multiplier || 1), 0);
+
+  const breakevens = [];
+  if (open.length > 0) {
+    for (let i = 0; i < points.length; i++) {
+      if (Math.abs(values[i]) <= EPSILON && i > 0) breakevens.push(points[i]);
+      if (i + 1 < points.length && values[i] * values[i + 1] < 0) {
+        breakevens.push(points[i] + (points[i + 1] - points[i]) * (-values[i] / (values[i + 1] - values[i])));
+      }
+    }
+    const last = values[values.length - 1];
+    if (Math.abs(slopeAbove) > EPSILON && Math.abs(last) > EPSILON && Math.sign(last) !== Math.sign(slopeAbove)) {
+      breakevens.push(points[points.length - 1] - last / slopeAbove);
+    }
+  }
+
+  return {
+    max_profit: slopeAbove > EPSILON ? null : round2(Math.max(...values)),
+    max_loss: slopeAbove < -EPSILON ? null : round2(Math.min(...values)),
+    unlimited_profit: slopeAbove > EPSILON,
+    unlimited_loss: slopeAbove < -EPSILON,
+    breakevens: [...new Set(breakevens.map(round2))]
+  };
+}
+
+/**
+ * Combined view of a strategy
+ * @param {Object} strategy - Stored strategy ({ id, name, strategy_type, notes, trade_ids, ... })
+ * @param {Array<Object>} trades - The strategy's leg trades
+ * @param {Object} options - computePositions options (marks, contractMaster, asOf)
+ * @returns {Object} Strategy with legs, net_premium (credit positive), realized_pnl, m2m, total_pnl,
+ *   charges, net_pnl, status, closed_on and payoff
+ */
+export function buildStrategyView(strategy, trades, options = {}) {
+  const legs = computePositions(trades, options);
+  const isFlat = leg => leg.status === POSITION_STATUS.CLOSED || leg.status === POSITION_STATUS.SETTLED;
+  const status = legs.length > 0 && legs.every(isFlat) ? STRATEGY_STATUS.CLOSED : STRATEGY_STATUS.OPEN;
+  const multipliers = new Map(legs.map(l => [l.key, l.multiplier]));
+  const netPremium = trades
+    .filter(t => isDerivativeTrade(t) && String(t.trade_type).toUpperCase() !== 'FUTURES')
+    .reduce((sum, t) => {
+      const sign = String(t.type || t.trade_action || '').toLowerCase() === 'sell' ? 1 : -1;
+      return sum + sign * (Number(t.quantity) || 0) * (Number(t.price) || 0) * (multipliers.get(contractKey(t)) || 1);
+    }, 0);
+  const sum = field => round2(legs.reduce((total, l) => total + (Number(l[field]) || 0), 0));
+  const closedOn = status === STRATEGY_STATUS.CLOSED
+    ? [...trades.map(t => toISODateString(t.date)), ...legs.filter(l => l.status === POSITION_STATUS.SETTLED).map(l => l.expiry)]
+      .filter(Boolean).sort().pop()
+    : null;
+  const realized = sum('realized_pnl');
+  const m2m = sum('m2m');
+
+  return {
+    ...strategy,
+    strategy_label: STRATEGY_LABELS[strategy.strategy_type] || STRATEGY_LABELS[STRATEGY_TYPES.CUSTOM],
+    underlying: legs[0]?.symbol || null,
+    expiries: [...new Set(legs.map(l => l.expiry).filter(Boolean))].sort(),
+    status,
+    closed_on: closedOn,
+    legs,
+    net_premium: round2(netPremium),
+    realized_pnl: realized,
+    m2m,
+    total_pnl: round2(realized + m2m),
+    charges: sum('charges'),
+    net_pnl: sum('net_pnl'),
+    unpriced_legs: legs.filter(l => l.status === POSITION_STATUS.OPEN && l.last_price == null).length,
+    payoff: payoffProfile(legs)
+  };
+}
+
+/**
+ * Suggest strategies from F&O trades not yet in one: trades on the same underlying and expiry,
+ * entered on the same day, across at least two contracts
+ * @param {Array<Object>} trades - Trades
+ * @param {Set<string>} assigned - Trade ids (as strings) already in a strategy
+ * @returns {Array<Object>} { underlying, expiry, date, trade_ids, strategy_type, name }
+ */
+export function detectStrategies(trades, assigned = new Set()) {
+  const groups = new Map();
+  for (const trade of trades.filter(t => isDerivativeTrade(t) && !assigned.has(String(t.id)))) {
+    const key = contractKey(trade).split('|');
+    const groupKey = `${key[0]}|${key[1]}|${toISODateString(trade.date)}`;
+    if (!groups.has(groupKey)) groups.set(groupKey, []);
+    groups.get(groupKey).push(trade);
+  }
+
+  const suggestions = [];
+  for (const [groupKey, group] of groups) {
+    if (new Set(group.map(contractKey)).size < 2) continue;
+    const [underlying, expiry, date] = groupKey.split('|');
+    const type = classifyStrategy(openingLegs(group));
+    suggestions.push({
+      underlying,
+      expiry: expiry || null,
+      date,
+      trade_ids: group.map(t => t.id),
+      strategy_type: type,
+      name: defaultStrategyName(type, underlying, expiry ? [expiry] : [])
+    });
+  }
+  return suggestions.sort((a, b) => b.date.localeCompare(a.date) || a.underlying.localeCompare(b.underlying));
+}
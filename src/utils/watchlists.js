@@ -0,0 +1,80 @@
+import { parseNumber } from '../importers/helpers.js';
+
+/**
+ * Watchlists
+ * Named lists of symbols a user follows without holding them, each symbol with notes and an
+ * optional target buy price, shown against the latest quote.
+ */
+
+export const MAX_WATCHLIST_NAME_LENGTH = 50;
+export const MAX_WATCHLIST_SYMBOLS = 100;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Validate a watchlist name
+ * @param {Object} input - { name }
+ * @returns {{watchlist: Object|null, error: string|null}}
+ */
+export function parseWatchlistInput(input) {
+  const name = String(input.name ?? '').trim().replace(/\s+/g, ' ');
+  if (!name) return { watchlist: null, error: 'Name is required' };
+  if (name.length > MAX_WATCHLIST_NAME_LENGTH) {
+    return { watchlist: null, error: `Name must be at most ${MAX_WATCHLIST_NAME_LENGTH} characters` };
+  }
+  return { watchlist: { name }, error: null };
+}
+
+/**
+ * Validate a watchlist symbol. With partial set only notes and target_price present in the
+ * input are returned (for updates).
+ * @param {Object} input - { symbol, notes, target_price }
+ * @param {Object} options - { partial }
+ * @returns {{item: Object|null, error: string|null}}
+ */
+export function parseWatchlistItem(input, { partial = false } = {}) {
+  const has = field => !partial || input[field] !== undefined;
+  const item = {};
+  if (!partial) {
+    item.symbol = String(input.symbol || '').trim().toUpperCase();
+    if (!/^[A-Z0-9&._-]{1,20}$/.test(item.symbol)) {
+      return { item: null, error: 'symbol must be 1-20 letters, digits or & . _ -' };
+    }
+  }
+  if (has('notes')) item.notes = input.notes != null ? String(input.notes).trim() || null : null;
+  if (has('target_price')) {
+    const raw = input.target_price;
+    item.target_price = raw == null || raw === '' ? null : parseNumber(raw);
+    if (item.target_price !== null && !(item.target_price > 0)) {
+      return { item: null, error: 'target_price must be a price greater than 0' };
+    }
+    if (item.target_price !== null) item.target_price = round2(item.target_price);
+  }
+  return { item, error: null };
+}
+
+/**
+ * Watchlist with each symbol's quote and distance to its target buy price
+ * @param {Object} watchlist - { id, name, items: [{ symbol, notes, target_price, added_at }] }
+ * @param {Map<string, Object>} quotes - Symbol to quote ({ price, change, changePercent, ... }), or null
+ * @returns {Object} Watchlist with items[].quote, items[].to_target_pct (negative once the
+ *   price is below the target) and items[].at_target
+ */
+export function buildWatchlistView(watchlist, quotes = new Map()) {
+  return {
+    ...watchlist,
+    items: watchlist.items.map(item => {
+      const quote = quotes.get(item.symbol) || null;
+      const price = quote ? Number(quote.price) : null;
+      const hasTarget = item.target_price > 0 && price > 0;
+      return {
+        ...item,
+        quote,
+        to_target_pct: hasTarget ? round2(((price - item.target_price) / item.target_price) * 100) : null,
+        at_target: hasTarget ? price <= item.target_price : false
+      };
+    })
+  };
+}
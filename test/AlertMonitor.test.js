@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AlertMonitor } from '../src/utils/AlertMonitor.js';
+import { staticQuoteSource, parseAlertInput, postWebhook, isBlockedAddress } from '../src/utils/alerts.js';
+
+function alert(id, symbol, alert_type, threshold, extra = {}) {
+  return { id, user_id: 1, symbol, alert_type, threshold, status: 'active', ...extra };
+}
+
+test('runOnce triggers alerts whose condition is met and reports quote errors', async () => {
+  const fired = [];
+  const monitor = new AlertMonitor({
+    quoteSource: staticQuoteSource({ RELIANCE: 2950, TCS: { price: 4100, changePercent: -2.5 } }),
+    loadActiveAlerts: async () => [],
+    loadHolding: async () => ({ quantity: 10, avg_cost: 2800 }),
+    onTrigger: async (a, result) => { fired.push({ id: a.id, price: result.price }); }
+  });
+
+  const summary = await monitor.runOnce([
+    alert(1, 'RELIANCE', 'price_above', 2900),
+    alert(2, 'RELIANCE', 'price_below', 2900),
+    alert(3, 'TCS', 'percent_change', -2),
+    alert(4, 'RELIANCE', 'target', 2950),
+    alert(5, 'INFY', 'price_above', 1500),
+    alert(6, 'RELIANCE', 'price_above', 1, { status: 'disabled' })
+  ]);
+
+  assert.equal(summary.checked, 4);
+  assert.deepEqual(fired, [{ id: 1, price: 2950 }, { id: 4, price: 2950 }, { id: 3, price: 4100 }]);
+  assert.match(summary.triggered.find(t => t.alert_id === 4).message, /unrealized P&L 1500/);
+  assert.deepEqual(summary.errors, [{ symbol: 'INFY', error: 'No quote for INFY' }]);
+  assert.equal(monitor.running, false);
+});
+
+test('webhook URLs pointing at internal addresses are refused', async () => {
+  for (const url of ['http://127.0.0.1:5432', 'http://169.254.169.254/latest/meta-data', 'http://localhost/x', 'http://[::1]/', 'http://10.1.2.3/', 'http://[::ffff:192.168.0.1]/']) {
+    assert.match(parseAlertInput({ symbol: 'INFY', alert_type: 'price_above', threshold: 1, webhook_url: url }).error, /public address/, url);
+    const result = await postWebhook(url, {});
+    assert.equal(result.ok, false);
+    assert.match(result.error, /public address/);
+  }
+  assert.equal(parseAlertInput({ symbol: 'INFY', alert_type: 'price_above', threshold: 1, webhook_url: 'ftp://example.com' }).error, 'webhook_url must be an http(s) URL');
+  assert.equal(parseAlertInput({ symbol: 'INFY', alert_type: 'price_above', threshold: 1, webhook_url: 'https://hooks.example.com/a' }).error, null);
+  assert.equal(isBlockedAddress('8.8.8.8'), false);
+  assert.equal(isBlockedAddress('172.20.0.1'), true);
+  assert.equal(isBlockedAddress('fd00::1'), true);
+});
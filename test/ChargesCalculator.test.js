@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChargesCalculator, splitCashTrades } from '../src/utils/ChargesCalculator.js';
+
+const calculator = new ChargesCalculator();
+
+function cash(id, type, quantity, price, extra = {}) {
+  return { id, symbol: 'INFY', type, quantity, price, date: '2025-06-10', trade_type: 'Cash', market_index: 'NSE', ...extra };
+}
+
+test('delivery buy on NSE: no brokerage, 0.1% STT and stamp duty', () => {
+  assert.deepEqual(calculator.calculate(cash(1, 'buy', 100, 1000), { product: 'delivery' }), {
+    segment: 'equity_delivery', plan: 'discount', side: 'buy', turnover: 100000,
+    brokerage: 0, stt: 100, exchange_txn: 2.97, sebi_fee: 0.1, stamp_duty: 15, gst: 0.55, total: 118.62
+  });
+});
+
+test('intraday sell: brokerage capped at ₹20, sell-side STT only', () => {
+  const charges = calculator.calculate(cash(1, 'sell', 100, 1000), { product: 'intraday' });
+  assert.deepEqual([charges.brokerage, charges.stt, charges.stamp_duty, charges.gst, charges.total], [20, 25, 0, 4.15, 52.22]);
+});
+
+test('option sell is charged on premium turnover', () => {
+  const charges = calculator.calculate({ id: 1, symbol: 'NIFTY', type: 'sell', quantity: 75, price: 100, trade_type: 'CE', market_index: 'NSE' });
+  assert.deepEqual([charges.segment, charges.turnover, charges.brokerage, charges.stt, charges.exchange_txn, charges.total],
+    ['equity_options', 7500, 20, 7.5, 2.63, 34.22]);
+});
+
+test('only the quantity squared off the same day is intraday', () => {
+  const trades = [
+    cash(1, 'sell', 100, 1500),
+    cash(2, 'buy', 50, 1480),
+    cash(3, 'buy', 10, 1000, { date: '2025-06-11' }),
+    cash(4, 'sell', 10, 1010, { date: '2025-06-11', product: 'delivery' })
+  ];
+  const split = splitCashTrades(trades);
+  assert.deepEqual(split.get(1), { product: 'delivery', intraday_quantity: 50, delivery_quantity: 50 });
+  assert.deepEqual(split.get(2), { product: 'intraday', intraday_quantity: 50, delivery_quantity: 0 });
+  assert.deepEqual(split.get(4), { product: 'delivery', intraday_quantity: 0, delivery_quantity: 10 });
+
+  const charges = calculator.calculateAll(trades, { plan: 'flat_20' });
+  const sell = charges.get(1);
+  // STT: 0.025% on 50 intraday + 0.1% on 50 delivery; one ₹20 order
+  assert.deepEqual([sell.intraday_quantity, sell.stt, sell.brokerage, sell.total], [50, 93.75, 20, 122.8]);
+  assert.deepEqual([sell.portions.intraday.total, sell.portions.delivery.total], [33.28, 89.53]);
+  assert.equal(charges.get(2).product, 'intraday');
+  assert.equal(charges.get(2).stamp_duty, 2.22);
+});
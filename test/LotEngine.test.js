@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LotEngine, COST_BASIS_METHODS } from '../src/utils/LotEngine.js';
+
+function trade(id, date, type, quantity, price, symbol = 'INFY') {
+  return { id, date, symbol, type, quantity, price };
+}
+
+test('FIFO sells close the oldest lots first', () => {
+  const engine = LotEngine.fromTrades([
+    trade(1, '2025-01-01', 'buy', 10, 100),
+    trade(2, '2025-02-01', 'buy', 10, 120),
+    trade(3, '2025-03-01', 'sell', 15, 130)
+  ]);
+  const position = engine.getPosition('INFY', 140);
+
+  assert.deepEqual(engine.getRealizations().map(r => [r.buyTradeId, r.quantity, r.pnl]), [[1, 10, 300], [2, 5, 50]]);
+  assert.equal(position.quantity, 5);
+  assert.equal(position.averageCost, 120);
+  assert.equal(position.realizedPnL, 350);
+  assert.equal(position.unrealizedPnL, 100);
+  assert.deepEqual(position.openLots.map(l => [l.tradeId, l.quantity]), [[2, 5]]);
+});
+
+test('weighted average pools buys at their average cost', () => {
+  const engine = LotEngine.fromTrades([
+    trade(1, '2025-01-01', 'buy', 10, 100),
+    trade(2, '2025-02-01', 'buy', 30, 120),
+    trade(3, '2025-03-01', 'sell', 20, 130)
+  ], { method: COST_BASIS_METHODS.WEIGHTED_AVERAGE });
+  const position = engine.getPosition('INFY');
+
+  assert.equal(position.quantity, 20);
+  assert.equal(position.averageCost, 115);
+  assert.equal(position.realizedPnL, 300);
+  assert.equal(position.openLots.length, 1);
+});
+
+test('partial fills of one order close a lot across several sells', () => {
+  const engine = LotEngine.fromTrades([
+    trade(1, '2025-01-01', 'buy', 100, 50),
+    trade(2, '2025-01-05', 'sell', 30, 55),
+    trade(3, '2025-01-05', 'sell', 30, 56),
+    trade(4, '2025-01-05', 'sell', 40, 54)
+  ]);
+  const position = engine.getPosition('INFY');
+
+  assert.equal(position.quantity, 0);
+  assert.equal(position.realizedPnL, 150 + 180 + 160);
+  assert.equal(position.openLots.length, 0);
+  assert.equal(position.unmatchedSellQuantity, 0);
+});
+
+test('an intraday short sale is covered by the buy back and nets to zero', () => {
+  const engine = LotEngine.fromTrades([
+    trade(1, '2025-06-10', 'sell', 10, 1500),
+    trade(2, '2025-06-10', 'buy', 10, 1480)
+  ]);
+  const position = engine.getPosition('INFY');
+
+  assert.equal(position.quantity, 0);
+  assert.equal(position.realizedPnL, 200);
+  assert.deepEqual(position.openLots, []);
+  assert.deepEqual(engine.getRealizations().map(r => [r.side, r.sellTradeId, r.buyTradeId, r.quantity]), [['short', 1, 2, 10]]);
+});
+
+test('an uncovered short shows as negative quantity until bought back', () => {
+  const engine = new LotEngine();
+  engine.addTrade(trade(1, '2025-06-10', 'sell', 10, 1500));
+  let position = engine.getPosition('INFY', 1450);
+  assert.equal(position.quantity, -10);
+  assert.equal(position.averageCost, 1500);
+  assert.equal(position.unrealizedPnL, 500);
+  assert.equal(position.unmatchedSellQuantity, 10);
+
+  engine.addTrade(trade(2, '2025-06-11', 'buy', 15, 1490));
+  position = engine.getPosition('INFY');
+  assert.equal(position.quantity, 5);
+  assert.equal(position.realizedPnL, 100);
+  assert.deepEqual(position.openLots.map(l => [l.tradeId, l.quantity, l.price]), [[2, 5, 1490]]);
+});
+
+test('corporate actions apply to the shares held before the ex-date', () => {
+  const actions = [
+    { id: 1, symbol: 'INFY', action_type: 'split', ex_date: '2025-02-01', ratio_new: 2, ratio_old: 1 },
+    { id: 2, symbol: 'INFY', action_type: 'bonus', ex_date: '2025-03-01', ratio_new: 1, ratio_old: 2 },
+    { id: 3, symbol: 'INFY', action_type: 'dividend', ex_date: '2025-04-01', amount: 5 }
+  ];
+  const engine = LotEngine.fromTrades([
+    trade(1, '2025-01-01', 'buy', 10, 1000),
+    trade(2, '2025-02-15', 'buy', 10, 520)
+  ], { corporateActions: actions });
+  const position = engine.getPosition('INFY');
+
+  // 10 @ 1000 split to 20 @ 500, plus 10 bought, then 1:2 bonus on 30 = 15 free shares
+  assert.equal(position.quantity, 45);
+  assert.deepEqual(position.openLots.map(l => [l.tradeId, l.corporateActionId, l.quantity, l.price]), [
+    [1, null, 20, 500], [2, null, 10, 520], [null, 2, 15, 0]
+  ]);
+  assert.equal(position.investedValue, 15200);
+  assert.equal(position.dividendIncome, 225);
+});
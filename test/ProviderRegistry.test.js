@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProviderRegistry, PROVIDER_HEALTH, parseProviderList } from '../src/scrapers/ProviderRegistry.js';
+import { FixtureProvider } from '../src/scrapers/providers/FixtureProvider.js';
+
+function failingProvider(name, priority) {
+  return {
+    name,
+    priority,
+    capabilities: ['quote'],
+    calls: 0,
+    async getQuote() {
+      this.calls++;
+      throw new Error(`${name} is offline`);
+    }
+  };
+}
+
+test('falls back by priority and skips a provider in cooldown', async () => {
+  let time = Date.parse('2026-10-19T05:00:00Z');
+  const registry = new ProviderRegistry({ failureThreshold: 2, cooldownMs: 60000, now: () => new Date(time) });
+  const flaky = registry.register(failingProvider('flaky', 1));
+  registry.register(new FixtureProvider({ quotes: { INFY: 1600 } }), { priority: 10 });
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await registry.call('quote', ['INFY'])).price, 1600);
+  }
+  assert.equal(flaky.calls, 2);
+  assert.equal(registry.list()[0].health, PROVIDER_HEALTH.DOWN);
+
+  time += 61000;
+  await registry.call('quote', ['INFY']);
+  assert.equal(flaky.calls, 3);
+});
+
+test('fails fast when every provider is down', async () => {
+  const registry = new ProviderRegistry({ failureThreshold: 1 });
+  const offline = registry.register(failingProvider('offline', 1));
+  await assert.rejects(registry.call('quote', ['TCS']), /offline is offline/);
+  await assert.rejects(registry.call('quote', ['TCS']), /down after repeated failures/);
+  assert.equal(offline.calls, 1);
+});
+
+test('registers a provider that cannot run as unavailable', async () => {
+  const registry = new ProviderRegistry();
+  const missing = registry.register({
+    ...failingProvider('scraper', 1),
+    async checkAvailable() {
+      return 'cheerio is not installed';
+    }
+  });
+  registry.register(new FixtureProvider({ quotes: { TCS: 4100 } }), { priority: 10 });
+
+  assert.equal((await registry.call('quote', ['TCS'])).price, 4100);
+  assert.equal(missing.calls, 0);
+  const [entry] = registry.list();
+  assert.equal(entry.health, PROVIDER_HEALTH.UNAVAILABLE);
+  assert.equal(entry.enabled, false);
+  assert.equal(entry.last_error, 'cheerio is not installed');
+  await assert.rejects(registry.callProvider('scraper', 'quote', ['TCS']), /unavailable/);
+});
+
+test('parses a provider list into priorities', () => {
+  assert.deepEqual(parseProviderList('nse, yahoo_finance'), {
+    nse: { enabled: true, priority: 10 },
+    yahoo_finance: { enabled: true, priority: 20 },
+    '*': { enabled: false }
+  });
+  assert.deepEqual(parseProviderList('-screener'), { screener: { enabled: false } });
+  assert.equal(parseProviderList(' '), null);
+});
@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuoteService } from '../src/utils/QuoteService.js';
+import { EquityScraper } from '../src/scrapers/EquityScraper.js';
+import { FixtureProvider } from '../src/scrapers/providers/FixtureProvider.js';
+
+// In-memory stand-in for the stock_data table
+function memoryStore() {
+  const rows = new Map();
+  return {
+    rows,
+    async load(symbols) {
+      return new Map(symbols.filter(s => rows.has(s)).map(s => [s, { ...rows.get(s) }]));
+    },
+    async save(quote) {
+      rows.set(quote.symbol, quote);
+    }
+  };
+}
+
+// Fixture-backed scraper that counts lookups per symbol
+function fixtureSource(quotes) {
+  const fixture = new FixtureProvider({ quotes });
+  const calls = new Map();
+  const getQuote = fixture.getQuote.bind(fixture);
+  fixture.getQuote = async symbol => {
+    calls.set(symbol, (calls.get(symbol) || 0) + 1);
+    return getQuote(symbol);
+  };
+  return { fixture, calls, scraper: new EquityScraper({ builtIn: false, providers: [fixture] }) };
+}
+
+function clock(start = '2026-10-19T05:00:00Z') {
+  let time = Date.parse(start);
+  return { now: () => new Date(time), advance: ms => { time += ms; } };
+}
+
+test('serves a cached quote within the TTL without a lookup', async () => {
+  const { scraper, calls } = fixtureSource({ INFY: 1600 });
+  const { now, advance } = clock();
+  const service = new QuoteService({ provider: scraper, store: memoryStore(), ttlMs: 60000, now });
+
+  const first = await service.getQuote('infy');
+  assert.equal(first.price, 1600);
+  assert.equal(first.cached, false);
+  assert.equal(first.is_real_data, false);
+
+  advance(30000);
+  const second = await service.getQuote('INFY');
+  assert.equal(second.cached, true);
+  assert.equal(second.stale, false);
+  assert.equal(calls.get('INFY'), 1);
+
+  advance(31000);
+  const third = await service.getQuote('INFY');
+  assert.equal(third.cached, false);
+  assert.equal(calls.get('INFY'), 2);
+});
+
+test('falls back to the expired quote, marked stale, when every source fails', async () => {
+  const { scraper, fixture } = fixtureSource({ TCS: 4100 });
+  const { now, advance } = clock();
+  const service = new QuoteService({ provider: scraper, store: memoryStore(), ttlMs: 60000, now });
+
+  await service.getQuote('TCS');
+  fixture.quotes.delete('TCS');
+  advance(61000);
+  const quote = await service.getQuote('TCS');
+  assert.equal(quote.price, 4100);
+  assert.equal(quote.stale, true);
+  assert.equal(quote.cached, true);
+
+  assert.equal(await service.getQuote('UNKNOWN'), null);
+});
+
+test('concurrent requests for one symbol share a single lookup', async () => {
+  const { scraper, calls } = fixtureSource({ RELIANCE: 2950 });
+  const service = new QuoteService({ provider: scraper, store: memoryStore(), now: clock().now });
+
+  const [a, b, batch] = await Promise.all([
+    service.getQuote('RELIANCE'),
+    service.getQuote('RELIANCE'),
+    service.getQuotes(['RELIANCE', 'reliance'])
+  ]);
+  assert.equal(a.price, 2950);
+  assert.equal(b.price, 2950);
+  assert.equal(batch.get('RELIANCE').price, 2950);
+  assert.equal(calls.get('RELIANCE'), 1);
+});
+
+test('refresh skips the cache', async () => {
+  const { scraper, fixture, calls } = fixtureSource({ SBIN: 800 });
+  const service = new QuoteService({ provider: scraper, store: memoryStore(), now: clock().now });
+
+  await service.getQuote('SBIN');
+  fixture.set('SBIN', 810);
+  const quote = await service.getQuote('SBIN', { refresh: true });
+  assert.equal(quote.price, 810);
+  assert.equal(calls.get('SBIN'), 2);
+});
+
+test('backs off a symbol whose lookup failed', async () => {
+  const { scraper, fixture, calls } = fixtureSource({});
+  const { now, advance } = clock();
+  const service = new QuoteService({ provider: scraper, store: memoryStore(), failureBackoffMs: 30000, now });
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (...args) => warnings.push(args.join(' '));
+  try {
+    assert.equal(await service.getQuote('HDFCBANK'), null);
+    assert.equal(await service.getQuote('HDFCBANK'), null);
+    assert.equal(calls.get('HDFCBANK'), 1);
+
+    advance(31000);
+    assert.equal(await service.getQuote('HDFCBANK'), null);
+    assert.equal(calls.get('HDFCBANK'), 2);
+    assert.equal(warnings.length, 1);
+
+    fixture.set('HDFCBANK', 1700);
+    advance(31000);
+    assert.equal((await service.getQuote('HDFCBANK')).price, 1700);
+    assert.equal(service.failures.has('HDFCBANK'), false);
+  } finally {
+    console.warn = warn;
+  }
+});
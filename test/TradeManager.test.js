@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TradeManager } from '../src/utils/TradeManager.js';
+
+test('a back-dated trade is matched in date order', () => {
+  const manager = new TradeManager();
+  manager.addTrade({ symbol: 'infy', type: 'buy', quantity: 10, price: 120, date: '2025-03-01' });
+  manager.addTrade({ symbol: 'infy', type: 'sell', quantity: 10, price: 130, date: '2025-04-01' });
+  manager.addTrade({ symbol: 'infy', type: 'buy', quantity: 10, price: 100, date: '2025-01-01' });
+
+  const position = manager.portfolio.get('INFY');
+  // FIFO: the 1-Jan buy at 100 is the one sold
+  assert.equal(position.realizedPnL, 300);
+  assert.equal(position.totalQuantity, 10);
+  assert.equal(position.averagePrice, 120);
+  assert.deepEqual(position.trades.map(t => t.date), ['2025-01-01', '2025-03-01', '2025-04-01']);
+});
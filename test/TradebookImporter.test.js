@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TradebookImporter } from '../src/importers/TradebookImporter.js';
+import { MarketCalendar } from '../src/utils/MarketCalendar.js';
+
+const ZERODHA_HEADER = 'symbol,isin,trade_date,exchange,segment,series,trade_type,auction,quantity,price,trade_id,order_id,order_execution_time';
+
+function zerodhaCSV(rows) {
+  return [ZERODHA_HEADER].concat(rows.map((r, i) => `${r.symbol},,${r.date},${r.exchange},${r.segment},,buy,false,${r.quantity},100,T${i},O${i},${r.date}T10:00:00`)).join('\n');
+}
+
+test('monthly F&O symbols get the monthly expiry of their month', () => {
+  const calendar = new MarketCalendar();
+  calendar.addDay({ exchange: 'NSE', date: '2026-03-31', description: 'Holiday' });
+  const { trades } = new TradebookImporter(undefined, { calendar }).parse(zerodhaCSV([
+    { symbol: 'NIFTY24DEC24000CE', date: '2024-12-02', exchange: 'NFO', segment: 'FO', quantity: 25 },
+    { symbol: 'NIFTY25OCTFUT', date: '2025-10-01', exchange: 'NFO', segment: 'FO', quantity: 75 },
+    { symbol: 'RELIANCE26MARFUT', date: '2026-03-02', exchange: 'NFO', segment: 'FO', quantity: 500 },
+    { symbol: 'SENSEX24DEC80000CE', date: '2024-12-02', exchange: 'BFO', segment: 'FO', quantity: 10 },
+    { symbol: 'NIFTY24N2124000PE', date: '2024-11-11', exchange: 'NFO', segment: 'FO', quantity: 25 },
+    { symbol: 'GOLD24DECFUT', date: '2024-12-02', exchange: 'MCX', segment: 'COM', quantity: 1 },
+    { symbol: 'INFY', date: '2024-12-02', exchange: 'NSE', segment: 'EQ', quantity: 1 }
+  ]));
+
+  assert.deepEqual(trades.map(t => [t.symbol, t.trade_type, t.expiry]), [
+    ['NIFTY', 'CE', '2024-12-26'], // last Thursday before NSE moved expiries to Tuesday
+    ['NIFTY', 'Futures', '2025-10-28'],
+    ['RELIANCE', 'Futures', '2026-03-30'], // last Tuesday is a holiday
+    ['SENSEX', 'CE', '2024-12-27'],
+    ['NIFTY', 'PE', '2024-11-21'], // weekly symbols carry their own date
+    ['GOLD', 'Futures', null], // MCX expiries come from listed dates only
+    ['INFY', 'Cash', null]
+  ]);
+});
+
+test('a trade date past the end of the month is a row error', () => {
+  const { trades, errors } = new TradebookImporter().parse(zerodhaCSV([
+    { symbol: 'INFY', date: '2025-02-31', exchange: 'NSE', segment: 'EQ', quantity: 1 },
+    { symbol: 'TCS', date: '2025-02-28', exchange: 'NSE', segment: 'EQ', quantity: 1 }
+  ]));
+
+  assert.deepEqual(errors, [{ row: 2, error: 'Missing or invalid trade date' }]);
+  assert.deepEqual(trades.map(t => t.symbol), ['TCS']);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildBusinessIncomeReport } from '../src/reports/businessIncome.js';
+
+function trade(id, date, symbol, trade_type, type, quantity, price, extra = {}) {
+  return { id, date, symbol, trade_type, type, quantity, price, market_index: 'NSE', ...extra };
+}
+
+test('speculative income covers only the quantity squared off the same day', () => {
+  const report = buildBusinessIncomeReport([
+    trade(1, '2025-06-02', 'INFY', 'Cash', 'buy', 100, 1400),
+    trade(2, '2025-06-10', 'INFY', 'Cash', 'sell', 100, 1500, {
+      charges: { brokerage: 20, stt: 93.75, total: 122.8, portions: { intraday: { brokerage: 10, stt: 18.75, total: 33.28 }, delivery: { total: 89.53 } } }
+    }),
+    trade(3, '2025-06-10', 'INFY', 'Cash', 'buy', 50, 1480, { charges: { brokerage: 10, stt: 18.5, total: 28.5 } })
+  ], { fy: '2025-26', asOf: '2026-01-01' });
+
+  assert.equal(report.speculative.expenses.total, 61.78);
+  assert.equal(report.speculative.expenses.stt, 37.25);
+  assert.deepEqual([report.speculative.transactions, report.speculative.net_pnl, report.speculative.turnover, report.speculative.net_income],
+    [1, 1000, 1000, 938.22]);
+  assert.deepEqual(report.warnings, []);
+});
+
+test('F&O turnover adds the absolute result of each closing trade', () => {
+  const report = buildBusinessIncomeReport([
+    trade(1, '2025-07-01', 'NIFTY', 'Futures', 'buy', 75, 24000, { expiry: '2025-07-31' }),
+    trade(2, '2025-07-10', 'NIFTY', 'Futures', 'sell', 75, 24100, { expiry: '2025-07-31' }),
+    trade(3, '2025-07-01', 'NIFTY', 'CE', 'buy', 75, 100, { expiry: '2025-07-31', strike_price: 24500 }),
+    trade(4, '2025-07-15', 'NIFTY', 'CE', 'sell', 75, 60, { expiry: '2025-07-31', strike_price: 24500 })
+  ], { fy: '2025-26', asOf: '2026-01-01' });
+
+  const { non_speculative: fo } = report;
+  assert.deepEqual([fo.gross_profit, fo.gross_loss, fo.net_pnl, fo.turnover], [7500, -3000, 4500, 10500]);
+  assert.deepEqual([fo.futures.net_pnl, fo.options.net_pnl], [7500, -3000]);
+  assert.equal(report.speculative.transactions, 0);
+});
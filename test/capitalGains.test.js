@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCapitalGainsReport } from '../src/reports/capitalGains.js';
+
+function cash(id, date, type, quantity, price, extra = {}) {
+  return { id, date, symbol: 'INFY', type, quantity, price, trade_type: 'Cash', ...extra };
+}
+
+test('only the delivery part of a day with a same-day buy back is a transfer', () => {
+  const report = buildCapitalGainsReport([
+    cash(1, '2023-01-10', 'buy', 100, 1000),
+    cash(2, '2025-06-10', 'sell', 100, 1500, {
+      charges: { total: 100, stt: 60, portions: { intraday: { total: 30, stt: 10 }, delivery: { total: 70, stt: 50 } } }
+    }),
+    cash(3, '2025-06-10', 'buy', 50, 1480)
+  ], { fy: '2025-26' });
+
+  assert.deepEqual(report.transactions.map(t => [t.quantity, t.term, t.section, t.regime, t.expenditure_on_transfer, t.gain]), [
+    [50, 'long_term', '112A', 'from_2024_07_23', 20, 24980]
+  ]);
+  assert.equal(report.summary.ltcg_exemption, 24980);
+  assert.equal(report.summary.taxable_ltcg, 0);
+  assert.deepEqual(report.warnings, []);
+});
+
+test('short-term losses set off against the highest-rate gains first', () => {
+  const report = buildCapitalGainsReport([
+    cash(1, '2024-05-01', 'buy', 10, 100),
+    cash(2, '2024-06-01', 'sell', 10, 200),
+    cash(3, '2024-08-01', 'buy', 10, 200),
+    cash(4, '2024-09-01', 'sell', 10, 150)
+  ], { fy: '2024-25' });
+
+  assert.deepEqual(report.schedule_cg.short_term_111a.map(r => [r.rate, r.balance]), [[15, 1000], [20, -500]]);
+  assert.equal(report.summary.taxable_stcg, 500);
+  assert.equal(report.summary.estimated_tax, 75);
+});
+
+test('grandfathered shares use the 31-Jan-2018 value capped at the sale price', () => {
+  const report = buildCapitalGainsReport([
+    cash(1, '2017-06-01', 'buy', 10, 500),
+    cash(2, '2025-01-15', 'sell', 10, 900)
+  ], { fy: '2024-25', fairMarketValues: new Map([['INFY', { fmv: 1100, isin: 'INE009A01021' }]]) });
+
+  const [t] = report.transactions;
+  assert.deepEqual([t.isin, t.actual_cost, t.total_fmv_2018, t.cost_of_acquisition, t.gain], ['INE009A01021', 5000, 11000, 9000, 0]);
+});
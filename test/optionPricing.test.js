@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { blackScholes, impliedVolatility, yearsToExpiry, positionGreeks } from '../src/utils/optionPricing.js';
+
+const close = (actual, expected, tolerance = 1e-4) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+test('Black-Scholes matches textbook values (S=K=100, r=5%, vol 20%, 1 year)', () => {
+  const params = { spot: 100, strike: 100, years: 1, volatility: 0.2, rate: 0.05 };
+  const call = blackScholes({ ...params, type: 'CE' });
+  const put = blackScholes({ ...params, type: 'PE' });
+
+  close(call.price, 10.4506);
+  close(put.price, 5.5735);
+  close(call.delta, 0.6368);
+  close(put.delta, -0.3632);
+  close(call.gamma, 0.018762, 1e-6);
+  close(call.vega, 0.375207);
+  close(call.theta, -6.414028 / 365);
+  close(put.theta, -1.657880 / 365);
+});
+
+test('Black-Scholes matches Hull example 15.6 (S=42, K=40, r=10%, vol 20%, 6 months)', () => {
+  const params = { spot: 42, strike: 40, years: 0.5, volatility: 0.2, rate: 0.1 };
+  close(blackScholes({ ...params, type: 'CE' }).price, 4.7594);
+  close(blackScholes({ ...params, type: 'PE' }).price, 0.8086);
+});
+
+test('implied volatility recovers the volatility used to price the premium', () => {
+  for (const volatility of [0.08, 0.2, 0.65, 1.5]) {
+    for (const type of ['CE', 'PE']) {
+      const params = { type, spot: 24000, strike: 24500, years: 30 / 365, rate: 0.065 };
+      const price = blackScholes({ ...params, volatility }).price;
+      close(impliedVolatility({ ...params, price }), volatility, 1e-5);
+    }
+  }
+  // Below intrinsic value: no volatility gives this premium
+  assert.equal(impliedVolatility({ type: 'CE', spot: 110, strike: 100, years: 0.5, rate: 0.05, price: 5 }), null);
+});
+
+test('position Greeks scale by quantity and stop at 15:30 IST on expiry', () => {
+  const now = new Date('2025-07-01T10:00:00Z');
+  assert.equal(yearsToExpiry('2025-07-31', now), 30 / 365);
+  assert.equal(yearsToExpiry('2025-07-01', new Date('2025-07-01T10:00:01Z')), null);
+
+  const greeks = positionGreeks({
+    instrument: 'CE', strike_price: 24500, expiry: '2025-07-31', net_quantity: -75, multiplier: 1, last_price: 150
+  }, { spot: 24000, rate: 0.065, now });
+  assert.equal(greeks.theoretical_price, 150);
+  assert.equal(greeks.iv_source, 'last_price');
+  close(greeks.position_delta, greeks.delta * -75, 0.01);
+  assert.ok(greeks.position_theta > 0, 'a short option earns time decay');
+});
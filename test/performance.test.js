@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPerformanceReport } from '../src/reports/performance.js';
+import { contractKey } from '../src/utils/positions.js';
+
+function trade(id, date, type, quantity, price, extra = {}) {
+  return { id, date, symbol: 'INFY', type, quantity, price, trade_type: 'Cash', market_index: 'NSE', charges: { total: quantity / 10 }, ...extra };
+}
+
+test('a closing trade matched against several buys is one round-trip', () => {
+  const report = buildPerformanceReport([
+    trade(1, '2025-01-01', 'buy', 10, 100, { reason: 'Breakout' }),
+    trade(2, '2025-01-11', 'buy', 10, 110),
+    trade(3, '2025-01-21', 'buy', 10, 120),
+    trade(4, '2025-02-01', 'sell', 25, 130),
+    trade(5, '2025-03-01', 'sell', 5, 90)
+  ], { asOf: '2026-01-01' });
+
+  assert.deepEqual(report.round_trips.map(t => [t.close_trade_id, t.open_trade_ids, t.quantity, t.entry_price, t.pnl, t.holding_days]), [
+    [4, [1, 2, 3], 25, 108, 545, 23],
+    [5, [3], 5, 120, -151, 39]
+  ]);
+  assert.equal(report.overall.count, 2);
+  assert.equal(report.overall.win_rate, 50);
+  assert.equal(report.groups.reason.find(g => g.key === 'breakout').count, 1);
+});
+
+test('F&O positions left open at expiry settle as one round-trip per contract', () => {
+  const fo = (id, date, type, quantity, price) => trade(id, date, type, quantity, price, { symbol: 'NIFTY', trade_type: 'Futures', expiry: '2025-01-30', charges: null });
+  const key = contractKey(fo(0, '2025-01-02', 'sell', 75, 0));
+  const { round_trips: trips } = buildPerformanceReport([
+    fo(1, '2025-01-02', 'sell', 75, 24000),
+    fo(2, '2025-01-03', 'sell', 75, 24100)
+  ], { asOf: '2025-02-03', marks: new Map([[key, { settlement_price: 23900 }]]) });
+  assert.equal(trips.length, 1);
+  assert.deepEqual([trips[0].side, trips[0].quantity, trips[0].settlement, trips[0].pnl], ['short', 150, true, 22500]);
+});
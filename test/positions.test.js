@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computePositions, netContracts, summarizePositions } from '../src/utils/positions.js';
+
+function fo(id, date, trade_type, type, quantity, price, extra = {}) {
+  return { id, date, symbol: 'NIFTY', trade_type, type, quantity, price, expiry: '2025-07-31', market_index: 'NSE', ...extra };
+}
+
+test('opposite trades close at the average open price and can flip the position', () => {
+  const [position] = netContracts([
+    fo(1, '2025-07-01', 'Futures', 'buy', 50, 100),
+    fo(2, '2025-07-02', 'Futures', 'buy', 50, 110),
+    fo(3, '2025-07-03', 'Futures', 'sell', 150, 120),
+    fo(4, '2025-07-03', 'Cash', 'sell', 10, 1500)
+  ]).values();
+
+  assert.equal(position.key, 'NIFTY|2025-07-31||FUT');
+  assert.equal(position.realizedPnL, 1500);
+  assert.equal(position.netQuantity, -50);
+  assert.equal(position.avgOpenPrice, 120);
+  assert.deepEqual(position.closings, [{ trade_id: 3, date: '2025-07-03', quantity: 100, pnl: 1500 }]);
+});
+
+test('open contracts are marked to market and expired ones settle at the settlement price', () => {
+  const ce = { strike_price: 24500 };
+  const pe = { strike_price: 24000, expiry: '2025-06-26' };
+  const positions = computePositions([
+    fo(1, '2025-07-01', 'CE', 'sell', 75, 120, ce),
+    fo(2, '2025-06-02', 'PE', 'buy', 75, 80, pe),
+    fo(3, '2025-06-02', 'PE', 'buy', 75, 60, { strike_price: 23500, expiry: '2025-06-26' })
+  ], {
+    asOf: '2025-07-10',
+    marks: new Map([
+      ['NIFTY|2025-07-31|24500|CE', { last_price: 100 }],
+      ['NIFTY|2025-06-26|24000|PE', { settlement_price: 30 }]
+    ])
+  });
+
+  assert.deepEqual(positions.map(p => [p.key, p.status, p.net_quantity, p.realized_pnl, p.m2m]), [
+    ['NIFTY|2025-07-31|24500|CE', 'open', -75, 0, 1500],
+    ['NIFTY|2025-06-26|23500|PE', 'expired', 75, 0, null],
+    ['NIFTY|2025-06-26|24000|PE', 'settled', 0, -3750, null]
+  ]);
+  const summary = summarizePositions(positions);
+  assert.equal(summary.open_positions, 1);
+  assert.equal(summary.total_pnl, -2250);
+});